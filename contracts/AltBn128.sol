@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title AltBn128
+ * @dev Arithmetic on the alt_bn128 (BN254) G1 group using the EIP-196 / EIP-198 precompiles
+ * Points are affine (x, y) pairs; (0, 0) is the point at infinity
+ */
+library AltBn128 {
+
+    // Field modulus p
+    uint256 internal constant P = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
+    // Group order n
+    uint256 internal constant N = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    // (p + 1) / 4, square roots exist as a^((p+1)/4) because p = 3 mod 4
+    uint256 internal constant SQRT_EXPONENT = 5472060717959818805561601436314318772174077789324455915672259473661306552146;
+
+    // Generator G = (1, 2)
+    uint256 internal constant GX = 1;
+    uint256 internal constant GY = 2;
+
+    /**
+     * @dev Return the generator point G
+     */
+    function generator() internal pure returns (uint256[2] memory) {
+        return [GX, GY];
+    }
+
+    /**
+     * @dev Point addition via the ecAdd precompile (0x06)
+     * @param p1 First point
+     * @param p2 Second point
+     * @return r Sum p1 + p2
+     */
+    function ecAdd(uint256[2] memory p1, uint256[2] memory p2)
+        internal
+        view
+        returns (uint256[2] memory r)
+    {
+        uint256[4] memory input = [p1[0], p1[1], p2[0], p2[1]];
+        bool success;
+        assembly {
+            success := staticcall(gas(), 0x06, input, 0x80, r, 0x40)
+        }
+        require(success, "AltBn128: ecAdd failed");
+    }
+
+    /**
+     * @dev Scalar multiplication via the ecMul precompile (0x07)
+     * @param p1 Point to multiply
+     * @param s Scalar
+     * @return r Product s * p1
+     */
+    function ecMul(uint256[2] memory p1, uint256 s)
+        internal
+        view
+        returns (uint256[2] memory r)
+    {
+        uint256[3] memory input = [p1[0], p1[1], s];
+        bool success;
+        assembly {
+            success := staticcall(gas(), 0x07, input, 0x60, r, 0x40)
+        }
+        require(success, "AltBn128: ecMul failed");
+    }
+
+    /**
+     * @dev Point negation, -(x, y) = (x, p - y); the point at infinity is its own negation
+     * @param point Point to negate
+     * @return r Negated point
+     */
+    function negate(uint256[2] memory point) internal pure returns (uint256[2] memory r) {
+        if (point[0] == 0 && point[1] == 0) {
+            return point;
+        }
+        return [point[0], P - (point[1] % P)];
+    }
+
+    /**
+     * @dev Modular exponentiation via the modexp precompile (0x05)
+     * @param base Base
+     * @param exponent Exponent
+     * @param modulus Modulus
+     * @return result base^exponent mod modulus
+     */
+    function modExp(uint256 base, uint256 exponent, uint256 modulus)
+        internal
+        view
+        returns (uint256 result)
+    {
+        uint256[6] memory input = [32, 32, 32, base, exponent, modulus];
+        uint256[1] memory output;
+        bool success;
+        assembly {
+            success := staticcall(gas(), 0x05, input, 0xc0, output, 0x20)
+        }
+        require(success, "AltBn128: modExp failed");
+        return output[0];
+    }
+
+    /**
+     * @dev Check that a point lies on y^2 = x^3 + 3 and is not the point at infinity
+     * @param point Point to check
+     * @return valid Boolean indicating the point is a usable group element
+     */
+    function isOnCurve(uint256[2] memory point) internal pure returns (bool valid) {
+        uint256 x = point[0];
+        uint256 y = point[1];
+        if (x >= P || y >= P || (x == 0 && y == 0)) {
+            return false;
+        }
+        uint256 lhs = mulmod(y, y, P);
+        uint256 rhs = addmod(mulmod(mulmod(x, x, P), x, P), 3, P);
+        return lhs == rhs;
+    }
+
+    /**
+     * @dev Deterministically map arbitrary data to a curve point (try-and-increment)
+     * Must stay in sync with hashToPoint in lib/altbn128.js
+     * @param data Data to hash
+     * @return point Curve point Hp(data)
+     */
+    function hashToPoint(bytes memory data) internal view returns (uint256[2] memory point) {
+        uint256 x = uint256(keccak256(data)) % P;
+        while (true) {
+            uint256 y2 = addmod(mulmod(mulmod(x, x, P), x, P), 3, P);
+            uint256 y = modExp(y2, SQRT_EXPONENT, P);
+            if (mulmod(y, y, P) == y2) {
+                return [x, y];
+            }
+            x = addmod(x, 1, P);
+        }
+    }
+
+    /**
+     * @dev Encode a point as 33 bytes (0x02 | 0x03 by y parity || x)
+     */
+    function compressPoint(uint256[2] memory point) internal pure returns (bytes memory) {
+        return abi.encodePacked(bytes1(point[1] & 1 == 0 ? 0x02 : 0x03), point[0]);
+    }
+
+    /**
+     * @dev Decode a 33-byte compressed encoding into a point
+     * Only canonical encodings are accepted, so every point has exactly one encoding
+     * @param data Compressed encoding
+     * @return valid Boolean indicating the encoding is a canonical curve point
+     * @return point Decoded point
+     */
+    function decompressPoint(bytes memory data)
+        internal
+        view
+        returns (bool valid, uint256[2] memory point)
+    {
+        if (data.length != 33) {
+            return (false, point);
+        }
+        uint8 prefix = uint8(data[0]);
+        if (prefix != 0x02 && prefix != 0x03) {
+            return (false, point);
+        }
+        uint256 x;
+        assembly {
+            x := mload(add(data, 33))
+        }
+        if (x >= P) {
+            return (false, point);
+        }
+        uint256 y2 = addmod(mulmod(mulmod(x, x, P), x, P), 3, P);
+        uint256 y = modExp(y2, SQRT_EXPONENT, P);
+        if (mulmod(y, y, P) != y2) {
+            return (false, point);
+        }
+        if (y & 1 != prefix - 0x02) {
+            y = P - y;
+        }
+        return (true, [x, y]);
+    }
+
+    /**
+     * @dev Encode a point as 64 bytes (x || y)
+     */
+    function encodePoint(uint256[2] memory point) internal pure returns (bytes memory) {
+        return abi.encodePacked(point[0], point[1]);
+    }
+
+    /**
+     * @dev Decode a 64-byte (x || y) encoding into a point
+     */
+    function decodePoint(bytes memory data) internal pure returns (uint256[2] memory point) {
+        require(data.length == 64, "AltBn128: invalid point encoding");
+        uint256 x;
+        uint256 y;
+        assembly {
+            x := mload(add(data, 32))
+            y := mload(add(data, 64))
+        }
+        return [x, y];
+    }
+}
@@ -0,0 +1,188 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title AuthorityCommittee
+ * @dev M-of-N trustee committee that can act as the election authority
+ * Purpose: Remove the single election authority key as a point of failure and of abuse
+ * Granted the roles of a RegistrationContract in place of a single key (or made its default admin),
+ * it is the only address the role checks of RegistrationContract and VotingAndTallyingContract
+ * accept, so every call needing those roles has to go through it: a trustee proposes the call,
+ * `threshold` trustees approve it and any trustee executes it before it expires.
+ * Membership is fixed; a new committee takes over by being granted the roles, or through the
+ * two-step default admin transfer.
+ */
+contract AuthorityCommittee {
+
+    enum ActionStatus {
+        None,
+        Pending,
+        Executed,
+        Expired
+    }
+
+    // An authority call waiting for approvals
+    struct Action {
+        address target;         // Contract called
+        bytes data;             // Calldata of the call
+        uint64 expiresAt;       // No approvals or execution from this time on
+        uint256 approvals;      // Trustees who approved, the proposer included
+        ActionStatus status;
+    }
+
+    address[] public trustees;                          // The N trustees
+    uint256 public threshold;                           // M, approvals needed to execute an action
+    uint64 public actionLifetime;                       // Seconds an action stays open after its proposal
+    mapping(address => bool) public isTrustee;
+    mapping(uint256 => Action) private _actions;
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
+    uint256 public actionCount;                         // Actions proposed so far, also the next action ID
+
+    // Events
+    event ActionProposed(uint256 indexed actionId, address indexed proposer, address indexed target, bytes data, uint64 expiresAt);
+    event ActionApproved(uint256 indexed actionId, address indexed trustee, uint256 approvals);
+    event ActionExecuted(uint256 indexed actionId, address indexed executor);
+    event ActionExpired(uint256 indexed actionId);
+
+    // Modifiers
+    modifier onlyTrustee() {
+        require(isTrustee[msg.sender], "Only trustees can call this function");
+        _;
+    }
+
+    modifier whenPending(uint256 actionId) {
+        require(_actions[actionId].status == ActionStatus.Pending, "Action not pending");
+        require(block.timestamp < _actions[actionId].expiresAt, "Action expired");
+        _;
+    }
+
+    /**
+     * @dev Constructor sets the committee
+     * @param _trustees Addresses of the N trustees
+     * @param _threshold Approvals needed for each action, between 1 and N
+     * @param _actionLifetime Seconds a proposed action can be approved and executed
+     */
+    constructor(address[] memory _trustees, uint256 _threshold, uint64 _actionLifetime) {
+        require(_trustees.length > 0, "No trustees");
+        require(_threshold > 0 && _threshold <= _trustees.length, "Invalid threshold");
+        require(_actionLifetime > 0, "Invalid action lifetime");
+
+        for (uint256 i = 0; i < _trustees.length; i++) {
+            require(_trustees[i] != address(0), "Invalid trustee address");
+            require(!isTrustee[_trustees[i]], "Duplicate trustee");
+            isTrustee[_trustees[i]] = true;
+        }
+        trustees = _trustees;
+        threshold = _threshold;
+        actionLifetime = _actionLifetime;
+    }
+
+    /**
+     * @dev Propose an authority call; the proposal counts as the proposer's approval
+     * @param target Contract to call, e.g. the RegistrationContract or VotingAndTallyingContract
+     * @param data Calldata of the call
+     * @return actionId Identifier of the new action
+     */
+    function propose(address target, bytes calldata data) 
+        external 
+        onlyTrustee 
+        returns (uint256 actionId) 
+    {
+        require(target.code.length > 0, "Target is not a contract");
+
+        actionId = actionCount++;
+        uint64 expiresAt = uint64(block.timestamp) + actionLifetime;
+        _actions[actionId] = Action({
+            target: target,
+            data: data,
+            expiresAt: expiresAt,
+            approvals: 0,
+            status: ActionStatus.Pending
+        });
+        emit ActionProposed(actionId, msg.sender, target, data, expiresAt);
+        _approve(actionId);
+    }
+
+    /**
+     * @dev Approve a pending action
+     * @param actionId Action identifier
+     */
+    function approve(uint256 actionId) 
+        external 
+        onlyTrustee 
+        whenPending(actionId) 
+    {
+        require(!hasApproved[actionId][msg.sender], "Action already approved");
+        _approve(actionId);
+    }
+
+    /**
+     * @dev Execute an action approved by at least `threshold` trustees
+     * Reverts with the target's revert reason if the call fails, leaving the action pending
+     * @param actionId Action identifier
+     * @return result Return data of the call
+     */
+    function execute(uint256 actionId) 
+        external 
+        onlyTrustee 
+        whenPending(actionId) 
+        returns (bytes memory result) 
+    {
+        Action storage action = _actions[actionId];
+        require(action.approvals >= threshold, "Not enough approvals");
+
+        action.status = ActionStatus.Executed;
+        bool success;
+        (success, result) = action.target.call(action.data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ActionExecuted(actionId, msg.sender);
+    }
+
+    /**
+     * @dev Close an action whose lifetime has run out without being executed (anyone)
+     * @param actionId Action identifier
+     */
+    function expire(uint256 actionId) external {
+        Action storage action = _actions[actionId];
+        require(action.status == ActionStatus.Pending, "Action not pending");
+        require(block.timestamp >= action.expiresAt, "Action not expired yet");
+
+        action.status = ActionStatus.Expired;
+        emit ActionExpired(actionId);
+    }
+
+    /**
+     * @dev Get an action
+     * @param actionId Action identifier
+     * @return action The action's call, expiry, approval count and status
+     */
+    function getAction(uint256 actionId) 
+        external 
+        view 
+        returns (Action memory action) 
+    {
+        action = _actions[actionId];
+        require(action.status != ActionStatus.None, "Action not found");
+    }
+
+    /**
+     * @dev Get the number of trustees
+     * @return count N
+     */
+    function getTrusteeCount() 
+        external 
+        view 
+        returns (uint256 count) 
+    {
+        return trustees.length;
+    }
+
+    function _approve(uint256 actionId) private {
+        hasApproved[actionId][msg.sender] = true;
+        emit ActionApproved(actionId, msg.sender, ++_actions[actionId].approvals);
+    }
+}
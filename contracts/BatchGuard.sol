@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title BatchGuard
+ * @dev Shared check of the batch entry points, which try each item as an external call to the
+ * contract itself and skip the items that fail
+ */
+library BatchGuard {
+
+    /**
+     * @dev Revert the batch, rather than skip the item, when a failed item ran out of gas: the call got
+     * 63/64 of the gas left before it, so less than 1/64 remains
+     * @param gasBefore gasleft() just before the item's call
+     */
+    function checkNotOutOfGas(uint256 gasBefore) internal view {
+        require(gasleft() > gasBefore / 64, "Out of gas");
+    }
+}
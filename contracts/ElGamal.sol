@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./AltBn128.sol";
+
+/**
+ * @title ElGamal
+ * @dev Zero-knowledge proof checks for exponential ElGamal over alt_bn128
+ * A ciphertext of v under the joint key H is (a, b) = (r * G, r * H + v * G).
+ *
+ * Every proof is a Fiat-Shamir Chaum-Pedersen proof that log_G(y1) == log_g2(y2):
+ *   T1 = s * G + c * y1
+ *   T2 = s * g2 + c * y2
+ * A ballot bit proof is the OR of two such proofs (v = 0 or v = 1), with challenges summing to
+ * H(context, a, b, T1_0, T2_0, T1_1, T2_1). Must stay in sync with lib/elgamal.js.
+ */
+library ElGamal {
+
+    /**
+     * @dev Verify that a ciphertext encrypts 0 or 1
+     * @param context Domain the proof is bound to
+     * @param publicKey Joint encryption key H
+     * @param a Ciphertext component r * G
+     * @param b Ciphertext component r * H + v * G
+     * @param proof (c0, s0, c1, s1), one challenge and response per branch
+     * @return valid Boolean indicating proof validity
+     */
+    function verifyBit(
+        bytes32 context,
+        uint256[2] memory publicKey,
+        uint256[2] memory a,
+        uint256[2] memory b,
+        uint256[4] memory proof
+    )
+        internal
+        view
+        returns (bool valid)
+    {
+        if (proof[0] >= AltBn128.N || proof[1] >= AltBn128.N || proof[2] >= AltBn128.N || proof[3] >= AltBn128.N) {
+            return false;
+        }
+        if (!AltBn128.isOnCurve(a) || !AltBn128.isOnCurve(b)) {
+            return false;
+        }
+
+        (uint256[2] memory t10, uint256[2] memory t20) = _commitments(publicKey, a, b, proof[0], proof[1]);
+        uint256[2] memory bMinusG = AltBn128.ecAdd(b, AltBn128.negate(AltBn128.generator()));
+        (uint256[2] memory t11, uint256[2] memory t21) = _commitments(publicKey, a, bMinusG, proof[2], proof[3]);
+
+        uint256 c = uint256(keccak256(abi.encodePacked(
+            context, a[0], a[1], b[0], b[1], t10[0], t10[1], t20[0], t20[1], t11[0], t11[1], t21[0], t21[1]
+        ))) % AltBn128.N;
+        return addmod(proof[0], proof[2], AltBn128.N) == c;
+    }
+
+    /**
+     * @dev Verify that log_G(y1) == log_g2(y2)
+     * @param context Domain the proof is bound to
+     * @param g2 Second base
+     * @param y1 Power of G
+     * @param y2 Power of g2
+     * @param proof (c, s) challenge and response
+     * @return valid Boolean indicating proof validity
+     */
+    function verifyEquality(
+        bytes32 context,
+        uint256[2] memory g2,
+        uint256[2] memory y1,
+        uint256[2] memory y2,
+        uint256[2] memory proof
+    )
+        internal
+        view
+        returns (bool valid)
+    {
+        if (proof[0] >= AltBn128.N || proof[1] >= AltBn128.N) {
+            return false;
+        }
+
+        (uint256[2] memory t1, uint256[2] memory t2) = _commitments(g2, y1, y2, proof[0], proof[1]);
+        uint256 c = uint256(keccak256(abi.encodePacked(
+            context, g2[0], g2[1], y1[0], y1[1], y2[0], y2[1], t1[0], t1[1], t2[0], t2[1]
+        ))) % AltBn128.N;
+        return proof[0] == c;
+    }
+
+    /**
+     * @dev Recompute the prover's commitments T1 = s * G + c * y1 and T2 = s * g2 + c * y2
+     */
+    function _commitments(
+        uint256[2] memory g2,
+        uint256[2] memory y1,
+        uint256[2] memory y2,
+        uint256 c,
+        uint256 s
+    )
+        private
+        view
+        returns (uint256[2] memory t1, uint256[2] memory t2)
+    {
+        t1 = AltBn128.ecAdd(AltBn128.ecMul(AltBn128.generator(), s), AltBn128.ecMul(y1, c));
+        t2 = AltBn128.ecAdd(AltBn128.ecMul(g2, s), AltBn128.ecMul(y2, c));
+    }
+}
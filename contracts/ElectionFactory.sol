@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+
+interface IRegistrationContractInit {
+    function initialize(address electionAuthority, address initialAdmin, bytes32 electionId, uint64 electionAdminDelay) external;
+}
+
+interface IVoterRegistrationContractInit {
+    function initialize(address registrationContract) external;
+}
+
+interface IVotingAndTallyingContractInit {
+    function initialize(address voterRegistrationContract, address registrationContract) external;
+}
+
+/**
+ * @title ElectionFactory
+ * @dev Deploys a wired RegistrationContract, VoterRegistrationContract and
+ * VotingAndTallyingContract trio in one transaction
+ * Purpose: Replace the three-step deployment and keep an on-chain directory of elections
+ * Each trio is made of EIP-1167 minimal-proxy clones of shared implementations,
+ * since the three contracts together exceed the contract size limit
+ * Directory entries are keyed by electionKey(creator, label), so nobody can take an ID
+ * another creator intends to use; each RegistrationContract clone only accepts that ID
+ */
+contract ElectionFactory {
+
+    // Contracts deployed for one election
+    struct ElectionDeployment {
+        bytes32 electionId;
+        address registrationContract;
+        address voterRegistrationContract;
+        address votingAndTallyingContract;
+        address electionAuthority;
+        address creator;
+        uint256 createdAt;
+    }
+
+    // Implementations every trio is cloned from
+    address public immutable registrationImplementation;
+    address public immutable voterRegistrationImplementation;
+    address public immutable votingAndTallyingImplementation;
+
+    // Election admin timelock of every RegistrationContract created (zero: none)
+    uint64 public immutable electionAdminDelay;
+
+    // Election directory, keyed by electionKey(creator, label)
+    mapping(bytes32 => ElectionDeployment) public elections;
+    bytes32[] public electionIds;                       // Every election created, in creation order
+
+    // Events
+    event ElectionCreated(
+        bytes32 indexed electionId,
+        address indexed electionAuthority,
+        address indexed creator,
+        address registrationContract,
+        address voterRegistrationContract,
+        address votingAndTallyingContract
+    );
+
+    /**
+     * @dev Constructor sets the implementations to clone and the timelock of the elections created
+     * @param _registrationImplementation Deployed RegistrationContract
+     * @param _voterRegistrationImplementation Deployed VoterRegistrationContract
+     * @param _votingAndTallyingImplementation Deployed VotingAndTallyingContract
+     * @param _electionAdminDelay Timelock on election admin grants and revocations, zero for none
+     */
+    constructor(
+        address _registrationImplementation,
+        address _voterRegistrationImplementation,
+        address _votingAndTallyingImplementation,
+        uint64 _electionAdminDelay
+    ) {
+        require(_registrationImplementation.code.length > 0, "Invalid registration implementation");
+        require(_voterRegistrationImplementation.code.length > 0, "Invalid voter registration implementation");
+        require(_votingAndTallyingImplementation.code.length > 0, "Invalid voting implementation");
+
+        registrationImplementation = _registrationImplementation;
+        voterRegistrationImplementation = _voterRegistrationImplementation;
+        votingAndTallyingImplementation = _votingAndTallyingImplementation;
+        electionAdminDelay = _electionAdminDelay;
+    }
+
+    /**
+     * @dev Get the election ID, and directory key, of a creator's election
+     * @param creator Account that creates the election
+     * @param label Identifier chosen by the creator
+     * @return electionId keccak256(abi.encode(creator, label))
+     */
+    function electionKey(address creator, bytes32 label) 
+        public 
+        pure 
+        returns (bytes32 electionId) 
+    {
+        return keccak256(abi.encode(creator, label));
+    }
+
+    /**
+     * @dev Deploy, initialize and wire the three contracts for an election
+     * The election ID is electionKey(msg.sender, label); the election authority still sets the election up
+     * with storePollParams(deployment.electionId, ...) on the new RegistrationContract, which accepts no
+     * other ID. The caller becomes its default admin
+     * @param label Identifier chosen by the caller, unique among the caller's elections
+     * @param electionAuthority Granted the election admin, certificate issuer and pauser roles of the new contracts
+     * @return deployment Election ID and addresses of the new contracts
+     */
+    function createElection(bytes32 label, address electionAuthority) 
+        external 
+        returns (ElectionDeployment memory deployment) 
+    {
+        require(label != bytes32(0), "Election label cannot be empty");
+        require(electionAuthority != address(0), "Invalid election authority address");
+        bytes32 electionId = electionKey(msg.sender, label);
+        require(elections[electionId].registrationContract == address(0), "Election already exists");
+
+        address registration = Clones.clone(registrationImplementation);
+        address voterRegistration = Clones.clone(voterRegistrationImplementation);
+        address votingAndTallying = Clones.clone(votingAndTallyingImplementation);
+
+        IRegistrationContractInit(registration).initialize(electionAuthority, msg.sender, electionId, electionAdminDelay);
+        IVoterRegistrationContractInit(voterRegistration).initialize(registration);
+        IVotingAndTallyingContractInit(votingAndTallying).initialize(voterRegistration, registration);
+
+        deployment = ElectionDeployment({
+            electionId: electionId,
+            registrationContract: registration,
+            voterRegistrationContract: voterRegistration,
+            votingAndTallyingContract: votingAndTallying,
+            electionAuthority: electionAuthority,
+            creator: msg.sender,
+            createdAt: block.timestamp
+        });
+        elections[electionId] = deployment;
+        electionIds.push(electionId);
+
+        emit ElectionCreated(electionId, electionAuthority, msg.sender, registration, voterRegistration, votingAndTallying);
+    }
+
+    /**
+     * @dev Get the contracts deployed for an election
+     * @param electionId Election identifier, electionKey(creator, label)
+     * @return deployment Addresses of the election's contracts
+     */
+    function getElection(bytes32 electionId) 
+        external 
+        view 
+        returns (ElectionDeployment memory deployment) 
+    {
+        deployment = elections[electionId];
+        require(deployment.registrationContract != address(0), "Election not found");
+    }
+
+    /**
+     * @dev Get the number of elections created
+     * @return count Number of elections in the directory
+     */
+    function getElectionCount() 
+        external 
+        view 
+        returns (uint256 count) 
+    {
+        return electionIds.length;
+    }
+}
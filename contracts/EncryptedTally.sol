@@ -0,0 +1,262 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./AltBn128.sol";
+import "./ElGamal.sol";
+
+/**
+ * @title EncryptedTally
+ * @dev Homomorphic tally of encrypted ballots with threshold decryption by a set of trustees
+ * Deployed once and linked into VotingAndTallyingContract, which keeps one Tally per election.
+ *
+ * Trustee j (1-based) holds a Shamir share x_j of the secret key x behind the joint key H = x * G
+ * and publishes the verification key x_j * G. Ballots add up per candidate into (A, B); a trustee's
+ * decryption share is x_j * A, and any `threshold` shares combine to x * A = B - count * G.
+ * setTrustees checks the verification keys lie on one polynomial of degree threshold - 1 whose value
+ * at zero is H, so any `threshold` honest trustees can decrypt.
+ */
+library EncryptedTally {
+
+    // Encrypted ballot: one exponential-ElGamal ciphertext (a, b) = (r * G, r * H + v * G) per candidate
+    struct EncryptedBallot {
+        uint256[2][] a;
+        uint256[2][] b;
+        uint256[4][] bitProofs;     // Each ciphertext encrypts 0 or 1
+        uint256[2] sumProof;        // The ciphertexts together encrypt exactly 1
+    }
+
+    // One election's trustees, running tally and decryption shares
+    struct Tally {
+        uint256[2] publicKey;                               // Joint encryption key H
+        uint256 threshold;                                  // Shares needed to decrypt (0 until trustees are set)
+        address[] trustees;
+        mapping(address => uint256) trusteeIndex;           // Shamir x-coordinate, 1-based (0 if not a trustee)
+        mapping(uint256 => uint256[2]) verificationKeys;    // x_j * G by trustee index
+        uint256[2][] a;                                     // Sum of a per candidate
+        uint256[2][] b;                                     // Sum of b per candidate
+        mapping(uint256 => uint256[2][]) shares;            // x_j * A per candidate by trustee index
+        uint256[] shareIndices;                             // Trustee indices in submission order
+        bool decrypted;
+        mapping(uint256 => uint256[2][]) ballotA;           // Counted a per candidate by voter index
+        mapping(uint256 => uint256[2][]) ballotB;           // Counted b per candidate by voter index
+    }
+
+    /**
+     * @dev Register the trustees and start an empty tally over `candidateCount` candidates
+     * The first `threshold` verification keys must interpolate to H at zero, and to every other
+     * trustee's verification key at that trustee's index
+     * @param self Election tally
+     * @param publicKey Joint encryption key H
+     * @param threshold Number of decryption shares needed
+     * @param trustees Trustee addresses; trustee i holds the key share for x-coordinate i + 1
+     * @param verificationKeys Public key share x_j * G of each trustee
+     * @param candidateCount Number of candidates, one ciphertext each
+     */
+    function setTrustees(
+        Tally storage self,
+        uint256[2] memory publicKey,
+        uint256 threshold,
+        address[] memory trustees,
+        uint256[2][] memory verificationKeys,
+        uint256 candidateCount
+    )
+        public
+    {
+        require(self.threshold == 0, "Tally trustees already set");
+        require(trustees.length == verificationKeys.length, "Trustee key count mismatch");
+        require(threshold > 0 && threshold <= trustees.length, "Invalid threshold");
+        require(AltBn128.isOnCurve(publicKey), "Invalid tally public key");
+
+        for (uint256 i = 0; i < trustees.length; i++) {
+            require(trustees[i] != address(0), "Invalid trustee address");
+            require(self.trusteeIndex[trustees[i]] == 0, "Duplicate trustee");
+            require(AltBn128.isOnCurve(verificationKeys[i]), "Invalid trustee key");
+
+            self.trusteeIndex[trustees[i]] = i + 1;
+            self.verificationKeys[i + 1] = verificationKeys[i];
+        }
+
+        uint256[] memory basis = new uint256[](threshold);
+        for (uint256 i = 0; i < threshold; i++) {
+            basis[i] = i + 1;
+        }
+        require(_isSamePoint(_interpolate(verificationKeys, basis, 0), publicKey), "Tally public key does not match trustee keys");
+        for (uint256 i = threshold; i < trustees.length; i++) {
+            require(
+                _isSamePoint(_interpolate(verificationKeys, basis, i + 1), verificationKeys[i]),
+                "Inconsistent trustee keys"
+            );
+        }
+
+        // Empty sums are the point at infinity, (0, 0) to the precompiles
+        for (uint256 i = 0; i < candidateCount; i++) {
+            self.a.push();
+            self.b.push();
+        }
+
+        self.publicKey = publicKey;
+        self.threshold = threshold;
+        self.trustees = trustees;
+    }
+
+    /**
+     * @dev Check an encrypted ballot's proofs and add it to the tally, in place of the voter's earlier ballot
+     * Each voter's ciphertexts are kept so a replacement can subtract them from the sums again
+     * @param self Election tally
+     * @param voterIndex Slot the ballot is cast in
+     * @param ballot Ciphertexts and validity proofs, one entry per candidate
+     * @param context Domain the ballot's proofs are bound to
+     */
+    function addBallot(Tally storage self, uint256 voterIndex, EncryptedBallot calldata ballot, bytes32 context) public {
+        uint256 candidateCount = self.a.length;
+        require(
+            ballot.a.length == candidateCount
+                && ballot.b.length == candidateCount
+                && ballot.bitProofs.length == candidateCount,
+            "Invalid encrypted ballot length"
+        );
+
+        uint256[2][] storage previousA = self.ballotA[voterIndex];
+        uint256[2][] storage previousB = self.ballotB[voterIndex];
+        bool replacing = previousA.length > 0;
+
+        uint256[2] memory publicKey = self.publicKey;
+        uint256[2] memory sumA;
+        uint256[2] memory sumB;
+        for (uint256 i = 0; i < candidateCount; i++) {
+            require(
+                ElGamal.verifyBit(context, publicKey, ballot.a[i], ballot.b[i], ballot.bitProofs[i]),
+                "Invalid ballot proof"
+            );
+            sumA = AltBn128.ecAdd(sumA, ballot.a[i]);
+            sumB = AltBn128.ecAdd(sumB, ballot.b[i]);
+            if (replacing) {
+                self.a[i] = AltBn128.ecAdd(self.a[i], AltBn128.negate(previousA[i]));
+                self.b[i] = AltBn128.ecAdd(self.b[i], AltBn128.negate(previousB[i]));
+                previousA[i] = ballot.a[i];
+                previousB[i] = ballot.b[i];
+            } else {
+                previousA.push(ballot.a[i]);
+                previousB.push(ballot.b[i]);
+            }
+            self.a[i] = AltBn128.ecAdd(self.a[i], ballot.a[i]);
+            self.b[i] = AltBn128.ecAdd(self.b[i], ballot.b[i]);
+        }
+
+        // sum(b) - G shares its discrete log to base H with sum(a) to base G only if the ballot holds one vote
+        uint256[2] memory sumBMinusG = AltBn128.ecAdd(sumB, AltBn128.negate(AltBn128.generator()));
+        require(ElGamal.verifyEquality(context, publicKey, sumA, sumBMinusG, ballot.sumProof), "Invalid ballot sum proof");
+    }
+
+    /**
+     * @dev Check and store a trustee's decryption share
+     * @param self Election tally
+     * @param index Trustee index (1-based)
+     * @param shares x_j * A per candidate
+     * @param proofs (c, s) proof per candidate that the share uses the trustee's key share
+     * @param context Domain the proofs are bound to
+     */
+    function addDecryptionShare(
+        Tally storage self,
+        uint256 index,
+        uint256[2][] memory shares,
+        uint256[2][] memory proofs,
+        bytes32 context
+    )
+        public
+    {
+        require(self.shares[index].length == 0, "Decryption share already submitted");
+        require(shares.length == self.a.length && proofs.length == self.a.length, "Invalid share count");
+
+        uint256[2] memory verificationKey = self.verificationKeys[index];
+        for (uint256 i = 0; i < shares.length; i++) {
+            require(
+                ElGamal.verifyEquality(context, self.a[i], verificationKey, shares[i], proofs[i]),
+                "Invalid decryption proof"
+            );
+            self.shares[index].push(shares[i]);
+        }
+        self.shareIndices.push(index);
+    }
+
+    /**
+     * @dev Check claimed vote counts against the tally and mark it decrypted
+     * The first `threshold` shares are combined by Lagrange interpolation into x * A,
+     * and each count must satisfy count * G == B - x * A
+     * @param self Election tally
+     * @param voteCounts Vote count per candidate
+     */
+    function decrypt(Tally storage self, uint256[] memory voteCounts) public {
+        require(!self.decrypted, "Tally already decrypted");
+        uint256 threshold = self.threshold;
+        require(threshold != 0 && self.shareIndices.length >= threshold, "Not enough decryption shares");
+        require(voteCounts.length == self.a.length, "Invalid vote count length");
+
+        uint256[] memory indices = new uint256[](threshold);
+        for (uint256 j = 0; j < threshold; j++) {
+            indices[j] = self.shareIndices[j];
+        }
+        uint256[] memory coefficients = _lagrangeCoefficients(indices, 0);
+        for (uint256 i = 0; i < voteCounts.length; i++) {
+            uint256[2] memory combined;
+            for (uint256 j = 0; j < threshold; j++) {
+                uint256[2] memory share = self.shares[self.shareIndices[j]][i];
+                combined = AltBn128.ecAdd(combined, AltBn128.ecMul(share, coefficients[j]));
+            }
+
+            uint256[2] memory expected = AltBn128.ecMul(AltBn128.generator(), voteCounts[i]);
+            uint256[2] memory decrypted = AltBn128.ecAdd(self.b[i], AltBn128.negate(combined));
+            require(expected[0] == decrypted[0] && expected[1] == decrypted[1], "Vote count does not match tally");
+        }
+
+        self.decrypted = true;
+    }
+
+    /**
+     * @dev Value at x of the polynomial through the verification keys at the `basis` indices, in the exponent
+     */
+    function _interpolate(uint256[2][] memory verificationKeys, uint256[] memory basis, uint256 x)
+        private
+        view
+        returns (uint256[2] memory point)
+    {
+        uint256[] memory coefficients = _lagrangeCoefficients(basis, x);
+        for (uint256 j = 0; j < basis.length; j++) {
+            point = AltBn128.ecAdd(point, AltBn128.ecMul(verificationKeys[basis[j] - 1], coefficients[j]));
+        }
+    }
+
+    /**
+     * @dev Whether two points in affine coordinates are equal
+     */
+    function _isSamePoint(uint256[2] memory p1, uint256[2] memory p2) private pure returns (bool) {
+        return p1[0] == p2[0] && p1[1] == p2[1];
+    }
+
+    /**
+     * @dev Lagrange coefficients at x of the given share indices
+     * lambda_j = prod over the other indices m of (x - m) / (j - m), mod the group order
+     */
+    function _lagrangeCoefficients(uint256[] memory indices, uint256 x)
+        private
+        view
+        returns (uint256[] memory coefficients)
+    {
+        uint256 threshold = indices.length;
+        coefficients = new uint256[](threshold);
+        for (uint256 j = 0; j < threshold; j++) {
+            uint256 numerator = 1;
+            uint256 denominator = 1;
+            for (uint256 m = 0; m < threshold; m++) {
+                if (m == j) continue;
+                numerator = mulmod(numerator, addmod(x, AltBn128.N - indices[m], AltBn128.N), AltBn128.N);
+                denominator = mulmod(denominator, addmod(indices[j], AltBn128.N - indices[m], AltBn128.N), AltBn128.N);
+            }
+            coefficients[j] = mulmod(
+                numerator,
+                AltBn128.modExp(denominator, AltBn128.N - 2, AltBn128.N),
+                AltBn128.N
+            );
+        }
+    }
+}
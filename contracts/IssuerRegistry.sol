@@ -0,0 +1,150 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IssuerRegistry
+ * @dev Registry of government issuer keys, each regional office having at most one current key
+ * Deployed once and linked into RegistrationContract, which checks the caller's role and exposes
+ * the keys through issuerKeys and officeKeys. Revocations are numbered in order, so an election
+ * can tell the revocations made before its ring started freezing from those made after
+ */
+library IssuerRegistry {
+
+    // Government issuer key
+    struct IssuerKey {
+        bytes32 office;             // Issuing office identifier
+        uint64 validFrom;           // Certificates accepted from this time
+        uint64 validUntil;          // Certificates rejected from this time
+        bool revoked;               // Compromised: every certificate it issued is void
+        bool registered;
+        uint256 revocationIndex;    // Position in the issuer revocation sequence, 0 if not revoked
+    }
+
+    struct Registry {
+        mapping(address => IssuerKey) keys;     // Every issuer key ever registered
+        mapping(bytes32 => address) officeKeys; // Current issuer key per office
+        uint256 revocationCount;                // Issuer keys revoked so far
+    }
+
+    // Emitted from the linked contract, which declares the same events for its ABI
+    event IssuerKeyAdded(bytes32 indexed office, address indexed issuerKey, uint64 validFrom, uint64 validUntil);
+    event IssuerKeyRetired(bytes32 indexed office, address indexed issuerKey, uint64 retiredAt);
+    event IssuerKeyRevoked(bytes32 indexed office, address indexed issuerKey);
+
+    /**
+     * @dev Register the first issuer key of an office
+     * @param self Issuer key registry
+     * @param office Issuing office identifier
+     * @param issuerKey Address of the issuer key
+     * @param validFrom Time from which certificates are accepted
+     * @param validUntil Time from which certificates are rejected
+     */
+    function addKey(
+        Registry storage self,
+        bytes32 office,
+        address issuerKey,
+        uint64 validFrom,
+        uint64 validUntil
+    )
+        public
+    {
+        require(office != bytes32(0), "Invalid office");
+        require(self.officeKeys[office] == address(0), "Office already has an issuer key");
+
+        _add(self, office, issuerKey, validFrom, validUntil);
+    }
+
+    /**
+     * @dev Replace an office's issuer key, retiring the current key when the new key becomes valid
+     * @param self Issuer key registry
+     * @param office Issuing office identifier
+     * @param newIssuerKey Address of the new issuer key
+     * @param validFrom Time from which the new key is accepted (and the old key retired)
+     * @param validUntil Time from which the new key is rejected
+     */
+    function rotateKey(
+        Registry storage self,
+        bytes32 office,
+        address newIssuerKey,
+        uint64 validFrom,
+        uint64 validUntil
+    )
+        public
+    {
+        address currentKey = self.officeKeys[office];
+        require(currentKey != address(0), "Office has no issuer key");
+        require(validFrom >= block.timestamp, "Rotation cannot start in the past");
+
+        _retire(self, currentKey, validFrom);
+        _add(self, office, newIssuerKey, validFrom, validUntil);
+    }
+
+    /**
+     * @dev Stop accepting new certificates from an issuer key
+     * @param self Issuer key registry
+     * @param issuerKey Address of the issuer key
+     */
+    function retireKey(Registry storage self, address issuerKey) public {
+        require(self.keys[issuerKey].registered, "Unknown issuer key");
+
+        _retire(self, issuerKey, uint64(block.timestamp));
+    }
+
+    /**
+     * @dev Revoke a compromised issuer key, giving it the next revocation index
+     * @param self Issuer key registry
+     * @param issuerKey Address of the issuer key
+     */
+    function revokeKey(Registry storage self, address issuerKey) public {
+        IssuerKey storage key = self.keys[issuerKey];
+        require(key.registered, "Unknown issuer key");
+        require(!key.revoked, "Issuer key already revoked");
+
+        key.revoked = true;
+        key.revocationIndex = ++self.revocationCount;
+        emit IssuerKeyRevoked(key.office, issuerKey);
+    }
+
+    /**
+     * @dev Register an issuer key as its office's current key
+     */
+    function _add(
+        Registry storage self,
+        bytes32 office,
+        address issuerKey,
+        uint64 validFrom,
+        uint64 validUntil
+    )
+        private
+    {
+        require(issuerKey != address(0), "Invalid issuer key");
+        require(!self.keys[issuerKey].registered, "Issuer key already registered");
+        require(validUntil > validFrom, "Invalid validity window");
+
+        self.keys[issuerKey] = IssuerKey({
+            office: office,
+            validFrom: validFrom,
+            validUntil: validUntil,
+            revoked: false,
+            registered: true,
+            revocationIndex: 0
+        });
+        self.officeKeys[office] = issuerKey;
+
+        emit IssuerKeyAdded(office, issuerKey, validFrom, validUntil);
+    }
+
+    /**
+     * @dev End an issuer key's validity window
+     */
+    function _retire(Registry storage self, address issuerKey, uint64 retireAt) private {
+        IssuerKey storage key = self.keys[issuerKey];
+        if (retireAt < key.validUntil) {
+            key.validUntil = retireAt;
+        }
+        if (self.officeKeys[key.office] == issuerKey) {
+            delete self.officeKeys[key.office];
+        }
+        emit IssuerKeyRetired(key.office, issuerKey, key.validUntil);
+    }
+}
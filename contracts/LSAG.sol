@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./AltBn128.sol";
+
+/**
+ * @title LSAG
+ * @dev Linkable Spontaneous Anonymous Group signature verification over alt_bn128
+ * Key image I = x * Hp(Pπ), so it is independent of the ring and links any two
+ * signatures made with the same private key.
+ *
+ * For i = 0..n-1:
+ *   Li = si * G + ci * Pi
+ *   Ri = si * Hp(Pi) + ci * I
+ *   c(i+1) = H(m, Li, Ri)
+ * The signature is valid when c(n) == c0.
+ */
+library LSAG {
+
+    /**
+     * @dev Verify an LSAG signature
+     * @param message Signed message m
+     * @param ring Ring of public keys (P0..Pn-1)
+     * @param keyImage Key image I
+     * @param c0 Initial challenge
+     * @param s Responses (s0..sn-1)
+     * @return valid Boolean indicating signature validity
+     */
+    function verify(
+        bytes32 message,
+        uint256[2][] memory ring,
+        uint256[2] memory keyImage,
+        uint256 c0,
+        uint256[] memory s
+    )
+        internal
+        view
+        returns (bool valid)
+    {
+        if (ring.length == 0 || ring.length != s.length) {
+            return false;
+        }
+        if (c0 >= AltBn128.N || !AltBn128.isOnCurve(keyImage)) {
+            return false;
+        }
+
+        uint256 c = c0;
+        for (uint256 i = 0; i < ring.length; i++) {
+            if (s[i] >= AltBn128.N || !AltBn128.isOnCurve(ring[i])) {
+                return false;
+            }
+            c = _challenge(message, ring[i], keyImage, c, s[i]);
+        }
+
+        return c == c0;
+    }
+
+    /**
+     * @dev Compute the next challenge in the ring
+     */
+    function _challenge(
+        bytes32 message,
+        uint256[2] memory publicKey,
+        uint256[2] memory keyImage,
+        uint256 c,
+        uint256 s
+    )
+        private
+        view
+        returns (uint256)
+    {
+        uint256[2] memory l = AltBn128.ecAdd(
+            AltBn128.ecMul(AltBn128.generator(), s),
+            AltBn128.ecMul(publicKey, c)
+        );
+        uint256[2] memory r = AltBn128.ecAdd(
+            AltBn128.ecMul(AltBn128.hashToPoint(AltBn128.encodePoint(publicKey)), s),
+            AltBn128.ecMul(keyImage, c)
+        );
+        return uint256(keccak256(abi.encodePacked(message, l[0], l[1], r[0], r[1]))) % AltBn128.N;
+    }
+}
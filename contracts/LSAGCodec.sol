@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./AltBn128.sol";
+
+/**
+ * @title LSAGCodec
+ * @dev Wire format for LSAG signatures. Must stay byte-for-byte in sync with lib/lsag.js
+ *
+ * Version 1 layout (big-endian, tightly packed):
+ *   [0]              uint8    version            (0x01)
+ *   [1 .. 34)        bytes33  keyImage           compressed point (0x02 | 0x03 || x)
+ *   [34 .. 66)       uint256  c0
+ *   [66 .. 68)       uint16   n                  ring size, >= 1
+ *   [68 .. 68+32n)   uint256  s0 .. s(n-1)
+ *   [68+32n]         uint8    ringType
+ *   [69+32n ..)      bytes    ringData           depends on ringType
+ *
+ * Ring types:
+ *   0x01 RING_INLINE     ringData = n * 64-byte (x || y) public keys
+ *   0x02 RING_SUB_RING   ringData = uint32 subRingId || n * 64-byte (x || y) public keys
+ */
+library LSAGCodec {
+
+    uint8 internal constant VERSION_1 = 0x01;
+    uint8 internal constant RING_INLINE = 0x01;
+    uint8 internal constant RING_SUB_RING = 0x02;
+
+    // version + keyImage + c0 + n
+    uint256 internal constant HEADER_LENGTH = 68;
+
+    struct Signature {
+        uint8 version;
+        uint256[2] keyImage;
+        bytes keyImageCompressed;   // Normalised key image used for linkability
+        uint256 c0;
+        uint256[] s;
+        uint8 ringType;
+        bytes ringData;
+    }
+
+    /**
+     * @dev Decode and validate an encoded LSAG signature, reverting if it does not decode
+     * @param data Encoded signature
+     * @return signature Decoded signature
+     */
+    function decode(bytes memory data) internal view returns (Signature memory signature) {
+        require(data.length > HEADER_LENGTH, "Invalid LSAG signature length");
+
+        signature.version = uint8(data[0]);
+        require(signature.version == VERSION_1, "Unsupported LSAG signature version");
+
+        signature.keyImageCompressed = _slice(data, 1, 33);
+        bool validKeyImage;
+        (validKeyImage, signature.keyImage) = AltBn128.decompressPoint(signature.keyImageCompressed);
+        require(validKeyImage, "Invalid key image encoding");
+
+        signature.c0 = _readUint256(data, 34);
+
+        uint256 n = (uint256(uint8(data[66])) << 8) | uint256(uint8(data[67]));
+        require(n > 0, "Empty ring");
+
+        uint256 ringTypeOffset = HEADER_LENGTH + 32 * n;
+        require(data.length > ringTypeOffset, "Invalid LSAG signature length");
+
+        signature.s = new uint256[](n);
+        for (uint256 i = 0; i < n; i++) {
+            signature.s[i] = _readUint256(data, HEADER_LENGTH + 32 * i);
+        }
+
+        signature.ringType = uint8(data[ringTypeOffset]);
+        signature.ringData = _slice(data, ringTypeOffset + 1, data.length - ringTypeOffset - 1);
+
+        if (signature.ringType == RING_INLINE) {
+            require(signature.ringData.length == 64 * n, "Invalid ring reference");
+        } else if (signature.ringType == RING_SUB_RING) {
+            require(signature.ringData.length == 4 + 64 * n, "Invalid ring reference");
+        } else {
+            revert("Unsupported ring reference");
+        }
+    }
+
+    /**
+     * @dev Split inline ring data into 64-byte public keys
+     * @param signature Decoded signature with ringType RING_INLINE
+     * @return ring Ring public keys
+     */
+    function inlineRing(Signature memory signature) internal pure returns (bytes[] memory ring) {
+        require(signature.ringType == RING_INLINE, "Ring is not inline");
+        return _splitKeys(signature.ringData, 0, signature.s.length);
+    }
+
+    /**
+     * @dev Read the sub-ring ID and public keys of a sub-ring reference
+     * @param signature Decoded signature with ringType RING_SUB_RING
+     * @return subRingId Sub-ring the signature was built over
+     * @return ring Ring public keys
+     */
+    function subRing(Signature memory signature)
+        internal
+        pure
+        returns (uint256 subRingId, bytes[] memory ring)
+    {
+        require(signature.ringType == RING_SUB_RING, "Ring is not a sub-ring");
+        bytes memory data = signature.ringData;
+        subRingId = (uint256(uint8(data[0])) << 24)
+            | (uint256(uint8(data[1])) << 16)
+            | (uint256(uint8(data[2])) << 8)
+            | uint256(uint8(data[3]));
+        ring = _splitKeys(data, 4, signature.s.length);
+    }
+
+    function _splitKeys(bytes memory data, uint256 offset, uint256 n) private pure returns (bytes[] memory keys) {
+        keys = new bytes[](n);
+        for (uint256 i = 0; i < n; i++) {
+            keys[i] = _slice(data, offset + 64 * i, 64);
+        }
+    }
+
+    function _readUint256(bytes memory data, uint256 offset) private pure returns (uint256 value) {
+        assembly {
+            value := mload(add(add(data, 32), offset))
+        }
+    }
+
+    function _slice(bytes memory data, uint256 start, uint256 length) private pure returns (bytes memory out) {
+        require(data.length >= start + length, "Invalid LSAG signature length");
+        out = new bytes(length);
+        assembly {
+            let src := add(add(data, 32), start)
+            let dst := add(out, 32)
+            for { let i := 0 } lt(i, length) { i := add(i, 32) } {
+                mstore(add(dst, i), mload(add(src, i)))
+            }
+            // Clear whatever the last word copied past the end
+            mstore(add(dst, length), 0)
+        }
+    }
+}
@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title RankedChoice
+ * @dev Ranked ballot parsing and instant-runoff counting for ranked-choice elections
+ * Deployed once and linked into VotingAndTallyingContract, which stores each election's ballots
+ * as candidate indices in preference order, one byte each. Every round reads every ballot, so the
+ * runoff is counted in pages (countBallots) rather than in one transaction.
+ */
+library RankedChoice {
+
+    // Emitted through the calling contract, which declares the same events
+    event InstantRunoffRound(bytes32 indexed electionId, uint256 indexed round, uint256[] voteCounts, bytes32 eliminated);
+    event InstantRunoffWinner(bytes32 indexed electionId, bytes32 winner, uint256 rounds);
+
+    // One election's instant-runoff, counted a page of ballots at a time
+    struct Runoff {
+        uint256 round;              // Current round, 1-based (0 before counting starts)
+        uint256 cursor;             // Ballots counted so far in the current round
+        uint256 eliminated;         // Bitmap of eliminated candidate indices
+        uint256 continuing;         // Ballots counted toward a continuing candidate this round
+        uint256[] counts;           // Current round's votes per candidate
+        bool complete;
+        bytes32 winner;             // Winning candidate once complete (zero if every ballot was exhausted)
+    }
+
+    /**
+     * @dev Extract a ranked ballot from a vote signature
+     * Layout: preference count (1 byte) || that many candidate identifiers (32 bytes each) || signature
+     * Every preference must be a candidate of the election and appear once; unranked candidates are allowed
+     * @param candidates The election's candidates
+     * @param voteSignature The vote signature
+     * @return preferences Candidate indices in preference order, one byte each
+     * @return ballot Hash of the preference list, the message the voter signed
+     */
+    function extractBallot(bytes32[] memory candidates, bytes memory voteSignature)
+        public
+        pure
+        returns (bytes memory preferences, bytes32 ballot)
+    {
+        require(voteSignature.length > 0, "Invalid vote signature length");
+        uint256 count = uint8(voteSignature[0]);
+        require(count > 0 && count <= candidates.length, "Invalid preference count");
+
+        uint256 ballotLength = 1 + 32 * count;
+        require(voteSignature.length >= ballotLength, "Invalid vote signature length");
+        assembly {
+            ballot := keccak256(add(voteSignature, 32), ballotLength)
+        }
+
+        preferences = new bytes(count);
+        uint256 ranked;                                 // Bitmap of candidate indices already ranked
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 candidate;
+            assembly {
+                candidate := mload(add(voteSignature, add(33, mul(i, 32))))
+            }
+
+            uint256 index = candidates.length;
+            for (uint256 j = 0; j < candidates.length; j++) {
+                if (candidates[j] == candidate) {
+                    index = j;
+                    break;
+                }
+            }
+            require(index < candidates.length, "Invalid candidate");
+            require(ranked & (1 << index) == 0, "Duplicate preference");
+
+            ranked |= 1 << index;
+            preferences[i] = bytes1(uint8(index));
+        }
+    }
+
+    /**
+     * @dev Count ranked ballots for an instant-runoff in pages of at most `maxBallots`
+     * Each round counts every ballot toward its highest-ranked continuing candidate. A candidate
+     * with more than half of the continuing ballots wins; otherwise the candidate with the fewest
+     * votes is eliminated, ties going against the candidate listed last. Progress is kept in `self`,
+     * so a round over any number of ballots can be spread over as many transactions as needed
+     * @param self Election runoff state
+     * @param electionId Election identifier, for the emitted events
+     * @param ballots The election's ballots, as returned in `preferences` by extractBallot
+     * @param candidates The election's candidates
+     * @param maxBallots Most ballots to count in this call
+     * @return complete Whether the runoff has found its winner (zero if every ballot was exhausted)
+     */
+    function countBallots(
+        Runoff storage self,
+        bytes32 electionId,
+        bytes[] storage ballots,
+        bytes32[] memory candidates,
+        uint256 maxBallots
+    )
+        public
+        returns (bool complete)
+    {
+        require(!self.complete, "Instant-runoff already complete");
+        require(maxBallots > 0, "Invalid page size");
+
+        if (self.round == 0) {
+            self.round = 1;
+            self.counts = new uint256[](candidates.length);
+        }
+        uint256[] memory counts = self.counts;
+        uint256 eliminated = self.eliminated;
+        uint256 cursor = self.cursor;
+        uint256 continuing = self.continuing;
+        uint256 remaining = maxBallots;
+
+        for (;;) {
+            uint256 end = cursor + remaining < ballots.length ? cursor + remaining : ballots.length;
+            continuing += _countPage(ballots, counts, eliminated, cursor, end);
+            remaining -= end - cursor;
+            cursor = end;
+            if (cursor < ballots.length) break;
+
+            // Every ballot is counted for this round
+            uint256 lowest = _endRound(self, electionId, candidates, counts, eliminated, continuing);
+            if (self.complete) break;
+
+            eliminated |= 1 << lowest;
+            counts = new uint256[](candidates.length);
+            cursor = 0;
+            continuing = 0;
+        }
+
+        self.counts = counts;
+        self.eliminated = eliminated;
+        self.cursor = cursor;
+        self.continuing = continuing;
+        return self.complete;
+    }
+
+    /**
+     * @dev Count ballots [start, end) toward their highest-ranked continuing candidate
+     * @return continuing Number of those ballots not exhausted
+     */
+    function _countPage(
+        bytes[] storage ballots,
+        uint256[] memory counts,
+        uint256 eliminated,
+        uint256 start,
+        uint256 end
+    )
+        private
+        view
+        returns (uint256 continuing)
+    {
+        for (uint256 i = start; i < end; i++) {
+            bytes memory ballot = ballots[i];
+            for (uint256 j = 0; j < ballot.length; j++) {
+                uint256 preference = uint8(ballot[j]);
+                if (eliminated & (1 << preference) == 0) {
+                    counts[preference]++;
+                    continuing++;
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Close a round: record the winner, or move to the next round
+     * @return lowest Index of the continuing candidate with the fewest votes, to eliminate if there is no winner
+     */
+    function _endRound(
+        Runoff storage self,
+        bytes32 electionId,
+        bytes32[] memory candidates,
+        uint256[] memory counts,
+        uint256 eliminated,
+        uint256 continuing
+    )
+        private
+        returns (uint256 lowest)
+    {
+        uint256 leader = candidates.length;
+        lowest = candidates.length;
+        for (uint256 i = 0; i < candidates.length; i++) {
+            if (eliminated & (1 << i) != 0) continue;
+            if (leader == candidates.length || counts[i] > counts[leader]) leader = i;
+            if (lowest == candidates.length || counts[i] <= counts[lowest]) lowest = i;
+        }
+
+        uint256 round = self.round;
+        if (continuing == 0 || counts[leader] * 2 > continuing) {
+            bytes32 winner = continuing == 0 ? bytes32(0) : candidates[leader];
+            self.winner = winner;
+            self.complete = true;
+            emit InstantRunoffRound(electionId, round, counts, bytes32(0));
+            emit InstantRunoffWinner(electionId, winner, round);
+            return lowest;
+        }
+
+        emit InstantRunoffRound(electionId, round, counts, candidates[lowest]);
+        self.round = round + 1;
+    }
+}
@@ -1,53 +1,190 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/access/extensions/AccessControlDefaultAdminRules.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./AltBn128.sol";
+import "./BatchGuard.sol";
+import "./IssuerRegistry.sol";
+import "./RingMerkle.sol";
+import "./RingSnapshot.sol";
+
 /**
  * @title RegistrationContract
  * @dev Contract 1: Handle certificate storage and election setup (Steps 0-1)
  * Purpose: Store voter certificates and set up election parameters
+ * One deployment serves any number of concurrent or sequential elections; certificates,
+ * rings and parameters are all keyed by electionId, while issuer keys are shared
+ * Also the role registry of the election: VoterRegistrationContract and VotingAndTallyingContract
+ * check their callers' roles here, and whether the deployment is paused or an election cancelled,
+ * so the three contracts always agree on who holds which role and whether an election may proceed
  */
-contract RegistrationContract {
+contract RegistrationContract is AccessControlDefaultAdminRules, Pausable {
     
     // Reentrancy guard
     uint256 private constant _NOT_ENTERED = 1;
     uint256 private constant _ENTERED = 2;
     uint256 private _status;
+    bool private _initialized;
     
     modifier nonReentrant() {
-        require(_status != _ENTERED, "ReentrancyGuard: reentrant call");
-        _status = _ENTERED;
+        _nonReentrantBefore();
         _;
         _status = _NOT_ENTERED;
     }
+
+    function _nonReentrantBefore() private {
+        require(_status != _ENTERED, "ReentrancyGuard: reentrant call");
+        _status = _ENTERED;
+    }
     // Certificate structure for voter registration
     struct Certificate {
-        bytes governmentSignature;  // σ˜v = PKS.sign(Puv, Prgov)
-        bytes governmentPublicKey;  // Pugov
+        bytes governmentSignature;  // σ˜v = PKS.sign(Puv, Prgov), 65-byte ECDSA signature
+        bytes governmentPublicKey;  // Pugov, 20-byte address of the signing government key
         bytes voterPublicKey;       // Puv (LSAG public key)
     }
 
-    // State variables
-    mapping(bytes => bool) public certifiedPublicKeys;  // Track valid certificates
-    bytes32 public electionId;                          // L
-    bytes32[] public candidates;                        // C
-    bytes32 public randomChallenge;                     // r
-    address public electionAuthority;                   // EA address
-    bool public electionSetup;                          // Setup status
-    address private _owner;
+    // Phase deadlines (unix timestamps); each phase ends when its deadline is reached
+    struct PhaseDeadlines {
+        uint64 certificate;         // storePub and revocation close, the ring can be frozen
+        uint64 registration;        // VoterRegistrationContract.verify closes, voting can start
+        uint64 voting;              // Vote casting closes, tallying can start
+        uint64 reveal;              // Vote reveals close, results can be finalized
+    }
+
+    // Why an individual voter certificate was revoked
+    enum RevocationReason {
+        None,
+        KeyCompromised,
+        Ineligible,
+        Deceased,
+        Duplicate,
+        IssuedInError
+    }
+
+    // How revealed votes are counted
+    enum BallotType {
+        Plurality,                  // One candidate per ballot (default)
+        RankedChoice,               // Ordered preference list, instant-runoff at finalization
+        Approval,                   // Bitmap over the candidate list, one vote per selected candidate
+        Encrypted                   // One ElGamal ciphertext per candidate, tallied homomorphically and never revealed
+    }
+
+    // Certificates stored for one setup of an election; a reset starts from an empty one
+    struct Certification {
+        mapping(bytes => bool) certified;                   // Track valid certificates
+        mapping(bytes => address) issuer;                   // Issuer key of each certificate
+        mapping(bytes => RevocationReason) revocations;     // Revoked voter certificates
+        bytes[] keys;                                       // Certified keys in certification order
+    }
+
+    // Why an election accepts no certificates, registrations, votes or reveals
+    enum HaltState {
+        None,
+        Paused,                     // Every election of the deployment, until unpaused
+        Cancelled                   // This election, for good
+    }
+
+    // A pause of the whole deployment; it moves back every deadline an election had not reached yet
+    struct Pause {
+        uint64 pausedAt;
+        uint64 pausedBefore;        // Total length of the earlier pauses
+    }
+
+    // Ballot type, the number of winners and the accepted vote commitments
+    struct BallotConfig {
+        BallotType ballotType;
+        uint8 seats;                // Winners reported by getTallyResults, 1 for ranked ballots
+        uint8 maxSelections;        // Approval ballots: most candidates one ballot may select, 0 for any number
+        bool saltedCommitmentsOnly; // Reject reveals of legacy H(σ'v, L) commitments, accept only H(ballot, salt, L, kv)
+    }
+
+    // Roles, each granted and revoked by the default admin (the election admin role only through a timelock)
+    bytes32 public constant ELECTION_ADMIN_ROLE = keccak256("ELECTION_ADMIN_ROLE");         // Election setup and reset, sub-ring size, reveal key, tally trustees
+    bytes32 public constant CERTIFICATE_ISSUER_ROLE = keccak256("CERTIFICATE_ISSUER_ROLE"); // Issuer key registry and certificate revocation
+    bytes32 public constant PHASE_OPERATOR_ROLE = keccak256("PHASE_OPERATOR_ROLE");         // Ring freezing and phase transitions
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");                       // Audit reports
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");                         // Pausing and unpausing
+
+    // Domain tag for certificate digests
+    bytes32 public constant CERTIFICATE_TYPEHASH = keccak256("LSAG_VOTER_CERTIFICATE");
+
+    // Sub-ring size used unless an election admin sets another one before freezing
+    uint256 public constant DEFAULT_SUB_RING_SIZE = 32;
+
+    // Ranked ballots store each preference as a one-byte candidate index
+    uint256 public constant MAX_RANKED_CANDIDATES = 255;
+
+    // Approval ballots are a 256-bit bitmap over the candidate list
+    uint256 public constant MAX_APPROVAL_CANDIDATES = 256;
+
+    // Encrypted ballots carry a ciphertext and a validity proof per candidate, which bounds ballot gas
+    uint256 public constant MAX_ENCRYPTED_CANDIDATES = 16;
+
+    // State variables shared by every election
+    IssuerRegistry.Registry private _issuerRegistry;    // Government issuer keys (see issuerKeys, officeKeys)
+    bytes32[] public electionIds;                       // Every election ever set up, in creation order
+    bytes32 public boundElectionId;                     // Only election a factory clone can set up (zero: any)
+    uint64 public electionAdminDelay;                   // Timelock on election admin grants and revocations (zero: none)
+    mapping(address => mapping(bool => uint64)) public electionAdminChangeReadyAt; // Scheduled grants (true) and revocations (false)
+    Pause[] private pauses;                             // Every pause of the deployment, in order
+    uint64 private _pausedTotal;                        // Total length of the pauses, once unpaused
+    address public trustedForwarder;                    // ERC-2771 forwarder voters' signed requests are relayed through
+
+    // Per-election state, keyed by electionId (L)
+    mapping(bytes32 => mapping(uint256 => Certification)) private _certifications; // Certificates per setup
+    mapping(bytes32 => uint256) public resetCount;      // Setups reset so far, selects the current certification
+    mapping(bytes32 => bytes32) private _ringRoot;     // RingMerkle root of the frozen ring (see getRingSnapshot)
+    mapping(bytes32 => uint256) private _ringSize;     // Number of keys in the frozen ring
+    mapping(bytes32 => bool) public ringFrozen;         // Ring snapshot taken, certification closed
+    mapping(bytes32 => uint256) private _ringRevocationCount; // issuerRevocationCount when the ring started freezing
+    mapping(bytes32 => RingSnapshot.Builder) private _ringSnapshots; // Ring being frozen, see freezeRingPage
+    mapping(bytes32 => uint256) public subRingSize;     // Keys per sub-ring of the frozen ring
+    mapping(bytes32 => bytes32[]) private _subRingRoots; // RingMerkle root of each sub-ring (see getSubRing)
+    mapping(bytes32 => bytes32[]) public candidates;    // C
+    mapping(bytes32 => bytes32) public randomChallenge; // r
+    mapping(bytes32 => PhaseDeadlines) private _phaseDeadlines; // Phase deadlines as set up, before pauses (see getDeadlines)
+    mapping(bytes32 => uint256) private _firstPause;    // First pause after the election was set up
+    mapping(bytes32 => BallotConfig) private _ballotConfigs; // How revealed votes are counted
+    mapping(bytes32 => bool) public electionSetup;      // Setup status
+    mapping(bytes32 => bool) private _electionListed;   // Already in electionIds
+    mapping(bytes32 => bool) public electionCancelled;  // Cancelled for good, results void
+    mapping(bytes32 => string) public cancellationReason; // Why the election was cancelled
 
     // Events
-    event CertificateStored(bytes indexed voterPublicKey);
+    event CertificateStored(bytes32 indexed electionId, bytes indexed voterPublicKey);
+    event CertificateRejected(bytes32 indexed electionId, bytes voterPublicKey, string reason);
     event ElectionSetup(bytes32 indexed electionId, uint256 candidateCount);
-    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event PhaseDeadlinesSet(bytes32 indexed electionId, uint64 certificateDeadline, uint64 registrationDeadline, uint64 votingDeadline, uint64 revealDeadline);
+    // Issuer key events are emitted by IssuerRegistry, declared here for the ABI
+    event IssuerKeyAdded(bytes32 indexed office, address indexed issuerKey, uint64 validFrom, uint64 validUntil);
+    event IssuerKeyRetired(bytes32 indexed office, address indexed issuerKey, uint64 retiredAt);
+    event IssuerKeyRevoked(bytes32 indexed office, address indexed issuerKey);
+    event CertificateRevoked(bytes32 indexed electionId, bytes indexed voterPublicKey, RevocationReason reason);
+    event RingFrozen(bytes32 indexed electionId, bytes32 indexed ringRoot, uint256 ringSize);
+    event SubRingsCommitted(bytes32 indexed electionId, uint256 subRingSize, uint256 subRingCount);
+    event ElectionReset(bytes32 indexed electionId);
+    event AuditRecorded(bytes32 indexed electionId, address indexed auditor, bytes32 reportHash);
+    event ElectionCancelled(bytes32 indexed electionId, string reason);
+    event ElectionAdminChangeScheduled(address indexed account, bool grant, uint64 readyAt);
+    event ElectionAdminChangeCancelled(address indexed account, bool grant);
+    event TrustedForwarderSet(address indexed forwarder);
 
     // Modifiers
-    modifier onlyOwner() {
-        require(msg.sender == _owner, "Ownable: caller is not the owner");
+    modifier onlyWhenElectionSetup(bytes32 electionId) {
+        _checkElectionSetup(electionId);
+        _;
+    }
+
+    modifier whenRingNotFrozen(bytes32 electionId) {
+        _checkRingNotFrozen(electionId);
         _;
     }
 
-    modifier onlyElectionAuthority() {
-        require(msg.sender == electionAuthority, "Only election authority can call this function");
+    modifier whenNotHalted(bytes32 electionId) {
+        _checkNotHalted(electionId);
         _;
     }
 
@@ -59,34 +196,80 @@ contract RegistrationContract {
     }
 
     /**
-     * @dev Constructor sets the election authority
-     * @param _electionAuthority Address of the election authority
+     * @dev Constructor grants the election roles; the deployer becomes the default admin
+     * @param _electionAuthority Address granted the election admin, certificate issuer and pauser roles
+     * @param _electionAdminDelay Timelock on election admin grants and revocations, zero for none
      */
-    constructor(address _electionAuthority) {
+    constructor(
+        address _electionAuthority,
+        uint64 _electionAdminDelay
+    ) AccessControlDefaultAdminRules(0, msg.sender) {
+        _initialize(_electionAuthority, _electionAdminDelay);
+    }
+
+    /**
+     * @dev Initialize a minimal-proxy clone, which never runs the constructor (see ElectionFactory)
+     * @param _electionAuthority Address granted the election admin, certificate issuer and pauser roles
+     * @param initialAdmin Default admin of the clone
+     * @param electionId The only election the clone can set up, its ElectionFactory directory key
+     * @param _electionAdminDelay Timelock on election admin grants and revocations, zero for none
+     */
+    function initialize(
+        address _electionAuthority,
+        address initialAdmin,
+        bytes32 electionId,
+        uint64 _electionAdminDelay
+    ) external {
+        _initialize(_electionAuthority, _electionAdminDelay);
+        require(initialAdmin != address(0), "Invalid admin address");
+        require(electionId != bytes32(0), "Invalid election ID");
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        boundElectionId = electionId;
+    }
+
+    /**
+     * @dev Grant the initial roles and set the election admin timelock; the election authority also
+     * starts out as the phase operator
+     */
+    function _initialize(address _electionAuthority, uint64 _electionAdminDelay) private {
+        require(!_initialized, "Already initialized");
         require(_electionAuthority != address(0), "Invalid election authority address");
-        electionAuthority = _electionAuthority;
-        _owner = msg.sender;
+        _initialized = true;
         _status = _NOT_ENTERED;
-        emit OwnershipTransferred(address(0), msg.sender);
+        electionAdminDelay = _electionAdminDelay;
+        _grantRole(ELECTION_ADMIN_ROLE, _electionAuthority);
+        _grantRole(CERTIFICATE_ISSUER_ROLE, _electionAuthority);
+        _grantRole(PAUSER_ROLE, _electionAuthority);
+        _grantRole(PHASE_OPERATOR_ROLE, _electionAuthority);
     }
 
     /**
-     * @dev Store a voter's certificate after government verification
+     * @dev Store a voter's certificate for an election after government verification
+     * @param electionId Election the voter is certified for
      * @param cert Certificate struct containing signature and keys
      * @return success Boolean indicating successful storage
      */
-    function storePub(Certificate memory cert) 
+    function storePub(bytes32 electionId, Certificate memory cert) 
         public 
         nonReentrant 
+        onlyWhenElectionSetup(electionId) 
+        whenNotHalted(electionId) 
+        whenRingNotFrozen(electionId) 
         validCertificate(cert) 
         returns (bool success) 
     {
-        // Check if public key is already certified
-        require(!certifiedPublicKeys[cert.voterPublicKey], "Public key already certified");
+        // Check if public key is already certified (a certificate from a revoked issuer can be replaced)
+        require(!isCertified(electionId, cert.voterPublicKey), "Public key already certified");
+        require(block.timestamp < getDeadlines(electionId).certificate, "Certificate deadline passed");
+        require(
+            _certification(electionId).revocations[cert.voterPublicKey] == RevocationReason.None,
+            "Certificate revoked"
+        );
         
         // Verify government signature using PKS.verify
         require(
             _verifyGovernmentSignature(
+                electionId, 
                 cert.voterPublicKey, 
                 cert.governmentPublicKey, 
                 cert.governmentSignature
@@ -94,147 +277,975 @@ contract RegistrationContract {
             "Invalid government signature"
         );
 
-        // Store the certified public key
-        certifiedPublicKeys[cert.voterPublicKey] = true;
+        // Store the certified public key (a re-certified key keeps its position)
+        Certification storage certification = _certification(electionId);
+        if (!certification.certified[cert.voterPublicKey]) {
+            certification.keys.push(cert.voterPublicKey);
+        }
+        certification.certified[cert.voterPublicKey] = true;
+        certification.issuer[cert.voterPublicKey] = address(bytes20(cert.governmentPublicKey));
 
-        emit CertificateStored(cert.voterPublicKey);
+        emit CertificateStored(electionId, cert.voterPublicKey);
         return true;
     }
 
     /**
-     * @dev Store election parameters and setup election
+     * @dev Store many voters' certificates in one transaction
+     * Each certificate goes through storePub(); one that fails emits CertificateRejected and the rest are still stored
+     * @param electionId Election the voters are certified for
+     * @param certs Certificates to store
+     * @return accepted Whether each certificate was stored
+     */
+    function storePubBatch(bytes32 electionId, Certificate[] memory certs) 
+        public 
+        returns (bool[] memory accepted) 
+    {
+        require(certs.length > 0, "Empty batch");
+
+        accepted = new bool[](certs.length);
+        for (uint256 i = 0; i < certs.length; i++) {
+            uint256 gasBefore = gasleft();
+            try this.storePub(electionId, certs[i]) returns (bool success) {
+                accepted[i] = success;
+            } catch Error(string memory reason) {
+                emit CertificateRejected(electionId, certs[i].voterPublicKey, reason);
+            } catch {
+                BatchGuard.checkNotOutOfGas(gasBefore);
+                emit CertificateRejected(electionId, certs[i].voterPublicKey, "Certificate failed");
+            }
+        }
+    }
+
+    /**
+     * @dev Store election parameters and setup a plurality election
+     * Creates a new election; any number of elections can be set up side by side
      * @param _electionId Election identifier
      * @param _candidates Array of candidate identifiers
-     * @param _randomChallenge Random challenge for LSAG signatures
+     * @param _randomChallenge Random challenge (r) bound into every registration LSAG signature, fresh for each setup
+     * @param _deadlines Certificate, registration, voting and reveal deadlines, strictly increasing
      * @return success Boolean indicating successful setup
      */
     function storePollParams(
         bytes32 _electionId,
         bytes32[] memory _candidates,
-        bytes32 _randomChallenge
+        bytes32 _randomChallenge,
+        PhaseDeadlines memory _deadlines
     ) 
         public 
-        onlyElectionAuthority 
+        returns (bool success) 
+    {
+        return storePollParams(
+            _electionId,
+            _candidates,
+            _randomChallenge,
+            _deadlines,
+            BallotConfig({ ballotType: BallotType.Plurality, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false })
+        );
+    }
+
+    /**
+     * @dev Store election parameters and setup election with a ballot type and seat count
+     * @param _electionId Election identifier
+     * @param _candidates Array of candidate identifiers
+     * @param _randomChallenge Random challenge (r) bound into every registration LSAG signature, fresh for each setup
+     * @param _deadlines Certificate, registration, voting and reveal deadlines, strictly increasing
+     * @param _ballotConfig Ballot type, seats, approval selection limit and whether legacy commitments are rejected
+     * @return success Boolean indicating successful setup
+     */
+    function storePollParams(
+        bytes32 _electionId,
+        bytes32[] memory _candidates,
+        bytes32 _randomChallenge,
+        PhaseDeadlines memory _deadlines,
+        BallotConfig memory _ballotConfig
+    ) 
+        public 
+        onlyRole(ELECTION_ADMIN_ROLE) 
         nonReentrant 
         returns (bool success) 
     {
-        require(!electionSetup, "Election already setup");
+        require(!electionSetup[_electionId], "Election already setup");
+        require(!electionCancelled[_electionId], "Election cancelled");
         require(_electionId != bytes32(0), "Invalid election ID");
+        require(boundElectionId == bytes32(0) || _electionId == boundElectionId, "Election not bound to this deployment");
         require(_candidates.length > 0, "Must have at least one candidate");
+        _validateBallotConfig(_ballotConfig, _candidates.length);
         require(_randomChallenge != bytes32(0), "Invalid random challenge");
+        require(
+            _deadlines.certificate > block.timestamp
+                && _deadlines.registration > _deadlines.certificate
+                && _deadlines.voting > _deadlines.registration
+                && _deadlines.reveal > _deadlines.voting,
+            "Invalid phase deadlines"
+        );
 
-        electionId = _electionId;
-        candidates = _candidates;
-        randomChallenge = _randomChallenge;
-        electionSetup = true;
+        candidates[_electionId] = _candidates;
+        randomChallenge[_electionId] = _randomChallenge;
+        _phaseDeadlines[_electionId] = _deadlines;
+        _firstPause[_electionId] = pauses.length;
+        _ballotConfigs[_electionId] = _ballotConfig;
+        electionSetup[_electionId] = true;
+        subRingSize[_electionId] = DEFAULT_SUB_RING_SIZE;
+        if (!_electionListed[_electionId]) {
+            _electionListed[_electionId] = true;
+            electionIds.push(_electionId);
+        }
 
         emit ElectionSetup(_electionId, _candidates.length);
+        emit PhaseDeadlinesSet(
+            _electionId,
+            _deadlines.certificate,
+            _deadlines.registration,
+            _deadlines.voting,
+            _deadlines.reveal
+        );
         return true;
     }
 
     /**
-     * @dev Check if a public key is certified
+     * @dev Register the first issuer key of an office (only certificate issuers)
+     * @param office Issuing office identifier
+     * @param issuerKey Address of the issuer key
+     * @param validFrom Time from which certificates are accepted
+     * @param validUntil Time from which certificates are rejected
+     */
+    function addIssuerKey(
+        bytes32 office,
+        address issuerKey,
+        uint64 validFrom,
+        uint64 validUntil
+    ) 
+        public 
+        onlyRole(CERTIFICATE_ISSUER_ROLE) 
+    {
+        IssuerRegistry.addKey(_issuerRegistry, office, issuerKey, validFrom, validUntil);
+    }
+
+    /**
+     * @dev Replace an office's issuer key (only certificate issuers)
+     * The current key is retired when the new key becomes valid, so certificates
+     * it already issued stay valid
+     * @param office Issuing office identifier
+     * @param newIssuerKey Address of the new issuer key
+     * @param validFrom Time from which the new key is accepted (and the old key retired)
+     * @param validUntil Time from which the new key is rejected
+     */
+    function rotateIssuerKey(
+        bytes32 office,
+        address newIssuerKey,
+        uint64 validFrom,
+        uint64 validUntil
+    ) 
+        public 
+        onlyRole(CERTIFICATE_ISSUER_ROLE) 
+    {
+        IssuerRegistry.rotateKey(_issuerRegistry, office, newIssuerKey, validFrom, validUntil);
+    }
+
+    /**
+     * @dev Stop accepting new certificates from an issuer key (only certificate issuers)
+     * Certificates it already issued stay valid
+     * @param issuerKey Address of the issuer key
+     */
+    function retireIssuerKey(address issuerKey) 
+        public 
+        onlyRole(CERTIFICATE_ISSUER_ROLE) 
+    {
+        IssuerRegistry.retireKey(_issuerRegistry, issuerKey);
+    }
+
+    /**
+     * @dev Revoke a compromised issuer key (only certificate issuers)
+     * Every certificate it issued stops counting as certified, except in elections whose ring
+     * had started freezing: a frozen ring is a snapshot and keeps matching isCertified
+     * @param issuerKey Address of the issuer key
+     */
+    function revokeIssuerKey(address issuerKey) 
+        public 
+        onlyRole(CERTIFICATE_ISSUER_ROLE) 
+    {
+        IssuerRegistry.revokeKey(_issuerRegistry, issuerKey);
+    }
+
+    /**
+     * @dev Revoke an individual voter certificate in an election (only certificate issuers)
+     * Only possible while certification is open, so the ring cannot change under registrants
+     * @param electionId Election the certificate belongs to
+     * @param voterPublicKey Voter's public key
+     * @param reason Reason code for the revocation
+     */
+    function revokeCertificate(bytes32 electionId, bytes memory voterPublicKey, RevocationReason reason) 
+        public 
+        onlyRole(CERTIFICATE_ISSUER_ROLE) 
+    {
+        require(isRevocationWindowOpen(electionId), "Revocation window closed");
+        require(reason != RevocationReason.None, "Invalid revocation reason");
+        Certification storage certification = _certification(electionId);
+        require(certification.certified[voterPublicKey], "Public key not certified");
+        require(certification.revocations[voterPublicKey] == RevocationReason.None, "Certificate already revoked");
+
+        certification.revocations[voterPublicKey] = reason;
+        emit CertificateRevoked(electionId, voterPublicKey, reason);
+    }
+
+    /**
+     * @dev Check if voter certificates of an election can still be revoked
+     * The window closes with certification: at the certificate deadline, or when the ring is frozen
+     * @param electionId Election identifier
+     * @return open Boolean indicating revocation is allowed
+     */
+    function isRevocationWindowOpen(bytes32 electionId) 
+        public 
+        view 
+        returns (bool open) 
+    {
+        return electionSetup[electionId]
+            && !ringFrozen[electionId]
+            && block.timestamp < getDeadlines(electionId).certificate;
+    }
+
+    /**
+     * @dev Set the number of keys per sub-ring of an election's ring (only election admins, before freezing)
+     * @param electionId Election identifier
+     * @param size Keys per sub-ring
+     */
+    function setSubRingSize(bytes32 electionId, uint256 size) 
+        public 
+        onlyRole(ELECTION_ADMIN_ROLE) 
+        onlyWhenElectionSetup(electionId) 
+        whenRingNotFrozen(electionId) 
+    {
+        require(size > 0 && size <= type(uint16).max, "Invalid sub-ring size");
+        subRingSize[electionId] = size;
+    }
+
+    /**
+     * @dev Freeze the ring: snapshot every certified alt_bn128 key in certification order
+     * Anyone can freeze once the certificate deadline has passed
+     * Certification and revocation are closed afterwards, so isCertified matches the snapshot
+     * VoterRegistrationContract.verify only opens once the ring is frozen
+     * The ring is also partitioned into the fewest consecutive sub-rings of at most subRingSize keys,
+     * each with its own RingMerkle root; keys are spread evenly, so sub-ring sizes differ by at most one
+     * Reads every certified key twice in one transaction; larger rings are frozen with freezeRingPage
+     * @param electionId Election identifier
+     * @return root RingMerkle root of the snapshot
+     * @return count Number of keys in the snapshot
+     */
+    function freezeRing(bytes32 electionId) 
+        public 
+        returns (bytes32 root, uint256 count) 
+    {
+        if (!freezeRingPage(electionId, type(uint256).max)) {
+            freezeRingPage(electionId, type(uint256).max);
+        }
+        return (_ringRoot[electionId], _ringSize[electionId]);
+    }
+
+    /**
+     * @dev Freeze the ring (see freezeRing) in pages of at most maxKeys certified keys
+     * Anyone can call once the certificate deadline has passed, until the ring is frozen. The first page
+     * closes certification; a counting pass over the certified keys then fixes the ring size and sub-ring
+     * boundaries, and a building pass adds the ring keys, committing each sub-ring as it is completed
+     * (see RingSnapshot). Each call reads at most maxKeys keys and stays within one pass
+     * @param electionId Election identifier
+     * @param maxKeys Most certified keys to read in this call
+     * @return frozen Whether the ring is frozen
+     */
+    function freezeRingPage(bytes32 electionId, uint256 maxKeys) 
+        public 
+        onlyWhenElectionSetup(electionId) 
+        whenNotHalted(electionId) 
+        returns (bool frozen) 
+    {
+        require(!ringFrozen[electionId], "Ring frozen");
+        {
+            uint256 deadline = getDeadlines(electionId).certificate;
+            _checkPhaseOperator(deadline);
+            require(block.timestamp >= deadline, "Certificate deadline not reached");
+        }
+
+        RingSnapshot.Builder storage builder = _ringSnapshots[electionId];
+        if (!builder.started) {
+            builder.started = true;
+            _ringRevocationCount[electionId] = _issuerRegistry.revocationCount;
+        }
+
+        (bytes32[] memory leaves, uint256 found, bool last) = _readRingPage(electionId, builder, maxKeys);
+        if (!builder.counted) {
+            // Counting pass: the ring size fixes the sub-ring boundaries
+            uint256 count = builder.size + found;
+            uint256 size = subRingSize[electionId];
+            builder.size = count;
+            if (last) {
+                builder.counted = true;
+                builder.cursor = 0;
+                builder.subRingCount = count > size ? (count + size - 1) / size : 1;
+            }
+            return false;
+        }
+
+        return _addRingLeaves(electionId, builder, leaves, found);
+    }
+
+    /**
+     * @dev Get the number of sub-rings of an election's frozen ring
+     * @param electionId Election identifier
+     * @return count Number of sub-rings
+     */
+    function getSubRingCount(bytes32 electionId) 
+        public 
+        view 
+        returns (uint256 count) 
+    {
+        return _subRingRoots[electionId].length;
+    }
+
+    /**
+     * @dev Get a sub-ring of an election's frozen ring
+     * @param electionId Election identifier
+     * @param subRingId Sub-ring index
+     * @return root RingMerkle root of the sub-ring
+     * @return offset Position of its first key in the frozen ring
+     * @return size Number of keys in the sub-ring
+     */
+    function getSubRing(bytes32 electionId, uint256 subRingId) 
+        public 
+        view 
+        returns (bytes32 root, uint256 offset, uint256 size) 
+    {
+        bytes32[] storage roots = _subRingRoots[electionId];
+        require(subRingId < roots.length, "Invalid sub-ring");
+        (offset, size) = RingSnapshot.subRingBounds(_ringSize[electionId], roots.length, subRingId);
+        return (roots[subRingId], offset, size);
+    }
+
+    /**
+     * @dev Get an election's ring snapshot
+     * @param electionId Election identifier
+     * @return root RingMerkle root of the frozen ring
+     * @return count Number of keys in the frozen ring
+     * @return frozen Boolean indicating the snapshot has been taken
+     */
+    function getRingSnapshot(bytes32 electionId) 
+        public 
+        view 
+        returns (bytes32 root, uint256 count, bool frozen) 
+    {
+        return (_ringRoot[electionId], _ringSize[electionId], ringFrozen[electionId]);
+    }
+
+    /**
+     * @dev Get the number of keys ever certified for an election
+     * @param electionId Election identifier
+     * @return count Number of certified keys
+     */
+    function getCertifiedKeyCount(bytes32 electionId) 
+        public 
+        view 
+        returns (uint256 count) 
+    {
+        return _certification(electionId).keys.length;
+    }
+
+    /**
+     * @dev Get the issuer key of a voter's certificate
+     * @param electionId Election identifier
+     * @param publicKey Voter's public key
+     * @return issuer Issuer key address, zero if not certified
+     */
+    function certificateIssuer(bytes32 electionId, bytes memory publicKey) 
+        public 
+        view 
+        returns (address issuer) 
+    {
+        return _certification(electionId).issuer[publicKey];
+    }
+
+    /**
+     * @dev Get why a voter's certificate was revoked
+     * @param electionId Election identifier
+     * @param publicKey Voter's public key
+     * @return reason Revocation reason, None if not revoked
+     */
+    function certificateRevocations(bytes32 electionId, bytes memory publicKey) 
+        public 
+        view 
+        returns (RevocationReason reason) 
+    {
+        return _certification(electionId).revocations[publicKey];
+    }
+
+    /**
+     * @dev Get a page of an election's certified keys in certification order
+     * Includes keys whose certificate was later voided; filter with isCertified
+     * @param electionId Election identifier
+     * @param offset Index of the first key
+     * @param limit Maximum number of keys to return
+     * @return keys Certified keys from offset
+     */
+    function getCertifiedKeys(bytes32 electionId, uint256 offset, uint256 limit) 
+        public 
+        view 
+        returns (bytes[] memory keys) 
+    {
+        bytes[] storage certified = _certification(electionId).keys;
+        uint256 total = certified.length;
+        if (offset >= total) {
+            return new bytes[](0);
+        }
+        uint256 end = total - offset > limit ? offset + limit : total;
+        keys = new bytes[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            keys[i - offset] = certified[i];
+        }
+    }
+
+    /**
+     * @dev Get an issuer key's registration
+     * @param issuerKey Address of the issuer key
+     * @return office Issuing office identifier
+     * @return validFrom Time from which certificates are accepted
+     * @return validUntil Time from which certificates are rejected
+     * @return revoked Whether the key was revoked
+     * @return registered Whether the key was ever registered
+     * @return revocationIndex Position in the issuer revocation sequence, 0 if not revoked
+     */
+    function issuerKeys(address issuerKey) 
+        public 
+        view 
+        returns (
+            bytes32 office,
+            uint64 validFrom,
+            uint64 validUntil,
+            bool revoked,
+            bool registered,
+            uint256 revocationIndex
+        ) 
+    {
+        IssuerRegistry.IssuerKey storage key = _issuerRegistry.keys[issuerKey];
+        return (key.office, key.validFrom, key.validUntil, key.revoked, key.registered, key.revocationIndex);
+    }
+
+    /**
+     * @dev Get an office's current issuer key
+     * @param office Issuing office identifier
+     * @return issuerKey Address of the current issuer key, zero if the office has none
+     */
+    function officeKeys(bytes32 office) public view returns (address issuerKey) {
+        return _issuerRegistry.officeKeys[office];
+    }
+
+    /**
+     * @dev Get the number of issuer keys revoked so far
+     * @return count Issuer revocation count
+     */
+    function issuerRevocationCount() public view returns (uint256 count) {
+        return _issuerRegistry.revocationCount;
+    }
+
+    /**
+     * @dev Check if an issuer key currently accepts new certificates
+     * @param issuerKey Address of the issuer key
+     * @return valid Boolean indicating the key is registered, unrevoked and in its validity window
+     */
+    function isIssuerKeyValid(address issuerKey) 
+        public 
+        view 
+        returns (bool valid) 
+    {
+        IssuerRegistry.IssuerKey storage key = _issuerRegistry.keys[issuerKey];
+        return key.registered
+            && !key.revoked
+            && block.timestamp >= key.validFrom
+            && block.timestamp < key.validUntil;
+    }
+
+    /**
+     * @dev Digest a government key signs to certify a voter public key for an election
+     * Bound to this contract, chain and election so certificates cannot be replayed elsewhere
+     * The signature is an EIP-191 personal signature over this digest
+     * @param electionId Election the voter is certified for
+     * @param voterPublicKey Voter's public key
+     * @return digest Certificate digest
+     */
+    function certificateDigest(bytes32 electionId, bytes memory voterPublicKey) 
+        public 
+        view 
+        returns (bytes32 digest) 
+    {
+        return keccak256(
+            abi.encode(CERTIFICATE_TYPEHASH, block.chainid, address(this), electionId, keccak256(voterPublicKey))
+        );
+    }
+
+    /**
+     * @dev Check if a public key is certified for an election
+     * A revoked issuer voids its certificates, unless it was revoked after the election's ring started freezing
+     * @param electionId Election identifier
      * @param publicKey Voter's public key to check
      * @return certified Boolean indicating certification status
      */
-    function isCertified(bytes memory publicKey) 
+    function isCertified(bytes32 electionId, bytes memory publicKey) 
         public 
         view 
         returns (bool certified) 
     {
-        return certifiedPublicKeys[publicKey];
+        Certification storage certification = _certification(electionId);
+        IssuerRegistry.IssuerKey storage issuer = _issuerRegistry.keys[certification.issuer[publicKey]];
+        bool issuerRevoked = issuer.revoked
+            && (!_ringSnapshots[electionId].started || issuer.revocationIndex <= _ringRevocationCount[electionId]);
+
+        return certification.certified[publicKey]
+            && certification.revocations[publicKey] == RevocationReason.None
+            && !issuerRevoked;
     }
 
     /**
-     * @dev Get all candidates
+     * @dev Get the number of elections ever set up
+     * @return count Length of electionIds
+     */
+    function getElectionCount() 
+        public 
+        view 
+        returns (uint256 count) 
+    {
+        return electionIds.length;
+    }
+
+    /**
+     * @dev Get all candidates of an election
+     * @param electionId Election identifier
      * @return candidateList Array of candidate identifiers
      */
-    function getCandidates() 
+    function getCandidates(bytes32 electionId) 
         public 
         view 
         returns (bytes32[] memory candidateList) 
     {
-        return candidates;
+        return candidates[electionId];
+    }
+
+    /**
+     * @dev Get the ballot configuration of an election
+     * @param electionId Election identifier
+     * @return config Ballot type, seats, approval selection limit and whether legacy commitments are rejected
+     */
+    function getBallotConfig(bytes32 electionId) 
+        public 
+        view 
+        returns (BallotConfig memory config) 
+    {
+        return _ballotConfigs[electionId];
+    }
+
+    /**
+     * @dev Get the phase deadlines of an election
+     * Each deadline moves back by the length of every pause that started after setup, before the
+     * deadline was reached, so a pause never eats into a phase. A pause counts once unpaused
+     * @param electionId Election identifier
+     * @return phaseDeadlines Certificate, registration, voting and reveal deadlines
+     */
+    function getDeadlines(bytes32 electionId) 
+        public 
+        view 
+        returns (PhaseDeadlines memory phaseDeadlines) 
+    {
+        PhaseDeadlines storage setUp = _phaseDeadlines[electionId];
+        uint256 firstPause = _firstPause[electionId];
+        return PhaseDeadlines(
+            _afterPauses(setUp.certificate, firstPause),
+            _afterPauses(setUp.registration, firstPause),
+            _afterPauses(setUp.voting, firstPause),
+            _afterPauses(setUp.reveal, firstPause)
+        );
     }
 
     /**
      * @dev Get election setup status
+     * @param electionId Election identifier
      * @return setup Boolean indicating if election is set up
      */
-    function isElectionSetup() 
+    function isElectionSetup(bytes32 electionId) 
         public 
         view 
         returns (bool setup) 
     {
-        return electionSetup;
+        return electionSetup[electionId];
     }
 
     /**
-     * @dev Internal function to verify government signature
+     * @dev Internal function to verify government signature (PKS.verify with ECDSA)
+     * The signer must be an issuer key registered by a certificate issuer and currently valid;
+     * governmentPublicKey only names the signer and must match the recovered address
+     * @param electionId Election the voter is certified for
      * @param voterPublicKey Voter's public key
-     * @param governmentPublicKey Government's public key
+     * @param governmentPublicKey Government's public key (20-byte address)
      * @param signature Government's signature
      * @return valid Boolean indicating signature validity
      */
     function _verifyGovernmentSignature(
+        bytes32 electionId,
         bytes memory voterPublicKey,
         bytes memory governmentPublicKey,
         bytes memory signature
     ) 
         internal 
-        pure 
+        view 
         returns (bool valid) 
     {
-        // Implementation note: This is a simplified verification
-        // In a real implementation, this would use actual PKS.verify
-        // For now, we'll use a basic hash-based verification
-        
-        bytes32 messageHash = keccak256(abi.encodePacked(voterPublicKey, governmentPublicKey));
-        bytes32 signatureHash = keccak256(signature);
-        
-        // This is a placeholder verification - replace with actual PKS verification
-        return signatureHash != bytes32(0) && messageHash != bytes32(0);
+        if (governmentPublicKey.length != 20) {
+            return false;
+        }
+
+        bytes32 messageHash = MessageHashUtils.toEthSignedMessageHash(
+            certificateDigest(electionId, voterPublicKey)
+        );
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(messageHash, signature);
+
+        return error == ECDSA.RecoverError.NoError
+            && signer == address(bytes20(governmentPublicKey))
+            && isIssuerKeyValid(signer);
+    }
+
+    /**
+     * @dev Internal function to read the next page of at most maxKeys certified keys of a ring being frozen
+     * @return leaves Leaves of the page's ring keys, only filled in the building pass
+     * @return found Number of ring keys in the page
+     * @return last Whether the page ends the current pass
+     */
+    function _readRingPage(bytes32 electionId, RingSnapshot.Builder storage builder, uint256 maxKeys) 
+        private 
+        returns (bytes32[] memory leaves, uint256 found, bool last) 
+    {
+        bytes[] storage keys = _certification(electionId).keys;
+        uint256 cursor = builder.cursor;
+        uint256 end = keys.length - cursor > maxKeys ? cursor + maxKeys : keys.length;
+        bool counted = builder.counted;
+        leaves = new bytes32[](counted ? end - cursor : 0);
+        for (; cursor < end; cursor++) {
+            bytes memory publicKey = keys[cursor];
+            if (isCertified(electionId, publicKey) && _isRingKey(publicKey)) {
+                if (counted) {
+                    leaves[found] = RingMerkle.leaf(publicKey);
+                }
+                found++;
+            }
+        }
+        builder.cursor = cursor;
+        return (leaves, found, cursor == keys.length);
+    }
+
+    /**
+     * @dev Internal function to add a page's leaves to a ring being frozen, and take the snapshot
+     * once every ring key has been added
+     * @return frozen Whether the ring is frozen
+     */
+    function _addRingLeaves(
+        bytes32 electionId,
+        RingSnapshot.Builder storage builder,
+        bytes32[] memory leaves,
+        uint256 found
+    ) 
+        private 
+        returns (bool frozen) 
+    {
+        bytes32 root;
+        (frozen, root) = RingSnapshot.addLeaves(builder, leaves, found, _subRingRoots[electionId]);
+        if (frozen) {
+            _ringRoot[electionId] = root;
+            _ringSize[electionId] = builder.size;
+            ringFrozen[electionId] = true;
+
+            emit RingFrozen(electionId, root, builder.size);
+            emit SubRingsCommitted(electionId, subRingSize[electionId], builder.subRingCount);
+        }
+    }
+
+    /**
+     * @dev Internal function to check a key can be an LSAG ring member (64-byte alt_bn128 point)
+     */
+    function _isRingKey(bytes memory publicKey) internal pure returns (bool) {
+        return publicKey.length == 64 && AltBn128.isOnCurve(AltBn128.decodePoint(publicKey));
+    }
+
+    /**
+     * @dev Internal function to check a ballot configuration against the candidate list
+     */
+    function _validateBallotConfig(BallotConfig memory config, uint256 candidateCount) internal pure {
+        require(config.seats > 0 && config.seats <= candidateCount, "Invalid seat count");
+        if (config.ballotType == BallotType.RankedChoice) {
+            require(candidateCount <= MAX_RANKED_CANDIDATES, "Too many candidates for ranked ballots");
+            require(config.seats == 1, "Ranked ballots elect one seat");
+        }
+        if (config.ballotType == BallotType.Encrypted) {
+            require(candidateCount <= MAX_ENCRYPTED_CANDIDATES, "Too many candidates for encrypted ballots");
+            require(!config.saltedCommitmentsOnly, "Encrypted ballots have no commitments");
+        }
+        if (config.ballotType == BallotType.Approval) {
+            require(candidateCount <= MAX_APPROVAL_CANDIDATES, "Too many candidates for approval ballots");
+            require(config.maxSelections <= candidateCount, "Invalid selection limit");
+        } else {
+            require(config.maxSelections == 0, "Selection limit only applies to approval ballots");
+        }
+    }
+
+    /**
+     * @dev Reset an election's setup so it can be set up again (only election admins)
+     * Only allowed before voter registration opens, which needs the frozen ring; once voters can
+     * register, the candidates and deadlines are final. Other elections are not affected
+     * Certificates, revocations and the sub-ring size are cleared too: a new setup starts from an
+     * empty certification, and VotingAndTallyingContract keys its tally setup by resetCount
+     * @param electionId Election identifier
+     */
+    function resetElectionSetup(bytes32 electionId) 
+        public 
+        onlyRole(ELECTION_ADMIN_ROLE) 
+        onlyWhenElectionSetup(electionId) 
+        whenRingNotFrozen(electionId) 
+    {
+        electionSetup[electionId] = false;
+        delete candidates[electionId];
+        delete randomChallenge[electionId];
+        delete _phaseDeadlines[electionId];
+        delete _ballotConfigs[electionId];
+        delete subRingSize[electionId];
+        resetCount[electionId]++;
+        emit ElectionReset(electionId);
+    }
+
+    /**
+     * @dev Internal function to move a deadline back by the pauses that started before it was reached
+     * A pause starts no earlier, against the moved deadline, than the one before it, so the pauses that
+     * count are the first ones after setup and a binary search over the running totals finds them
+     * @param deadline Deadline as set up
+     * @param firstPause Index of the first pause after the election was set up
+     * @return moved Deadline after the pauses
+     */
+    function _afterPauses(uint64 deadline, uint256 firstPause) internal view returns (uint64 moved) {
+        uint64 pausedBefore = _pausedBefore(firstPause);
+        uint256 low = firstPause;
+        uint256 high = pauses.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            Pause storage midPause = pauses[mid];
+            if (midPause.pausedAt < deadline + midPause.pausedBefore - pausedBefore) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return deadline + _pausedBefore(low) - pausedBefore;
+    }
+
+    /**
+     * @dev Internal function to get the total length of the pauses before the one at `index`
+     * Past the last pause this is the running total, which leaves out a pause still going on
+     */
+    function _pausedBefore(uint256 index) internal view returns (uint64) {
+        return index < pauses.length ? pauses[index].pausedBefore : _pausedTotal;
+    }
+
+    /**
+     * @dev Internal function to check an election is set up
+     */
+    function _checkElectionSetup(bytes32 electionId) internal view {
+        require(electionSetup[electionId], "Election not setup");
+    }
+
+    /**
+     * @dev Internal function to check the caller may trigger a transition: only phase operators may
+     * before its deadline, anyone may once it has passed
+     * @param deadline Deadline the transition waits for
+     */
+    function _checkPhaseOperator(uint256 deadline) internal view {
+        if (block.timestamp < deadline && !isPhaseOperator(msg.sender)) {
+            revert AccessControlUnauthorizedAccount(msg.sender, PHASE_OPERATOR_ROLE);
+        }
+    }
+
+    /**
+     * @dev Internal function to check an election is neither paused nor cancelled
+     */
+    function _checkNotHalted(bytes32 electionId) internal view {
+        require(!isElectionHalted(electionId), "Election halted");
+    }
+
+    /**
+     * @dev Internal function to check an election's ring is not frozen yet, nor being frozen
+     */
+    function _checkRingNotFrozen(bytes32 electionId) internal view {
+        require(!_ringSnapshots[electionId].started, "Ring frozen");
+    }
+
+    /**
+     * @dev Certificates of the current setup of an election
+     * @param electionId Election identifier
+     * @return certification Certification storage
+     */
+    function _certification(bytes32 electionId) internal view returns (Certification storage certification) {
+        return _certifications[electionId][resetCount[electionId]];
     }
 
     /**
-     * @dev Update election authority (only current authority can do this)
-     * @param newAuthority Address of new election authority
+     * @dev Record the hash of an audit report on an election (only auditors)
+     * Reports can be recorded in any phase; the report itself is published off-chain
+     * @param electionId Election identifier
+     * @param reportHash Hash of the audit report
      */
-    function updateElectionAuthority(address newAuthority) 
+    function recordAudit(bytes32 electionId, bytes32 reportHash) 
         public 
-        onlyElectionAuthority 
+        onlyRole(AUDITOR_ROLE) 
+        onlyWhenElectionSetup(electionId) 
     {
-        require(newAuthority != address(0), "Invalid new authority address");
-        electionAuthority = newAuthority;
+        require(reportHash != bytes32(0), "Invalid report hash");
+        emit AuditRecorded(electionId, msg.sender, reportHash);
     }
 
     /**
-     * @dev Emergency function to reset election setup (only authority)
+     * @dev Pause certificate storage, ring freezing, registration, voting, reveals and phase
+     * transitions in every election of this deployment (only pausers)
+     * Nothing is lost while paused, and once unpaused the deadlines not yet reached move back by the
+     * length of the pause (see getDeadlines)
      */
-    function resetElectionSetup() 
+    function pause() public onlyRole(PAUSER_ROLE) {
+        _pause();
+        pauses.push(Pause(uint64(block.timestamp), _pausedTotal));
+    }
+
+    /**
+     * @dev Resume every election of this deployment (only pausers)
+     */
+    function unpause() public onlyRole(PAUSER_ROLE) {
+        _unpause();
+        _pausedTotal += uint64(block.timestamp) - pauses[pauses.length - 1].pausedAt;
+    }
+
+    /**
+     * @dev Cancel an election for good and void its results (only election admins)
+     * Halts the election like a pause, but cannot be undone, and the election ID cannot be set up again
+     * Only before the reveal deadline, from which the results can be finalized
+     * @param electionId Election identifier
+     * @param reason Why the election is cancelled, kept on-chain in cancellationReason
+     */
+    function cancelElection(bytes32 electionId, string calldata reason) 
         public 
-        onlyElectionAuthority 
+        onlyRole(ELECTION_ADMIN_ROLE) 
+        onlyWhenElectionSetup(electionId) 
     {
-        electionSetup = false;
-        delete electionId;
-        delete candidates;
-        delete randomChallenge;
+        require(!electionCancelled[electionId], "Election already cancelled");
+        require(bytes(reason).length > 0, "Cancellation reason required");
+        require(block.timestamp < getDeadlines(electionId).reveal, "Reveal deadline passed");
+
+        electionCancelled[electionId] = true;
+        cancellationReason[electionId] = reason;
+        emit ElectionCancelled(electionId, reason);
+    }
+
+    /**
+     * @dev Whether an election is halted, because the deployment is paused or the election cancelled
+     * @param electionId Election identifier
+     * @return True if no certificate, registration, vote, reveal or phase change is accepted
+     */
+    function isElectionHalted(bytes32 electionId) public view returns (bool) {
+        return getHaltState(electionId) != HaltState.None;
     }
 
     /**
-     * @dev Returns the address of the current owner
+     * @dev Get why an election is halted; cancellation takes precedence over a pause
+     * @param electionId Election identifier
+     * @return state Cancelled, Paused, or None if the election is not halted
      */
-    function owner() public view returns (address) {
-        return _owner;
+    function getHaltState(bytes32 electionId) public view returns (HaltState state) {
+        if (electionCancelled[electionId]) return HaltState.Cancelled;
+        if (paused()) return HaltState.Paused;
+        return HaltState.None;
     }
 
     /**
-     * @dev Transfers ownership of the contract to a new account (`newOwner`)
-     * Can only be called by the current owner
+     * @dev Set the ERC-2771 forwarder VoterRegistrationContract and VotingAndTallyingContract accept
+     * relayed requests from (only the default admin), e.g. a VoterForwarder; zero accepts none
+     * A forwarded request must be signed by the voting key it registers or votes with, on top of the
+     * payload's own signatures, so a forwarder cannot act for a voter
+     * @param forwarder Forwarder address
      */
-    function transferOwnership(address newOwner) public onlyOwner {
-        require(newOwner != address(0), "Ownable: new owner is the zero address");
-        emit OwnershipTransferred(_owner, newOwner);
-        _owner = newOwner;
+    function setTrustedForwarder(address forwarder) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        trustedForwarder = forwarder;
+        emit TrustedForwarderSet(forwarder);
+    }
+
+    /**
+     * @dev Whether an account may freeze rings and move elections between phases before their deadlines
+     * Once a transition's deadline has passed anyone may trigger it
+     * @param account Account to check
+     * @return True if the account holds the phase operator role
+     */
+    function isPhaseOperator(address account) public view returns (bool) {
+        return hasRole(PHASE_OPERATOR_ROLE, account);
+    }
+
+    /**
+     * @dev Grant a role (only the role's admin)
+     * The election admin role takes two calls from the default admin: the first schedules the grant,
+     * the second makes it once electionAdminDelay has passed (see cancelElectionAdminChange); without
+     * a delay the first call makes it
+     * @param role Role to grant
+     * @param account Account to grant it to
+     */
+    function grantRole(bytes32 role, address account) public override {
+        if (role != ELECTION_ADMIN_ROLE || _electionAdminChangeDue(account, true)) {
+            super.grantRole(role, account);
+        }
+    }
+
+    /**
+     * @dev Revoke a role (only the role's admin)
+     * The election admin role takes two calls from the default admin, as for grantRole
+     * @param role Role to revoke
+     * @param account Account to revoke it from
+     */
+    function revokeRole(bytes32 role, address account) public override {
+        if (role != ELECTION_ADMIN_ROLE || _electionAdminChangeDue(account, false)) {
+            super.revokeRole(role, account);
+        }
+    }
+
+    /**
+     * @dev Withdraw a scheduled election admin change
+     * The default admin can cancel any change; election admins can cancel grants, which stops a grant
+     * scheduled with a compromised default admin key while the timelock runs
+     * @param account Account the change was scheduled for
+     * @param grant True for a scheduled grant, false for a scheduled revocation
+     */
+    function cancelElectionAdminChange(address account, bool grant) public {
+        require(
+            hasRole(DEFAULT_ADMIN_ROLE, msg.sender) || (grant && hasRole(ELECTION_ADMIN_ROLE, msg.sender)),
+            "Cancellation not allowed"
+        );
+        require(electionAdminChangeReadyAt[account][grant] != 0, "No election admin change pending");
+        delete electionAdminChangeReadyAt[account][grant];
+        emit ElectionAdminChangeCancelled(account, grant);
+    }
+
+    /**
+     * @dev Internal function to schedule an election admin change, or check a scheduled one is due
+     * @param account Account gaining or losing the role
+     * @param grant True for a grant, false for a revocation
+     * @return due True if there is no timelock, or the change was scheduled and its timelock has passed
+     */
+    function _electionAdminChangeDue(address account, bool grant) private returns (bool due) {
+        _checkRole(DEFAULT_ADMIN_ROLE);
+        uint64 readyAt = electionAdminChangeReadyAt[account][grant];
+        if (readyAt == 0) {
+            if (electionAdminDelay == 0) {
+                return true;
+            }
+            readyAt = uint64(block.timestamp) + electionAdminDelay;
+            electionAdminChangeReadyAt[account][grant] = readyAt;
+            emit ElectionAdminChangeScheduled(account, grant, readyAt);
+            return false;
+        }
+        require(block.timestamp >= readyAt, "Election admin timelock active");
+        delete electionAdminChangeReadyAt[account][grant];
+        return true;
     }
 }
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title RingMerkle
+ * @dev Ordered Merkle commitment over a ring of public keys. Must stay in sync with lib/ringMerkle.js
+ *
+ *   leaf   = keccak256(publicKey)
+ *   parent = keccak256(left || right), an odd node at the end of a level moves up unchanged
+ *   root   = bytes32(0) for an empty ring
+ *
+ * Pairs are not sorted, so the root also commits to the order of the ring
+ */
+library RingMerkle {
+
+    /**
+     * @dev Leaf of a ring member
+     * @param publicKey Encoded public key
+     */
+    function leaf(bytes memory publicKey) internal pure returns (bytes32) {
+        return keccak256(publicKey);
+    }
+
+    /**
+     * @dev Compute the root over a list of leaves; the list is overwritten
+     * @param leaves Leaves in ring order
+     * @return root Merkle root
+     */
+    function root(bytes32[] memory leaves) internal pure returns (bytes32) {
+        uint256 count = leaves.length;
+        if (count == 0) {
+            return bytes32(0);
+        }
+        while (count > 1) {
+            uint256 next = 0;
+            for (uint256 i = 0; i < count; i += 2) {
+                leaves[next++] = i + 1 < count
+                    ? keccak256(abi.encodePacked(leaves[i], leaves[i + 1]))
+                    : leaves[i];
+            }
+            count = next;
+        }
+        return leaves[0];
+    }
+}
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title RingSnapshot
+ * @dev Incremental construction of an election's frozen ring and its sub-ring commitments
+ * Deployed once and linked into RegistrationContract, which freezes a ring in pages of certified keys
+ * (freezeRingPage): a counting pass finds the ring size, which fixes the sub-ring boundaries, then a
+ * building pass adds the ring keys' leaves in order. Roots are built from a Merkle frontier, the root of
+ * the complete subtree at each level, so no page has to hold more than its own leaves. The roots are
+ * the same as RingMerkle.root over the whole ring or sub-ring
+ */
+library RingSnapshot {
+
+    // One election's ring being frozen
+    struct Builder {
+        bool started;               // Set by the first page: the certified keys are final from then on
+        bool counted;               // The counting pass is done and leaves are being added
+        uint256 cursor;             // Certified keys read so far in the current pass
+        uint256 size;               // Ring keys, once counted
+        uint256 subRingCount;       // Sub-rings the ring is partitioned into, once counted
+        uint256 added;              // Leaves added so far
+        uint256 subRingOffset;      // Position of the current sub-ring's first key
+        bytes32[] ring;             // Merkle frontier of the whole ring
+        bytes32[] subRing;          // Merkle frontier of the current sub-ring
+    }
+
+    /**
+     * @dev Add the next leaves of the ring, committing each sub-ring as its last key is added
+     * @param self Ring being frozen, counted
+     * @param leaves Leaves in ring order, from index 0
+     * @param count Number of leaves to add
+     * @param subRingRoots The election's sub-ring roots, appended to
+     * @return complete Whether every ring key has been added
+     * @return root RingMerkle root of the ring, once complete
+     */
+    function addLeaves(
+        Builder storage self,
+        bytes32[] memory leaves,
+        uint256 count,
+        bytes32[] storage subRingRoots
+    )
+        public
+        returns (bool complete, bytes32 root)
+    {
+        uint256 size = self.size;
+        uint256 subRingCount = self.subRingCount;
+        uint256 added = self.added;
+        uint256 offset = self.subRingOffset;
+        (, uint256 length) = subRingBounds(size, subRingCount, subRingRoots.length);
+
+        for (uint256 i = 0; i < count; i++) {
+            _insert(self.ring, added, leaves[i]);
+            _insert(self.subRing, added - offset, leaves[i]);
+            added++;
+            if (added - offset == length) {
+                subRingRoots.push(_root(self.subRing, length));
+                offset = added;
+                if (subRingRoots.length < subRingCount) {
+                    (, length) = subRingBounds(size, subRingCount, subRingRoots.length);
+                }
+            }
+        }
+        self.added = added;
+        self.subRingOffset = offset;
+
+        if (added == size) {
+            if (size == 0) {
+                // An empty ring is a single empty sub-ring
+                subRingRoots.push(bytes32(0));
+            }
+            return (true, _root(self.ring, size));
+        }
+    }
+
+    /**
+     * @dev Locate a sub-ring when count keys are spread evenly over subRingCount sub-rings;
+     * the first count % subRingCount sub-rings hold one extra key
+     * @param count Number of keys in the ring
+     * @param subRingCount Number of sub-rings
+     * @param subRingId Sub-ring index
+     * @return offset Position of the sub-ring's first key in the ring
+     * @return length Number of keys in the sub-ring
+     */
+    function subRingBounds(uint256 count, uint256 subRingCount, uint256 subRingId)
+        internal
+        pure
+        returns (uint256 offset, uint256 length)
+    {
+        uint256 base = count / subRingCount;
+        uint256 extra = count % subRingCount;
+        offset = subRingId * base + (subRingId < extra ? subRingId : extra);
+        length = subRingId < extra ? base + 1 : base;
+    }
+
+    /**
+     * @dev Add the leaf at `index` to a frontier: it completes a subtree at every level where index
+     * has a one bit, and is stored at the first level where it has a zero bit
+     */
+    function _insert(bytes32[] storage frontier, uint256 index, bytes32 node) private {
+        uint256 level = 0;
+        for (; index & 1 == 1; index >>= 1) {
+            node = keccak256(abi.encodePacked(frontier[level++], node));
+        }
+        if (level == frontier.length) {
+            frontier.push(node);
+        } else {
+            frontier[level] = node;
+        }
+    }
+
+    /**
+     * @dev Root of the first `count` leaves added to a frontier: the complete subtrees, one per one bit
+     * of count, folded from the smallest, which is where an odd node moves up unchanged in RingMerkle
+     */
+    function _root(bytes32[] storage frontier, uint256 count) private view returns (bytes32 root) {
+        bool found;
+        for (uint256 level = 0; count != 0; level++) {
+            if (count & 1 == 1) {
+                root = found ? keccak256(abi.encodePacked(frontier[level], root)) : frontier[level];
+                found = true;
+            }
+            count >>= 1;
+        }
+    }
+}
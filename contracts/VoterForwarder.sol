@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title VoterForwarder
+ * @dev ERC-2771 forwarder for the voter-side protocol steps
+ * Purpose: Let any relayer submit a voter's registration, votes and reveals, so no voter address
+ * ever sends a transaction
+ * The voting key signs an EIP-712 ForwardRequest for each call to VoterRegistrationContract or
+ * VotingAndTallyingContract; the forwarder checks the signature, deadline and nonce and appends
+ * the signer to the calldata. Both contracts only accept it once it is their RegistrationContract's
+ * trustedForwarder, and reject a forwarded request not signed by the voting key it acts for.
+ * One forwarder can serve every deployment (see lib/relayer.js)
+ */
+contract VoterForwarder is ERC2771Forwarder {
+
+    constructor() ERC2771Forwarder("VoterForwarder") {}
+}
@@ -1,18 +1,37 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "./AltBn128.sol";
+import "./BatchGuard.sol";
+import "./LSAG.sol";
+import "./LSAGCodec.sol";
+import "./RingMerkle.sol";
+
 // Interface for Registration Contract
 interface IRegistrationContract {
-    function isCertified(bytes memory publicKey) external view returns (bool);
-    function electionId() external view returns (bytes32);
-    function candidates() external view returns (bytes32[] memory);
-    function electionSetup() external view returns (bool);
+    struct PhaseDeadlines {
+        uint64 certificate;
+        uint64 registration;
+        uint64 voting;
+        uint64 reveal;
+    }
+
+    function isCertified(bytes32 electionId, bytes memory publicKey) external view returns (bool);
+    function electionSetup(bytes32 electionId) external view returns (bool);
+    function randomChallenge(bytes32 electionId) external view returns (bytes32);
+    function resetCount(bytes32 electionId) external view returns (uint256);
+    function ringFrozen(bytes32 electionId) external view returns (bool);
+    function getSubRing(bytes32 electionId, uint256 subRingId) external view returns (bytes32 root, uint256 offset, uint256 size);
+    function getDeadlines(bytes32 electionId) external view returns (PhaseDeadlines memory);
+    function isElectionHalted(bytes32 electionId) external view returns (bool);
+    function trustedForwarder() external view returns (address);
 }
 
 /**
  * @title VoterRegistrationContract
  * @dev Contract 2: Handle anonymous voter registration with LSAG signatures (Step 2)
  * Purpose: Register voters anonymously using LSAG signatures
+ * Voter indices and key images are kept per election, so each election numbers its voters from 0
  */
 contract VoterRegistrationContract {
     
@@ -20,6 +39,7 @@ contract VoterRegistrationContract {
     uint256 private constant _NOT_ENTERED = 1;
     uint256 private constant _ENTERED = 2;
     uint256 private _status;
+    bool private _initialized;
     
     modifier nonReentrant() {
         require(_status != _ENTERED, "ReentrancyGuard: reentrant call");
@@ -30,34 +50,63 @@ contract VoterRegistrationContract {
     
     // Voter record structure
     struct VoterRecord {
-        bytes lsagSignature;        // σv = LSAG.sign(L, Pu, Prv)
+        bytes lsagSignature;        // σv = LSAG.sign(registrationMessage(L, Pu'v), Pu, Prv)
         bytes votingPublicKey;      // Pu'v (new voting public key)
         bool isRegistered;
         uint256 registrationTime;
     }
 
-    // State variables
-    mapping(uint256 => VoterRecord) public registeredVoters;
-    mapping(bytes => bool) public usedKeyImages;        // Prevent double registration
-    uint256 public voterCount;
+    // State variables, keyed by electionId
+    mapping(bytes32 => mapping(uint256 => VoterRecord)) public registeredVoters;
+    mapping(bytes32 => mapping(bytes => bool)) public usedKeyImages;    // Prevent double registration
+    mapping(bytes32 => uint256) public voterCount;
     address public registrationContract;                // Reference to RegistrationContract
 
+    // Domain tag for registration messages
+    bytes32 public constant REGISTRATION_TYPEHASH = keccak256("LSAG_REGISTRATION");
+
     // Events
-    event VoterRegistered(uint256 indexed voterIndex, bytes votingPublicKey);
-    event RegistrationRejected(bytes lsagSignature, string reason);
+    event VoterRegistered(bytes32 indexed electionId, uint256 indexed voterIndex, bytes votingPublicKey);
+    event RegistrationRejected(bytes32 indexed electionId, bytes lsagSignature, string reason);
 
     // Modifiers
-    modifier onlyWhenElectionSetup() {
+    modifier onlyWhenElectionSetup(bytes32 electionId) {
         require(
-            IRegistrationContract(registrationContract).electionSetup(),
+            IRegistrationContract(registrationContract).electionSetup(electionId),
             "Election not setup yet"
         );
         _;
     }
 
+    modifier whenNotHalted(bytes32 electionId) {
+        require(
+            !IRegistrationContract(registrationContract).isElectionHalted(electionId),
+            "Election halted"
+        );
+        _;
+    }
+
+    modifier onlyWhenRingFrozen(bytes32 electionId) {
+        require(
+            IRegistrationContract(registrationContract).ringFrozen(electionId),
+            "Ring not frozen yet"
+        );
+        _;
+    }
+
+    modifier onlyBeforeRegistrationDeadline(bytes32 electionId) {
+        require(
+            block.timestamp < IRegistrationContract(registrationContract).getDeadlines(electionId).registration,
+            "Registration deadline passed"
+        );
+        _;
+    }
+
     modifier validSignatureAndKey(bytes memory lsagSignature, bytes memory votingPublicKey) {
         require(lsagSignature.length > 0, "LSAG signature cannot be empty");
         require(votingPublicKey.length > 0, "Voting public key cannot be empty");
+        // Voting keys are Ethereum addresses, see isVotingKey
+        require(votingPublicKey.length == 20, "Voting public key must be 20 bytes");
         _;
     }
 
@@ -66,54 +115,76 @@ contract VoterRegistrationContract {
      * @param _registrationContract Address of the RegistrationContract
      */
     constructor(address _registrationContract) {
+        _initialize(_registrationContract);
+    }
+
+    /**
+     * @dev Initialize a minimal-proxy clone, which never runs the constructor (see ElectionFactory)
+     * @param _registrationContract Address of the RegistrationContract
+     */
+    function initialize(address _registrationContract) external {
+        _initialize(_registrationContract);
+    }
+
+    function _initialize(address _registrationContract) private {
+        require(!_initialized, "Already initialized");
         require(_registrationContract != address(0), "Invalid registration contract address");
+        _initialized = true;
         registrationContract = _registrationContract;
         _status = _NOT_ENTERED;
     }
 
     /**
-     * @dev Verify LSAG signature and register voter
-     * @param lsagSignature LSAG signature on election ID
+     * @dev Verify LSAG signature and register voter in an election
+     * May be relayed through the trusted forwarder as a request signed by the voting key (see isTrustedForwarder)
+     * @param electionId Election to register in (L)
+     * @param lsagSignature LSAG signature on registrationMessage(electionId, votingPublicKey)
      * @param votingPublicKey New voting public key (Pu'v)
-     * @return voterIndex Assigned voter index (kv)
+     * @return voterIndex Assigned voter index (kv) within the election
      */
     function verify(
+        bytes32 electionId,
         bytes memory lsagSignature,
         bytes memory votingPublicKey
     ) 
         public 
         nonReentrant 
-        onlyWhenElectionSetup
+        onlyWhenElectionSetup(electionId)
+        whenNotHalted(electionId)
+        onlyWhenRingFrozen(electionId)
+        onlyBeforeRegistrationDeadline(electionId)
         validSignatureAndKey(lsagSignature, votingPublicKey)
         returns (uint256 voterIndex) 
     {
-        // Get election ID from registration contract
-        bytes32 electionId = IRegistrationContract(registrationContract).electionId();
-        
+        _checkForwardedSigner(votingPublicKey);
+
+        // Decode the LSAG signature (reverts if it does not decode)
+        LSAGCodec.Signature memory signature = LSAGCodec.decode(lsagSignature);
+
         // Extract key image from LSAG signature for linkability check
-        bytes memory keyImage = _extractKeyImage(lsagSignature);
+        bytes memory keyImage = _extractKeyImage(signature);
         
         // Check if this key image has been used (prevent double registration)
-        if (usedKeyImages[keyImage]) {
-            emit RegistrationRejected(lsagSignature, "Key image already used");
+        if (usedKeyImages[electionId][keyImage]) {
+            emit RegistrationRejected(electionId, lsagSignature, "Key image already used");
             revert("Double registration attempt detected");
         }
 
         // Verify LSAG signature against certified public keys
         require(
-            _verifyLSAGSignature(lsagSignature, electionId),
+            _verifyLSAGSignature(electionId, signature, registrationMessage(electionId, votingPublicKey)),
             "Invalid LSAG signature"
         );
 
         // Check linkability using LSAG.linkVer
         require(
-            _checkLinkability(lsagSignature, keyImage),
+            _checkLinkability(signature, keyImage),
             "Linkability check failed"
         );
 
         // Register the voter
-        voterIndex = voterCount;
-        registeredVoters[voterIndex] = VoterRecord({
+        voterIndex = voterCount[electionId];
+        registeredVoters[electionId][voterIndex] = VoterRecord({
             lsagSignature: lsagSignature,
             votingPublicKey: votingPublicKey,
             isRegistered: true,
@@ -121,152 +192,316 @@ contract VoterRegistrationContract {
         });
 
         // Mark key image as used
-        usedKeyImages[keyImage] = true;
-        voterCount++;
+        usedKeyImages[electionId][keyImage] = true;
+        voterCount[electionId]++;
 
-        emit VoterRegistered(voterIndex, votingPublicKey);
+        emit VoterRegistered(electionId, voterIndex, votingPublicKey);
         return voterIndex;
     }
 
     /**
-     * @dev Check if a voter is registered
+     * @dev Register many voters in one transaction, e.g. registrations collected by a relayer
+     * Each registration goes through verify(); one that fails emits RegistrationRejected and the rest are still registered
+     * @param electionId Election to register in (L)
+     * @param lsagSignatures LSAG signatures, one per voter
+     * @param votingPublicKeys New voting public keys (Pu'v)
+     * @return accepted Whether each voter was registered; indices are in the VoterRegistered events
+     */
+    function verifyBatch(
+        bytes32 electionId,
+        bytes[] memory lsagSignatures,
+        bytes[] memory votingPublicKeys
+    ) 
+        public 
+        returns (bool[] memory accepted) 
+    {
+        require(lsagSignatures.length > 0, "Empty batch");
+        require(lsagSignatures.length == votingPublicKeys.length, "Batch length mismatch");
+
+        accepted = new bool[](lsagSignatures.length);
+        for (uint256 i = 0; i < lsagSignatures.length; i++) {
+            uint256 gasBefore = gasleft();
+            try this.verify(electionId, lsagSignatures[i], votingPublicKeys[i]) {
+                accepted[i] = true;
+            } catch Error(string memory reason) {
+                emit RegistrationRejected(electionId, lsagSignatures[i], reason);
+            } catch {
+                BatchGuard.checkNotOutOfGas(gasBefore);
+                emit RegistrationRejected(electionId, lsagSignatures[i], "Registration failed");
+            }
+        }
+    }
+
+    /**
+     * @dev Check if a voter is registered in an election
+     * @param electionId Election identifier
      * @param voterIndex Voter index to check
      * @return registered Boolean indicating registration status
      */
-    function isRegistered(uint256 voterIndex) 
+    function isRegistered(bytes32 electionId, uint256 voterIndex) 
         public 
         view 
         returns (bool registered) 
     {
-        return voterIndex < voterCount && registeredVoters[voterIndex].isRegistered;
+        return voterIndex < voterCount[electionId] && registeredVoters[electionId][voterIndex].isRegistered;
+    }
+
+    /**
+     * @dev Check whether an account is a voter's registered voting key
+     * @param electionId Election identifier
+     * @param voterIndex Voter's registration index
+     * @param account Address to check
+     * @return True if the voting public key (Pu'v) registered at voterIndex is the account's address
+     */
+    function isVotingKey(bytes32 electionId, uint256 voterIndex, address account) 
+        public 
+        view 
+        returns (bool) 
+    {
+        bytes memory votingPublicKey = registeredVoters[electionId][voterIndex].votingPublicKey;
+        return votingPublicKey.length == 20 && bytes20(votingPublicKey) == bytes20(account);
     }
 
     /**
-     * @dev Get total number of registered voters
+     * @dev Get total number of voters registered in an election
+     * @param electionId Election identifier
      * @return count Total voter count
      */
-    function getVoterCount() 
+    function getVoterCount(bytes32 electionId) 
         public 
         view 
         returns (uint256 count) 
     {
-        return voterCount;
+        return voterCount[electionId];
     }
 
     /**
      * @dev Get voter record by index
+     * @param electionId Election identifier
      * @param voterIndex Index of the voter
      * @return record VoterRecord struct
      */
-    function getVoterRecord(uint256 voterIndex) 
+    function getVoterRecord(bytes32 electionId, uint256 voterIndex) 
         public 
         view 
         returns (VoterRecord memory record) 
     {
-        require(voterIndex < voterCount, "Invalid voter index");
-        return registeredVoters[voterIndex];
+        require(voterIndex < voterCount[electionId], "Invalid voter index");
+        return registeredVoters[electionId][voterIndex];
+    }
+
+    /**
+     * @dev Decode an LSAG signature in the LSAGCodec wire format
+     * @param lsagSignature Encoded LSAG signature
+     * @return version Wire format version
+     * @return keyImage Normalised (compressed) key image
+     * @return c0 Initial challenge
+     * @return s Ring responses
+     * @return ringType Ring reference type
+     * @return ringData Ring reference payload
+     */
+    function decodeLSAGSignature(bytes memory lsagSignature)
+        public
+        view
+        returns (
+            uint8 version,
+            bytes memory keyImage,
+            uint256 c0,
+            uint256[] memory s,
+            uint8 ringType,
+            bytes memory ringData
+        )
+    {
+        LSAGCodec.Signature memory signature = LSAGCodec.decode(lsagSignature);
+        return (
+            signature.version,
+            signature.keyImageCompressed,
+            signature.c0,
+            signature.s,
+            signature.ringType,
+            signature.ringData
+        );
     }
 
     /**
      * @dev Internal function to extract key image from LSAG signature
-     * @param lsagSignature The LSAG signature
-     * @return keyImage Extracted key image for linkability
+     * @param signature The decoded LSAG signature
+     * @return keyImage Key image normalised to a compressed curve point
      */
-    function _extractKeyImage(bytes memory lsagSignature) 
+    function _extractKeyImage(LSAGCodec.Signature memory signature) 
         internal 
         pure 
         returns (bytes memory keyImage) 
     {
-        // Implementation note: This is a simplified extraction
-        // In a real implementation, this would parse the actual LSAG signature structure
-        // For now, we'll use a hash-based approach to simulate key image extraction
-        
-        require(lsagSignature.length >= 32, "Invalid LSAG signature length");
-        
-        // Extract the first 32 bytes as key image (simplified)
-        keyImage = new bytes(32);
-        for (uint i = 0; i < 32; i++) {
-            keyImage[i] = lsagSignature[i];
-        }
-        
-        return keyImage;
+        return AltBn128.compressPoint(signature.keyImage);
+    }
+
+    /**
+     * @dev Build the message a voter LSAG-signs to register
+     * The voting public key is bound so a signature cannot be re-used with another key. The chain,
+     * this contract, the election's random challenge (r) and its reset count are bound too, so a
+     * signature cannot be replayed on another deployment or after the election is reset and set up
+     * again, even with the same challenge
+     * @param electionId The election ID
+     * @param votingPublicKey New voting public key (Pu'v)
+     * @return message keccak256(abi.encode(REGISTRATION_TYPEHASH, chainid, this contract, electionId, r, resetCount, keccak256(Pu'v)))
+     */
+    function registrationMessage(bytes32 electionId, bytes memory votingPublicKey) 
+        public 
+        view 
+        returns (bytes32 message) 
+    {
+        IRegistrationContract regContract = IRegistrationContract(registrationContract);
+        return keccak256(abi.encode(
+            REGISTRATION_TYPEHASH,
+            block.chainid,
+            address(this),
+            electionId,
+            regContract.randomChallenge(electionId),
+            regContract.resetCount(electionId),
+            keccak256(votingPublicKey)
+        ));
     }
 
     /**
      * @dev Internal function to verify LSAG signature
-     * @param lsagSignature The LSAG signature to verify
-     * @param electionId The election ID that was signed
+     * An inline ring must consist of keys certified in RegistrationContract, i.e. part of the frozen ring;
+     * a sub-ring must match the sub-ring's RingMerkle root exactly
+     * @param electionId The election whose ring the signature is over
+     * @param signature The decoded LSAG signature to verify
+     * @param message The message that was signed
      * @return valid Boolean indicating signature validity
      */
     function _verifyLSAGSignature(
-        bytes memory lsagSignature,
-        bytes32 electionId
+        bytes32 electionId,
+        LSAGCodec.Signature memory signature,
+        bytes32 message
     ) 
         internal 
-        pure 
+        view 
         returns (bool valid) 
     {
-        // Implementation note: This is a simplified verification
-        // In a real implementation, this would use actual LSAG.verify
-        // against the ring of certified public keys from RegistrationContract
-        
-        bytes32 messageHash = keccak256(abi.encodePacked(electionId));
-        bytes32 signatureHash = keccak256(lsagSignature);
-        
-        // This is a placeholder verification - replace with actual LSAG verification
-        // Should verify against ring of certified public keys
-        return signatureHash != bytes32(0) && messageHash != bytes32(0);
+        bytes[] memory ring;
+        if (signature.ringType == LSAGCodec.RING_SUB_RING) {
+            uint256 subRingId;
+            (subRingId, ring) = LSAGCodec.subRing(signature);
+            if (!_isSubRing(electionId, subRingId, ring)) {
+                return false;
+            }
+        } else {
+            ring = LSAGCodec.inlineRing(signature);
+            for (uint256 i = 0; i < ring.length; i++) {
+                if (!IRegistrationContract(registrationContract).isCertified(electionId, ring[i])) {
+                    return false;
+                }
+            }
+        }
+
+        uint256[2][] memory ringPoints = new uint256[2][](ring.length);
+        for (uint256 i = 0; i < ring.length; i++) {
+            ringPoints[i] = AltBn128.decodePoint(ring[i]);
+        }
+
+        return LSAG.verify(message, ringPoints, signature.keyImage, signature.c0, signature.s);
+    }
+
+    /**
+     * @dev Internal function to check a ring is exactly the given sub-ring of the frozen ring
+     * @param electionId The election whose ring is partitioned
+     * @param subRingId Sub-ring index
+     * @param ring Ring public keys in sub-ring order
+     * @return valid Boolean indicating the ring matches the sub-ring commitment
+     */
+    function _isSubRing(bytes32 electionId, uint256 subRingId, bytes[] memory ring) 
+        internal 
+        view 
+        returns (bool valid) 
+    {
+        (bytes32 root, , ) = IRegistrationContract(registrationContract).getSubRing(electionId, subRingId);
+
+        bytes32[] memory leaves = new bytes32[](ring.length);
+        for (uint256 i = 0; i < ring.length; i++) {
+            leaves[i] = RingMerkle.leaf(ring[i]);
+        }
+        return RingMerkle.root(leaves) == root;
     }
 
     /**
-     * @dev Internal function to check linkability
-     * @param lsagSignature The LSAG signature
+     * @dev Internal function to check linkability (LSAG.linkVer)
+     * The key image must be a valid group element and must be the one the signature was verified with
+     * @param signature The decoded LSAG signature
      * @param keyImage The extracted key image
      * @return valid Boolean indicating linkability check result
      */
     function _checkLinkability(
-        bytes memory lsagSignature,
+        LSAGCodec.Signature memory signature,
         bytes memory keyImage
     ) 
         internal 
         pure 
         returns (bool valid) 
     {
-        // Implementation note: This is a simplified linkability check
-        // In a real implementation, this would use LSAG.linkVer
-        
-        bytes32 sigHash = keccak256(lsagSignature);
-        bytes32 keyImageHash = keccak256(keyImage);
-        
-        // This is a placeholder check - replace with actual LSAG linkability verification
-        return sigHash != bytes32(0) && keyImageHash != bytes32(0);
+        return AltBn128.isOnCurve(signature.keyImage)
+            && keccak256(signature.keyImageCompressed) == keccak256(keyImage);
     }
 
     /**
-     * @dev Check if a key image has been used
-     * @param keyImage The key image to check
+     * @dev Check if a key image has been used in an election
+     * @param electionId Election identifier
+     * @param keyImage The key image to check (33-byte compressed point)
      * @return used Boolean indicating if key image is used
      */
-    function isKeyImageUsed(bytes memory keyImage) 
+    function isKeyImageUsed(bytes32 electionId, bytes memory keyImage) 
         public 
         view 
         returns (bool used) 
     {
-        return usedKeyImages[keyImage];
+        return usedKeyImages[electionId][keyImage];
+    }
+
+    /**
+     * @dev Whether registrations may be relayed through a forwarder (ERC-2771)
+     * @param forwarder Address to check
+     * @return True if it is the RegistrationContract's trustedForwarder
+     */
+    function isTrustedForwarder(address forwarder) 
+        public 
+        view 
+        returns (bool) 
+    {
+        return forwarder == IRegistrationContract(registrationContract).trustedForwarder();
+    }
+
+    /**
+     * @dev Internal function to check a relayed registration was signed by the voting key it registers
+     * The forwarder appends the request's signer to the calldata; direct calls are left to the LSAG signature
+     * @param votingPublicKey Voting key being registered (Pu'v), its 20-byte address
+     */
+    function _checkForwardedSigner(bytes memory votingPublicKey) internal view {
+        if (isTrustedForwarder(msg.sender)) {
+            require(
+                votingPublicKey.length == 20 && bytes20(msg.data[msg.data.length - 20:]) == bytes20(votingPublicKey),
+                "Request not signed by the voter"
+            );
+        }
     }
 
     /**
-     * @dev Get registration statistics
+     * @dev Get registration statistics of an election
+     * @param electionId Election identifier
      * @return totalRegistered Total number of registered voters
-     * @return registrationOpen Whether registration is still open
+     * @return registrationOpen Whether registration is open (ring frozen, deadline not reached)
      */
-    function getRegistrationStats() 
+    function getRegistrationStats(bytes32 electionId) 
         public 
         view 
         returns (uint256 totalRegistered, bool registrationOpen) 
     {
-        totalRegistered = voterCount;
-        registrationOpen = IRegistrationContract(registrationContract).electionSetup();
+        IRegistrationContract registration = IRegistrationContract(registrationContract);
+        totalRegistered = voterCount[electionId];
+        registrationOpen = registration.electionSetup(electionId)
+            && registration.ringFrozen(electionId)
+            && block.timestamp < registration.getDeadlines(electionId).registration;
         return (totalRegistered, registrationOpen);
     }
 }
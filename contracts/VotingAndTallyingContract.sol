@@ -1,32 +1,64 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./BatchGuard.sol";
+import "./EncryptedTally.sol";
+import "./RankedChoice.sol";
+
 // Interface for VoterRegistrationContract
 interface IVoterRegistrationContract {
-    struct VoterRecord {
-        bytes lsagSignature;
-        bytes votingPublicKey;
-        bool isRegistered;
-        uint256 registrationTime;
-    }
-    
-    function isRegistered(uint256 voterIndex) external view returns (bool);
-    function getVoterRecord(uint256 voterIndex) external view returns (VoterRecord memory);
-    function getVoterCount() external view returns (uint256);
+    function isRegistered(bytes32 electionId, uint256 voterIndex) external view returns (bool);
+    function getVoterCount(bytes32 electionId) external view returns (uint256);
+    function isVotingKey(bytes32 electionId, uint256 voterIndex, address account) external view returns (bool);
 }
 
 // Interface for RegistrationContract
 interface IRegistrationContract {
-    function electionId() external view returns (bytes32);
-    function getCandidates() external view returns (bytes32[] memory);
-    function electionAuthority() external view returns (address);
-    function electionSetup() external view returns (bool);
+    struct PhaseDeadlines {
+        uint64 certificate;
+        uint64 registration;
+        uint64 voting;
+        uint64 reveal;
+    }
+
+    enum BallotType {
+        Plurality,
+        RankedChoice,
+        Approval,
+        Encrypted
+    }
+
+    enum HaltState {
+        None,
+        Paused,
+        Cancelled
+    }
+
+    struct BallotConfig {
+        BallotType ballotType;
+        uint8 seats;
+        uint8 maxSelections;
+        bool saltedCommitmentsOnly;
+    }
+
+    function getCandidates(bytes32 electionId) external view returns (bytes32[] memory);
+    function hasRole(bytes32 role, address account) external view returns (bool);
+    function isPhaseOperator(address account) external view returns (bool);
+    function getHaltState(bytes32 electionId) external view returns (HaltState);
+    function electionSetup(bytes32 electionId) external view returns (bool);
+    function getDeadlines(bytes32 electionId) external view returns (PhaseDeadlines memory);
+    function getBallotConfig(bytes32 electionId) external view returns (BallotConfig memory);
+    function resetCount(bytes32 electionId) external view returns (uint256);
+    function trustedForwarder() external view returns (address);
 }
 
 /**
  * @title VotingAndTallyingContract
  * @dev Contract 3: Handle vote casting and tallying phases (Steps 3-4)
  * Purpose: Manage voting process and tally results
+ * Phases, votes and tallies are kept per election
  */
 contract VotingAndTallyingContract {
     
@@ -34,66 +66,102 @@ contract VotingAndTallyingContract {
     uint256 private constant _NOT_ENTERED = 1;
     uint256 private constant _ENTERED = 2;
     uint256 private _status;
+    bool private _initialized;
     
     modifier nonReentrant() {
-        require(_status != _ENTERED, "ReentrancyGuard: reentrant call");
-        _status = _ENTERED;
+        _nonReentrantBefore();
         _;
         _status = _NOT_ENTERED;
     }
+
+    function _nonReentrantBefore() private {
+        require(_status != _ENTERED, "ReentrancyGuard: reentrant call");
+        _status = _ENTERED;
+    }
     
     // Vote record structure
     struct VoteRecord {
-        bytes signatureOnHash;      // σ''v = PKS.sign(hv, Pr'v)
-        bytes32 voteHash;           // hv = H(σ'v, L)
+        bytes signatureOnHash;      // σ''v = PKS.sign(voteHashDigest(L, kv, hv), Pr'v)
+        bytes32 voteHash;           // hv, the voter's latest commitment
         bool voteSubmitted;
         bool voteTallied;
         uint256 submissionTime;
+        uint256 replacements;       // Times the vote was replaced, up to MAX_VOTE_REPLACEMENTS
     }
 
-    // State variables
-    mapping(uint256 => VoteRecord) public votes;
-    mapping(bytes32 => uint256) public tallyResults;    // Final vote counts per candidate
+    // State variables, keyed by electionId
+    mapping(bytes32 => mapping(uint256 => VoteRecord)) public votes;
+    mapping(bytes32 => mapping(bytes32 => uint256)) public tallyResults;   // Final vote counts per candidate
     address public voterRegistrationContract;          // Reference to VoterRegistrationContract
     address public registrationContract;               // Reference to RegistrationContract
-    bool public votingPhaseActive;
-    bool public tallyingPhaseActive;
-    bool public resultsFinalized;
+    mapping(bytes32 => bool) public votingPhaseActive;
+    mapping(bytes32 => bool) public tallyingPhaseActive;
+    mapping(bytes32 => bool) public resultsFinalized;
     
     // Additional tracking variables
-    uint256 public totalVotesCast;
-    uint256 public totalVotesTallied;
+    mapping(bytes32 => uint256) public totalVotesCast;
+    mapping(bytes32 => uint256) public totalVotesTallied;
+
+    // Ranked-choice elections
+    mapping(bytes32 => bytes[]) public rankedBallots;   // Candidate indices in preference order, one byte each
+    mapping(bytes32 => bytes32) public rankedChoiceWinner; // Instant-runoff winner (zero if every ballot exhausted)
+    mapping(bytes32 => RankedChoice.Runoff) internal _rankedRunoffs; // Instant-runoff progress (see countRankedBallots)
+
+    // Encrypted elections, keyed by _setupKey so a reset setup starts without trustees
+    mapping(bytes32 => EncryptedTally.Tally) internal _encryptedTallies;
+
+    // Reveals deposited at voting time for the tally relayer (see lib/tallyRelayer.js)
+    mapping(bytes32 => bytes) internal _revealKeys;     // Relayer's compressed secp256k1 public key, keyed by _setupKey
+
+    // Domain tag for vote hash digests
+    bytes32 public constant VOTE_TYPEHASH = keccak256("LSAG_VOTE_HASH");
+
+    // Replacements allowed after a voter's first vote, which bounds the writes one voting key can make
+    uint256 public constant MAX_VOTE_REPLACEMENTS = 10;
+
+    // Roles are held in RegistrationContract (see RegistrationContract.ELECTION_ADMIN_ROLE)
+    bytes32 private constant ELECTION_ADMIN_ROLE = keccak256("ELECTION_ADMIN_ROLE");
+    bytes32 private constant PHASE_OPERATOR_ROLE = keccak256("PHASE_OPERATOR_ROLE");
 
     // Events
-    event VoteCast(uint256 indexed voterIndex, bytes32 voteHash);
-    event VoteTallied(uint256 indexed voterIndex, bytes32 indexed candidate);
-    event PhaseChanged(string phase, bool active);
-    event ResultsFinalized(bytes32[] candidates, uint256[] voteCounts);
+    event VoteCast(bytes32 indexed electionId, uint256 indexed voterIndex, bytes32 voteHash);
+    event VoteTallied(bytes32 indexed electionId, uint256 indexed voterIndex, bytes32 indexed candidate);
+    event PhaseChanged(bytes32 indexed electionId, string phase, bool active);
+    event ResultsFinalized(bytes32 indexed electionId, bytes32[] candidates, uint256[] voteCounts);
+    event InstantRunoffRound(bytes32 indexed electionId, uint256 indexed round, uint256[] voteCounts, bytes32 eliminated);
+    event InstantRunoffWinner(bytes32 indexed electionId, bytes32 winner, uint256 rounds);
+    event TallyTrusteesSet(bytes32 indexed electionId, uint256[2] publicKey, uint256 threshold, address[] trustees);
+    event DecryptionShareSubmitted(bytes32 indexed electionId, address indexed trustee, uint256 trusteeIndex);
+    event EncryptedTallyDecrypted(bytes32 indexed electionId, uint256[] voteCounts);
+    event RevealKeySet(bytes32 indexed electionId, bytes publicKey);
+    event EncryptedRevealSubmitted(bytes32 indexed electionId, uint256 indexed voterIndex, bytes encryptedReveal);
+    event VoteRejected(bytes32 indexed electionId, uint256 indexed voterIndex, string reason);
+    event RevealRejected(bytes32 indexed electionId, uint256 indexed voterIndex, string reason);
 
     // Modifiers
-    modifier onlyElectionAuthority() {
-        address authority = IRegistrationContract(registrationContract).electionAuthority();
-        require(msg.sender == authority, "Only election authority can call this function");
+    modifier onlyElectionAdmin() {
+        _checkElectionAdmin();
         _;
     }
 
-    modifier onlyDuringVoting() {
-        require(votingPhaseActive, "Voting phase is not active");
-        require(!tallyingPhaseActive, "Tallying phase has started");
+    modifier onlyDuringVoting(bytes32 electionId) {
+        _checkVotingOpen(electionId);
         _;
     }
 
-    modifier onlyDuringTallying() {
-        require(tallyingPhaseActive, "Tallying phase is not active");
-        require(!resultsFinalized, "Results already finalized");
+    modifier onlyDuringTallying(bytes32 electionId) {
+        _checkBeforeFinalization(electionId);
+        require(block.timestamp < _deadlines(electionId).reveal, "Reveal deadline passed");
         _;
     }
 
-    modifier onlyRegisteredVoter(uint256 voterIndex) {
-        require(
-            IVoterRegistrationContract(voterRegistrationContract).isRegistered(voterIndex),
-            "Voter is not registered"
-        );
+    modifier onlyBeforeFinalization(bytes32 electionId) {
+        _checkBeforeFinalization(electionId);
+        _;
+    }
+
+    modifier onlyRegisteredVoter(bytes32 electionId, uint256 voterIndex) {
+        _checkRegisteredVoter(electionId, voterIndex);
         _;
     }
 
@@ -112,222 +180,807 @@ contract VotingAndTallyingContract {
         address _voterRegistrationContract,
         address _registrationContract
     ) {
+        _initialize(_voterRegistrationContract, _registrationContract);
+    }
+
+    /**
+     * @dev Initialize a minimal-proxy clone, which never runs the constructor (see ElectionFactory)
+     * @param _voterRegistrationContract Address of VoterRegistrationContract
+     * @param _registrationContract Address of RegistrationContract
+     */
+    function initialize(
+        address _voterRegistrationContract,
+        address _registrationContract
+    ) external {
+        _initialize(_voterRegistrationContract, _registrationContract);
+    }
+
+    function _initialize(
+        address _voterRegistrationContract,
+        address _registrationContract
+    ) private {
+        require(!_initialized, "Already initialized");
         require(_voterRegistrationContract != address(0), "Invalid voter registration contract");
         require(_registrationContract != address(0), "Invalid registration contract");
         
+        _initialized = true;
         voterRegistrationContract = _voterRegistrationContract;
         registrationContract = _registrationContract;
         _status = _NOT_ENTERED;
     }
 
     /**
-     * @dev Cast a vote during voting phase
-     * @param signatureOnHash Signature on vote hash (σ''v = PKS.sign(hv, Pr'v))
+     * @dev Cast a vote during an election's voting phase
+     * A voter may cast again until voting closes to replace their commitment, e.g. one made under
+     * coercion, up to MAX_VOTE_REPLACEMENTS times; only the latest vote hash can be tallied
+     * @param electionId Election identifier
+     * @param signatureOnHash Signature on vote hash by the registered voting key (σ''v = PKS.sign(voteHashDigest, Pr'v))
      * @param voteHash Vote hash (hv = H(σ'v, L))
      * @param voterIndex Voter's registration index
      * @return success Boolean indicating successful vote casting
      */
     function voting(
+        bytes32 electionId,
         bytes memory signatureOnHash,
         bytes32 voteHash,
         uint256 voterIndex
+    ) 
+        public 
+        returns (bool success) 
+    {
+        return votingWithReveal(electionId, signatureOnHash, voteHash, voterIndex, "");
+    }
+
+    /**
+     * @dev Cast a vote and deposit its reveal for the tally relayer
+     * The reveal σ'v is encrypted to the election's reveal key and only published in
+     * EncryptedRevealSubmitted; the relayer decrypts it and calls tallyBatch once tallying starts.
+     * The contract cannot read it, but a reveal that does not match voteHash is never counted
+     * First votes and replacements both emit VoteCast, so the event does not tell them apart and
+     * the latest vote hash is only final once voting closes
+     * @param electionId Election identifier
+     * @param signatureOnHash Signature on vote hash by the registered voting key (σ''v = PKS.sign(voteHashDigest, Pr'v))
+     * @param voteHash Vote hash (hv = H(σ'v, L))
+     * @param voterIndex Voter's registration index
+     * @param encryptedReveal σ'v encrypted to revealKey(electionId), empty to reveal in person
+     * @return success Boolean indicating successful vote casting
+     */
+    function votingWithReveal(
+        bytes32 electionId,
+        bytes memory signatureOnHash,
+        bytes32 voteHash,
+        uint256 voterIndex,
+        bytes memory encryptedReveal
     ) 
         public 
         nonReentrant 
-        onlyDuringVoting 
-        onlyRegisteredVoter(voterIndex)
+        onlyDuringVoting(electionId) 
+        onlyRegisteredVoter(electionId, voterIndex)
         validVoteData(signatureOnHash, voteHash)
         returns (bool success) 
     {
-        require(!votes[voterIndex].voteSubmitted, "Vote already submitted");
-
-        // Get voter's voting public key
-        IVoterRegistrationContract.VoterRecord memory voterRecord = 
-            IVoterRegistrationContract(voterRegistrationContract).getVoterRecord(voterIndex);
+        require(
+            _ballotConfig(electionId).ballotType != IRegistrationContract.BallotType.Encrypted,
+            "Election uses encrypted ballots"
+        );
 
-        // Verify signature on hash using voter's voting public key
+        // Verify signature on hash using voter's voting public key, over the vote hash it replaces
         require(
-            _verifySignatureOnHash(signatureOnHash, voteHash, voterRecord.votingPublicKey),
+            _verifySignatureOnHash(electionId, voterIndex, signatureOnHash, voteHash),
             "Invalid signature on vote hash"
         );
 
-        // Store vote record
-        votes[voterIndex] = VoteRecord({
+        // Store vote record, replacing any earlier vote
+        votes[electionId][voterIndex] = VoteRecord({
             signatureOnHash: signatureOnHash,
             voteHash: voteHash,
             voteSubmitted: true,
             voteTallied: false,
-            submissionTime: block.timestamp
+            submissionTime: block.timestamp,
+            replacements: _castVote(electionId, voterIndex, voteHash)
         });
 
-        totalVotesCast++;
-        emit VoteCast(voterIndex, voteHash);
+        if (encryptedReveal.length > 0) {
+            require(revealKey(electionId).length > 0, "Reveal key not set");
+            emit EncryptedRevealSubmitted(electionId, voterIndex, encryptedReveal);
+        }
+        return true;
+    }
+
+    /**
+     * @dev Cast many votes in one transaction, e.g. commitments collected by a relayer
+     * Each vote goes through voting(); one that fails emits VoteRejected and the rest are still cast
+     * @param electionId Election identifier
+     * @param signaturesOnHash Signatures on vote hashes (σ''v), one per voter
+     * @param voteHashes Vote hashes (hv)
+     * @param voterIndices Voters' registration indices
+     * @return accepted Whether each vote was cast
+     */
+    function votingBatch(
+        bytes32 electionId,
+        bytes[] memory signaturesOnHash,
+        bytes32[] memory voteHashes,
+        uint256[] memory voterIndices
+    ) 
+        public 
+        returns (bool[] memory accepted) 
+    {
+        require(voterIndices.length > 0, "Empty batch");
+        require(
+            signaturesOnHash.length == voterIndices.length && voteHashes.length == voterIndices.length,
+            "Batch length mismatch"
+        );
+
+        accepted = new bool[](voterIndices.length);
+        for (uint256 i = 0; i < voterIndices.length; i++) {
+            uint256 gasBefore = gasleft();
+            try this.voting(electionId, signaturesOnHash[i], voteHashes[i], voterIndices[i]) returns (bool success) {
+                accepted[i] = success;
+            } catch Error(string memory reason) {
+                emit VoteRejected(electionId, voterIndices[i], reason);
+            } catch {
+                BatchGuard.checkNotOutOfGas(gasBefore);
+                emit VoteRejected(electionId, voterIndices[i], "Vote failed");
+            }
+        }
+    }
+
+    /**
+     * @dev Cast an encrypted ballot during an encrypted election's voting phase
+     * The ballot is checked and folded into the per-candidate encrypted tally straight away,
+     * so there is nothing to reveal; the trustees decrypt the totals once tallying starts.
+     * Proofs are bound to ballotContext(electionId, voterIndex) and cannot be replayed in another slot
+     * A voter can replace their ballot until voting closes, signing over the ballot hash it replaces like
+     * votingWithReveal; the earlier ciphertexts are subtracted from the encrypted tally again
+     * @param electionId Election identifier
+     * @param ballot Ciphertexts and validity proofs, one entry per candidate
+     * @param signatureOnHash Signature by the registered voting key on voteHashDigest of the ballot hash (keccak256(abi.encode(ballot)))
+     * @param voterIndex Voter's registration index
+     * @return success Boolean indicating successful vote casting
+     */
+    function votingEncrypted(
+        bytes32 electionId,
+        EncryptedTally.EncryptedBallot calldata ballot,
+        bytes memory signatureOnHash,
+        uint256 voterIndex
+    ) 
+        public 
+        nonReentrant 
+        onlyDuringVoting(electionId) 
+        onlyRegisteredVoter(electionId, voterIndex)
+        returns (bool success) 
+    {
+        require(signatureOnHash.length > 0, "Signature on hash cannot be empty");
+        require(
+            _ballotConfig(electionId).ballotType == IRegistrationContract.BallotType.Encrypted,
+            "Election does not use encrypted ballots"
+        );
+
+        bytes32 voteHash = keccak256(abi.encode(ballot));
+        require(
+            _verifySignatureOnHash(electionId, voterIndex, signatureOnHash, voteHash),
+            "Invalid signature on vote hash"
+        );
+
+        EncryptedTally.addBallot(_encryptedTally(electionId), voterIndex, ballot, ballotContext(electionId, voterIndex));
+
+        // Encrypted ballots are counted on arrival, so the vote is tallied as soon as it is cast
+        if (!votes[electionId][voterIndex].voteSubmitted) {
+            totalVotesTallied[electionId]++;
+        }
+        votes[electionId][voterIndex] = VoteRecord({
+            signatureOnHash: signatureOnHash,
+            voteHash: voteHash,
+            voteSubmitted: true,
+            voteTallied: true,
+            submissionTime: block.timestamp,
+            replacements: _castVote(electionId, voterIndex, voteHash)
+        });
         return true;
     }
 
     /**
-     * @dev Tally a vote during tallying phase
-     * @param actualVoteSignature Actual vote signature (σ'v = PKS.sign(candidate, Pr'v))
+     * @dev Tally a vote during an election's tallying phase
+     * Plurality votes count toward their candidate and approval ballots toward every selected
+     * candidate. Ranked ballots are stored for the instant-runoff at finalization and count
+     * toward their first preference until then
+     * The reveal opens the vote hash either as a salted commitment hv = H(ballot, salt, L, kv), with
+     * the 32-byte salt appended to σ'v, or as a legacy hv = H(σ'v, L) unless the election only accepts
+     * salted commitments. ballot is the candidate, the approval bitmap or the hash of the preference list
+     * The reveal is authenticated by that opening alone: the vote hash was signed by the voter's registered
+     * voting key when it was cast (σ''v), so the signature carried in σ'v is not checked again here
+     * @param electionId Election identifier
+     * @param actualVoteSignature Actual vote signature (σ'v = PKS.sign(candidate, Pr'v)),
+     * with the approval bitmap in place of the candidate, or prefixed by the preference list for ranked ballots,
+     * followed by the salt for salted commitments
      * @param voterIndex Voter's registration index
      * @return success Boolean indicating successful tallying
      */
     function tally(
+        bytes32 electionId,
         bytes memory actualVoteSignature,
         uint256 voterIndex
     ) 
         public 
         nonReentrant 
-        onlyDuringTallying 
-        onlyRegisteredVoter(voterIndex)
+        onlyDuringTallying(electionId) 
+        onlyRegisteredVoter(electionId, voterIndex)
         returns (bool success) 
     {
-        require(votes[voterIndex].voteSubmitted, "No vote submitted for this voter");
-        require(!votes[voterIndex].voteTallied, "Vote already tallied");
+        VoteRecord storage vote = votes[electionId][voterIndex];
+        require(vote.voteSubmitted, "No vote submitted for this voter");
+        require(!vote.voteTallied, "Vote already tallied");
 
-        // Get election ID
-        bytes32 electionId = IRegistrationContract(registrationContract).electionId();
-        
-        // Verify stored vote hash matches H(actualVoteSignature, electionId)
-        bytes32 computedHash = keccak256(abi.encodePacked(actualVoteSignature, electionId));
+        // A reveal matching H(actualVoteSignature, electionId) opens a legacy commitment,
+        // anything else must end with the salt of H(ballot, salt, electionId, voterIndex)
+        IRegistrationContract.BallotConfig memory config = _ballotConfig(electionId);
+        bool legacy = !config.saltedCommitmentsOnly
+            && keccak256(abi.encodePacked(actualVoteSignature, electionId)) == vote.voteHash;
+        bytes32 salt;
+        if (!legacy) {
+            salt = _takeSalt(actualVoteSignature);
+        }
+
+        // Extract the ballot from the signature and verify it's valid
+        bytes32 ballot;
+        bytes memory preferences;
+        if (config.ballotType == IRegistrationContract.BallotType.RankedChoice) {
+            (preferences, ballot) = _extractRankedBallot(electionId, actualVoteSignature);
+        } else if (config.ballotType == IRegistrationContract.BallotType.Approval) {
+            ballot = bytes32(_extractApprovalBallot(electionId, actualVoteSignature, config.maxSelections));
+        } else {
+            ballot = _extractCandidateFromSignature(actualVoteSignature);
+            require(_isValidCandidate(electionId, ballot), "Invalid candidate");
+        }
         require(
-            computedHash == votes[voterIndex].voteHash,
+            legacy || keccak256(abi.encode(ballot, salt, electionId, voterIndex)) == vote.voteHash,
             "Vote hash verification failed"
         );
 
-        // Extract candidate from signature and verify it's valid
-        bytes32 candidate = _extractCandidateFromSignature(actualVoteSignature);
-        require(_isValidCandidate(candidate), "Invalid candidate");
+        // Increment vote count for the candidate, for every selected candidate, or store a ranked
+        // ballot and count its first preference
+        if (config.ballotType == IRegistrationContract.BallotType.Plurality) {
+            tallyResults[electionId][ballot]++;
+            emit VoteTallied(electionId, voterIndex, ballot);
+        } else if (preferences.length > 0) {
+            rankedBallots[electionId].push(preferences);
+            _countSelections(electionId, voterIndex, 1 << uint8(preferences[0]));
+        } else {
+            _countSelections(electionId, voterIndex, uint256(ballot));
+        }
+        vote.voteTallied = true;
+        totalVotesTallied[electionId]++;
 
-        // Get voter's voting public key for signature verification
-        IVoterRegistrationContract.VoterRecord memory voterRecord = 
-            IVoterRegistrationContract(voterRegistrationContract).getVoterRecord(voterIndex);
+        return true;
+    }
 
-        // Verify signature corresponds to a valid candidate
-        require(
-            _verifyVoteSignature(actualVoteSignature, candidate, voterRecord.votingPublicKey),
-            "Invalid vote signature"
-        );
+    /**
+     * @dev Tally many reveals in one transaction, e.g. those deposited with the tally relayer
+     * Each reveal goes through tally(); one that fails emits RevealRejected and the rest are still counted
+     * @param electionId Election identifier
+     * @param actualVoteSignatures Actual vote signatures (σ'v), one per voter
+     * @param voterIndices Voters' registration indices
+     * @return accepted Whether each reveal was counted
+     */
+    function tallyBatch(
+        bytes32 electionId,
+        bytes[] memory actualVoteSignatures,
+        uint256[] memory voterIndices
+    ) 
+        public 
+        returns (bool[] memory accepted) 
+    {
+        require(actualVoteSignatures.length > 0, "Empty batch");
+        require(actualVoteSignatures.length == voterIndices.length, "Batch length mismatch");
 
-        // Increment vote count for the candidate
-        tallyResults[candidate]++;
-        votes[voterIndex].voteTallied = true;
-        totalVotesTallied++;
+        accepted = new bool[](voterIndices.length);
+        for (uint256 i = 0; i < voterIndices.length; i++) {
+            uint256 gasBefore = gasleft();
+            try this.tally(electionId, actualVoteSignatures[i], voterIndices[i]) returns (bool success) {
+                accepted[i] = success;
+            } catch Error(string memory reason) {
+                emit RevealRejected(electionId, voterIndices[i], reason);
+            } catch {
+                BatchGuard.checkNotOutOfGas(gasBefore);
+                emit RevealRejected(electionId, voterIndices[i], "Reveal failed");
+            }
+        }
+    }
 
-        emit VoteTallied(voterIndex, candidate);
+    /**
+     * @dev Register the public key reveals are encrypted to for the tally relayer
+     * Can be replaced until voting starts
+     * @param electionId Election identifier
+     * @param publicKey Relayer's compressed secp256k1 public key (33 bytes)
+     * @return success Boolean indicating the key was set
+     */
+    function setRevealKey(bytes32 electionId, bytes memory publicKey) 
+        public 
+        onlyElectionAdmin 
+        returns (bool success) 
+    {
+        require(IRegistrationContract(registrationContract).electionSetup(electionId), "Election not setup");
+        require(!votingPhaseActive[electionId] && !tallyingPhaseActive[electionId] && !resultsFinalized[electionId], "Voting already started");
+        require(publicKey.length == 33, "Invalid reveal key");
+
+        _revealKeys[_setupKey(electionId)] = publicKey;
+        emit RevealKeySet(electionId, publicKey);
         return true;
     }
 
     /**
-     * @dev Get tally results
+     * @dev Get an election's tally results
+     * Winners are the candidates with the most votes, up to the configured number of seats,
+     * ties going to the candidate listed first; candidates without votes never win.
+     * Ranked-choice elections report the instant-runoff winner once results are finalized.
+     * Reverts once the election is cancelled, as its partial counts are void
+     * @param electionId Election identifier
      * @return candidates Array of candidate identifiers
      * @return voteCounts Array of vote counts per candidate
+     * @return winners Winning candidates, most votes first
      */
-    function getTallyResults() 
+    function getTallyResults(bytes32 electionId) 
         public 
         view 
-        returns (bytes32[] memory candidates, uint256[] memory voteCounts) 
+        returns (bytes32[] memory candidates, uint256[] memory voteCounts, bytes32[] memory winners) 
     {
-        bytes32[] memory allCandidates = IRegistrationContract(registrationContract).getCandidates();
+        require(_haltState(electionId) != IRegistrationContract.HaltState.Cancelled, "Election cancelled");
+        bytes32[] memory allCandidates = IRegistrationContract(registrationContract).getCandidates(electionId);
         uint256[] memory counts = new uint256[](allCandidates.length);
         
         for (uint256 i = 0; i < allCandidates.length; i++) {
-            counts[i] = tallyResults[allCandidates[i]];
+            counts[i] = tallyResults[electionId][allCandidates[i]];
         }
         
-        return (allCandidates, counts);
+        return (allCandidates, counts, _winners(electionId, allCandidates, counts));
     }
 
     /**
-     * @dev Start voting phase
+     * @dev Register an encrypted election's trustees and their joint key (see lib/trustee.js)
+     * Must be called before voting starts. Any `threshold` trustees can decrypt the tally together
+     * @param electionId Election identifier
+     * @param publicKey Joint encryption key H the ballots are encrypted to
+     * @param threshold Number of decryption shares needed to decrypt the tally
+     * @param trustees Trustee addresses; trustee i holds the key share for x-coordinate i + 1
+     * @param verificationKeys Public key share x_j * G of each trustee
+     * @return success Boolean indicating successful setup
+     */
+    function setTallyTrustees(
+        bytes32 electionId,
+        uint256[2] memory publicKey,
+        uint256 threshold,
+        address[] memory trustees,
+        uint256[2][] memory verificationKeys
+    ) 
+        public 
+        onlyElectionAdmin 
+        returns (bool success) 
+    {
+        require(
+            _ballotConfig(electionId).ballotType == IRegistrationContract.BallotType.Encrypted,
+            "Election does not use encrypted ballots"
+        );
+        EncryptedTally.setTrustees(
+            _encryptedTally(electionId),
+            publicKey,
+            threshold,
+            trustees,
+            verificationKeys,
+            IRegistrationContract(registrationContract).getCandidates(electionId).length
+        );
+
+        emit TallyTrusteesSet(electionId, publicKey, threshold, trustees);
+        return true;
+    }
+
+    /**
+     * @dev Start an election's voting phase
+     * Anyone can start it once the registration deadline has passed
+     * @param electionId Election identifier
      * @return success Boolean indicating successful phase start
      */
-    function startVotingPhase() 
+    function startVotingPhase(bytes32 electionId) 
         public 
-        onlyElectionAuthority 
         returns (bool success) 
     {
+        uint256 deadline = _deadlines(electionId).registration;
+        _checkPhaseOperator(electionId, deadline);
         require(
-            IRegistrationContract(registrationContract).electionSetup(),
+            IRegistrationContract(registrationContract).electionSetup(electionId),
             "Election not setup"
         );
-        require(!votingPhaseActive, "Voting phase already active");
-        require(!tallyingPhaseActive, "Cannot start voting during tallying");
+        require(!votingPhaseActive[electionId], "Voting phase already active");
+        require(!tallyingPhaseActive[electionId], "Cannot start voting during tallying");
+        require(block.timestamp >= deadline, "Registration deadline not reached");
+        require(
+            _ballotConfig(electionId).ballotType != IRegistrationContract.BallotType.Encrypted
+                || _encryptedTally(electionId).threshold != 0,
+            "Tally trustees not set"
+        );
 
-        votingPhaseActive = true;
-        emit PhaseChanged("voting", true);
+        votingPhaseActive[electionId] = true;
+        emit PhaseChanged(electionId, "voting", true);
         return true;
     }
 
     /**
-     * @dev Start tallying phase (ends voting)
+     * @dev Start an election's tallying phase (ends voting)
+     * Anyone can start it once the voting deadline has passed; voting cannot be closed early
+     * @param electionId Election identifier
      * @return success Boolean indicating successful phase transition
      */
-    function startTallyingPhase() 
+    function startTallyingPhase(bytes32 electionId) 
         public 
-        onlyElectionAuthority 
         returns (bool success) 
     {
-        require(votingPhaseActive, "Voting phase must be active first");
-        require(!tallyingPhaseActive, "Tallying phase already active");
+        uint256 deadline = _deadlines(electionId).voting;
+        _checkPhaseOperator(electionId, deadline);
+        require(votingPhaseActive[electionId], "Voting phase must be active first");
+        require(!tallyingPhaseActive[electionId], "Tallying phase already active");
+        require(block.timestamp >= deadline, "Voting deadline not reached");
 
-        votingPhaseActive = false;
-        tallyingPhaseActive = true;
+        votingPhaseActive[electionId] = false;
+        tallyingPhaseActive[electionId] = true;
         
-        emit PhaseChanged("voting", false);
-        emit PhaseChanged("tallying", true);
+        emit PhaseChanged(electionId, "voting", false);
+        emit PhaseChanged(electionId, "tallying", true);
+        return true;
+    }
+
+    /**
+     * @dev Post a trustee's decryption share of an encrypted election's tally
+     * The share is x_j * A for every candidate's aggregate A, each with a proof that it uses the same
+     * x_j as the trustee's verification key. Shares are accepted once tallying has started, and after
+     * the reveal deadline until the results are finalized
+     * @param electionId Election identifier
+     * @param shares x_j * A per candidate
+     * @param proofs (c, s) equality proof per candidate, bound to decryptionContext(electionId, trustee index)
+     * @return success Boolean indicating the share was accepted
+     */
+    function submitDecryptionShare(
+        bytes32 electionId,
+        uint256[2][] memory shares,
+        uint256[2][] memory proofs
+    ) 
+        public 
+        nonReentrant 
+        onlyBeforeFinalization(electionId) 
+        returns (bool success) 
+    {
+        uint256 index = _encryptedTally(electionId).trusteeIndex[msg.sender];
+        require(index != 0, "Only tally trustees can call this function");
+
+        EncryptedTally.addDecryptionShare(
+            _encryptedTally(electionId),
+            index,
+            shares,
+            proofs,
+            decryptionContext(electionId, index)
+        );
+
+        emit DecryptionShareSubmitted(electionId, msg.sender, index);
+        return true;
+    }
+
+    /**
+     * @dev Publish an encrypted election's vote counts, checked against the trustees' shares
+     * Anyone can call once `threshold` shares are in, until the results are finalized, so trustees
+     * can finish after the reveal deadline. The first `threshold` shares are combined by Lagrange
+     * interpolation into x * A, and each count must satisfy count * G == B - x * A.
+     * The counts themselves are found off-chain (combineDecryptionShares in lib/trustee.js)
+     * @param electionId Election identifier
+     * @param voteCounts Vote count per candidate
+     * @return success Boolean indicating the counts were accepted
+     */
+    function decryptTally(bytes32 electionId, uint256[] memory voteCounts) 
+        public 
+        nonReentrant 
+        onlyBeforeFinalization(electionId) 
+        returns (bool success) 
+    {
+        EncryptedTally.decrypt(_encryptedTally(electionId), voteCounts);
+
+        bytes32[] memory allCandidates = IRegistrationContract(registrationContract).getCandidates(electionId);
+        uint256 total;
+        for (uint256 i = 0; i < allCandidates.length; i++) {
+            tallyResults[electionId][allCandidates[i]] = voteCounts[i];
+            total += voteCounts[i];
+        }
+        require(total == totalVotesCast[electionId], "Vote counts do not sum to votes cast");
+
+        emit EncryptedTallyDecrypted(electionId, voteCounts);
         return true;
     }
 
     /**
-     * @dev Finalize results (ends tallying)
+     * @dev Count a page of a ranked-choice election's instant-runoff (see RankedChoice.countBallots)
+     * Anyone can call once the reveal deadline has passed, until the results are finalized; each call
+     * counts at most maxBallots ballots, and rounds emit InstantRunoffRound as they end
+     * @param electionId Election identifier
+     * @param maxBallots Most ballots to count in this call
+     * @return complete Whether the runoff has found its winner, so the results can be finalized
+     */
+    function countRankedBallots(bytes32 electionId, uint256 maxBallots) 
+        public 
+        nonReentrant 
+        onlyBeforeFinalization(electionId) 
+        returns (bool complete) 
+    {
+        require(block.timestamp >= _deadlines(electionId).reveal, "Reveal deadline not reached");
+        require(
+            _ballotConfig(electionId).ballotType == IRegistrationContract.BallotType.RankedChoice,
+            "Election does not use ranked ballots"
+        );
+
+        RankedChoice.Runoff storage runoff = _rankedRunoffs[electionId];
+        complete = RankedChoice.countBallots(
+            runoff,
+            electionId,
+            rankedBallots[electionId],
+            IRegistrationContract(registrationContract).getCandidates(electionId),
+            maxBallots
+        );
+        rankedChoiceWinner[electionId] = runoff.winner;
+    }
+
+    /**
+     * @dev Finalize an election's results (ends tallying)
+     * Anyone can finalize once the reveal deadline has passed; reveals cannot be closed early
+     * Ranked-choice elections must have completed their instant-runoff (countRankedBallots) and
+     * encrypted elections must have had their tally decrypted first
+     * @param electionId Election identifier
      * @return success Boolean indicating successful finalization
      */
-    function finalizeResults() 
+    function finalizeResults(bytes32 electionId) 
         public 
-        onlyElectionAuthority 
         returns (bool success) 
     {
-        require(tallyingPhaseActive, "Tallying phase must be active");
-        require(!resultsFinalized, "Results already finalized");
+        uint256 deadline = _deadlines(electionId).reveal;
+        _checkPhaseOperator(electionId, deadline);
+        require(tallyingPhaseActive[electionId], "Tallying phase must be active");
+        require(!resultsFinalized[electionId], "Results already finalized");
+        require(block.timestamp >= deadline, "Reveal deadline not reached");
 
-        tallyingPhaseActive = false;
-        resultsFinalized = true;
+        IRegistrationContract.BallotType ballotType = _ballotConfig(electionId).ballotType;
+        require(
+            ballotType != IRegistrationContract.BallotType.Encrypted || _encryptedTally(electionId).decrypted,
+            "Encrypted tally not decrypted"
+        );
+        require(
+            ballotType != IRegistrationContract.BallotType.RankedChoice || _rankedRunoffs[electionId].complete,
+            "Instant-runoff not complete"
+        );
+
+        tallyingPhaseActive[electionId] = false;
+        resultsFinalized[electionId] = true;
 
-        (bytes32[] memory candidates, uint256[] memory voteCounts) = getTallyResults();
+        (bytes32[] memory candidates, uint256[] memory voteCounts, ) = getTallyResults(electionId);
         
-        emit PhaseChanged("tallying", false);
-        emit ResultsFinalized(candidates, voteCounts);
+        emit PhaseChanged(electionId, "tallying", false);
+        emit ResultsFinalized(electionId, candidates, voteCounts);
         return true;
     }
 
     /**
-     * @dev Internal function to verify signature on hash
+     * @dev Internal function to check the caller may move an election between phases, and it is not halted
+     * Only phase operators may call before the transition's deadline; once it has passed anyone may
+     * @param electionId Election identifier
+     * @param deadline Deadline the transition waits for
+     */
+    function _checkPhaseOperator(bytes32 electionId, uint256 deadline) internal view {
+        if (block.timestamp < deadline && !IRegistrationContract(registrationContract).isPhaseOperator(msg.sender)) {
+            revert IAccessControl.AccessControlUnauthorizedAccount(msg.sender, PHASE_OPERATOR_ROLE);
+        }
+        _checkNotHalted(electionId);
+    }
+
+    /**
+     * @dev Internal function to check the caller holds ELECTION_ADMIN_ROLE in RegistrationContract
+     */
+    function _checkElectionAdmin() internal view {
+        if (!IRegistrationContract(registrationContract).hasRole(ELECTION_ADMIN_ROLE, msg.sender)) {
+            revert IAccessControl.AccessControlUnauthorizedAccount(msg.sender, ELECTION_ADMIN_ROLE);
+        }
+    }
+
+    /**
+     * @dev Internal function to key state configured during setup by the election's current setup
+     * RegistrationContract.resetElectionSetup bumps resetCount, so a new setup starts from empty state
+     * @param electionId Election identifier
+     * @return key Storage key of the current setup
+     */
+    function _setupKey(bytes32 electionId) internal view returns (bytes32 key) {
+        return keccak256(abi.encode(electionId, IRegistrationContract(registrationContract).resetCount(electionId)));
+    }
+
+    /**
+     * @dev Internal function to get the encrypted tally of an election's current setup
+     * @param electionId Election identifier
+     * @return encryptedTally Tally storage
+     */
+    function _encryptedTally(bytes32 electionId) internal view returns (EncryptedTally.Tally storage encryptedTally) {
+        return _encryptedTallies[_setupKey(electionId)];
+    }
+
+    /**
+     * @dev Internal function to check an election's voting phase is open
+     */
+    function _checkVotingOpen(bytes32 electionId) internal view {
+        _checkNotHalted(electionId);
+        require(votingPhaseActive[electionId], "Voting phase is not active");
+        require(!tallyingPhaseActive[electionId], "Tallying phase has started");
+        require(block.timestamp < _deadlines(electionId).voting, "Voting deadline passed");
+    }
+
+    /**
+     * @dev Internal function to check a voter index is registered in VoterRegistrationContract, and that
+     * a request relayed through the trusted forwarder was signed by its voting key
+     * The forwarder appends the request's signer to the calldata; direct calls are left to the payload's signatures
+     */
+    function _checkRegisteredVoter(bytes32 electionId, uint256 voterIndex) internal view {
+        require(
+            IVoterRegistrationContract(voterRegistrationContract).isRegistered(electionId, voterIndex),
+            "Voter is not registered"
+        );
+        if (isTrustedForwarder(msg.sender)) {
+            require(
+                IVoterRegistrationContract(voterRegistrationContract).isVotingKey(
+                    electionId, voterIndex, address(bytes20(msg.data[msg.data.length - 20:]))
+                ),
+                "Request not signed by the voter"
+            );
+        }
+    }
+
+    /**
+     * @dev Internal function to check tallying has started and the results are not finalized yet
+     */
+    function _checkBeforeFinalization(bytes32 electionId) internal view {
+        _checkNotHalted(electionId);
+        require(tallyingPhaseActive[electionId], "Tallying phase is not active");
+        require(!resultsFinalized[electionId], "Results already finalized");
+    }
+
+    /**
+     * @dev Internal function to check the election is neither paused nor cancelled
+     */
+    function _checkNotHalted(bytes32 electionId) internal view {
+        require(_haltState(electionId) == IRegistrationContract.HaltState.None, "Election halted");
+    }
+
+    /**
+     * @dev Internal function to read whether an election is paused or cancelled from RegistrationContract
+     */
+    function _haltState(bytes32 electionId) internal view returns (IRegistrationContract.HaltState) {
+        return IRegistrationContract(registrationContract).getHaltState(electionId);
+    }
+
+    /**
+     * @dev Internal function to read an election's phase deadlines from RegistrationContract
+     */
+    function _deadlines(bytes32 electionId) internal view returns (IRegistrationContract.PhaseDeadlines memory) {
+        return IRegistrationContract(registrationContract).getDeadlines(electionId);
+    }
+
+    /**
+     * @dev Internal function to read an election's ballot configuration from RegistrationContract
+     */
+    function _ballotConfig(bytes32 electionId) internal view returns (IRegistrationContract.BallotConfig memory) {
+        return IRegistrationContract(registrationContract).getBallotConfig(electionId);
+    }
+
+    /**
+     * @dev Internal function to pick an election's winners from its vote counts
+     * @param electionId Election identifier
+     * @param allCandidates The election's candidates
+     * @param counts Vote counts per candidate
+     * @return winners Winning candidates, most votes first
+     */
+    function _winners(
+        bytes32 electionId,
+        bytes32[] memory allCandidates,
+        uint256[] memory counts
+    ) 
+        internal 
+        view 
+        returns (bytes32[] memory winners) 
+    {
+        IRegistrationContract.BallotConfig memory config = _ballotConfig(electionId);
+        if (config.ballotType == IRegistrationContract.BallotType.RankedChoice) {
+            bytes32 winner = rankedChoiceWinner[electionId];
+            winners = new bytes32[](winner == bytes32(0) ? 0 : 1);
+            if (winner != bytes32(0)) {
+                winners[0] = winner;
+            }
+            return winners;
+        }
+
+        bytes32[] memory elected = new bytes32[](config.seats);
+        bool[] memory isElected = new bool[](allCandidates.length);
+        uint256 seatsFilled;
+        for (; seatsFilled < config.seats; seatsFilled++) {
+            uint256 best = allCandidates.length;
+            for (uint256 i = 0; i < allCandidates.length; i++) {
+                if (isElected[i] || counts[i] == 0) continue;
+                if (best == allCandidates.length || counts[i] > counts[best]) best = i;
+            }
+            if (best == allCandidates.length) break;
+
+            isElected[best] = true;
+            elected[seatsFilled] = allCandidates[best];
+        }
+
+        winners = new bytes32[](seatsFilled);
+        for (uint256 i = 0; i < seatsFilled; i++) {
+            winners[i] = elected[i];
+        }
+    }
+
+    /**
+     * @dev Count a vote cast into a voter's slot, before the slot is overwritten: a first vote adds to
+     * totalVotesCast and a replacement to the slot's replacements, up to MAX_VOTE_REPLACEMENTS
+     * @param electionId Election identifier
+     * @param voterIndex Voter's registration index
+     * @param voteHash The new vote hash
+     * @return replacements The slot's replacements once this vote is stored
+     */
+    function _castVote(bytes32 electionId, uint256 voterIndex, bytes32 voteHash) private returns (uint256 replacements) {
+        VoteRecord storage record = votes[electionId][voterIndex];
+        if (record.voteSubmitted) {
+            replacements = record.replacements + 1;
+            require(replacements <= MAX_VOTE_REPLACEMENTS, "Vote replacement limit reached");
+        } else {
+            totalVotesCast[electionId]++;
+        }
+        emit VoteCast(electionId, voterIndex, voteHash);
+    }
+
+    /**
+     * @dev Internal function to verify signature on hash (PKS.verify with ECDSA)
+     * σ''v must be signed by the voting key registered at voterIndex over voteHashDigest, so a vote
+     * can neither be cast into another voter's slot nor replayed in another election or contract
+     * @param electionId Election identifier
+     * @param voterIndex Voter's registration index
      * @param signatureOnHash The signature on the hash
      * @param voteHash The vote hash
-     * @param votingPublicKey Voter's voting public key
      * @return valid Boolean indicating signature validity
      */
     function _verifySignatureOnHash(
+        bytes32 electionId,
+        uint256 voterIndex,
         bytes memory signatureOnHash,
-        bytes32 voteHash,
-        bytes memory votingPublicKey
+        bytes32 voteHash
     ) 
         internal 
-        pure 
+        view 
         returns (bool valid) 
     {
-        // Implementation note: This is a simplified verification
-        // In a real implementation, this would use actual PKS.verify
-        
-        bytes32 messageHash = keccak256(abi.encodePacked(voteHash, votingPublicKey));
-        bytes32 sigHash = keccak256(signatureOnHash);
-        
-        // This is a placeholder verification - replace with actual PKS verification
-        return sigHash != bytes32(0) && messageHash != bytes32(0);
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(
+            voteHashDigest(electionId, voterIndex, voteHash),
+            signatureOnHash
+        );
+        return error == ECDSA.RecoverError.NoError
+            && IVoterRegistrationContract(voterRegistrationContract).isVotingKey(electionId, voterIndex, signer);
+    }
+
+    /**
+     * @dev Internal function to split the salt of a salted commitment off the end of a reveal
+     * @param reveal σ'v followed by the 32-byte salt, shortened in place to σ'v
+     * @return salt The salt
+     */
+    function _takeSalt(bytes memory reveal) internal pure returns (bytes32 salt) {
+        // Every ballot takes at least 32 bytes, so anything shorter cannot open a salted commitment
+        require(reveal.length >= 64, "Vote hash verification failed");
+        assembly {
+            let length := mload(reveal)
+            salt := mload(add(reveal, length))
+            mstore(reveal, sub(length, 32))
+        }
     }
 
     /**
      * @dev Internal function to extract candidate from vote signature
+     * σ'v starts with the 32-byte candidate, followed by the voting key's signature over it
      * @param voteSignature The vote signature
      * @return candidate The candidate identifier
      */
@@ -336,124 +989,320 @@ contract VotingAndTallyingContract {
         pure 
         returns (bytes32 candidate) 
     {
-        // Implementation note: This is a simplified extraction
-        // In a real implementation, this would parse the actual signature structure
-        
         require(voteSignature.length >= 32, "Invalid vote signature length");
-        
-        // Extract candidate from signature (simplified approach)
-        bytes32 extractedCandidate;
         assembly {
-            extractedCandidate := mload(add(voteSignature, 32))
+            candidate := mload(add(voteSignature, 32))
         }
-        
-        return extractedCandidate;
     }
 
     /**
-     * @dev Internal function to check if candidate is valid
-     * @param candidate The candidate identifier to check
-     * @return valid Boolean indicating candidate validity
+     * @dev Internal function to extract a ranked ballot from a vote signature (see RankedChoice.extractBallot)
+     * @param electionId The election the ballot was cast in
+     * @param voteSignature The vote signature
+     * @return preferences Candidate indices in preference order, one byte each
+     * @return ballot Hash of the preference list, the message the voter signed
      */
-    function _isValidCandidate(bytes32 candidate) 
+    function _extractRankedBallot(bytes32 electionId, bytes memory voteSignature) 
         internal 
         view 
-        returns (bool valid) 
+        returns (bytes memory preferences, bytes32 ballot) 
     {
-        bytes32[] memory validCandidates = IRegistrationContract(registrationContract).getCandidates();
-        
-        for (uint256 i = 0; i < validCandidates.length; i++) {
-            if (validCandidates[i] == candidate) {
-                return true;
+        return RankedChoice.extractBallot(
+            IRegistrationContract(registrationContract).getCandidates(electionId),
+            voteSignature
+        );
+    }
+
+    /**
+     * @dev Internal function to add one vote to every selected candidate
+     * @param electionId Election identifier
+     * @param voterIndex Voter's registration index
+     * @param selections Bitmap of selected candidate indices
+     */
+    function _countSelections(bytes32 electionId, uint256 voterIndex, uint256 selections) internal {
+        bytes32[] memory allCandidates = IRegistrationContract(registrationContract).getCandidates(electionId);
+        for (uint256 i = 0; i < allCandidates.length; i++) {
+            if (selections & (1 << i) != 0) {
+                tallyResults[electionId][allCandidates[i]]++;
+                emit VoteTallied(electionId, voterIndex, allCandidates[i]);
             }
         }
-        
-        return false;
     }
 
     /**
-     * @dev Internal function to verify vote signature
+     * @dev Internal function to extract an approval ballot from a vote signature
+     * Layout: bitmap (32 bytes, bit i selects candidate i) || signature
+     * @param electionId The election the ballot was cast in
      * @param voteSignature The vote signature
-     * @param candidate The candidate being voted for
-     * @param votingPublicKey Voter's voting public key
-     * @return valid Boolean indicating signature validity
+     * @param maxSelections Most candidates the ballot may select, 0 for any number
+     * @return selections Bitmap of selected candidate indices
      */
-    function _verifyVoteSignature(
+    function _extractApprovalBallot(
+        bytes32 electionId,
         bytes memory voteSignature,
-        bytes32 candidate,
-        bytes memory votingPublicKey
+        uint256 maxSelections
     ) 
         internal 
-        pure 
+        view 
+        returns (uint256 selections) 
+    {
+        require(voteSignature.length >= 32, "Invalid vote signature length");
+        assembly {
+            selections := mload(add(voteSignature, 32))
+        }
+
+        uint256 candidateCount = IRegistrationContract(registrationContract).getCandidates(electionId).length;
+        require(selections != 0, "Empty approval ballot");
+        require(candidateCount >= 256 || selections >> candidateCount == 0, "Invalid candidate");
+
+        if (maxSelections > 0) {
+            uint256 selected;
+            for (uint256 remaining = selections; remaining != 0; remaining &= remaining - 1) {
+                selected++;
+            }
+            require(selected <= maxSelections, "Too many selections");
+        }
+    }
+
+    /**
+     * @dev Internal function to check if candidate is valid
+     * @param electionId The election the candidate must stand in
+     * @param candidate The candidate identifier to check
+     * @return valid Boolean indicating candidate validity
+     */
+    function _isValidCandidate(bytes32 electionId, bytes32 candidate) 
+        internal 
+        view 
         returns (bool valid) 
     {
-        // Implementation note: This is a simplified verification
-        // In a real implementation, this would use actual PKS.verify
+        bytes32[] memory validCandidates = IRegistrationContract(registrationContract).getCandidates(electionId);
         
-        bytes32 messageHash = keccak256(abi.encodePacked(candidate, votingPublicKey));
-        bytes32 sigHash = keccak256(voteSignature);
+        for (uint256 i = 0; i < validCandidates.length; i++) {
+            if (validCandidates[i] == candidate) {
+                return true;
+            }
+        }
         
-        // This is a placeholder verification - replace with actual PKS verification
-        return sigHash != bytes32(0) && messageHash != bytes32(0);
+        return false;
     }
 
     /**
-     * @dev Get voting statistics
+     * @dev Get an election's voting statistics
+     * @param electionId Election identifier
      * @return totalRegistered Total registered voters
      * @return votesCast Total votes cast
      * @return votesTallied Total votes tallied
-     * @return currentPhase Current election phase
+     * @return currentPhase Current election phase, "cancelled" or "paused" while the election is halted
+     * @return deadlines Certificate, registration, voting and reveal deadlines
+     * @return timeRemaining Seconds until the deadline that ends the current phase (0 once reached or while halted)
      */
-    function getVotingStats() 
+    function getVotingStats(bytes32 electionId) 
         public 
         view 
         returns (
             uint256 totalRegistered,
             uint256 votesCast,
             uint256 votesTallied,
-            string memory currentPhase
+            string memory currentPhase,
+            IRegistrationContract.PhaseDeadlines memory deadlines,
+            uint256 timeRemaining
         ) 
     {
-        totalRegistered = IVoterRegistrationContract(voterRegistrationContract).getVoterCount();
-        votesCast = totalVotesCast;
-        votesTallied = totalVotesTallied;
+        totalRegistered = IVoterRegistrationContract(voterRegistrationContract).getVoterCount(electionId);
+        votesCast = totalVotesCast[electionId];
+        votesTallied = totalVotesTallied[electionId];
         
-        if (resultsFinalized) {
+        deadlines = _deadlines(electionId);
+
+        uint256 phaseDeadline;
+        IRegistrationContract.HaltState haltState = _haltState(electionId);
+        if (haltState != IRegistrationContract.HaltState.None) {
+            currentPhase = haltState == IRegistrationContract.HaltState.Cancelled ? "cancelled" : "paused";
+        } else if (resultsFinalized[electionId]) {
             currentPhase = "finalized";
-        } else if (tallyingPhaseActive) {
+        } else if (tallyingPhaseActive[electionId]) {
             currentPhase = "tallying";
-        } else if (votingPhaseActive) {
+            phaseDeadline = deadlines.reveal;
+        } else if (votingPhaseActive[electionId]) {
             currentPhase = "voting";
+            phaseDeadline = deadlines.voting;
         } else {
             currentPhase = "setup";
+            phaseDeadline = deadlines.registration;
         }
+        timeRemaining = phaseDeadline > block.timestamp ? phaseDeadline - block.timestamp : 0;
         
-        return (totalRegistered, votesCast, votesTallied, currentPhase);
+        return (totalRegistered, votesCast, votesTallied, currentPhase, deadlines, timeRemaining);
+    }
+
+    /**
+     * @dev Digest a voting key signs to cast a vote hash (σ''v = PKS.sign(digest, Pr'v))
+     * Bound to this contract, chain, election and voter slot so the signature cannot be replayed elsewhere,
+     * and to the vote hash currently in the slot (zero before the first vote), so a replaced vote
+     * cannot be cast again from its old signature
+     * @param electionId Election identifier
+     * @param voterIndex Voter's registration index
+     * @param voteHash Vote hash (hv), or the ballot hash for encrypted ballots
+     * @return digest keccak256(abi.encode(VOTE_TYPEHASH, chainid, this contract, electionId, voterIndex, voteHash,
+     * current vote hash))
+     */
+    function voteHashDigest(bytes32 electionId, uint256 voterIndex, bytes32 voteHash) 
+        public 
+        view 
+        returns (bytes32 digest) 
+    {
+        return keccak256(abi.encode(
+            VOTE_TYPEHASH,
+            block.chainid,
+            address(this),
+            electionId,
+            voterIndex,
+            voteHash,
+            votes[electionId][voterIndex].voteHash
+        ));
+    }
+
+    /**
+     * @dev Get the domain an encrypted ballot's proofs are bound to
+     * @param electionId Election identifier
+     * @param voterIndex Voter's registration index
+     * @return context keccak256(chainid, this contract, electionId, voterIndex)
+     */
+    function ballotContext(bytes32 electionId, uint256 voterIndex) 
+        public 
+        view 
+        returns (bytes32 context) 
+    {
+        return keccak256(abi.encodePacked(block.chainid, address(this), electionId, voterIndex));
+    }
+
+    /**
+     * @dev Whether votes and reveals may be relayed through a forwarder (ERC-2771)
+     * A relayed request must be signed by the voting key registered for its voter index
+     * @param forwarder Address to check
+     * @return True if it is the RegistrationContract's trustedForwarder
+     */
+    function isTrustedForwarder(address forwarder) 
+        public 
+        view 
+        returns (bool) 
+    {
+        return forwarder == IRegistrationContract(registrationContract).trustedForwarder();
+    }
+
+    /**
+     * @dev Get the domain a trustee's decryption proofs are bound to
+     * @param electionId Election identifier
+     * @param index Trustee index (1-based)
+     * @return context keccak256("decryption", chainid, this contract, electionId, index)
+     */
+    function decryptionContext(bytes32 electionId, uint256 index) 
+        public 
+        view 
+        returns (bytes32 context) 
+    {
+        return keccak256(abi.encodePacked("decryption", block.chainid, address(this), electionId, index));
+    }
+
+    /**
+     * @dev Get an encrypted election's trustees and keys
+     * @param electionId Election identifier
+     * @return publicKey Joint encryption key H
+     * @return threshold Number of decryption shares needed
+     * @return trustees Trustee addresses, in index order
+     * @return verificationKeys Public key share of each trustee
+     */
+    function getTallyTrustees(bytes32 electionId) 
+        public 
+        view 
+        returns (
+            uint256[2] memory publicKey,
+            uint256 threshold,
+            address[] memory trustees,
+            uint256[2][] memory verificationKeys
+        ) 
+    {
+        EncryptedTally.Tally storage encryptedTally = _encryptedTally(electionId);
+        trustees = encryptedTally.trustees;
+        verificationKeys = new uint256[2][](trustees.length);
+        for (uint256 i = 0; i < trustees.length; i++) {
+            verificationKeys[i] = encryptedTally.verificationKeys[i + 1];
+        }
+        return (encryptedTally.publicKey, encryptedTally.threshold, trustees, verificationKeys);
+    }
+
+    /**
+     * @dev Get an encrypted election's running tally and decryption progress
+     * @param electionId Election identifier
+     * @return a Sum of the ballots' a components, per candidate
+     * @return b Sum of the ballots' b components, per candidate
+     * @return shareIndices Indices of the trustees that posted decryption shares, in submission order
+     * @return decrypted Whether the vote counts have been published
+     */
+    function getEncryptedTally(bytes32 electionId) 
+        public 
+        view 
+        returns (uint256[2][] memory a, uint256[2][] memory b, uint256[] memory shareIndices, bool decrypted) 
+    {
+        EncryptedTally.Tally storage encryptedTally = _encryptedTally(electionId);
+        return (encryptedTally.a, encryptedTally.b, encryptedTally.shareIndices, encryptedTally.decrypted);
+    }
+
+    /**
+     * @dev Get the public key reveals are encrypted to for the tally relayer
+     * @param electionId Election identifier
+     * @return publicKey Compressed secp256k1 public key, empty if not set for the current setup
+     */
+    function revealKey(bytes32 electionId) 
+        public 
+        view 
+        returns (bytes memory publicKey) 
+    {
+        return _revealKeys[_setupKey(electionId)];
+    }
+
+    /**
+     * @dev Get a trustee's decryption share
+     * @param electionId Election identifier
+     * @param trustee Trustee address
+     * @return index Trustee index (0 if not a trustee)
+     * @return shares x_j * A per candidate (empty until submitted)
+     */
+    function getDecryptionShare(bytes32 electionId, address trustee) 
+        public 
+        view 
+        returns (uint256 index, uint256[2][] memory shares) 
+    {
+        EncryptedTally.Tally storage encryptedTally = _encryptedTally(electionId);
+        index = encryptedTally.trusteeIndex[trustee];
+        return (index, encryptedTally.shares[index]);
     }
 
     /**
-     * @dev Check if voter has cast a vote
+     * @dev Check if voter has cast a vote in an election
+     * @param electionId Election identifier
      * @param voterIndex Voter's registration index
      * @return voted Boolean indicating if vote was cast
      */
-    function hasVoted(uint256 voterIndex) 
+    function hasVoted(bytes32 electionId, uint256 voterIndex) 
         public 
         view 
         returns (bool voted) 
     {
-        return votes[voterIndex].voteSubmitted;
+        return votes[electionId][voterIndex].voteSubmitted;
     }
 
     /**
-     * @dev Check if voter's vote has been tallied
+     * @dev Check if voter's vote has been tallied in an election
+     * @param electionId Election identifier
      * @param voterIndex Voter's registration index
      * @return isTallied Boolean indicating if vote was tallied
      */
-    function isVoteTallied(uint256 voterIndex) 
+    function isVoteTallied(bytes32 electionId, uint256 voterIndex) 
         public 
         view 
         returns (bool isTallied) 
     {
-        return votes[voterIndex].voteTallied;
+        return votes[electionId][voterIndex].voteTallied;
     }
 }
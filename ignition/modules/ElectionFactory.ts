@@ -0,0 +1,45 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+const ElectionFactoryModule = buildModule("ElectionFactoryModule", (m) => {
+  // The implementations are cloned for every election, so their own wiring only has to be valid.
+  // The deployer acts as the implementations' election authority
+  const implementationAuthority = m.getAccount(0);
+  // Timelock in seconds on the election admin role of every election created; 0 for test and demo setups
+  const electionAdminDelay = m.getParameter("electionAdminDelay", 2 * 24 * 60 * 60);
+
+  // Deploy the implementations in the same order as the single-election modules
+  const ringSnapshot = m.library("RingSnapshot");
+  const issuerRegistry = m.library("IssuerRegistry");
+  const registrationImplementation = m.contract("RegistrationContract", [implementationAuthority, electionAdminDelay], {
+    libraries: { RingSnapshot: ringSnapshot, IssuerRegistry: issuerRegistry }
+  });
+  const voterRegistrationImplementation = m.contract("VoterRegistrationContract", [registrationImplementation]);
+  const encryptedTally = m.library("EncryptedTally");
+  const rankedChoice = m.library("RankedChoice");
+  const votingAndTallyingImplementation = m.contract("VotingAndTallyingContract", [
+    voterRegistrationImplementation,
+    registrationImplementation
+  ], {
+    libraries: { EncryptedTally: encryptedTally, RankedChoice: rankedChoice }
+  });
+
+  // Deploy the factory over the implementations
+  const electionFactory = m.contract("ElectionFactory", [
+    registrationImplementation,
+    voterRegistrationImplementation,
+    votingAndTallyingImplementation,
+    electionAdminDelay
+  ]);
+
+  return {
+    electionFactory,
+    registrationImplementation,
+    voterRegistrationImplementation,
+    votingAndTallyingImplementation
+  };
+});
+
+export default ElectionFactoryModule;
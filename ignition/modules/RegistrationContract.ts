@@ -7,9 +7,15 @@ const RegistrationContractModule = buildModule("RegistrationContractModule", (m)
   // Parameter for election authority address
   // You can override this when deploying by passing parameters
   const electionAuthority = m.getParameter("electionAuthority", "0x3d7178De2A7d863629d429635db30A687A0A2f65");
+  // Timelock in seconds on election admin grants and revocations; 0 for test and demo setups
+  const electionAdminDelay = m.getParameter("electionAdminDelay", 2 * 24 * 60 * 60);
 
-  // Deploy the RegistrationContract
-  const registrationContract = m.contract("RegistrationContract", [electionAuthority]);
+  // Deploy the RingSnapshot and IssuerRegistry libraries the contract links against, then the RegistrationContract
+  const ringSnapshot = m.library("RingSnapshot");
+  const issuerRegistry = m.library("IssuerRegistry");
+  const registrationContract = m.contract("RegistrationContract", [electionAuthority, electionAdminDelay], {
+    libraries: { RingSnapshot: ringSnapshot, IssuerRegistry: issuerRegistry }
+  });
 
   return { registrationContract };
 });
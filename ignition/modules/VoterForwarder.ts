@@ -0,0 +1,26 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import VotingAndTallyingContractModule from "./VotingAndTallyingContract";
+
+const VoterForwarderModule = buildModule("VoterForwarderModule", (m) => {
+  // Import the three election contracts
+  const { votingAndTallyingContract, voterRegistrationContract, registrationContract } =
+    m.useModule(VotingAndTallyingContractModule);
+
+  // Deploy the forwarder relayers submit voters' signed requests through
+  const voterForwarder = m.contract("VoterForwarder");
+
+  // The deployer is the default admin, which names the trusted forwarder
+  m.call(registrationContract, "setTrustedForwarder", [voterForwarder]);
+
+  return {
+    voterForwarder,
+    votingAndTallyingContract,
+    voterRegistrationContract,
+    registrationContract
+  };
+});
+
+export default VoterForwarderModule;
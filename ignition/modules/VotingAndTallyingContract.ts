@@ -8,11 +8,17 @@ const VotingAndTallyingContractModule = buildModule("VotingAndTallyingContractMo
   // Import both previous contracts from the VoterRegistrationContract module
   const { voterRegistrationContract, registrationContract } = m.useModule(VoterRegistrationContractModule);
 
+  // Deploy the EncryptedTally and RankedChoice libraries the contract links against
+  const encryptedTally = m.library("EncryptedTally");
+  const rankedChoice = m.library("RankedChoice");
+
   // Deploy the VotingAndTallyingContract with both contract addresses
   const votingAndTallyingContract = m.contract("VotingAndTallyingContract", [
     voterRegistrationContract,
     registrationContract
-  ]);
+  ], {
+    libraries: { EncryptedTally: encryptedTally, RankedChoice: rankedChoice }
+  });
 
   return { 
     votingAndTallyingContract,
@@ -0,0 +1,216 @@
+const { ethers } = require("ethers");
+
+/**
+ * alt_bn128 (BN254) G1 arithmetic matching contracts/AltBn128.sol.
+ * Points are [x, y] arrays of BigInt; null is the point at infinity.
+ */
+
+// Field modulus p
+const P = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+// Group order n
+const N = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+// (p + 1) / 4
+const SQRT_EXPONENT = (P + 1n) / 4n;
+
+const G = [1n, 2n];
+
+function mod(a, m = P) {
+  const r = a % m;
+  return r >= 0n ? r : r + m;
+}
+
+function modPow(base, exponent, modulus = P) {
+  let result = 1n;
+  let b = mod(base, modulus);
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+}
+
+function modInv(a, m = P) {
+  let [oldR, r] = [mod(a, m), m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+  if (oldR !== 1n) throw new Error("Value is not invertible");
+  return mod(oldS, m);
+}
+
+function isOnCurve(point) {
+  if (point === null) return false;
+  const [x, y] = point;
+  if (x < 0n || y < 0n || x >= P || y >= P) return false;
+  return mod(y * y) === mod(x * x * x + 3n);
+}
+
+function add(p1, p2) {
+  if (p1 === null) return p2;
+  if (p2 === null) return p1;
+  const [x1, y1] = p1;
+  const [x2, y2] = p2;
+  let lambda;
+  if (x1 === x2) {
+    if (mod(y1 + y2) === 0n) return null;
+    lambda = mod(3n * x1 * x1 * modInv(2n * y1));
+  } else {
+    lambda = mod((y2 - y1) * modInv(x2 - x1));
+  }
+  const x3 = mod(lambda * lambda - x1 - x2);
+  const y3 = mod(lambda * (x1 - x3) - y1);
+  return [x3, y3];
+}
+
+function neg(point) {
+  if (point === null) return null;
+  return [point[0], mod(-point[1])];
+}
+
+// Jacobian (X, Y, Z) helpers used by mul to avoid an inversion per step
+function jacobianDouble([x, y, z]) {
+  if (y === 0n) return [0n, 1n, 0n];
+  const ySq = mod(y * y);
+  const s = mod(4n * x * ySq);
+  const m = mod(3n * x * x);
+  const nx = mod(m * m - 2n * s);
+  const ny = mod(m * (s - nx) - 8n * ySq * ySq);
+  const nz = mod(2n * y * z);
+  return [nx, ny, nz];
+}
+
+function jacobianAdd(p1, p2) {
+  if (p1[2] === 0n) return p2;
+  if (p2[2] === 0n) return p1;
+  const z1Sq = mod(p1[2] * p1[2]);
+  const z2Sq = mod(p2[2] * p2[2]);
+  const u1 = mod(p1[0] * z2Sq);
+  const u2 = mod(p2[0] * z1Sq);
+  const s1 = mod(p1[1] * z2Sq * p2[2]);
+  const s2 = mod(p2[1] * z1Sq * p1[2]);
+  if (u1 === u2) {
+    return s1 === s2 ? jacobianDouble(p1) : [0n, 1n, 0n];
+  }
+  const h = mod(u2 - u1);
+  const r = mod(s2 - s1);
+  const hSq = mod(h * h);
+  const hCu = mod(hSq * h);
+  const u1hSq = mod(u1 * hSq);
+  const nx = mod(r * r - hCu - 2n * u1hSq);
+  const ny = mod(r * (u1hSq - nx) - s1 * hCu);
+  const nz = mod(h * p1[2] * p2[2]);
+  return [nx, ny, nz];
+}
+
+function mul(point, scalar) {
+  let k = mod(scalar, N);
+  if (point === null || k === 0n) return null;
+  let result = [0n, 1n, 0n];
+  let addend = [point[0], point[1], 1n];
+  while (k > 0n) {
+    if (k & 1n) result = jacobianAdd(result, addend);
+    addend = jacobianDouble(addend);
+    k >>= 1n;
+  }
+  if (result[2] === 0n) return null;
+  const zInv = modInv(result[2]);
+  const zInvSq = mod(zInv * zInv);
+  return [mod(result[0] * zInvSq), mod(result[1] * zInvSq * zInv)];
+}
+
+/**
+ * Map bytes to a curve point by try-and-increment.
+ * Must stay in sync with AltBn128.hashToPoint.
+ */
+function hashToPoint(data) {
+  let x = mod(BigInt(ethers.keccak256(data)));
+  for (;;) {
+    const y2 = mod(x * x * x + 3n);
+    const y = modPow(y2, SQRT_EXPONENT);
+    if (mod(y * y) === y2) return [x, y];
+    x = mod(x + 1n);
+  }
+}
+
+/**
+ * Encode a point as 64 bytes (x || y) hex string.
+ */
+function encodePoint(point) {
+  return ethers.solidityPacked(["uint256", "uint256"], point);
+}
+
+/**
+ * Decode a 64-byte (x || y) hex string or byte array into a point.
+ */
+function decodePoint(data) {
+  const bytes = ethers.getBytes(data);
+  if (bytes.length !== 64) throw new Error("Invalid point encoding");
+  const point = [
+    BigInt(ethers.hexlify(bytes.slice(0, 32))),
+    BigInt(ethers.hexlify(bytes.slice(32)))
+  ];
+  if (!isOnCurve(point)) throw new Error("Point is not on the curve");
+  return point;
+}
+
+/**
+ * Encode a point as 33 bytes (0x02 | 0x03 by y parity || x) hex string.
+ */
+function compressPoint(point) {
+  const prefix = point[1] & 1n ? "0x03" : "0x02";
+  return ethers.concat([prefix, ethers.toBeHex(point[0], 32)]);
+}
+
+/**
+ * Decode a canonical 33-byte compressed encoding into a point.
+ */
+function decompressPoint(data) {
+  const bytes = ethers.getBytes(data);
+  if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) {
+    throw new Error("Invalid compressed point encoding");
+  }
+  const x = BigInt(ethers.hexlify(bytes.slice(1)));
+  if (x >= P) throw new Error("Invalid compressed point encoding");
+  const y2 = mod(x * x * x + 3n);
+  let y = modPow(y2, SQRT_EXPONENT);
+  if (mod(y * y) !== y2) throw new Error("Point is not on the curve");
+  if (Number(y & 1n) !== bytes[0] - 0x02) y = P - y;
+  return [x, y];
+}
+
+// n is a 254-bit number; masking random bytes to 254 bits keeps rejections rare
+const SCALAR_MASK = (1n << 254n) - 1n;
+
+/**
+ * Uniformly random scalar in [1, n - 1], by rejection sampling (no modulo bias).
+ */
+function randomScalar() {
+  for (;;) {
+    const k = BigInt(ethers.hexlify(ethers.randomBytes(32))) & SCALAR_MASK;
+    if (k !== 0n && k < N) return k;
+  }
+}
+
+module.exports = {
+  P,
+  N,
+  G,
+  mod,
+  modPow,
+  modInv,
+  isOnCurve,
+  add,
+  neg,
+  mul,
+  hashToPoint,
+  encodePoint,
+  decodePoint,
+  compressPoint,
+  decompressPoint,
+  randomScalar
+};
@@ -0,0 +1,200 @@
+const { ethers } = require("ethers");
+const bn128 = require("./altbn128");
+
+/**
+ * Exponential ElGamal over alt_bn128 with the proofs checked by contracts/ElGamal.sol.
+ * A ciphertext of v under the joint key H is (a, b) = (r * G, r * H + v * G).
+ * Points are [x, y] arrays of BigInt; null is the point at infinity, sent on-chain as (0, 0).
+ */
+
+const BALLOT_TUPLE = "tuple(uint256[2][] a, uint256[2][] b, uint256[4][] bitProofs, uint256[2] sumProof)";
+
+function toUint(point) {
+  return point || [0n, 0n];
+}
+
+/**
+ * Point from a contract return value, mapping (0, 0) back to null.
+ */
+function fromUint(point) {
+  const [x, y] = [BigInt(point[0]), BigInt(point[1])];
+  return x === 0n && y === 0n ? null : [x, y];
+}
+
+function sub(p1, p2) {
+  return bn128.add(p1, bn128.neg(p2));
+}
+
+function hashToScalar(context, points) {
+  const coordinates = points.flatMap(toUint);
+  const digest = ethers.solidityPackedKeccak256(
+    ["bytes32", ...coordinates.map(() => "uint256")],
+    [context, ...coordinates]
+  );
+  return BigInt(digest) % bn128.N;
+}
+
+// Commitments T1 = s * G + c * y1 and T2 = s * g2 + c * y2, as ElGamal._commitments recomputes them
+function commitments(g2, y1, y2, c, s) {
+  return [
+    bn128.add(bn128.mul(bn128.G, s), bn128.mul(y1, c)),
+    bn128.add(bn128.mul(g2, s), bn128.mul(y2, c))
+  ];
+}
+
+/**
+ * Encrypt v under the joint key.
+ * @param {bigint|number} value Plaintext exponent
+ * @param {bigint[]} publicKey Joint key H
+ * @param {bigint} [randomness] Encryption randomness r, random if omitted
+ * @returns {{ a: bigint[], b: bigint[], randomness: bigint }}
+ */
+function encrypt(value, publicKey, randomness = bn128.randomScalar()) {
+  return {
+    a: bn128.mul(bn128.G, randomness),
+    b: bn128.add(bn128.mul(publicKey, randomness), bn128.mul(bn128.G, BigInt(value))),
+    randomness
+  };
+}
+
+/**
+ * Prove log_G(y1) == log_g2(y2) == witness.
+ * @param {string} context bytes32 domain the proof is bound to
+ * @param {bigint[]} g2 Second base
+ * @param {bigint} witness Shared discrete log
+ * @returns {bigint[]} (c, s) as ElGamal.verifyEquality reads it
+ */
+function proveEquality(context, g2, witness) {
+  const y1 = bn128.mul(bn128.G, witness);
+  const y2 = bn128.mul(g2, witness);
+  const k = bn128.randomScalar();
+  const c = hashToScalar(context, [g2, y1, y2, bn128.mul(bn128.G, k), bn128.mul(g2, k)]);
+  return [c, bn128.mod(k - c * witness, bn128.N)];
+}
+
+/**
+ * Check a (c, s) proof that log_G(y1) == log_g2(y2). Mirrors ElGamal.verifyEquality.
+ */
+function verifyEquality(context, g2, y1, y2, proof) {
+  const [c, s] = proof.map(BigInt);
+  if (c >= bn128.N || s >= bn128.N) return false;
+  const [t1, t2] = commitments(g2, y1, y2, c, s);
+  return hashToScalar(context, [g2, y1, y2, t1, t2]) === c;
+}
+
+/**
+ * Prove a ciphertext encrypts 0 or 1 without saying which.
+ * The true branch is a real equality proof, the other one is simulated.
+ * @param {string} proofContext bytes32 domain the proof is bound to
+ * @param {bigint[]} publicKey Joint key H
+ * @param {{ a: bigint[], b: bigint[], randomness: bigint }} ciphertext Output of encrypt
+ * @param {number} value The encrypted bit
+ * @returns {bigint[]} (c0, s0, c1, s1) as ElGamal.verifyBit reads it
+ */
+function proveBit(proofContext, publicKey, ciphertext, value) {
+  if (value !== 0 && value !== 1) throw new Error("Value is not a bit");
+  const { a, b, randomness } = ciphertext;
+  const targets = [b, sub(b, bn128.G)];
+  const challenges = [0n, 0n];
+  const responses = [0n, 0n];
+  const points = [];
+
+  const other = 1 - value;
+  challenges[other] = bn128.randomScalar();
+  responses[other] = bn128.randomScalar();
+  const simulated = commitments(publicKey, a, targets[other], challenges[other], responses[other]);
+
+  const k = bn128.randomScalar();
+  const real = [bn128.mul(bn128.G, k), bn128.mul(publicKey, k)];
+  points[value] = real;
+  points[other] = simulated;
+
+  const c = hashToScalar(proofContext, [a, b, ...points[0], ...points[1]]);
+  challenges[value] = bn128.mod(c - challenges[other], bn128.N);
+  responses[value] = bn128.mod(k - challenges[value] * randomness, bn128.N);
+  return [challenges[0], responses[0], challenges[1], responses[1]];
+}
+
+/**
+ * Check a proof that (a, b) encrypts 0 or 1. Mirrors ElGamal.verifyBit.
+ */
+function verifyBit(proofContext, publicKey, a, b, proof) {
+  const [c0, s0, c1, s1] = proof.map(BigInt);
+  if ([c0, s0, c1, s1].some((v) => v >= bn128.N)) return false;
+  if (!bn128.isOnCurve(a) || !bn128.isOnCurve(b)) return false;
+  const branch0 = commitments(publicKey, a, b, c0, s0);
+  const branch1 = commitments(publicKey, a, sub(b, bn128.G), c1, s1);
+  return hashToScalar(proofContext, [a, b, ...branch0, ...branch1]) === bn128.mod(c0 + c1, bn128.N);
+}
+
+/**
+ * Encrypt a single-choice ballot as VotingAndTallyingContract.votingEncrypted expects it:
+ * a ciphertext of 1 for the chosen candidate, 0 for every other one, a bit proof per
+ * ciphertext and a proof that they add up to one vote.
+ * @param {number} candidateIndex Index of the chosen candidate in getCandidates
+ * @param {number} candidateCount Number of candidates
+ * @param {bigint[]} publicKey Joint key H from getTallyTrustees
+ * @param {string} proofContext bytes32 from ballotContext(electionId, voterIndex)
+ * @returns {{ a: bigint[][], b: bigint[][], bitProofs: bigint[][], sumProof: bigint[] }}
+ */
+function encryptBallot(candidateIndex, candidateCount, publicKey, proofContext) {
+  if (!Number.isInteger(candidateIndex) || candidateIndex < 0 || candidateIndex >= candidateCount) {
+    throw new Error("Invalid candidate");
+  }
+
+  const ballot = { a: [], b: [], bitProofs: [], sumProof: null };
+  let totalRandomness = 0n;
+  for (let i = 0; i < candidateCount; i++) {
+    const value = i === candidateIndex ? 1 : 0;
+    const ciphertext = encrypt(value, publicKey);
+    ballot.a.push(ciphertext.a);
+    ballot.b.push(ciphertext.b);
+    ballot.bitProofs.push(proveBit(proofContext, publicKey, ciphertext, value));
+    totalRandomness = bn128.mod(totalRandomness + ciphertext.randomness, bn128.N);
+  }
+
+  // sum(a) = R * G and sum(b) - G = R * H
+  ballot.sumProof = proveEquality(proofContext, publicKey, totalRandomness);
+  return ballot;
+}
+
+/**
+ * Hash the contract signs over for an encrypted ballot, keccak256(abi.encode(ballot)).
+ */
+function ballotHash(ballot) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode([BALLOT_TUPLE], [ballot]));
+}
+
+/**
+ * Domain of a ballot's proofs. Must match VotingAndTallyingContract.ballotContext.
+ */
+function ballotContext(chainId, contractAddress, electionId, voterIndex) {
+  return ethers.solidityPackedKeccak256(
+    ["uint256", "address", "bytes32", "uint256"],
+    [chainId, contractAddress, electionId, voterIndex]
+  );
+}
+
+/**
+ * Domain of a trustee's decryption proofs. Must match VotingAndTallyingContract.decryptionContext.
+ */
+function decryptionContext(chainId, contractAddress, electionId, trusteeIndex) {
+  return ethers.solidityPackedKeccak256(
+    ["string", "uint256", "address", "bytes32", "uint256"],
+    ["decryption", chainId, contractAddress, electionId, trusteeIndex]
+  );
+}
+
+module.exports = {
+  toUint,
+  fromUint,
+  encrypt,
+  proveEquality,
+  verifyEquality,
+  proveBit,
+  verifyBit,
+  encryptBallot,
+  ballotHash,
+  ballotContext,
+  decryptionContext
+};
@@ -0,0 +1,67 @@
+const { ethers } = require("ethers");
+
+/**
+ * Government certificate issuer. Produces Certificate structs accepted by
+ * RegistrationContract.storePub once the issuing key has been trusted by the
+ * election authority (addIssuerKey). A certificate is valid for one election only.
+ *
+ *   digest = keccak256(abi.encode(CERTIFICATE_TYPEHASH, chainId, registrationContract, L, keccak256(Puv)))
+ *   σ˜v    = EIP-191 personal signature over digest by the government key
+ */
+
+const CERTIFICATE_TYPEHASH = ethers.id("LSAG_VOTER_CERTIFICATE");
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Digest the government signs for a voter public key.
+ * Must match RegistrationContract.certificateDigest.
+ * @param {bigint|number} chainId Chain the RegistrationContract is deployed on
+ * @param {string} registrationContract RegistrationContract address
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {string} voterPublicKey Voter public key bytes (Puv)
+ * @returns {string} bytes32 digest
+ */
+function certificateDigest(chainId, registrationContract, electionId, voterPublicKey) {
+  return ethers.keccak256(
+    abiCoder.encode(
+      ["bytes32", "uint256", "address", "bytes32", "bytes32"],
+      [CERTIFICATE_TYPEHASH, chainId, registrationContract, electionId, ethers.keccak256(voterPublicKey)]
+    )
+  );
+}
+
+/**
+ * Issue a certificate for a voter public key.
+ * @param {import("ethers").Signer} governmentSigner Government signing key (Prgov)
+ * @param {{ chainId: bigint|number, registrationContract: string, electionId: string }} domain Target election
+ * @param {string} voterPublicKey Voter public key bytes (Puv)
+ * @returns {Promise<{ governmentSignature: string, governmentPublicKey: string, voterPublicKey: string }>}
+ */
+async function issueCertificate(governmentSigner, { chainId, registrationContract, electionId }, voterPublicKey) {
+  const digest = certificateDigest(chainId, registrationContract, electionId, voterPublicKey);
+  const governmentSignature = await governmentSigner.signMessage(ethers.getBytes(digest));
+  return {
+    governmentSignature,
+    governmentPublicKey: await governmentSigner.getAddress(),
+    voterPublicKey: ethers.hexlify(voterPublicKey)
+  };
+}
+
+/**
+ * Resolve the certificate domain of an election on a deployed RegistrationContract.
+ * @param {import("ethers").Contract} registrationContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @returns {Promise<{ chainId: bigint, registrationContract: string, electionId: string }>}
+ */
+async function certificateDomain(registrationContract, electionId) {
+  const { chainId } = await registrationContract.runner.provider.getNetwork();
+  return { chainId, registrationContract: await registrationContract.getAddress(), electionId };
+}
+
+module.exports = {
+  CERTIFICATE_TYPEHASH,
+  certificateDigest,
+  issueCertificate,
+  certificateDomain
+};
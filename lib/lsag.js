@@ -0,0 +1,229 @@
+const { ethers } = require("ethers");
+const bn128 = require("./altbn128");
+
+/**
+ * LSAG ring signatures over alt_bn128 matching contracts/LSAG.sol.
+ * Key image I = x * Hp(P), challenges c(i+1) = H(m, Li, Ri).
+ */
+
+// Wire format, must match contracts/LSAGCodec.sol byte for byte:
+//   version (1) || keyImage (33, compressed) || c0 (32) || n (2) || s0..s(n-1) (32 each)
+//   || ringType (1) || ringData
+// ringData is n 64-byte keys for RING_INLINE, uint32 subRingId (4) || n 64-byte keys for RING_SUB_RING
+const SIGNATURE_VERSION = 1;
+const RING_INLINE = 1;
+const RING_SUB_RING = 2;
+
+// Domain tag of the registration message, see registrationMessage
+const REGISTRATION_TYPEHASH = ethers.id("LSAG_REGISTRATION");
+
+/**
+ * Generate an LSAG keypair.
+ * @returns {{ privateKey: bigint, publicKey: bigint[], publicKeyBytes: string }}
+ */
+function generateKeyPair() {
+  const privateKey = bn128.randomScalar();
+  const publicKey = bn128.mul(bn128.G, privateKey);
+  return { privateKey, publicKey, publicKeyBytes: bn128.encodePoint(publicKey) };
+}
+
+function toPoint(publicKey) {
+  return Array.isArray(publicKey) ? publicKey : bn128.decodePoint(publicKey);
+}
+
+/**
+ * Key image I = x * Hp(P) for a private key.
+ */
+function computeKeyImage(privateKey) {
+  const publicKey = bn128.mul(bn128.G, privateKey);
+  return bn128.mul(bn128.hashToPoint(bn128.encodePoint(publicKey)), privateKey);
+}
+
+function challenge(message, l, r) {
+  const [lx, ly] = l || [0n, 0n];
+  const [rx, ry] = r || [0n, 0n];
+  const digest = ethers.solidityPackedKeccak256(
+    ["bytes32", "uint256", "uint256", "uint256", "uint256"],
+    [message, lx, ly, rx, ry]
+  );
+  return BigInt(digest) % bn128.N;
+}
+
+/**
+ * Message signed at voter registration. Binding the voting key stops a
+ * front-runner from re-using someone else's LSAG signature with their own key;
+ * binding the chain, contract, random challenge and reset count stops it being
+ * replayed on another deployment or after the election is reset.
+ * Must match VoterRegistrationContract.registrationMessage.
+ * @param {{ chainId: bigint|number, voterRegistrationContract: string, electionId: string, randomChallenge: string, resetCount: bigint|number }} domain
+ *   Target election, see voterClient.registrationDomain
+ * @param {string} votingPublicKey Voting public key bytes (Pu'v)
+ * @returns {string} bytes32 message
+ */
+function registrationMessage({ chainId, voterRegistrationContract, electionId, randomChallenge, resetCount }, votingPublicKey) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "uint256", "address", "bytes32", "bytes32", "uint256", "bytes32"],
+      [
+        REGISTRATION_TYPEHASH,
+        chainId,
+        voterRegistrationContract,
+        electionId,
+        randomChallenge,
+        resetCount,
+        ethers.keccak256(votingPublicKey)
+      ]
+    )
+  );
+}
+
+/**
+ * Sign a message on behalf of a ring.
+ * @param {string} message bytes32 message
+ * @param {Array} ring Public keys as points or 64-byte encodings
+ * @param {number} signerIndex Position of the signer in the ring
+ * @param {bigint} privateKey Signer's private key
+ * @returns {{ keyImage: bigint[], c0: bigint, s: bigint[] }}
+ */
+function sign(message, ring, signerIndex, privateKey) {
+  const points = ring.map(toPoint);
+  const n = points.length;
+  if (signerIndex < 0 || signerIndex >= n) throw new Error("Signer index out of range");
+
+  const signerPoint = bn128.mul(bn128.G, privateKey);
+  const signer = points[signerIndex];
+  if (signerPoint[0] !== signer[0] || signerPoint[1] !== signer[1]) {
+    throw new Error("Private key does not match ring member");
+  }
+
+  const hashPoints = points.map((p) => bn128.hashToPoint(bn128.encodePoint(p)));
+  const keyImage = bn128.mul(hashPoints[signerIndex], privateKey);
+
+  const c = new Array(n);
+  const s = new Array(n);
+  const alpha = bn128.randomScalar();
+  c[(signerIndex + 1) % n] = challenge(
+    message,
+    bn128.mul(bn128.G, alpha),
+    bn128.mul(hashPoints[signerIndex], alpha)
+  );
+
+  for (let k = 1; k < n; k++) {
+    const i = (signerIndex + k) % n;
+    s[i] = bn128.randomScalar();
+    const l = bn128.add(bn128.mul(bn128.G, s[i]), bn128.mul(points[i], c[i]));
+    const r = bn128.add(bn128.mul(hashPoints[i], s[i]), bn128.mul(keyImage, c[i]));
+    c[(i + 1) % n] = challenge(message, l, r);
+  }
+
+  s[signerIndex] = bn128.mod(alpha - c[signerIndex] * privateKey, bn128.N);
+  return { keyImage, c0: c[0], s };
+}
+
+/**
+ * Verify an LSAG signature off-chain.
+ */
+function verify(message, ring, signature) {
+  const points = ring.map(toPoint);
+  const { keyImage, c0, s } = signature;
+  if (points.length === 0 || points.length !== s.length) return false;
+  if (!bn128.isOnCurve(keyImage)) return false;
+
+  let c = c0;
+  for (let i = 0; i < points.length; i++) {
+    const l = bn128.add(bn128.mul(bn128.G, s[i]), bn128.mul(points[i], c));
+    const hp = bn128.hashToPoint(bn128.encodePoint(points[i]));
+    const r = bn128.add(bn128.mul(hp, s[i]), bn128.mul(keyImage, c));
+    c = challenge(message, l, r);
+  }
+  return c === c0;
+}
+
+/**
+ * Encode a signature for VoterRegistrationContract.verify.
+ * The ring is sent inline, or as a sub-ring of the frozen ring when subRingId is given.
+ * @param {{ keyImage: bigint[], c0: bigint, s: bigint[] }} signature
+ * @param {Array} ring Public keys as points or 64-byte encodings
+ * @param {number} [subRingId] Sub-ring the signature was built over
+ * @returns {string} hex encoded signature
+ */
+function encodeSignature(signature, ring, subRingId) {
+  const points = ring.map(toPoint);
+  if (points.length !== signature.s.length) throw new Error("Ring size does not match responses");
+  if (points.length === 0 || points.length > 0xffff) throw new Error("Invalid ring size");
+
+  return ethers.concat([
+    ethers.toBeHex(SIGNATURE_VERSION, 1),
+    bn128.compressPoint(signature.keyImage),
+    ethers.toBeHex(signature.c0, 32),
+    ethers.toBeHex(points.length, 2),
+    ...signature.s.map((s) => ethers.toBeHex(s, 32)),
+    subRingId === undefined
+      ? ethers.toBeHex(RING_INLINE, 1)
+      : ethers.concat([ethers.toBeHex(RING_SUB_RING, 1), ethers.toBeHex(subRingId, 4)]),
+    ...points.map(bn128.encodePoint)
+  ]);
+}
+
+/**
+ * Decode a signature produced by encodeSignature, with the same checks as LSAGCodec.decode.
+ * @param {string} data hex encoded signature
+ * @returns {{ version: number, keyImage: bigint[], c0: bigint, s: bigint[], ringType: number, subRingId?: number, ring: string[] }}
+ */
+function decodeSignature(data) {
+  const bytes = ethers.getBytes(data);
+  const readUint = (start, length) => BigInt(ethers.hexlify(bytes.slice(start, start + length)));
+
+  if (bytes.length <= 68) throw new Error("Invalid LSAG signature length");
+  const version = bytes[0];
+  if (version !== SIGNATURE_VERSION) throw new Error("Unsupported LSAG signature version");
+
+  const keyImage = bn128.decompressPoint(bytes.slice(1, 34));
+  const c0 = readUint(34, 32);
+  const n = Number(readUint(66, 2));
+  if (n === 0) throw new Error("Empty ring");
+
+  const ringTypeOffset = 68 + 32 * n;
+  if (bytes.length <= ringTypeOffset) throw new Error("Invalid LSAG signature length");
+  const s = [];
+  for (let i = 0; i < n; i++) s.push(readUint(68 + 32 * i, 32));
+
+  const ringType = bytes[ringTypeOffset];
+  let ringData = bytes.slice(ringTypeOffset + 1);
+  let subRingId;
+  if (ringType === RING_SUB_RING) {
+    if (ringData.length !== 4 + 64 * n) throw new Error("Invalid ring reference");
+    subRingId = Number(BigInt(ethers.hexlify(ringData.slice(0, 4))));
+    ringData = ringData.slice(4);
+  } else if (ringType !== RING_INLINE) {
+    throw new Error("Unsupported ring reference");
+  }
+  if (ringData.length !== 64 * n) throw new Error("Invalid ring reference");
+
+  const ring = [];
+  for (let i = 0; i < n; i++) ring.push(ethers.hexlify(ringData.slice(64 * i, 64 * (i + 1))));
+
+  return { version, keyImage, c0, s, ringType, subRingId, ring };
+}
+
+/**
+ * Key image bytes as tracked by VoterRegistrationContract.usedKeyImages (compressed point).
+ */
+function encodeKeyImage(keyImage) {
+  return bn128.compressPoint(keyImage);
+}
+
+module.exports = {
+  SIGNATURE_VERSION,
+  RING_INLINE,
+  RING_SUB_RING,
+  REGISTRATION_TYPEHASH,
+  generateKeyPair,
+  computeKeyImage,
+  registrationMessage,
+  sign,
+  verify,
+  encodeSignature,
+  decodeSignature,
+  encodeKeyImage
+};
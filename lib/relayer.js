@@ -0,0 +1,198 @@
+const http = require("node:http");
+const { ethers } = require("ethers");
+
+/**
+ * Transaction relayer for the voter-side protocol steps. Voters sign each call with their voting key
+ * as an ERC-2771 forward request (see signForwardRequest in lib/voterClient.js), and the relayer
+ * submits it through the VoterForwarder from its own funded account, so no voter address ever
+ * appears on-chain.
+ *
+ * The forwarder checks the request's EIP-712 signature, deadline and nonce and appends the signer to
+ * the call; VoterRegistrationContract and VotingAndTallyingContract only accept it from the
+ * RegistrationContract's trustedForwarder, and only when the signer is the voting key being registered
+ * or registered at the voter index. The relayer needs no role on the contracts and can neither alter
+ * a request nor act for a voter; voters need no trust in it beyond it submitting their requests.
+ * Run one with scripts/relayer.js; voters reach it through the relay* helpers in lib/voterClient.js.
+ */
+
+// Largest request body accepted, enough for an encrypted ballot over 16 candidates
+const MAX_BODY_SIZE = 256 * 1024;
+
+// Fields of the forwarder's ForwardRequestData, as signed by the voting key
+const FORWARD_REQUEST_FIELDS = ["from", "to", "value", "gas", "deadline", "data", "signature"];
+
+class RelayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function required(request, fields) {
+  for (const field of fields) {
+    if (request[field] === undefined || request[field] === null) {
+      throw new RelayError(`Missing field ${field}`);
+    }
+  }
+  return fields.map((field) => request[field]);
+}
+
+// Revert reason of a failed call; the in-process Hardhat network only hands back the raw revert data
+function revertReason(contract, error) {
+  if (error.reason) return error.reason;
+  const data = typeof error.data === "string" ? error.data : error.data?.data;
+  if (typeof data !== "string" || !data.startsWith("0x")) return null;
+  try {
+    return contract.interface.makeError(data, { data: "0x" }).reason;
+  } catch {
+    return null;
+  }
+}
+
+// Contract and functions each protocol step may call, keyed by request path
+const STEPS = {
+  register: { contract: "voterRegistrationContract", methods: ["verify"] },
+  vote: { contract: "votingAndTallyingContract", methods: ["voting", "votingWithReveal"] },
+  "vote-encrypted": { contract: "votingAndTallyingContract", methods: ["votingEncrypted"] },
+  reveal: { contract: "votingAndTallyingContract", methods: ["tally"] }
+};
+
+// Function a forward request calls on the step's contract, or null for anything else
+async function stepCall(contract, step, { to, value, data }) {
+  try {
+    if (ethers.getAddress(to) !== ethers.getAddress(await contract.getAddress()) || BigInt(value) !== 0n) return null;
+    const call = contract.interface.parseTransaction({ data });
+    return STEPS[step].methods.includes(call?.name) ? call : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Submit one signed forward request through the forwarder, from the relayer's account.
+ * The request must call the step's own function without value. Its signature is checked and the call
+ * simulated as the forwarder makes it first, so a request the forwarder or contract would reject
+ * costs the relayer nothing.
+ * @param {{ forwarder: import("ethers").Contract, voterRegistrationContract: import("ethers").Contract,
+ *   votingAndTallyingContract: import("ethers").Contract }} contracts The forwarder connected to the relayer's signer
+ * @param {string} step "register", "vote", "vote-encrypted" or "reveal"
+ * @param {object} request The forwarder's ForwardRequestData, see the README
+ * @returns {Promise<{ transactionHash: string, voterIndex?: string }>} voterIndex for registrations
+ */
+async function relay(contracts, step, request) {
+  if (!Object.hasOwn(STEPS, step)) throw new RelayError(`Unknown step ${step}`, 404);
+  const { forwarder } = contracts;
+  const contract = contracts[STEPS[step].contract];
+  const [from, to, value, gas, deadline, data, signature] = required(request, FORWARD_REQUEST_FIELDS);
+  const forwardRequest = { from, to, value, gas, deadline, data, signature };
+
+  if (!(await stepCall(contract, step, forwardRequest))) throw new RelayError(`Request is not a ${step} call`);
+  // Checks the signature, deadline and nonce, and that the target trusts the forwarder
+  const valid = await forwarder.verify(forwardRequest).catch(() => false);
+  if (!valid) throw new RelayError("Invalid forward request");
+
+  // The forwarder does not pass revert reasons on, so the call is simulated as it arrives from the forwarder
+  try {
+    await forwarder.runner.provider.call({ from: await forwarder.getAddress(), to, data: ethers.concat([data, from]) });
+  } catch (error) {
+    throw new RelayError(revertReason(contract, error) || "Request rejected");
+  }
+
+  const receipt = await (await forwarder.execute(forwardRequest)).wait();
+  const result = { transactionHash: receipt.hash };
+  if (step === "register") {
+    const registered = receipt.logs
+      .map((log) => contract.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "VoterRegistered");
+    result.voterIndex = registered.args.voterIndex.toString();
+  }
+  return result;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new RelayError("Request too large", 413));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function respond(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Serve the relayer over HTTP: POST /<step> with a signed forward request as a JSON object.
+ * Replies 200 with the result of relay(), or an error status with { error }.
+ * @param {object} params
+ * @param {import("ethers").Contract} params.forwarder VoterForwarder connected to the relayer's signer,
+ *   the RegistrationContract's trustedForwarder
+ * @param {import("ethers").Contract} params.voterRegistrationContract
+ * @param {import("ethers").Contract} params.votingAndTallyingContract
+ * @param {number} [params.port] Port to listen on, 0 for any free port
+ * @param {string} [params.host] Interface to listen on
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+function startRelayer({ forwarder, voterRegistrationContract, votingAndTallyingContract, port = 0, host = "127.0.0.1" }) {
+  const contracts = { forwarder, voterRegistrationContract, votingAndTallyingContract };
+
+  // Submissions go out one at a time so the relayer's nonces never race
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method !== "POST") throw new RelayError("Method not allowed", 405);
+      const step = new URL(req.url, "http://relayer").pathname.slice(1);
+
+      let request;
+      try {
+        request = JSON.parse(await readBody(req));
+      } catch (error) {
+        throw error instanceof RelayError ? error : new RelayError("Invalid JSON");
+      }
+      if (typeof request !== "object" || request === null) throw new RelayError("Invalid request");
+
+      respond(res, 200, await enqueue(() => relay(contracts, step, request)));
+    } catch (error) {
+      if (error instanceof RelayError) {
+        respond(res, error.status, { error: error.message });
+      } else {
+        respond(res, 500, { error: "Submission failed" });
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        close: () => new Promise((done) => {
+          server.close(() => done());
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  RelayError,
+  relay,
+  startRelayer
+};
@@ -0,0 +1,88 @@
+const crypto = require("node:crypto");
+const { ethers } = require("ethers");
+
+/**
+ * Encryption of reveals (σ'v || salt) to the election's reveal key, so the tally relayer can
+ * reveal on a voter's behalf (see lib/tallyRelayer.js).
+ *
+ * ECIES over secp256k1: an ephemeral key agrees a secret with the reveal key, keccak256 of
+ * the shared point is the AES-256-GCM key and the election ID is the associated data, so a
+ * ciphertext cannot be replayed into another election.
+ *
+ * Layout: ephemeral public key (33 bytes, compressed) || iv (12) || tag (16) || ciphertext
+ */
+
+const EPHEMERAL_KEY_LENGTH = 33;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = EPHEMERAL_KEY_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+function deriveKey(privateKey, publicKey) {
+  const sharedSecret = new ethers.SigningKey(privateKey).computeSharedSecret(publicKey);
+  return Buffer.from(ethers.getBytes(ethers.keccak256(sharedSecret)));
+}
+
+/**
+ * Generate the relayer's reveal keypair.
+ * `publicKey` is what the election authority passes to setRevealKey.
+ * @returns {{ privateKey: string, publicKey: string }}
+ */
+function generateRevealKey() {
+  const wallet = ethers.Wallet.createRandom();
+  return {
+    privateKey: wallet.privateKey,
+    publicKey: ethers.SigningKey.computePublicKey(wallet.publicKey, true)
+  };
+}
+
+/**
+ * Encrypt a reveal to the election's reveal key.
+ * @param {string} actualVoteSignature Reveal (σ'v || salt) from buildVoteCommitment
+ * @param {string} revealPublicKey Compressed key from revealKey(electionId)
+ * @param {string} electionId bytes32 election identifier (L)
+ * @returns {string} hex encoded ciphertext for the voting overload
+ */
+function encryptReveal(actualVoteSignature, revealPublicKey, electionId) {
+  const ephemeral = ethers.Wallet.createRandom();
+  const key = deriveKey(ephemeral.privateKey, revealPublicKey);
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(ethers.getBytes(electionId)));
+  const ciphertext = Buffer.concat([cipher.update(ethers.getBytes(actualVoteSignature)), cipher.final()]);
+
+  return ethers.concat([
+    ethers.SigningKey.computePublicKey(ephemeral.publicKey, true),
+    iv,
+    cipher.getAuthTag(),
+    ciphertext
+  ]);
+}
+
+/**
+ * Decrypt a reveal posted with EncryptedRevealSubmitted.
+ * Throws if the ciphertext is malformed, was not made for this key or belongs to another election.
+ * @param {string} encryptedReveal hex encoded ciphertext
+ * @param {string} revealPrivateKey Relayer's private key
+ * @param {string} electionId bytes32 election identifier (L)
+ * @returns {string} The reveal
+ */
+function decryptReveal(encryptedReveal, revealPrivateKey, electionId) {
+  const bytes = ethers.getBytes(encryptedReveal);
+  if (bytes.length <= HEADER_LENGTH) throw new Error("Invalid encrypted reveal");
+
+  const ephemeralPublicKey = bytes.slice(0, EPHEMERAL_KEY_LENGTH);
+  const iv = bytes.slice(EPHEMERAL_KEY_LENGTH, EPHEMERAL_KEY_LENGTH + IV_LENGTH);
+  const tag = bytes.slice(EPHEMERAL_KEY_LENGTH + IV_LENGTH, HEADER_LENGTH);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(revealPrivateKey, ephemeralPublicKey), iv);
+  decipher.setAAD(Buffer.from(ethers.getBytes(electionId)));
+  decipher.setAuthTag(tag);
+  return ethers.hexlify(Buffer.concat([decipher.update(bytes.slice(HEADER_LENGTH)), decipher.final()]));
+}
+
+module.exports = {
+  generateRevealKey,
+  encryptReveal,
+  decryptReveal
+};
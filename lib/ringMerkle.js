@@ -0,0 +1,35 @@
+const { ethers } = require("ethers");
+
+/**
+ * Ordered Merkle commitment over a ring of public keys matching contracts/RingMerkle.sol.
+ *   leaf   = keccak256(publicKey)
+ *   parent = keccak256(left || right), an odd node at the end of a level moves up unchanged
+ *   root   = ZeroHash for an empty ring
+ */
+
+function leaf(publicKey) {
+  return ethers.keccak256(publicKey);
+}
+
+/**
+ * Merkle root over a ring.
+ * @param {string[]} ring Encoded public keys in ring order
+ * @returns {string} bytes32 root
+ */
+function root(ring) {
+  let level = ring.map(leaf);
+  if (level.length === 0) return ethers.ZeroHash;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? ethers.keccak256(ethers.concat([level[i], level[i + 1]])) : level[i]);
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+module.exports = {
+  leaf,
+  root
+};
@@ -0,0 +1,126 @@
+const { decryptReveal } = require("./revealEncryption");
+
+/**
+ * Tally relayer: holds the private half of an election's reveal key, collects the reveals
+ * voters deposited with their votes and submits them through tallyBatch once tallying starts,
+ * so voters do not have to come back online to be counted.
+ *
+ * The relayer learns every reveal before the results are public, as the voter who reveals in person
+ * lets anyone do; it cannot change them, since each one has to match the vote hash already on-chain.
+ * Run one with scripts/tallyRelayer.js.
+ */
+
+// Reveals per tallyBatch transaction
+const DEFAULT_BATCH_SIZE = 20;
+
+/**
+ * Decrypt every reveal deposited for an election that is still waiting to be tallied.
+ * Ciphertexts that do not decrypt, and reveals tally would reject (one that does not open the
+ * vote hash, or a vote already tallied), are skipped: the voter can still reveal in person.
+ * @param {import("ethers").Contract} votingAndTallyingContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {string} revealPrivateKey Private half of revealKey(electionId)
+ * @returns {Promise<Array<{ voterIndex: bigint, actualVoteSignature: string }>>}
+ */
+async function collectReveals(votingAndTallyingContract, electionId, revealPrivateKey) {
+  const events = await votingAndTallyingContract.queryFilter(
+    votingAndTallyingContract.filters.EncryptedRevealSubmitted(electionId)
+  );
+
+  const reveals = new Map();
+  for (const event of events) {
+    const { voterIndex, encryptedReveal } = event.args;
+    let actualVoteSignature;
+    try {
+      actualVoteSignature = decryptReveal(encryptedReveal, revealPrivateKey, electionId);
+    } catch {
+      continue;
+    }
+
+    try {
+      await votingAndTallyingContract.tally.staticCall(electionId, actualVoteSignature, voterIndex);
+    } catch {
+      continue;
+    }
+
+    reveals.set(voterIndex, { voterIndex, actualVoteSignature });
+  }
+  return [...reveals.values()];
+}
+
+/**
+ * Submit reveals through tallyBatch, `batchSize` at a time.
+ * @param {import("ethers").Contract} votingAndTallyingContract Contract connected to the relayer's signer
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {Array<{ voterIndex: bigint, actualVoteSignature: string }>} reveals Result of collectReveals
+ * @param {number} [batchSize] Reveals per transaction
+ * @returns {Promise<import("ethers").TransactionReceipt[]>}
+ */
+async function submitReveals(votingAndTallyingContract, electionId, reveals, batchSize = DEFAULT_BATCH_SIZE) {
+  const receipts = [];
+  for (let i = 0; i < reveals.length; i += batchSize) {
+    const batch = reveals.slice(i, i + batchSize);
+    const tx = await votingAndTallyingContract.tallyBatch(
+      electionId,
+      batch.map((reveal) => reveal.actualVoteSignature),
+      batch.map((reveal) => reveal.voterIndex)
+    );
+    receipts.push(await tx.wait());
+  }
+  return receipts;
+}
+
+/**
+ * Wait for an election's tallying phase, then collect and submit every deposited reveal.
+ * @param {object} params
+ * @param {import("ethers").Contract} params.votingAndTallyingContract Contract connected to the relayer's signer
+ * @param {string} params.electionId bytes32 election identifier (L)
+ * @param {string} params.revealPrivateKey Private half of revealKey(electionId)
+ * @param {number} [params.batchSize] Reveals per tallyBatch transaction
+ * @param {number} [params.pollInterval] Milliseconds between tallyingPhaseActive checks
+ * @returns {{ stop: () => void, done: Promise<number> }} `done` resolves to the number of reveals submitted,
+ *   or 0 if stopped first
+ */
+function startTallyRelayer({
+  votingAndTallyingContract,
+  electionId,
+  revealPrivateKey,
+  batchSize = DEFAULT_BATCH_SIZE,
+  pollInterval = 5000
+}) {
+  let stopped = false;
+  let timer;
+  let wake = () => {};
+
+  const sleep = () => new Promise((resolve) => {
+    if (stopped) return resolve();
+    wake = resolve;
+    timer = setTimeout(resolve, pollInterval);
+  });
+
+  const run = async () => {
+    while (!stopped && !(await votingAndTallyingContract.tallyingPhaseActive(electionId))) {
+      await sleep();
+    }
+    if (stopped) return 0;
+
+    const reveals = await collectReveals(votingAndTallyingContract, electionId, revealPrivateKey);
+    await submitReveals(votingAndTallyingContract, electionId, reveals, batchSize);
+    return reveals.length;
+  };
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      wake();
+    },
+    done: run()
+  };
+}
+
+module.exports = {
+  collectReveals,
+  submitReveals,
+  startTallyRelayer
+};
@@ -0,0 +1,236 @@
+const bn128 = require("./altbn128");
+const elgamal = require("./elgamal");
+
+/**
+ * Tally trustee tooling for encrypted elections: distributed key generation,
+ * decryption shares and their combination into vote counts.
+ *
+ * Key generation is joint-Feldman: every trustee deals a random degree (t - 1) polynomial,
+ * sends f(j) privately to trustee j and publishes commitments to the coefficients.
+ * Trustee j's key share is the sum of the f_i(j) it received; nobody ever learns the joint
+ * secret, and any t trustees can decrypt together.
+ */
+
+function evaluate(coefficients, x) {
+  let result = 0n;
+  for (let k = coefficients.length - 1; k >= 0; k--) {
+    result = bn128.mod(result * x + coefficients[k], bn128.N);
+  }
+  return result;
+}
+
+// sum over k of index^k * C_k, the public image of f(index)
+function evaluateCommitments(commitments, index) {
+  let result = null;
+  let power = 1n;
+  for (const commitment of commitments) {
+    result = bn128.add(result, bn128.mul(commitment, power));
+    power = bn128.mod(power * BigInt(index), bn128.N);
+  }
+  return result;
+}
+
+function samePoint(p1, p2) {
+  if (p1 === null || p2 === null) return p1 === p2;
+  return p1[0] === p2[0] && p1[1] === p2[1];
+}
+
+/**
+ * Lagrange coefficients at zero for a set of 1-based trustee indices.
+ * Must match EncryptedTally._lagrangeCoefficients.
+ * @param {Array<number|bigint>} indices Trustee indices
+ * @returns {bigint[]} Coefficient per index
+ */
+function lagrangeCoefficients(indices) {
+  const xs = indices.map(BigInt);
+  return xs.map((j, position) => {
+    let numerator = 1n;
+    let denominator = 1n;
+    xs.forEach((m, other) => {
+      if (other === position) return;
+      numerator = bn128.mod(numerator * m, bn128.N);
+      denominator = bn128.mod(denominator * (m - j), bn128.N);
+    });
+    return bn128.mod(numerator * bn128.modInv(denominator, bn128.N), bn128.N);
+  });
+}
+
+/**
+ * One trustee's contribution to key generation.
+ * `shares[j - 1]` goes privately to trustee j; `commitments` are published to everyone.
+ * @param {number} threshold Shares needed to decrypt (t)
+ * @param {number} trusteeCount Number of trustees (n)
+ * @returns {{ commitments: bigint[][], shares: bigint[] }}
+ */
+function createDealing(threshold, trusteeCount) {
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > trusteeCount) {
+    throw new Error("Invalid threshold");
+  }
+  const coefficients = Array.from({ length: threshold }, () => bn128.randomScalar());
+  return {
+    commitments: coefficients.map((coefficient) => bn128.mul(bn128.G, coefficient)),
+    shares: Array.from({ length: trusteeCount }, (_, j) => evaluate(coefficients, BigInt(j + 1)))
+  };
+}
+
+/**
+ * Check a share received from a dealer against the dealer's published commitments.
+ * A trustee should complain about, and exclude, any dealer whose share fails.
+ * @param {bigint[][]} commitments The dealer's commitments
+ * @param {number} index Receiving trustee's index (1-based)
+ * @param {bigint} share The share f(index)
+ * @returns {boolean}
+ */
+function verifyDealingShare(commitments, index, share) {
+  return samePoint(bn128.mul(bn128.G, share), evaluateCommitments(commitments, index));
+}
+
+/**
+ * Joint key and every trustee's verification key from the dealers' commitments,
+ * the arguments VotingAndTallyingContract.setTallyTrustees takes.
+ * @param {bigint[][][]} commitmentSets Commitments of every dealer that passed verification
+ * @param {number} trusteeCount Number of trustees
+ * @returns {{ publicKey: bigint[], verificationKeys: bigint[][] }}
+ */
+function deriveTallyKeys(commitmentSets, trusteeCount) {
+  const publicKey = commitmentSets.reduce((sum, commitments) => bn128.add(sum, commitments[0]), null);
+  const verificationKeys = Array.from({ length: trusteeCount }, (_, j) =>
+    commitmentSets.reduce((sum, commitments) => bn128.add(sum, evaluateCommitments(commitments, j + 1)), null)
+  );
+  return { publicKey, verificationKeys };
+}
+
+/**
+ * A trustee's key share from the shares dealt to it.
+ * @param {number} index Trustee index (1-based)
+ * @param {Array<{ commitments: bigint[][], share: bigint }>} received One entry per dealer
+ * @returns {bigint} Secret key share x_j
+ */
+function combineDealings(index, received) {
+  let secretShare = 0n;
+  for (const { commitments, share } of received) {
+    if (!verifyDealingShare(commitments, index, share)) throw new Error("Invalid dealing share");
+    secretShare = bn128.mod(secretShare + share, bn128.N);
+  }
+  return secretShare;
+}
+
+/**
+ * Decryption share x_j * A of every aggregate, with proofs that it matches the
+ * trustee's verification key, as VotingAndTallyingContract.submitDecryptionShare takes it.
+ * @param {bigint} secretShare Trustee's key share x_j
+ * @param {Array<bigint[]|null>} aggregates Aggregate a per candidate, from getEncryptedTally
+ * @param {string} proofContext bytes32 from decryptionContext(electionId, index)
+ * @returns {{ shares: bigint[][], proofs: bigint[][] }}
+ */
+function createDecryptionShare(secretShare, aggregates, proofContext) {
+  return {
+    shares: aggregates.map((a) => elgamal.toUint(bn128.mul(a, secretShare))),
+    proofs: aggregates.map((a) => elgamal.proveEquality(proofContext, a, secretShare))
+  };
+}
+
+/**
+ * Check a trustee's decryption share before combining it.
+ * @param {bigint[]} verificationKey Trustee's x_j * G
+ * @param {Array<bigint[]|null>} aggregates Aggregate a per candidate
+ * @param {{ shares: Array<bigint[]|null>, proofs: bigint[][] }} decryptionShare Share and proofs
+ * @param {string} proofContext bytes32 from decryptionContext(electionId, index)
+ * @returns {boolean}
+ */
+function verifyDecryptionShare(verificationKey, aggregates, { shares, proofs }, proofContext) {
+  if (shares.length !== aggregates.length || proofs.length !== aggregates.length) return false;
+  return aggregates.every((a, i) =>
+    elgamal.verifyEquality(proofContext, a, verificationKey, elgamal.fromUint(shares[i]), proofs[i])
+  );
+}
+
+/**
+ * Vote counts from at least `threshold` decryption shares.
+ * Each count v satisfies v * G == B - x * A and is found by search, so it must not exceed maxVotes.
+ * @param {Array<bigint[]|null>} aggregates Aggregate b per candidate
+ * @param {Array<{ index: number, shares: Array<bigint[]|null> }>} decryptionShares Shares by trustee index
+ * @param {number|bigint} maxVotes Largest possible count, e.g. totalVotesCast
+ * @returns {bigint[]} Vote count per candidate, the argument VotingAndTallyingContract.decryptTally takes
+ */
+function combineDecryptionShares(aggregates, decryptionShares, maxVotes) {
+  const coefficients = lagrangeCoefficients(decryptionShares.map(({ index }) => index));
+  return aggregates.map((b, i) => {
+    const combined = decryptionShares.reduce(
+      (sum, { shares }, j) => bn128.add(sum, bn128.mul(elgamal.fromUint(shares[i]), coefficients[j])),
+      null
+    );
+    const target = bn128.add(b, bn128.neg(combined));
+
+    let point = null;
+    for (let count = 0n; count <= BigInt(maxVotes); count++) {
+      if (samePoint(point, target)) return count;
+      point = bn128.add(point, bn128.G);
+    }
+    throw new Error("Vote count out of range");
+  });
+}
+
+/**
+ * Read an encrypted election's aggregates from the contract.
+ * @param {import("ethers").Contract} votingAndTallyingContract
+ * @param {string} electionId bytes32 election identifier
+ * @returns {Promise<{ a: Array<bigint[]|null>, b: Array<bigint[]|null> }>}
+ */
+async function fetchEncryptedTally(votingAndTallyingContract, electionId) {
+  const [a, b] = await votingAndTallyingContract.getEncryptedTally(electionId);
+  return { a: a.map(elgamal.fromUint), b: b.map(elgamal.fromUint) };
+}
+
+/**
+ * Post this trustee's decryption share for an election in its tallying phase.
+ * @param {import("ethers").Contract} votingAndTallyingContract Contract connected to the trustee's signer
+ * @param {string} electionId bytes32 election identifier
+ * @param {bigint} secretShare Trustee's key share x_j
+ */
+async function submitDecryptionShare(votingAndTallyingContract, electionId, secretShare) {
+  const trustee = await votingAndTallyingContract.runner.getAddress();
+  const [index] = await votingAndTallyingContract.getDecryptionShare(electionId, trustee);
+  if (index === 0n) throw new Error("Not a tally trustee");
+
+  const { a } = await fetchEncryptedTally(votingAndTallyingContract, electionId);
+  const proofContext = await votingAndTallyingContract.decryptionContext(electionId, index);
+  const { shares, proofs } = createDecryptionShare(secretShare, a, proofContext);
+  return votingAndTallyingContract.submitDecryptionShare(electionId, shares, proofs);
+}
+
+/**
+ * Combine the first `threshold` posted shares, as the contract does, and publish the counts.
+ * @param {import("ethers").Contract} votingAndTallyingContract
+ * @param {string} electionId bytes32 election identifier
+ */
+async function decryptTally(votingAndTallyingContract, electionId) {
+  const [, threshold, trustees] = await votingAndTallyingContract.getTallyTrustees(electionId);
+  const [, , shareIndices] = await votingAndTallyingContract.getEncryptedTally(electionId);
+  if (shareIndices.length < Number(threshold)) throw new Error("Not enough decryption shares");
+
+  const decryptionShares = [];
+  for (const index of shareIndices.slice(0, Number(threshold))) {
+    const [, shares] = await votingAndTallyingContract.getDecryptionShare(electionId, trustees[Number(index) - 1]);
+    decryptionShares.push({ index: Number(index), shares });
+  }
+
+  const { b } = await fetchEncryptedTally(votingAndTallyingContract, electionId);
+  const maxVotes = await votingAndTallyingContract.totalVotesCast(electionId);
+  const counts = combineDecryptionShares(b, decryptionShares, maxVotes);
+  return votingAndTallyingContract.decryptTally(electionId, counts);
+}
+
+module.exports = {
+  lagrangeCoefficients,
+  createDealing,
+  verifyDealingShare,
+  deriveTallyKeys,
+  combineDealings,
+  createDecryptionShare,
+  verifyDecryptionShare,
+  combineDecryptionShares,
+  fetchEncryptedTally,
+  submitDecryptionShare,
+  decryptTally
+};
@@ -0,0 +1,591 @@
+const { ethers } = require("ethers");
+const bn128 = require("./altbn128");
+const lsag = require("./lsag");
+const ringMerkle = require("./ringMerkle");
+const elgamal = require("./elgamal");
+const { encryptReveal } = require("./revealEncryption");
+
+/**
+ * Voter-side helpers for every protocol step:
+ *   1. generateKeyPair / fetchRingSnapshot    (Steps 0-1)
+ *   2. signRegistration / registerVoter        (Step 2)
+ *   3. deriveVotingKey / buildVoteCommitment   (Step 3)
+ *   4. buildTallyPayload                       (Step 4)
+ * Passing the election's reveal key to buildVoteCommitment deposits the reveal with the vote,
+ * for the tally relayer to submit (see lib/tallyRelayer.js), so step 4 becomes optional.
+ * Encrypted elections replace steps 3-4 with buildEncryptedVote; the trustees
+ * decrypt the totals (see lib/trustee.js).
+ * The relay* helpers sign each step with the voting key as an ERC-2771 forward request and hand it
+ * to a relayer (see lib/relayer.js) instead of sending it from the voter's own account, so no voter
+ * address appears on-chain.
+ *
+ * Byte layouts mirror the contracts:
+ *   σ'v  = candidate (32 bytes) || PKS.sign(keccak256(candidate || Pu'v), Pr'v)
+ *          approval: bitmap (32 bytes, bit i = candidate i) in place of the candidate
+ *          ranked: ballot || PKS.sign(keccak256(keccak256(ballot) || Pu'v), Pr'v)
+ *          with ballot = preference count (1 byte) || candidates in preference order (32 bytes each)
+ *   hv   = keccak256(abi.encode(ballot, salt, L, kv))
+ *          ballot is the candidate, the approval bitmap or keccak256 of the ranked ballot, and salt
+ *          32 random bytes, so hv hides the choice; the reveal is σ'v || salt
+ *          (legacy commitments hv = keccak256(σ'v || L) are accepted unless saltedCommitmentsOnly is set)
+ *   σ''v = PKS.sign(keccak256(abi.encode(VOTE_TYPEHASH, chainId, votingContract, L, kv, hv, previous hv)), Pr'v)
+ *          bound to the chain, VotingAndTallyingContract, election and voter index (kv), so it cannot
+ *          be cast into another voter's slot or replayed elsewhere; see votingDomain. previous hv is
+ *          the vote hash being replaced (zero for a first vote), so a replaced vote cannot be recast
+ * PKS is secp256k1 ECDSA over a raw digest (65-byte r || s || v) and Pu'v is the
+ * voting key's 20-byte address.
+ */
+
+/**
+ * Generate the voter's long-term LSAG keypair (Puv, Prv).
+ * Puv (`publicKeyBytes`) is what the government certifies via storePub.
+ */
+function generateKeyPair() {
+  return lsag.generateKeyPair();
+}
+
+// Keys requested per getCertifiedKeys call
+const RING_PAGE_SIZE = 100;
+
+// Domain tag of the digest signed as σ''v, see voteHashDigest
+const VOTE_TYPEHASH = ethers.id("LSAG_VOTE_HASH");
+
+// EIP-712 type of the forward requests VoterForwarder relays (OpenZeppelin ERC2771Forwarder)
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" }
+  ]
+};
+
+// Gas a relayed call may use by default, enough to register against a 64-key sub-ring
+const FORWARD_GAS = 8_000_000n;
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Read every key ever certified for an election, in certification order, through the paginated getter.
+ * @param {import("ethers").Contract} registrationContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {number} [pageSize] Keys per getCertifiedKeys call
+ * @returns {Promise<string[]>}
+ */
+async function fetchCertifiedKeys(registrationContract, electionId, pageSize = RING_PAGE_SIZE) {
+  const total = await registrationContract.getCertifiedKeyCount(electionId);
+  const keys = [];
+  for (let offset = 0n; offset < total; offset += BigInt(pageSize)) {
+    keys.push(...(await registrationContract.getCertifiedKeys(electionId, offset, pageSize)));
+  }
+  return keys;
+}
+
+/**
+ * Rebuild an election's current certified ring from RegistrationContract.
+ * Keys that are no longer certified, or are not 64-byte alt_bn128 points and
+ * so cannot take part in a ring, are skipped.
+ * @param {import("ethers").Contract} registrationContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {number} [pageSize] Keys per getCertifiedKeys call
+ * @returns {Promise<string[]>} 64-byte public keys in certification order
+ */
+async function fetchCertifiedRing(registrationContract, electionId, pageSize = RING_PAGE_SIZE) {
+  const ring = [];
+  for (const publicKey of await fetchCertifiedKeys(registrationContract, electionId, pageSize)) {
+    if (isRingKey(publicKey) && await registrationContract.isCertified(electionId, publicKey)) {
+      ring.push(publicKey);
+    }
+  }
+  return ring;
+}
+
+/**
+ * Fetch an election's frozen ring and check it against the on-chain snapshot (root and count).
+ * This is the ring registration signatures have to be built over.
+ * @param {import("ethers").Contract} registrationContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {number} [pageSize] Keys per getCertifiedKeys call
+ * @returns {Promise<{ ring: string[], root: string, size: bigint }>}
+ */
+async function fetchRingSnapshot(registrationContract, electionId, pageSize = RING_PAGE_SIZE) {
+  const [root, size, frozen] = await registrationContract.getRingSnapshot(electionId);
+  if (!frozen) throw new Error("Ring not frozen");
+
+  const ring = await fetchCertifiedRing(registrationContract, electionId, pageSize);
+  if (BigInt(ring.length) !== size || ringMerkle.root(ring) !== root) {
+    throw new Error("Ring snapshot mismatch");
+  }
+  return { ring, root, size };
+}
+
+function isRingKey(publicKey) {
+  try {
+    bn128.decodePoint(publicKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fetch every sub-ring of an election's frozen ring, each checked against its on-chain root.
+ * Signing over a sub-ring keeps the LSAG affordable for large electorates.
+ * @param {import("ethers").Contract} registrationContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {number} [pageSize] Keys per getCertifiedKeys call
+ * @returns {Promise<Array<{ subRingId: number, ring: string[] }>>}
+ */
+async function fetchSubRings(registrationContract, electionId, pageSize = RING_PAGE_SIZE) {
+  const { ring } = await fetchRingSnapshot(registrationContract, electionId, pageSize);
+  const count = await registrationContract.getSubRingCount(electionId);
+
+  const subRings = [];
+  for (let subRingId = 0; subRingId < count; subRingId++) {
+    const [root, offset, size] = await registrationContract.getSubRing(electionId, subRingId);
+    const subRing = ring.slice(Number(offset), Number(offset + size));
+    if (ringMerkle.root(subRing) !== root) {
+      throw new Error(`Sub-ring ${subRingId} does not match its commitment`);
+    }
+    subRings.push({ subRingId, ring: subRing });
+  }
+  return subRings;
+}
+
+/**
+ * Find the sub-ring that contains a voter's public key.
+ * @param {Array<{ subRingId: number, ring: string[] }>} subRings Result of fetchSubRings
+ * @param {string} publicKeyBytes Voter's 64-byte public key (Puv)
+ * @returns {{ subRingId: number, ring: string[] }}
+ */
+function findSubRing(subRings, publicKeyBytes) {
+  const subRing = subRings.find(({ ring }) => ring.includes(ethers.hexlify(publicKeyBytes)));
+  if (subRing === undefined) {
+    throw new Error("Voter public key is not in any sub-ring");
+  }
+  return subRing;
+}
+
+/**
+ * Derive the fresh voting key (Pu'v, Pr'v) for an election from the LSAG private key.
+ * Deterministic so the voter can recover it, but unlinkable to Puv without Prv.
+ * @param {bigint} lsagPrivateKey Voter's LSAG private key (Prv)
+ * @param {string} electionId bytes32 election identifier (L)
+ * @returns {{ wallet: import("ethers").Wallet, votingPublicKey: string }}
+ */
+function deriveVotingKey(lsagPrivateKey, electionId) {
+  const seed = ethers.solidityPackedKeccak256(
+    ["string", "uint256", "bytes32"],
+    ["LSAG_VOTING_KEY", lsagPrivateKey, electionId]
+  );
+  const wallet = new ethers.Wallet(seed);
+  return { wallet, votingPublicKey: wallet.address };
+}
+
+/**
+ * Resolve the registration domain of an election: the chain, VoterRegistrationContract, the
+ * election's current random challenge (r) and its reset count, all of which the registration
+ * signature is bound to.
+ * @param {import("ethers").Contract} voterRegistrationContract
+ * @param {import("ethers").Contract} registrationContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @returns {Promise<{ chainId: bigint, voterRegistrationContract: string, electionId: string, randomChallenge: string, resetCount: bigint }>}
+ */
+async function registrationDomain(voterRegistrationContract, registrationContract, electionId) {
+  const { chainId } = await voterRegistrationContract.runner.provider.getNetwork();
+  return {
+    chainId,
+    voterRegistrationContract: await voterRegistrationContract.getAddress(),
+    electionId,
+    randomChallenge: await registrationContract.randomChallenge(electionId),
+    resetCount: await registrationContract.resetCount(electionId)
+  };
+}
+
+/**
+ * Produce the registration LSAG signature σv over the registration domain and voting key.
+ * @param {object} params
+ * @param {{ chainId: bigint|number, voterRegistrationContract: string, electionId: string, randomChallenge: string, resetCount: bigint|number }} params.domain
+ *   Target election, from registrationDomain
+ * @param {string[]} params.ring Certified ring (64-byte public keys)
+ * @param {bigint} params.lsagPrivateKey Voter's LSAG private key (Prv)
+ * @param {string} params.votingPublicKey Voting public key (Pu'v)
+ * @param {number} [params.subRingId] Sub-ring `ring` is, to reference it instead of sending an inline ring
+ * @returns {{ lsagSignature: string, keyImage: string }}
+ */
+function signRegistration({ domain, ring, lsagPrivateKey, votingPublicKey, subRingId }) {
+  const publicKeyBytes = bn128.encodePoint(bn128.mul(bn128.G, lsagPrivateKey));
+  const signerIndex = ring.findIndex((key) => ethers.hexlify(key) === publicKeyBytes);
+  if (signerIndex === -1) {
+    throw new Error("Voter public key is not in the ring");
+  }
+
+  const message = lsag.registrationMessage(domain, votingPublicKey);
+  const signature = lsag.sign(message, ring, signerIndex, lsagPrivateKey);
+  return {
+    lsagSignature: lsag.encodeSignature(signature, ring, subRingId),
+    keyImage: lsag.encodeKeyImage(signature.keyImage)
+  };
+}
+
+/**
+ * Submit the registration and return the voter index (kv) assigned within the election.
+ * @param {import("ethers").Contract} voterRegistrationContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {{ lsagSignature: string, votingPublicKey: string }} registration
+ * @returns {Promise<bigint>}
+ */
+async function registerVoter(voterRegistrationContract, electionId, { lsagSignature, votingPublicKey }) {
+  const tx = await voterRegistrationContract.verify(electionId, lsagSignature, votingPublicKey);
+  const receipt = await tx.wait();
+  for (const log of receipt.logs) {
+    const parsed = voterRegistrationContract.interface.parseLog(log);
+    if (parsed && parsed.name === "VoterRegistered") {
+      return parsed.args.voterIndex;
+    }
+  }
+  throw new Error("VoterRegistered event not found");
+}
+
+function signDigest(wallet, digest) {
+  return wallet.signingKey.sign(digest).serialized;
+}
+
+/**
+ * Salted vote commitment (hv) over a ballot.
+ * Must match the opening VotingAndTallyingContract.tally checks.
+ * @param {string} ballot bytes32 candidate, approval bitmap or hash of the ranked ballot
+ * @param {string} salt bytes32 random salt
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {number|bigint} voterIndex Voter's registration index (kv)
+ * @returns {string} bytes32 vote hash
+ */
+function saltedVoteHash(ballot, salt, electionId, voterIndex) {
+  return ethers.keccak256(
+    abiCoder.encode(["bytes32", "bytes32", "bytes32", "uint256"], [ballot, salt, electionId, voterIndex])
+  );
+}
+
+/**
+ * Digest the voting key signs over a vote hash (σ''v).
+ * Must match VotingAndTallyingContract.voteHashDigest.
+ * @param {{ chainId: bigint|number, votingContract: string, electionId: string }} domain Target election
+ * @param {number|bigint} voterIndex Voter's registration index (kv)
+ * @param {string} voteHash bytes32 vote hash (hv), or the ballot hash of an encrypted ballot
+ * @param {string} [previousVoteHash] Vote hash in the voter's slot that hv replaces, zero for a first vote
+ * @returns {string} bytes32 digest
+ */
+function voteHashDigest({ chainId, votingContract, electionId }, voterIndex, voteHash, previousVoteHash = ethers.ZeroHash) {
+  return ethers.keccak256(
+    abiCoder.encode(
+      ["bytes32", "uint256", "address", "bytes32", "uint256", "bytes32", "bytes32"],
+      [VOTE_TYPEHASH, chainId, votingContract, electionId, voterIndex, voteHash, previousVoteHash]
+    )
+  );
+}
+
+/**
+ * Resolve the voting domain of an election on a deployed VotingAndTallyingContract.
+ * @param {import("ethers").Contract} votingAndTallyingContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @returns {Promise<{ chainId: bigint, votingContract: string, electionId: string }>}
+ */
+async function votingDomain(votingAndTallyingContract, electionId) {
+  const { chainId } = await votingAndTallyingContract.runner.provider.getNetwork();
+  return { chainId, votingContract: await votingAndTallyingContract.getAddress(), electionId };
+}
+
+/**
+ * Encode a ranked ballot as RankedChoice.extractBallot reads it.
+ * @param {string[]} preferences bytes32 candidate identifiers, most preferred first
+ * @returns {string} hex encoded ballot
+ */
+function encodeRankedBallot(preferences) {
+  if (preferences.length === 0 || preferences.length > 255) throw new Error("Invalid preference count");
+  if (new Set(preferences.map((p) => p.toLowerCase())).size !== preferences.length) {
+    throw new Error("Duplicate preference");
+  }
+  return ethers.concat([ethers.toBeHex(preferences.length, 1), ...preferences]);
+}
+
+/**
+ * Encode an approval ballot as the bitmap VotingAndTallyingContract._extractApprovalBallot reads.
+ * @param {string[]} approved bytes32 identifiers of the selected candidates
+ * @param {string[]} candidates The election's candidates, as returned by getCandidates
+ * @returns {string} bytes32 bitmap, bit i selecting candidates[i]
+ */
+function encodeApprovalBallot(approved, candidates) {
+  if (approved.length === 0) throw new Error("Empty approval ballot");
+  if (candidates.length > 256) throw new Error("Too many candidates for approval ballots");
+  const indices = candidates.map((c) => c.toLowerCase());
+  let bitmap = 0n;
+  for (const candidate of approved) {
+    const index = indices.indexOf(candidate.toLowerCase());
+    if (index < 0) throw new Error("Invalid candidate");
+    bitmap |= 1n << BigInt(index);
+  }
+  return ethers.toBeHex(bitmap, 32);
+}
+
+/**
+ * Build the vote commitment for the voting phase.
+ * Pass `candidate` for plurality elections, `approvalBallot` for approval elections
+ * and `preferences` for ranked-choice elections.
+ * To replace a vote already cast, pass its vote hash as `previousVoteHash`; casting the new
+ * commitment before voting closes makes it the only one that can be tallied.
+ * @param {object} params
+ * @param {string} [params.candidate] bytes32 candidate identifier
+ * @param {string} [params.approvalBallot] bytes32 bitmap from encodeApprovalBallot
+ * @param {string[]} [params.preferences] bytes32 candidate identifiers, most preferred first
+ * @param {{ chainId: bigint|number, votingContract: string, electionId: string }} params.domain
+ *   Target election, from votingDomain
+ * @param {number|bigint} params.voterIndex Voter's registration index (kv), from registerVoter
+ * @param {import("ethers").Wallet} params.votingWallet Voting key (Pr'v)
+ * @param {string} [params.revealKey] revealKey(electionId), to deposit the reveal for the tally relayer
+ * @param {string} [params.salt] bytes32 commitment salt, random by default; never reuse one
+ * @param {string} [params.previousVoteHash] Vote hash this commitment replaces, see votes(electionId, voterIndex)
+ * @returns {{ electionId: string, actualVoteSignature: string, salt: string, reveal: string, voteHash: string,
+ *   signatureOnHash: string, encryptedReveal?: string }} `reveal` (σ'v || salt) is what tally takes
+ */
+function buildVoteCommitment({
+  candidate,
+  approvalBallot,
+  preferences,
+  domain,
+  voterIndex,
+  votingWallet,
+  revealKey,
+  salt = ethers.hexlify(ethers.randomBytes(32)),
+  previousVoteHash
+}) {
+  const { electionId } = domain;
+  const votingPublicKey = votingWallet.address;
+
+  const ballot = preferences ? encodeRankedBallot(preferences) : (approvalBallot ?? candidate);
+  const ballotValue = preferences ? ethers.keccak256(ballot) : ballot;
+  const candidateDigest = ethers.solidityPackedKeccak256(["bytes32", "bytes"], [ballotValue, votingPublicKey]);
+  const actualVoteSignature = ethers.concat([ballot, signDigest(votingWallet, candidateDigest)]);
+  const reveal = ethers.concat([actualVoteSignature, salt]);
+
+  const voteHash = saltedVoteHash(ballotValue, salt, electionId, voterIndex);
+  const signatureOnHash = signDigest(votingWallet, voteHashDigest(domain, voterIndex, voteHash, previousVoteHash));
+
+  const commitment = { electionId, actualVoteSignature, salt, reveal, voteHash, signatureOnHash };
+  if (revealKey) {
+    commitment.encryptedReveal = encryptReveal(reveal, revealKey, electionId);
+  }
+  return commitment;
+}
+
+/**
+ * Build an encrypted ballot for an encrypted election's voting phase.
+ * The ballot's proofs are bound to the voter's slot, so the voter index must be known first.
+ * To replace a ballot already cast, pass its vote hash as `previousVoteHash`; the contract
+ * subtracts the earlier ciphertexts from the encrypted tally.
+ * @param {object} params
+ * @param {import("ethers").Contract} params.votingAndTallyingContract
+ * @param {string} params.electionId bytes32 election identifier (L)
+ * @param {string} params.candidate bytes32 candidate identifier
+ * @param {string[]} params.candidates The election's candidates, as returned by getCandidates
+ * @param {number|bigint} params.voterIndex Voter's registration index
+ * @param {import("ethers").Wallet} params.votingWallet Voting key (Pr'v)
+ * @param {string} [params.previousVoteHash] Vote hash this ballot replaces, see votes(electionId, voterIndex)
+ * @returns {Promise<{ electionId: string, ballot: object, voteHash: string, signatureOnHash: string }>}
+ */
+async function buildEncryptedVote({
+  votingAndTallyingContract,
+  electionId,
+  candidate,
+  candidates,
+  voterIndex,
+  votingWallet,
+  previousVoteHash
+}) {
+  const indices = candidates.map((c) => c.toLowerCase());
+  const [publicKey] = await votingAndTallyingContract.getTallyTrustees(electionId);
+  const proofContext = await votingAndTallyingContract.ballotContext(electionId, voterIndex);
+
+  const ballot = elgamal.encryptBallot(
+    indices.indexOf(candidate.toLowerCase()),
+    candidates.length,
+    elgamal.fromUint(publicKey),
+    proofContext
+  );
+
+  const voteHash = elgamal.ballotHash(ballot);
+  const domain = await votingDomain(votingAndTallyingContract, electionId);
+  const signatureOnHash = signDigest(votingWallet, voteHashDigest(domain, voterIndex, voteHash, previousVoteHash));
+
+  return { electionId, ballot, voteHash, signatureOnHash };
+}
+
+/**
+ * Arguments for VotingAndTallyingContract.voting.
+ */
+function buildVotingPayload(commitment, voterIndex) {
+  return [commitment.electionId, commitment.signatureOnHash, commitment.voteHash, voterIndex];
+}
+
+/**
+ * Arguments for VotingAndTallyingContract.votingWithReveal, for a commitment built with a reveal key.
+ */
+function buildVotingWithRevealPayload(commitment, voterIndex) {
+  if (!commitment.encryptedReveal) throw new Error("Commitment has no encrypted reveal");
+  return [...buildVotingPayload(commitment, voterIndex), commitment.encryptedReveal];
+}
+
+/**
+ * Arguments for VotingAndTallyingContract.tally (the reveal).
+ */
+function buildTallyPayload(commitment, voterIndex) {
+  return [commitment.electionId, commitment.reveal, voterIndex];
+}
+
+/**
+ * Arguments for VotingAndTallyingContract.votingEncrypted.
+ */
+function buildEncryptedVotingPayload(encryptedVote, voterIndex) {
+  return [encryptedVote.electionId, encryptedVote.ballot, encryptedVote.signatureOnHash, voterIndex];
+}
+
+// JSON with BigInt values (encrypted ballots, voter indices) as decimal strings
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+/**
+ * Sign a call as an ERC-2771 forward request, for a relayer to submit through the forwarder.
+ * The voting key signs it, so the only address the call carries is the voting key's own, which
+ * never holds funds; the contracts reject a relayed request signed by any other key.
+ * The forwarder numbers each key's requests, so sign the next one once the previous one is mined.
+ * @param {object} params
+ * @param {import("ethers").Contract} params.forwarder VoterForwarder, the RegistrationContract's trustedForwarder
+ * @param {import("ethers").Contract} params.target VoterRegistrationContract or VotingAndTallyingContract
+ * @param {string} params.method Function to call
+ * @param {Array} params.args Its arguments
+ * @param {import("ethers").Wallet} params.votingWallet Voting key (Pr'v)
+ * @param {bigint|number} [params.gas] Gas the call may use
+ * @param {number} [params.validFor] Seconds from the latest block until the request expires
+ * @returns {Promise<{ from: string, to: string, value: bigint, gas: bigint, deadline: bigint, data: string,
+ *   signature: string }>} The forwarder's ForwardRequestData
+ */
+async function signForwardRequest({ forwarder, target, method, args, votingWallet, gas = FORWARD_GAS, validFor = 3600 }) {
+  const [, name, version, chainId, verifyingContract] = await forwarder.eip712Domain();
+  const { timestamp } = await forwarder.runner.provider.getBlock("latest");
+  const request = {
+    from: votingWallet.address,
+    to: await target.getAddress(),
+    value: 0n,
+    gas: BigInt(gas),
+    nonce: await forwarder.nonces(votingWallet.address),
+    deadline: BigInt(timestamp + validFor),
+    data: target.interface.encodeFunctionData(method, args)
+  };
+  const signature = await votingWallet.signTypedData(
+    { name, version, chainId, verifyingContract },
+    FORWARD_REQUEST_TYPES,
+    request
+  );
+  const { nonce, ...forwardRequest } = request;
+  return { ...forwardRequest, signature };
+}
+
+/**
+ * Send one signed forward request to a relayer started with lib/relayer.js.
+ * @param {string} relayerUrl Base URL of the relayer
+ * @param {string} step "register", "vote", "vote-encrypted" or "reveal"
+ * @param {object} request Forward request from signForwardRequest
+ * @returns {Promise<{ transactionHash: string, voterIndex?: string }>}
+ */
+async function relayRequest(relayerUrl, step, request) {
+  const response = await fetch(new URL(step, relayerUrl), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: toJson(request)
+  });
+  const body = await response.json();
+  if (!response.ok) throw new Error(body.error);
+  return body;
+}
+
+// Sign a call with the voting key and hand it to the relayer as the given step
+async function relayCall({ relayerUrl, forwarder, votingWallet }, step, target, method, args) {
+  const request = await signForwardRequest({ forwarder, target, method, args, votingWallet });
+  return relayRequest(relayerUrl, step, request);
+}
+
+/**
+ * Register through a relayer; the counterpart of registerVoter.
+ * The relayed request is signed by the voting key being registered.
+ * @param {{ relayerUrl: string, forwarder: import("ethers").Contract, votingWallet: import("ethers").Wallet }} relay
+ *   Relayer, forwarder and voting key (Pr'v) to sign with
+ * @param {import("ethers").Contract} voterRegistrationContract
+ * @param {string} electionId bytes32 election identifier (L)
+ * @param {{ lsagSignature: string, votingPublicKey: string }} registration
+ * @returns {Promise<bigint>} The voter index (kv)
+ */
+async function relayRegistration(relay, voterRegistrationContract, electionId, { lsagSignature, votingPublicKey }) {
+  const { voterIndex } = await relayCall(
+    relay, "register", voterRegistrationContract, "verify", [electionId, lsagSignature, votingPublicKey]
+  );
+  return BigInt(voterIndex);
+}
+
+/**
+ * Cast a vote through a relayer, depositing the encrypted reveal when the commitment has one.
+ */
+function relayVote(relay, votingAndTallyingContract, commitment, voterIndex) {
+  return commitment.encryptedReveal
+    ? relayCall(relay, "vote", votingAndTallyingContract, "votingWithReveal", buildVotingWithRevealPayload(commitment, voterIndex))
+    : relayCall(relay, "vote", votingAndTallyingContract, "voting", buildVotingPayload(commitment, voterIndex));
+}
+
+/**
+ * Cast an encrypted ballot through a relayer.
+ */
+function relayEncryptedVote(relay, votingAndTallyingContract, encryptedVote, voterIndex) {
+  return relayCall(
+    relay, "vote-encrypted", votingAndTallyingContract, "votingEncrypted", buildEncryptedVotingPayload(encryptedVote, voterIndex)
+  );
+}
+
+/**
+ * Reveal a vote through a relayer.
+ */
+function relayReveal(relay, votingAndTallyingContract, commitment, voterIndex) {
+  return relayCall(relay, "reveal", votingAndTallyingContract, "tally", buildTallyPayload(commitment, voterIndex));
+}
+
+module.exports = {
+  generateKeyPair,
+  fetchCertifiedKeys,
+  fetchCertifiedRing,
+  fetchRingSnapshot,
+  fetchSubRings,
+  findSubRing,
+  deriveVotingKey,
+  registrationDomain,
+  signRegistration,
+  registerVoter,
+  VOTE_TYPEHASH,
+  saltedVoteHash,
+  voteHashDigest,
+  votingDomain,
+  encodeRankedBallot,
+  encodeApprovalBallot,
+  buildVoteCommitment,
+  buildEncryptedVote,
+  buildVotingPayload,
+  buildVotingWithRevealPayload,
+  buildTallyPayload,
+  buildEncryptedVotingPayload,
+  signForwardRequest,
+  relayRequest,
+  relayRegistration,
+  relayVote,
+  relayEncryptedVote,
+  relayReveal
+};
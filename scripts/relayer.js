@@ -0,0 +1,36 @@
+// Runs a relayer that submits voters' signed registrations, votes and reveals through the
+// VoterForwarder from its own account.
+//
+//   FORWARDER=0x... VOTER_REGISTRATION_CONTRACT=0x... VOTING_CONTRACT=0x... PORT=3000 \
+//     npx hardhat run scripts/relayer.js --network localhost
+//
+// FORWARDER must be the RegistrationContract's trustedForwarder. PORT defaults to 3000.
+// Transactions are sent from the network's first account, which pays for every voter's gas;
+// the relayer needs no role on the contracts. Stop it with Ctrl-C.
+
+const hre = require("hardhat");
+const { startRelayer } = require("../lib/relayer");
+
+async function main() {
+  const { FORWARDER, VOTER_REGISTRATION_CONTRACT, VOTING_CONTRACT, PORT } = process.env;
+  if (!FORWARDER || !VOTER_REGISTRATION_CONTRACT || !VOTING_CONTRACT) {
+    throw new Error("Set FORWARDER, VOTER_REGISTRATION_CONTRACT and VOTING_CONTRACT");
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const relayer = await startRelayer({
+    forwarder: await hre.ethers.getContractAt("VoterForwarder", FORWARDER, signer),
+    voterRegistrationContract: await hre.ethers.getContractAt("VoterRegistrationContract", VOTER_REGISTRATION_CONTRACT),
+    votingAndTallyingContract: await hre.ethers.getContractAt("VotingAndTallyingContract", VOTING_CONTRACT),
+    port: PORT ? Number(PORT) : 3000
+  });
+  console.log(`Relaying for ${signer.address} at ${relayer.url}`);
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await relayer.close();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
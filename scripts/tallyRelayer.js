@@ -0,0 +1,38 @@
+// Runs the tally relayer for one election until its deposited reveals are submitted.
+//
+//   VOTING_CONTRACT=0x... ELECTION_ID=0x... REVEAL_PRIVATE_KEY=0x... \
+//     npx hardhat run scripts/tallyRelayer.js --network localhost
+//
+// BATCH_SIZE and POLL_INTERVAL (milliseconds) are optional. Transactions are sent from the
+// network's first account; the relayer needs no role on the contract.
+
+const hre = require("hardhat");
+const { startTallyRelayer } = require("../lib/tallyRelayer");
+
+async function main() {
+  const { VOTING_CONTRACT, ELECTION_ID, REVEAL_PRIVATE_KEY, BATCH_SIZE, POLL_INTERVAL } = process.env;
+  if (!VOTING_CONTRACT || !ELECTION_ID || !REVEAL_PRIVATE_KEY) {
+    throw new Error("Set VOTING_CONTRACT, ELECTION_ID and REVEAL_PRIVATE_KEY");
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const votingAndTallyingContract = await hre.ethers.getContractAt("VotingAndTallyingContract", VOTING_CONTRACT, signer);
+
+  console.log(`Waiting for the tallying phase of ${ELECTION_ID}...`);
+  const relayer = startTallyRelayer({
+    votingAndTallyingContract,
+    electionId: ELECTION_ID,
+    revealPrivateKey: REVEAL_PRIVATE_KEY,
+    batchSize: BATCH_SIZE ? Number(BATCH_SIZE) : undefined,
+    pollInterval: POLL_INTERVAL ? Number(POLL_INTERVAL) : undefined
+  });
+  process.once("SIGINT", relayer.stop);
+
+  const submitted = await relayer.done;
+  console.log(`Submitted ${submitted} reveals`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
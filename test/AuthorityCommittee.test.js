@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployRegistrationContract } = require("./helpers/deployElection");
+
+describe("AuthorityCommittee", function () {
+  let committee;
+  let registrationContract;
+  let voterRegistrationContract;
+  let votingAndTallyingContract;
+  let trustee1, trustee2, trustee3, outsider;
+  let electionId, candidates;
+
+  const ACTION_LIFETIME = 86400;
+  const [PENDING, EXECUTED, EXPIRED] = [1n, 2n, 3n];
+
+  // Phase deadlines one hour apart, starting an hour from now
+  async function phaseDeadlines() {
+    const now = BigInt(await time.latest());
+    return { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+  }
+
+  // Propose a call on `contract` and return the new action's ID
+  async function propose(trustee, contract, method, args) {
+    const data = contract.interface.encodeFunctionData(method, args);
+    const actionId = await committee.actionCount();
+    await committee.connect(trustee).propose(contract.target, data);
+    return actionId;
+  }
+
+  // Propose, approve to the 2-of-3 threshold and execute a call
+  async function act(contract, method, args) {
+    const actionId = await propose(trustee1, contract, method, args);
+    await committee.connect(trustee2).approve(actionId);
+    return committee.connect(trustee1).execute(actionId);
+  }
+
+  beforeEach(async function () {
+    [, trustee1, trustee2, trustee3, outsider] = await ethers.getSigners();
+
+    const AuthorityCommittee = await ethers.getContractFactory("AuthorityCommittee");
+    committee = await AuthorityCommittee.deploy([trustee1.address, trustee2.address, trustee3.address], 2, ACTION_LIFETIME);
+
+    registrationContract = await deployRegistrationContract(committee);
+
+    const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
+    voterRegistrationContract = await VoterRegistrationContract.deploy(registrationContract.target);
+
+    const encryptedTallyLibrary = await (await ethers.getContractFactory("EncryptedTally")).deploy();
+    const rankedChoiceLibrary = await (await ethers.getContractFactory("RankedChoice")).deploy();
+    const VotingAndTallyingContract = await ethers.getContractFactory("VotingAndTallyingContract", {
+      libraries: { EncryptedTally: encryptedTallyLibrary.target, RankedChoice: rankedChoiceLibrary.target }
+    });
+    votingAndTallyingContract = await VotingAndTallyingContract.deploy(
+      voterRegistrationContract.target,
+      registrationContract.target
+    );
+
+    electionId = ethers.keccak256(ethers.toUtf8Bytes("COMMITTEE_ELECTION"));
+    candidates = [
+      ethers.keccak256(ethers.toUtf8Bytes("ALICE")),
+      ethers.keccak256(ethers.toUtf8Bytes("BOB"))
+    ];
+  });
+
+  describe("Deployment", function () {
+    it("Should store the trustees and threshold", async function () {
+      expect(await committee.getTrusteeCount()).to.equal(3);
+      expect(await committee.trustees(1)).to.equal(trustee2.address);
+      expect(await committee.isTrustee(trustee3.address)).to.be.true;
+      expect(await committee.isTrustee(outsider.address)).to.be.false;
+      expect(await committee.threshold()).to.equal(2);
+      expect(await committee.actionLifetime()).to.equal(ACTION_LIFETIME);
+    });
+
+    it("Should reject invalid committees", async function () {
+      const AuthorityCommittee = await ethers.getContractFactory("AuthorityCommittee");
+      const invalid = [
+        [[], 1, ACTION_LIFETIME, "No trustees"],
+        [[trustee1.address], 0, ACTION_LIFETIME, "Invalid threshold"],
+        [[trustee1.address], 2, ACTION_LIFETIME, "Invalid threshold"],
+        [[trustee1.address], 1, 0, "Invalid action lifetime"],
+        [[trustee1.address, ethers.ZeroAddress], 1, ACTION_LIFETIME, "Invalid trustee address"],
+        [[trustee1.address, trustee1.address], 1, ACTION_LIFETIME, "Duplicate trustee"]
+      ];
+      for (const [trustees, threshold, lifetime, reason] of invalid) {
+        await expect(AuthorityCommittee.deploy(trustees, threshold, lifetime)).to.be.revertedWith(reason);
+      }
+    });
+  });
+
+  describe("Actions", function () {
+    it("Should set up an election once a quorum of trustees approves", async function () {
+      const deadlines = await phaseDeadlines();
+      const data = registrationContract.interface.encodeFunctionData(
+        "storePollParams(bytes32,bytes32[],bytes32,(uint64,uint64,uint64,uint64))",
+        [electionId, candidates, ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE")), deadlines]
+      );
+
+      const proposal = await committee.connect(trustee1).propose(registrationContract.target, data);
+      await expect(proposal)
+        .to.emit(committee, "ActionProposed")
+        .withArgs(0, trustee1.address, registrationContract.target, data, BigInt(await time.latest()) + BigInt(ACTION_LIFETIME))
+        .and.to.emit(committee, "ActionApproved")
+        .withArgs(0, trustee1.address, 1);
+
+      // One approval is not enough
+      await expect(committee.connect(trustee1).execute(0)).to.be.revertedWith("Not enough approvals");
+
+      await expect(committee.connect(trustee3).approve(0))
+        .to.emit(committee, "ActionApproved")
+        .withArgs(0, trustee3.address, 2);
+      await expect(committee.connect(trustee2).execute(0))
+        .to.emit(committee, "ActionExecuted")
+        .withArgs(0, trustee2.address)
+        .and.to.emit(registrationContract, "ElectionSetup")
+        .withArgs(electionId, 2);
+
+      const action = await committee.getAction(0);
+      expect(action.status).to.equal(EXECUTED);
+      expect(action.approvals).to.equal(2);
+      expect(await registrationContract.getCandidates(electionId)).to.deep.equal(candidates);
+
+      // An executed action cannot run again
+      await expect(committee.connect(trustee1).execute(0)).to.be.revertedWith("Action not pending");
+    });
+
+    it("Should let only the committee act as the authority of both contracts", async function () {
+      await act(registrationContract, "storePollParams(bytes32,bytes32[],bytes32,(uint64,uint64,uint64,uint64))", [
+        electionId, candidates, ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE")), await phaseDeadlines()
+      ]);
+
+      // A trustee acting alone is not the authority
+      const revealKey = "0x02" + "11".repeat(32);
+      await expect(
+        votingAndTallyingContract.connect(trustee1).setRevealKey(electionId, revealKey)
+      ).to.be.revertedWithCustomError(votingAndTallyingContract, "AccessControlUnauthorizedAccount");
+      await expect(
+        registrationContract.connect(trustee1).resetElectionSetup(electionId)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      await expect(act(votingAndTallyingContract, "setRevealKey", [electionId, revealKey]))
+        .to.emit(votingAndTallyingContract, "RevealKeySet")
+        .withArgs(electionId, revealKey);
+      await expect(act(registrationContract, "resetElectionSetup", [electionId]))
+        .to.emit(registrationContract, "ElectionReset")
+        .withArgs(electionId);
+    });
+
+    it("Should reject proposals, approvals and executions from non-trustees", async function () {
+      const actionId = await propose(trustee1, registrationContract, "resetElectionSetup", [electionId]);
+
+      await expect(
+        committee.connect(outsider).propose(registrationContract.target, "0x")
+      ).to.be.revertedWith("Only trustees can call this function");
+      await expect(committee.connect(outsider).approve(actionId)).to.be.revertedWith("Only trustees can call this function");
+      await expect(committee.connect(outsider).execute(actionId)).to.be.revertedWith("Only trustees can call this function");
+      await expect(
+        committee.connect(trustee1).propose(outsider.address, "0x")
+      ).to.be.revertedWith("Target is not a contract");
+    });
+
+    it("Should count each trustee's approval once", async function () {
+      const actionId = await propose(trustee1, registrationContract, "resetElectionSetup", [electionId]);
+      await expect(committee.connect(trustee1).approve(actionId)).to.be.revertedWith("Action already approved");
+      await expect(committee.connect(trustee1).execute(actionId)).to.be.revertedWith("Not enough approvals");
+      await expect(committee.connect(trustee1).approve(99)).to.be.revertedWith("Action not pending");
+      await expect(committee.getAction(99)).to.be.revertedWith("Action not found");
+    });
+
+    it("Should keep an action pending when the authority call reverts", async function () {
+      // The election is not set up, so the reset is rejected
+      const actionId = await propose(trustee1, registrationContract, "resetElectionSetup", [electionId]);
+      await committee.connect(trustee2).approve(actionId);
+      await expect(committee.connect(trustee1).execute(actionId)).to.be.revertedWith("Election not setup");
+      expect((await committee.getAction(actionId)).status).to.equal(PENDING);
+    });
+  });
+
+  describe("Expiry", function () {
+    it("Should refuse approvals and execution once an action has expired", async function () {
+      const actionId = await propose(trustee1, registrationContract, "resetElectionSetup", [electionId]);
+      const { expiresAt } = await committee.getAction(actionId);
+
+      await expect(committee.expire(actionId)).to.be.revertedWith("Action not expired yet");
+      await time.increaseTo(expiresAt);
+      await expect(committee.connect(trustee2).approve(actionId)).to.be.revertedWith("Action expired");
+      await expect(committee.connect(trustee1).execute(actionId)).to.be.revertedWith("Action expired");
+
+      await expect(committee.connect(outsider).expire(actionId))
+        .to.emit(committee, "ActionExpired")
+        .withArgs(actionId);
+      expect((await committee.getAction(actionId)).status).to.equal(EXPIRED);
+      await expect(committee.expire(actionId)).to.be.revertedWith("Action not pending");
+      await expect(committee.expire(99)).to.be.revertedWith("Action not pending");
+    });
+  });
+
+  describe("Authority Handover", function () {
+    it("Should take over the roles of a single authority key", async function () {
+      const singleKeyContract = await deployRegistrationContract(outsider);
+      const ELECTION_ADMIN_ROLE = await singleKeyContract.ELECTION_ADMIN_ROLE();
+
+      // The handover is scheduled first and made once the election admin timelock has passed
+      await singleKeyContract.grantRole(ELECTION_ADMIN_ROLE, committee.target);
+      await singleKeyContract.revokeRole(ELECTION_ADMIN_ROLE, outsider.address);
+      await time.increase(await singleKeyContract.electionAdminDelay());
+      await singleKeyContract.grantRole(ELECTION_ADMIN_ROLE, committee.target);
+      await singleKeyContract.revokeRole(ELECTION_ADMIN_ROLE, outsider.address);
+      await expect(
+        singleKeyContract.connect(outsider).storePollParams(electionId, candidates, ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE")), await phaseDeadlines())
+      ).to.be.revertedWithCustomError(singleKeyContract, "AccessControlUnauthorizedAccount");
+      await expect(act(singleKeyContract, "storePollParams(bytes32,bytes32[],bytes32,(uint64,uint64,uint64,uint64))", [
+        electionId, candidates, ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE")), await phaseDeadlines()
+      ])).to.emit(singleKeyContract, "ElectionSetup");
+    });
+
+    it("Should become the default admin and hand over to a new committee", async function () {
+      // The deployer hands the default admin role to the committee, which accepts through its quorum
+      await registrationContract.beginDefaultAdminTransfer(committee.target);
+      await act(registrationContract, "acceptDefaultAdminTransfer", []);
+      expect(await registrationContract.defaultAdmin()).to.equal(committee.target);
+
+      // The committee hands over to a successor committee, which accepts through its own quorum
+      const AuthorityCommittee = await ethers.getContractFactory("AuthorityCommittee");
+      const successor = await AuthorityCommittee.deploy([trustee2.address, trustee3.address], 2, ACTION_LIFETIME);
+      await act(registrationContract, "beginDefaultAdminTransfer", [successor.target]);
+
+      const data = registrationContract.interface.encodeFunctionData("acceptDefaultAdminTransfer");
+      await successor.connect(trustee2).propose(registrationContract.target, data);
+      await successor.connect(trustee3).approve(0);
+      await expect(successor.connect(trustee3).execute(0))
+        .to.emit(registrationContract, "RoleGranted")
+        .withArgs(ethers.ZeroHash, successor.target, successor.target);
+      expect(await registrationContract.defaultAdmin()).to.equal(successor.target);
+    });
+  });
+});
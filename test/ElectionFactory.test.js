@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const issuer = require("../lib/issuer");
+const lsag = require("../lib/lsag");
+const ElectionFactoryModule = require("../ignition/modules/ElectionFactory").default;
+
+describe("ElectionFactory", function () {
+  let electionFactory;
+  let registrationImplementation, voterRegistrationImplementation, votingAndTallyingImplementation;
+  let deployer, electionAuthority, otherAuthority, government, stranger;
+  let electionId;
+
+  const label = ethers.keccak256(ethers.toUtf8Bytes("ELECTION_2025"));
+  const otherLabel = ethers.keccak256(ethers.toUtf8Bytes("REFERENDUM_2025"));
+  const candidates = [
+    ethers.keccak256(ethers.toUtf8Bytes("CANDIDATE_ALICE")),
+    ethers.keccak256(ethers.toUtf8Bytes("CANDIDATE_BOB"))
+  ];
+
+  // Contract instances of a directory entry
+  async function attach(deployment) {
+    return {
+      registration: await ethers.getContractAt("RegistrationContract", deployment.registrationContract),
+      voterRegistration: await ethers.getContractAt("VoterRegistrationContract", deployment.voterRegistrationContract),
+      votingAndTallying: await ethers.getContractAt("VotingAndTallyingContract", deployment.votingAndTallyingContract)
+    };
+  }
+
+  beforeEach(async function () {
+    [deployer, electionAuthority, otherAuthority, government, stranger] = await ethers.getSigners();
+
+    ({
+      electionFactory,
+      registrationImplementation,
+      voterRegistrationImplementation,
+      votingAndTallyingImplementation
+    } = await ignition.deploy(ElectionFactoryModule));
+    electionId = await electionFactory.electionKey(deployer.address, label);
+  });
+
+  describe("Deployment", function () {
+    it("Should wire the implementations from the Ignition module", async function () {
+      expect(await electionFactory.registrationImplementation()).to.equal(registrationImplementation.target);
+      expect(await electionFactory.voterRegistrationImplementation()).to.equal(voterRegistrationImplementation.target);
+      expect(await electionFactory.votingAndTallyingImplementation()).to.equal(votingAndTallyingImplementation.target);
+      expect(await voterRegistrationImplementation.registrationContract()).to.equal(registrationImplementation.target);
+      expect(await electionFactory.getElectionCount()).to.equal(0);
+    });
+
+    it("Should reject implementations without code", async function () {
+      const ElectionFactory = await ethers.getContractFactory("ElectionFactory");
+      await expect(
+        ElectionFactory.deploy(stranger.address, voterRegistrationImplementation.target, votingAndTallyingImplementation.target, 0)
+      ).to.be.revertedWith("Invalid registration implementation");
+    });
+
+    it("Should not let anyone re-initialize the implementations", async function () {
+      await expect(registrationImplementation.initialize(stranger.address, stranger.address, label, 0))
+        .to.be.revertedWith("Already initialized");
+      await expect(voterRegistrationImplementation.initialize(stranger.address))
+        .to.be.revertedWith("Already initialized");
+      await expect(votingAndTallyingImplementation.initialize(stranger.address, stranger.address))
+        .to.be.revertedWith("Already initialized");
+    });
+  });
+
+  describe("Election creation", function () {
+    it("Should deploy and wire a trio in one transaction", async function () {
+      const tx = await electionFactory.connect(deployer).createElection(label, electionAuthority.address);
+      const deployment = await electionFactory.getElection(electionId);
+
+      await expect(tx).to.emit(electionFactory, "ElectionCreated").withArgs(
+        electionId,
+        electionAuthority.address,
+        deployer.address,
+        deployment.registrationContract,
+        deployment.voterRegistrationContract,
+        deployment.votingAndTallyingContract
+      );
+
+      const { registration, voterRegistration, votingAndTallying } = await attach(deployment);
+      expect(await registration.hasRole(await registration.ELECTION_ADMIN_ROLE(), electionAuthority.address)).to.be.true;
+      expect(await registration.defaultAdmin()).to.equal(deployer.address);
+      expect(await voterRegistration.registrationContract()).to.equal(registration.target);
+      expect(await votingAndTallying.voterRegistrationContract()).to.equal(voterRegistration.target);
+      expect(await votingAndTallying.registrationContract()).to.equal(registration.target);
+
+      expect(deployment.electionId).to.equal(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [deployer.address, label])));
+      expect(await registration.boundElectionId()).to.equal(electionId);
+      expect(await registration.electionAdminDelay()).to.equal(2n * 24n * 60n * 60n);
+      expect(deployment.electionAuthority).to.equal(electionAuthority.address);
+      expect(deployment.creator).to.equal(deployer.address);
+      expect(deployment.createdAt).to.equal(await time.latest());
+    });
+
+    it("Should give every election the factory's election admin timelock", async function () {
+      const { electionFactory: untimedFactory } = await ignition.deploy(ElectionFactoryModule, {
+        parameters: { ElectionFactoryModule: { electionAdminDelay: 0 } }
+      });
+      expect(await untimedFactory.electionAdminDelay()).to.equal(0n);
+      await untimedFactory.createElection(label, electionAuthority.address);
+      const { registration } = await attach(await untimedFactory.getElection(electionId));
+      expect(await registration.electionAdminDelay()).to.equal(0n);
+
+      // Without a timelock the creator hands the election admin role over in one call
+      const ELECTION_ADMIN_ROLE = await registration.ELECTION_ADMIN_ROLE();
+      await registration.grantRole(ELECTION_ADMIN_ROLE, otherAuthority.address);
+      expect(await registration.hasRole(ELECTION_ADMIN_ROLE, otherAuthority.address)).to.be.true;
+    });
+
+    it("Should deploy minimal-proxy clones", async function () {
+      await electionFactory.createElection(label, electionAuthority.address);
+      const deployment = await electionFactory.getElection(electionId);
+
+      // EIP-1167 runtime code is 45 bytes
+      const code = await ethers.provider.getCode(deployment.registrationContract);
+      expect(ethers.dataLength(code)).to.equal(45);
+      expect(code.toLowerCase()).to.contain(registrationImplementation.target.slice(2).toLowerCase());
+    });
+
+    it("Should record every election in the directory", async function () {
+      await electionFactory.createElection(label, electionAuthority.address);
+      await electionFactory.connect(stranger).createElection(otherLabel, otherAuthority.address);
+      const otherElectionId = await electionFactory.electionKey(stranger.address, otherLabel);
+
+      expect(await electionFactory.getElectionCount()).to.equal(2);
+      expect(await electionFactory.electionIds(0)).to.equal(electionId);
+      expect(await electionFactory.electionIds(1)).to.equal(otherElectionId);
+
+      const first = await electionFactory.getElection(electionId);
+      const second = await electionFactory.getElection(otherElectionId);
+      expect(second.creator).to.equal(stranger.address);
+      expect(second.registrationContract).to.not.equal(first.registrationContract);
+      expect(second.voterRegistrationContract).to.not.equal(first.voterRegistrationContract);
+      expect(second.votingAndTallyingContract).to.not.equal(first.votingAndTallyingContract);
+    });
+
+    it("Should reject duplicate and invalid elections", async function () {
+      await electionFactory.createElection(label, electionAuthority.address);
+
+      await expect(electionFactory.createElection(label, otherAuthority.address))
+        .to.be.revertedWith("Election already exists");
+      await expect(electionFactory.createElection(ethers.ZeroHash, electionAuthority.address))
+        .to.be.revertedWith("Election label cannot be empty");
+      await expect(electionFactory.createElection(otherLabel, ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid election authority address");
+      await expect(electionFactory.getElection(await electionFactory.electionKey(deployer.address, otherLabel)))
+        .to.be.revertedWith("Election not found");
+    });
+
+    it("Should not let another creator take an election's ID", async function () {
+      // A stranger front-running the same label gets their own entry, not the creator's
+      await electionFactory.connect(stranger).createElection(label, otherAuthority.address);
+      await electionFactory.createElection(label, electionAuthority.address);
+
+      const squatted = await electionFactory.getElection(await electionFactory.electionKey(stranger.address, label));
+      const deployment = await electionFactory.getElection(electionId);
+      expect(deployment.creator).to.equal(deployer.address);
+      expect(deployment.electionAuthority).to.equal(electionAuthority.address);
+      expect(squatted.electionId).to.not.equal(electionId);
+    });
+
+    it("Should only let a clone set up the election it was created for", async function () {
+      await electionFactory.createElection(label, electionAuthority.address);
+      const { registration } = await attach(await electionFactory.getElection(electionId));
+
+      const now = BigInt(await time.latest());
+      const deadlines = { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+      const challenge = ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE"));
+      await expect(registration.connect(electionAuthority).storePollParams(label, candidates, challenge, deadlines))
+        .to.be.revertedWith("Election not bound to this deployment");
+      await registration.connect(electionAuthority).storePollParams(electionId, candidates, challenge, deadlines);
+      expect(await registration.getElectionCount()).to.equal(1);
+    });
+
+    it("Should not let anyone re-initialize a clone", async function () {
+      await electionFactory.createElection(label, electionAuthority.address);
+      const { registration, voterRegistration, votingAndTallying } =
+        await attach(await electionFactory.getElection(electionId));
+
+      await expect(registration.initialize(stranger.address, stranger.address, label, 0))
+        .to.be.revertedWith("Already initialized");
+      await expect(voterRegistration.initialize(stranger.address))
+        .to.be.revertedWith("Already initialized");
+      await expect(votingAndTallying.initialize(stranger.address, stranger.address))
+        .to.be.revertedWith("Already initialized");
+    });
+
+    it("Should keep clone state separate from the implementations", async function () {
+      await electionFactory.createElection(label, electionAuthority.address);
+      const { registration } = await attach(await electionFactory.getElection(electionId));
+
+      const now = BigInt(await time.latest());
+      await registration.connect(electionAuthority).storePollParams(
+        electionId,
+        candidates,
+        ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE")),
+        { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n }
+      );
+
+      expect(await registration.isElectionSetup(electionId)).to.be.true;
+      expect(await registrationImplementation.isElectionSetup(electionId)).to.be.false;
+      expect(await registrationImplementation.hasRole(await registrationImplementation.ELECTION_ADMIN_ROLE(), deployer.address)).to.be.true;
+    });
+  });
+
+  describe("Full election on a factory deployment", function () {
+    it("Should run certification, registration, voting and tallying", async function () {
+      await electionFactory.createElection(label, electionAuthority.address);
+      const { registration, voterRegistration, votingAndTallying } =
+        await attach(await electionFactory.getElection(electionId));
+
+      // Setup and certification
+      const now = BigInt(await time.latest());
+      const deadlines = { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+      await registration.connect(electionAuthority).storePollParams(
+        electionId,
+        candidates,
+        ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE")),
+        deadlines
+      );
+      await registration.connect(electionAuthority).addIssuerKey(
+        ethers.encodeBytes32String("CENTRAL"),
+        government.address,
+        0,
+        2n ** 64n - 1n
+      );
+      const domain = await issuer.certificateDomain(registration, electionId);
+      const voterKeys = [lsag.generateKeyPair(), lsag.generateKeyPair()];
+      for (const key of voterKeys) {
+        await registration.storePub(electionId, await issuer.issueCertificate(government, domain, key.publicKeyBytes));
+      }
+      await time.increaseTo(deadlines.certificate);
+      await registration.connect(electionAuthority).freezeRing(electionId);
+
+      // Anonymous registration
+      const ring = voterKeys.map((key) => key.publicKey);
+      const votingWallet = ethers.Wallet.createRandom();
+      const votingPublicKey = votingWallet.address;
+      const message = await voterRegistration.registrationMessage(electionId, votingPublicKey);
+      const signature = lsag.sign(message, ring, 1, voterKeys[1].privateKey);
+      await voterRegistration.verify(electionId, lsag.encodeSignature(signature, ring), votingPublicKey);
+      expect(await voterRegistration.getVoterCount(electionId)).to.equal(1);
+
+      // Voting, tallying and results
+      const actualVoteSignature = ethers.concat([candidates[1], ethers.toUtf8Bytes("vote_sig")]);
+      const voteHash = ethers.keccak256(ethers.concat([actualVoteSignature, electionId]));
+      await time.increaseTo(deadlines.registration);
+      await votingAndTallying.connect(electionAuthority).startVotingPhase(electionId);
+      // The vote hash digest is bound to the election's own clone
+      const signatureOnHash = votingWallet.signingKey.sign(await votingAndTallying.voteHashDigest(electionId, 0, voteHash));
+      await votingAndTallying.voting(electionId, signatureOnHash.serialized, voteHash, 0);
+      await time.increaseTo(deadlines.voting);
+      await votingAndTallying.connect(electionAuthority).startTallyingPhase(electionId);
+      await votingAndTallying.tally(electionId, actualVoteSignature, 0);
+      await time.increaseTo(deadlines.reveal);
+      await votingAndTallying.connect(electionAuthority).finalizeResults(electionId);
+
+      const [, voteCounts] = await votingAndTallying.getTallyResults(electionId);
+      expect(voteCounts).to.deep.equal([0n, 1n]);
+    });
+  });
+});
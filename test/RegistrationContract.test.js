@@ -1,33 +1,88 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const issuer = require("../lib/issuer");
+const lsag = require("../lib/lsag");
+const ringMerkle = require("../lib/ringMerkle");
+const { ELECTION_ADMIN_DELAY, deployRegistrationContract } = require("./helpers/deployElection");
 
 describe("RegistrationContract - Simple Tests", function () {
   let registrationContract;
-  let owner, electionAuthority, voter1, voter2;
-  let electionId, candidates, randomChallenge;
+  let owner, electionAuthority, voter1, voter2, government, regionalIssuer, replacementIssuer;
+  let electionId, otherElectionId, candidates, randomChallenge, deadlines;
+  let domain;
+
+  const CENTRAL_OFFICE = ethers.encodeBytes32String("CENTRAL");
+  const NORTH_OFFICE = ethers.encodeBytes32String("NORTH");
+  const MAX_UINT64 = 2n ** 64n - 1n;
+  const [PLURALITY, RANKED_CHOICE, APPROVAL, ENCRYPTED] = [0, 1, 2, 3];
+  const REASON_INELIGIBLE = 2;
+
+  // Phase deadlines one hour apart, starting an hour from now
+  async function phaseDeadlines() {
+    const now = BigInt(await time.latest());
+    return { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+  }
+
+  // Set up an election with fresh phase deadlines
+  async function setupElection(id = electionId) {
+    const electionDeadlines = await phaseDeadlines();
+    await registrationContract.connect(electionAuthority).storePollParams(id, candidates, randomChallenge, electionDeadlines);
+    return electionDeadlines;
+  }
+
+  // Set up an election with a ballot configuration through the storePollParams overload
+  async function setupElectionWithBallot(id, electionCandidates, ballotConfig) {
+    return registrationContract.connect(electionAuthority)[
+      "storePollParams(bytes32,bytes32[],bytes32,(uint64,uint64,uint64,uint64),(uint8,uint8,uint8,bool))"
+    ](id, electionCandidates, randomChallenge, await phaseDeadlines(), ballotConfig);
+  }
+
+  // Let the certificate deadline pass, then freeze the ring
+  async function freezeRing() {
+    await time.increaseTo(deadlines.certificate);
+    return registrationContract.freezeRing(electionId);
+  }
 
   beforeEach(async function () {
     // Get signers
-    [owner, electionAuthority, voter1, voter2] = await ethers.getSigners();
+    [owner, electionAuthority, voter1, voter2, government, regionalIssuer, replacementIssuer] =
+      await ethers.getSigners();
 
     // Deploy RegistrationContract
-    const RegistrationContract = await ethers.getContractFactory("RegistrationContract");
-    registrationContract = await RegistrationContract.deploy(electionAuthority.address);
+    registrationContract = await deployRegistrationContract(electionAuthority);
 
     // Setup test data
     electionId = ethers.keccak256(ethers.toUtf8Bytes("ELECTION_2025"));
+    otherElectionId = ethers.keccak256(ethers.toUtf8Bytes("REFERENDUM_2025"));
     candidates = [
       ethers.keccak256(ethers.toUtf8Bytes("ALICE")),
       ethers.keccak256(ethers.toUtf8Bytes("BOB"))
     ];
     randomChallenge = ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE_2025"));
+
+    // Register the central office issuer key
+    await registrationContract.connect(electionAuthority).addIssuerKey(
+      CENTRAL_OFFICE,
+      government.address,
+      0,
+      MAX_UINT64
+    );
+    domain = await issuer.certificateDomain(registrationContract, electionId);
   });
 
   // Test 1: Basic Deployment
   describe("Deployment", function () {
-    it("Should deploy with correct election authority", async function () {
-      expect(await registrationContract.electionAuthority()).to.equal(electionAuthority.address);
-      expect(await registrationContract.electionSetup()).to.equal(false);
+    it("Should grant the election roles to the authority and the default admin to the deployer", async function () {
+      for (const role of ["ELECTION_ADMIN_ROLE", "CERTIFICATE_ISSUER_ROLE", "PAUSER_ROLE"]) {
+        expect(await registrationContract.hasRole(await registrationContract[role](), electionAuthority.address)).to.equal(true);
+      }
+      expect(await registrationContract.hasRole(await registrationContract.AUDITOR_ROLE(), electionAuthority.address)).to.equal(false);
+      expect(await registrationContract.defaultAdmin()).to.equal(owner.address);
+      expect(await registrationContract.isPhaseOperator(electionAuthority.address)).to.equal(true);
+      expect(await registrationContract.isPhaseOperator(voter1.address)).to.equal(false);
+      expect(await registrationContract.electionSetup(electionId)).to.equal(false);
+      expect(await registrationContract.getElectionCount()).to.equal(0);
     });
   });
 
@@ -37,146 +92,1325 @@ describe("RegistrationContract - Simple Tests", function () {
       await registrationContract.connect(electionAuthority).storePollParams(
         electionId,
         candidates,
-        randomChallenge
+        randomChallenge,
+        await phaseDeadlines()
       );
 
-      expect(await registrationContract.electionSetup()).to.equal(true);
-      expect(await registrationContract.electionId()).to.equal(electionId);
+      expect(await registrationContract.electionSetup(electionId)).to.equal(true);
+      expect(await registrationContract.getElectionCount()).to.equal(1);
+      expect(await registrationContract.electionIds(0)).to.equal(electionId);
       
-      const storedCandidates = await registrationContract.getCandidates();
+      const storedCandidates = await registrationContract.getCandidates(electionId);
       expect(storedCandidates.length).to.equal(2);
     });
 
     it("Should reject setup from non-authority", async function () {
       await expect(
-        registrationContract.connect(voter1).storePollParams(electionId, candidates, randomChallenge)
-      ).to.be.revertedWith("Only election authority can call this function");
+        registrationContract.connect(voter1).storePollParams(electionId, candidates, randomChallenge, await phaseDeadlines())
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should store the phase deadlines", async function () {
+      const deadlines = await phaseDeadlines();
+
+      await expect(
+        registrationContract.connect(electionAuthority).storePollParams(electionId, candidates, randomChallenge, deadlines)
+      )
+        .to.emit(registrationContract, "PhaseDeadlinesSet")
+        .withArgs(electionId, deadlines.certificate, deadlines.registration, deadlines.voting, deadlines.reveal);
+
+      const stored = await registrationContract.getDeadlines(electionId);
+      expect(stored.certificate).to.equal(deadlines.certificate);
+      expect(stored.registration).to.equal(deadlines.registration);
+      expect(stored.voting).to.equal(deadlines.voting);
+      expect(stored.reveal).to.equal(deadlines.reveal);
+    });
+
+    it("Should reject deadlines that are not strictly increasing and in the future", async function () {
+      const deadlines = await phaseDeadlines();
+      const invalid = [
+        { ...deadlines, certificate: BigInt(await time.latest()) },
+        { ...deadlines, registration: deadlines.certificate },
+        { ...deadlines, voting: deadlines.registration - 1n },
+        { ...deadlines, reveal: deadlines.voting }
+      ];
+
+      for (const invalidDeadlines of invalid) {
+        await expect(
+          registrationContract.connect(electionAuthority).storePollParams(electionId, candidates, randomChallenge, invalidDeadlines)
+        ).to.be.revertedWith("Invalid phase deadlines");
+      }
+    });
+
+    it("Should store the ballot configuration, defaulting to single-seat plurality", async function () {
+      await setupElection();
+      await setupElectionWithBallot(otherElectionId, candidates, { ballotType: APPROVAL, seats: 2, maxSelections: 1, saltedCommitmentsOnly: true });
+
+      const plurality = await registrationContract.getBallotConfig(electionId);
+      expect([...plurality]).to.deep.equal([0n, 1n, 0n, false]);
+      const approval = await registrationContract.getBallotConfig(otherElectionId);
+      expect([...approval]).to.deep.equal([2n, 2n, 1n, true]);
+
+      await registrationContract.connect(electionAuthority).resetElectionSetup(otherElectionId);
+      expect((await registrationContract.getBallotConfig(otherElectionId)).seats).to.equal(0);
+    });
+
+    it("Should reject ballot configurations that do not fit the candidate list", async function () {
+      const invalid = [
+        [{ ballotType: PLURALITY, seats: 0, maxSelections: 0, saltedCommitmentsOnly: false }, "Invalid seat count"],
+        [{ ballotType: APPROVAL, seats: 3, maxSelections: 0, saltedCommitmentsOnly: false }, "Invalid seat count"],
+        [{ ballotType: RANKED_CHOICE, seats: 2, maxSelections: 0, saltedCommitmentsOnly: false }, "Ranked ballots elect one seat"],
+        [{ ballotType: APPROVAL, seats: 1, maxSelections: 3, saltedCommitmentsOnly: false }, "Invalid selection limit"],
+        [{ ballotType: PLURALITY, seats: 1, maxSelections: 1, saltedCommitmentsOnly: false }, "Selection limit only applies to approval ballots"],
+        [{ ballotType: ENCRYPTED, seats: 1, maxSelections: 1, saltedCommitmentsOnly: false }, "Selection limit only applies to approval ballots"],
+        [{ ballotType: ENCRYPTED, seats: 1, maxSelections: 0, saltedCommitmentsOnly: true }, "Encrypted ballots have no commitments"]
+      ];
+
+      for (const [config, reason] of invalid) {
+        await expect(setupElectionWithBallot(electionId, candidates, config)).to.be.revertedWith(reason);
+      }
+    });
+
+    it("Should limit ranked ballots to 255 and approval ballots to 256 candidates", async function () {
+      const candidateList = (length) =>
+        Array.from({ length }, (_, i) => ethers.zeroPadValue(ethers.toBeHex(i + 1), 32));
+
+      await expect(
+        setupElectionWithBallot(electionId, candidateList(256), { ballotType: RANKED_CHOICE, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false })
+      ).to.be.revertedWith("Too many candidates for ranked ballots");
+      await expect(
+        setupElectionWithBallot(electionId, candidateList(257), { ballotType: APPROVAL, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false })
+      ).to.be.revertedWith("Too many candidates for approval ballots");
+      await setupElectionWithBallot(electionId, candidateList(256), { ballotType: APPROVAL, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false });
+    });
+
+    it("Should limit encrypted ballots to 16 candidates", async function () {
+      const candidateList = (length) =>
+        Array.from({ length }, (_, i) => ethers.zeroPadValue(ethers.toBeHex(i + 1), 32));
+
+      await expect(
+        setupElectionWithBallot(electionId, candidateList(17), { ballotType: ENCRYPTED, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false })
+      ).to.be.revertedWith("Too many candidates for encrypted ballots");
+      await setupElectionWithBallot(electionId, candidateList(16), { ballotType: ENCRYPTED, seats: 2, maxSelections: 0, saltedCommitmentsOnly: false });
+      expect((await registrationContract.getBallotConfig(electionId)).ballotType).to.equal(ENCRYPTED);
+    });
+
+    it("Should reject certificates before the election is setup", async function () {
+      await expect(
+        registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, "0x9876543210fedcba"))
+      ).to.be.revertedWith("Election not setup");
+    });
+
+    it("Should close certification at the certificate deadline", async function () {
+      const deadlines = await setupElection();
+      await registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, "0x9876543210fedcba"));
+
+      await time.increaseTo(deadlines.certificate);
+      await expect(
+        registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, "0x1a1a1a1a1a1a1a1a"))
+      ).to.be.revertedWith("Certificate deadline passed");
     });
   });
 
   // Test 3: Certificate Storage
   describe("Certificate Storage", function () {
+    beforeEach(async function () {
+      deadlines = await setupElection();
+    });
+
     it("Should store valid certificate", async function () {
-      const certificate = {
-        governmentSignature: "0x1234567890abcdef",
-        governmentPublicKey: "0xabcdef1234567890",
-        voterPublicKey: "0x9876543210fedcba"
-      };
+      const certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
 
-      await registrationContract.connect(voter1).storePub(certificate);
-      expect(await registrationContract.isCertified(certificate.voterPublicKey)).to.equal(true);
+      await registrationContract.connect(voter1).storePub(electionId, certificate);
+      expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(true);
     });
 
     it("Should reject duplicate certificates", async function () {
-      const certificate = {
-        governmentSignature: "0x1234567890abcdef",
-        governmentPublicKey: "0xabcdef1234567890",
-        voterPublicKey: "0x9876543210fedcba"
-      };
+      const certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
 
-      await registrationContract.connect(voter1).storePub(certificate);
+      await registrationContract.connect(voter1).storePub(electionId, certificate);
       await expect(
-        registrationContract.connect(voter1).storePub(certificate)
+        registrationContract.connect(voter1).storePub(electionId, certificate)
       ).to.be.revertedWith("Public key already certified");
     });
 
     it("Should reject empty certificate data", async function () {
       const invalidCert = {
         governmentSignature: "0x",
-        governmentPublicKey: "0xabcdef1234567890",
+        governmentPublicKey: government.address,
         voterPublicKey: "0x9876543210fedcba"
       };
 
       await expect(
-        registrationContract.connect(voter1).storePub(invalidCert)
+        registrationContract.connect(voter1).storePub(electionId, invalidCert)
       ).to.be.revertedWith("Government signature cannot be empty");
     });
+
+    it("Should reject certificates signed by an untrusted key", async function () {
+      const certificate = await issuer.issueCertificate(voter1, domain, "0x9876543210fedcba");
+
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, certificate)
+      ).to.be.revertedWith("Invalid government signature");
+    });
+
+    it("Should reject a certificate that names a different government key", async function () {
+      const certificate = await issuer.issueCertificate(voter1, domain, "0x9876543210fedcba");
+      certificate.governmentPublicKey = government.address;
+
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, certificate)
+      ).to.be.revertedWith("Invalid government signature");
+    });
+
+    it("Should reject a signature over a different voter key", async function () {
+      const certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
+      certificate.voterPublicKey = "0x1a1a1a1a1a1a1a1a";
+
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, certificate)
+      ).to.be.revertedWith("Invalid government signature");
+    });
+
+    it("Should reject a certificate issued for another deployment", async function () {
+      const otherDomain = { ...domain, registrationContract: voter2.address };
+      const certificate = await issuer.issueCertificate(government, otherDomain, "0x9876543210fedcba");
+
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, certificate)
+      ).to.be.revertedWith("Invalid government signature");
+    });
+
+    it("Should reject a certificate issued for another election", async function () {
+      await setupElection(otherElectionId);
+      const otherDomain = { ...domain, electionId: otherElectionId };
+      const certificate = await issuer.issueCertificate(government, otherDomain, "0x9876543210fedcba");
+
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, certificate)
+      ).to.be.revertedWith("Invalid government signature");
+      await registrationContract.connect(voter1).storePub(otherElectionId, certificate);
+    });
+
+    it("Should reject malformed government signatures", async function () {
+      const certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
+      certificate.governmentSignature = "0x1234567890abcdef";
+
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, certificate)
+      ).to.be.revertedWith("Invalid government signature");
+    });
+
+    it("Should match the on-chain certificate digest", async function () {
+      expect(await registrationContract.certificateDigest(electionId, "0x9876543210fedcba")).to.equal(
+        issuer.certificateDigest(domain.chainId, domain.registrationContract, electionId, "0x9876543210fedcba")
+      );
+    });
   });
 
-  // Test 4: Certificate Verification
+  // Test 4: Issuer Key Registry
+  describe("Issuer Key Registry", function () {
+    beforeEach(async function () {
+      deadlines = await setupElection();
+    });
+
+    it("Should register issuer keys per office with events", async function () {
+      const now = BigInt(await time.latest());
+
+      await expect(
+        registrationContract.connect(electionAuthority).addIssuerKey(NORTH_OFFICE, regionalIssuer.address, now, now + 3600n)
+      )
+        .to.emit(registrationContract, "IssuerKeyAdded")
+        .withArgs(NORTH_OFFICE, regionalIssuer.address, now, now + 3600n);
+
+      const key = await registrationContract.issuerKeys(regionalIssuer.address);
+      expect(key.office).to.equal(NORTH_OFFICE);
+      expect(key.validUntil).to.equal(now + 3600n);
+      expect(await registrationContract.officeKeys(NORTH_OFFICE)).to.equal(regionalIssuer.address);
+      expect(await registrationContract.isIssuerKeyValid(regionalIssuer.address)).to.equal(true);
+
+      // Each office issues its own certificates
+      const certificate = await issuer.issueCertificate(regionalIssuer, domain, "0x9876543210fedcba");
+      await registrationContract.connect(voter1).storePub(electionId, certificate);
+      expect(await registrationContract.certificateIssuer(electionId, certificate.voterPublicKey)).to.equal(regionalIssuer.address);
+    });
+
+    it("Should reject invalid registrations", async function () {
+      await expect(
+        registrationContract.connect(electionAuthority).addIssuerKey(CENTRAL_OFFICE, regionalIssuer.address, 0, MAX_UINT64)
+      ).to.be.revertedWith("Office already has an issuer key");
+
+      await expect(
+        registrationContract.connect(electionAuthority).addIssuerKey(NORTH_OFFICE, government.address, 0, MAX_UINT64)
+      ).to.be.revertedWith("Issuer key already registered");
+
+      await expect(
+        registrationContract.connect(electionAuthority).addIssuerKey(NORTH_OFFICE, regionalIssuer.address, 100, 100)
+      ).to.be.revertedWith("Invalid validity window");
+
+      await expect(
+        registrationContract.connect(electionAuthority).addIssuerKey(ethers.ZeroHash, regionalIssuer.address, 0, MAX_UINT64)
+      ).to.be.revertedWith("Invalid office");
+    });
+
+    it("Should only accept certificates inside the validity window", async function () {
+      const now = BigInt(await time.latest());
+      await registrationContract.connect(electionAuthority).addIssuerKey(
+        NORTH_OFFICE,
+        regionalIssuer.address,
+        now + 100n,
+        now + 200n
+      );
+      const certificate = await issuer.issueCertificate(regionalIssuer, domain, "0x9876543210fedcba");
+
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, certificate)
+      ).to.be.revertedWith("Invalid government signature");
+
+      await time.increaseTo(now + 100n);
+      await registrationContract.connect(voter1).storePub(electionId, certificate);
+
+      await time.increaseTo(now + 200n);
+      const late = await issuer.issueCertificate(regionalIssuer, domain, "0x1a1a1a1a1a1a1a1a");
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, late)
+      ).to.be.revertedWith("Invalid government signature");
+    });
+
+    it("Should rotate an office key and keep earlier certificates valid", async function () {
+      const oldCertificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
+      await registrationContract.connect(voter1).storePub(electionId, oldCertificate);
+
+      const rotateAt = BigInt(await time.latest()) + 10n;
+      await expect(
+        registrationContract.connect(electionAuthority).rotateIssuerKey(
+          CENTRAL_OFFICE,
+          replacementIssuer.address,
+          rotateAt,
+          MAX_UINT64
+        )
+      )
+        .to.emit(registrationContract, "IssuerKeyRetired")
+        .withArgs(CENTRAL_OFFICE, government.address, rotateAt)
+        .and.to.emit(registrationContract, "IssuerKeyAdded")
+        .withArgs(CENTRAL_OFFICE, replacementIssuer.address, rotateAt, MAX_UINT64);
+
+      expect(await registrationContract.officeKeys(CENTRAL_OFFICE)).to.equal(replacementIssuer.address);
+
+      await time.increaseTo(rotateAt);
+
+      // Old key no longer issues, new key does, earlier certificate still counts
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, 
+          await issuer.issueCertificate(government, domain, "0x1a1a1a1a1a1a1a1a")
+        )
+      ).to.be.revertedWith("Invalid government signature");
+      await registrationContract.connect(voter1).storePub(electionId, 
+        await issuer.issueCertificate(replacementIssuer, domain, "0x2b2b2b2b2b2b2b2b")
+      );
+      expect(await registrationContract.isCertified(electionId, oldCertificate.voterPublicKey)).to.equal(true);
+    });
+
+    it("Should reject rotation of an office without a key or into the past", async function () {
+      await expect(
+        registrationContract.connect(electionAuthority).rotateIssuerKey(NORTH_OFFICE, regionalIssuer.address, MAX_UINT64 - 1n, MAX_UINT64)
+      ).to.be.revertedWith("Office has no issuer key");
+
+      await expect(
+        registrationContract.connect(electionAuthority).rotateIssuerKey(CENTRAL_OFFICE, regionalIssuer.address, 1, MAX_UINT64)
+      ).to.be.revertedWith("Rotation cannot start in the past");
+    });
+
+    it("Should retire a key without voiding its certificates", async function () {
+      const certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
+      await registrationContract.connect(voter1).storePub(electionId, certificate);
+
+      await expect(registrationContract.connect(electionAuthority).retireIssuerKey(government.address))
+        .to.emit(registrationContract, "IssuerKeyRetired");
+
+      expect(await registrationContract.isIssuerKeyValid(government.address)).to.equal(false);
+      expect(await registrationContract.officeKeys(CENTRAL_OFFICE)).to.equal(ethers.ZeroAddress);
+      expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(true);
+
+      // The office can be given a fresh key
+      await registrationContract.connect(electionAuthority).addIssuerKey(
+        CENTRAL_OFFICE,
+        replacementIssuer.address,
+        0,
+        MAX_UINT64
+      );
+    });
+
+    it("Should void every certificate of a revoked issuer", async function () {
+      const certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
+      await registrationContract.connect(voter1).storePub(electionId, certificate);
+
+      await expect(registrationContract.connect(electionAuthority).revokeIssuerKey(government.address))
+        .to.emit(registrationContract, "IssuerKeyRevoked")
+        .withArgs(CENTRAL_OFFICE, government.address);
+
+      expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(false);
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, 
+          await issuer.issueCertificate(government, domain, "0x1a1a1a1a1a1a1a1a")
+        )
+      ).to.be.revertedWith("Invalid government signature");
+      await expect(
+        registrationContract.connect(electionAuthority).revokeIssuerKey(government.address)
+      ).to.be.revertedWith("Issuer key already revoked");
+
+      // A valid issuer can re-certify the voter
+      await registrationContract.connect(electionAuthority).addIssuerKey(NORTH_OFFICE, regionalIssuer.address, 0, MAX_UINT64);
+      await registrationContract.connect(voter1).storePub(electionId, 
+        await issuer.issueCertificate(regionalIssuer, domain, certificate.voterPublicKey)
+      );
+      expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(true);
+    });
+
+    it("Should reject key management from non-authority", async function () {
+      await expect(
+        registrationContract.connect(voter1).addIssuerKey(NORTH_OFFICE, voter1.address, 0, MAX_UINT64)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        registrationContract.connect(voter1).rotateIssuerKey(CENTRAL_OFFICE, voter1.address, MAX_UINT64 - 1n, MAX_UINT64)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        registrationContract.connect(voter1).retireIssuerKey(government.address)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        registrationContract.connect(voter1).revokeIssuerKey(government.address)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reject retiring or revoking unknown keys", async function () {
+      await expect(
+        registrationContract.connect(electionAuthority).retireIssuerKey(voter1.address)
+      ).to.be.revertedWith("Unknown issuer key");
+
+      await expect(
+        registrationContract.connect(electionAuthority).revokeIssuerKey(voter1.address)
+      ).to.be.revertedWith("Unknown issuer key");
+    });
+  });
+
+  // Test 5: Certificate Revocation
+  describe("Certificate Revocation", function () {
+    let certificate;
+
+    beforeEach(async function () {
+      deadlines = await setupElection();
+      certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
+      await registrationContract.connect(voter1).storePub(electionId, certificate);
+    });
+
+    it("Should revoke a certificate with a reason code", async function () {
+      await expect(
+        registrationContract.connect(electionAuthority).revokeCertificate(electionId, certificate.voterPublicKey, REASON_INELIGIBLE)
+      )
+        .to.emit(registrationContract, "CertificateRevoked")
+        .withArgs(electionId, certificate.voterPublicKey, REASON_INELIGIBLE);
+
+      expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(false);
+      expect(await registrationContract.certificateRevocations(electionId, certificate.voterPublicKey)).to.equal(REASON_INELIGIBLE);
+    });
+
+    it("Should not allow a revoked key to be certified again", async function () {
+      await registrationContract.connect(electionAuthority).revokeCertificate(electionId, certificate.voterPublicKey, REASON_INELIGIBLE);
+
+      await expect(
+        registrationContract.connect(voter1).storePub(electionId, certificate)
+      ).to.be.revertedWith("Certificate revoked");
+    });
+
+    it("Should close the revocation window when registration opens", async function () {
+      expect(await registrationContract.isRevocationWindowOpen(electionId)).to.equal(true);
+
+      // Registration opens at the certificate deadline
+      await time.increaseTo(deadlines.certificate);
+
+      expect(await registrationContract.isRevocationWindowOpen(electionId)).to.equal(false);
+      await expect(
+        registrationContract.connect(electionAuthority).revokeCertificate(electionId, certificate.voterPublicKey, REASON_INELIGIBLE)
+      ).to.be.revertedWith("Revocation window closed");
+      expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(true);
+    });
+
+    it("Should reject invalid revocations", async function () {
+      await expect(
+        registrationContract.connect(electionAuthority).revokeCertificate(electionId, certificate.voterPublicKey, 0)
+      ).to.be.revertedWith("Invalid revocation reason");
+
+      await expect(
+        registrationContract.connect(electionAuthority).revokeCertificate(electionId, "0x1a1a1a1a1a1a1a1a", REASON_INELIGIBLE)
+      ).to.be.revertedWith("Public key not certified");
+
+      await registrationContract.connect(electionAuthority).revokeCertificate(electionId, certificate.voterPublicKey, REASON_INELIGIBLE);
+      await expect(
+        registrationContract.connect(electionAuthority).revokeCertificate(electionId, certificate.voterPublicKey, REASON_INELIGIBLE)
+      ).to.be.revertedWith("Certificate already revoked");
+    });
+
+    it("Should reject revocation from non-authority", async function () {
+      await expect(
+        registrationContract.connect(voter1).revokeCertificate(electionId, certificate.voterPublicKey, REASON_INELIGIBLE)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // Test 6: Ring Snapshot
+  describe("Ring Snapshot", function () {
+    let ringKeys;
+
+    beforeEach(async function () {
+      deadlines = await setupElection();
+      ringKeys = [lsag.generateKeyPair(), lsag.generateKeyPair(), lsag.generateKeyPair()]
+        .map((key) => key.publicKeyBytes);
+      for (const publicKey of ringKeys) {
+        await registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, publicKey));
+      }
+    });
+
+    it("Should list certified keys in certification order with pagination", async function () {
+      expect(await registrationContract.getCertifiedKeyCount(electionId)).to.equal(3);
+      expect(await registrationContract.getCertifiedKeys(electionId, 0, 10)).to.deep.equal(ringKeys);
+      expect(await registrationContract.getCertifiedKeys(electionId, 1, 1)).to.deep.equal([ringKeys[1]]);
+      expect(await registrationContract.getCertifiedKeys(electionId, 2, 5)).to.deep.equal([ringKeys[2]]);
+      expect(await registrationContract.getCertifiedKeys(electionId, 3, 5)).to.deep.equal([]);
+    });
+
+    it("Should keep the position of a re-certified key", async function () {
+      await registrationContract.connect(electionAuthority).revokeIssuerKey(government.address);
+      await registrationContract.connect(electionAuthority).addIssuerKey(NORTH_OFFICE, regionalIssuer.address, 0, MAX_UINT64);
+      await registrationContract.storePub(electionId, await issuer.issueCertificate(regionalIssuer, domain, ringKeys[0]));
+
+      expect(await registrationContract.getCertifiedKeys(electionId, 0, 10)).to.deep.equal(ringKeys);
+    });
+
+    it("Should freeze a snapshot of the certified ring", async function () {
+      // Neither a revoked key nor a key that is not a curve point belongs in the ring
+      await registrationContract.connect(electionAuthority).revokeCertificate(electionId, ringKeys[1], 2);
+      await registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, "0x9876543210fedcba"));
+      const expectedRing = [ringKeys[0], ringKeys[2]];
+
+      await expect(freezeRing())
+        .to.emit(registrationContract, "RingFrozen")
+        .withArgs(electionId, ringMerkle.root(expectedRing), 2);
+
+      const [root, count, frozen] = await registrationContract.getRingSnapshot(electionId);
+      expect(root).to.equal(ringMerkle.root(expectedRing));
+      expect(count).to.equal(2);
+      expect(frozen).to.equal(true);
+    });
+
+    it("Should close certification and revocation once frozen", async function () {
+      await freezeRing();
+
+      expect(await registrationContract.isRevocationWindowOpen(electionId)).to.equal(false);
+      await expect(
+        registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, "0x9876543210fedcba"))
+      ).to.be.revertedWith("Ring frozen");
+      await expect(
+        registrationContract.connect(electionAuthority).revokeCertificate(electionId, ringKeys[0], 2)
+      ).to.be.revertedWith("Revocation window closed");
+      await expect(
+        registrationContract.connect(electionAuthority).freezeRing(electionId)
+      ).to.be.revertedWith("Ring frozen");
+    });
+
+    it("Should keep the frozen ring certified when an issuer is revoked afterwards", async function () {
+      await freezeRing();
+
+      await registrationContract.connect(electionAuthority).revokeIssuerKey(government.address);
+      for (const publicKey of ringKeys) {
+        expect(await registrationContract.isCertified(electionId, publicKey)).to.equal(true);
+      }
+    });
+
+    // Certify four more keys, for a ring of seven
+    async function certifySevenKeys() {
+      for (let i = 0; i < 4; i++) {
+        const publicKey = lsag.generateKeyPair().publicKeyBytes;
+        await registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, publicKey));
+        ringKeys.push(publicKey);
+      }
+    }
+
+    // Check every sub-ring against the expected [offset, size] pairs
+    async function expectSubRings(expected) {
+      expect(await registrationContract.getSubRingCount(electionId)).to.equal(expected.length);
+      for (let i = 0; i < expected.length; i++) {
+        const [offset, size] = expected[i];
+        const [root, subRingOffset, subRingSize] = await registrationContract.getSubRing(electionId, i);
+        expect(subRingOffset).to.equal(offset);
+        expect(subRingSize).to.equal(size);
+        expect(root).to.equal(ringMerkle.root(ringKeys.slice(offset, offset + size)));
+      }
+      await expect(registrationContract.getSubRing(electionId, expected.length)).to.be.revertedWith("Invalid sub-ring");
+    }
+
+    it("Should partition the frozen ring into sub-rings", async function () {
+      // Seven keys in sub-rings of at most three: spread as three, two and two
+      await certifySevenKeys();
+      await registrationContract.connect(electionAuthority).setSubRingSize(electionId, 3);
+
+      await expect(freezeRing())
+        .to.emit(registrationContract, "SubRingsCommitted")
+        .withArgs(electionId, 3, 3);
+
+      await expectSubRings([[0, 3], [3, 2], [5, 2]]);
+    });
+
+    it("Should never make a sub-ring larger than the sub-ring size", async function () {
+      // One key past the sub-ring size splits into two sub-rings instead of one of seven
+      await certifySevenKeys();
+      await registrationContract.connect(electionAuthority).setSubRingSize(electionId, 6);
+
+      await expect(freezeRing())
+        .to.emit(registrationContract, "SubRingsCommitted")
+        .withArgs(electionId, 6, 2);
+
+      await expectSubRings([[0, 4], [4, 3]]);
+    });
+
+    it("Should keep a ring of exactly the sub-ring size in one sub-ring", async function () {
+      await certifySevenKeys();
+      await registrationContract.connect(electionAuthority).setSubRingSize(electionId, 7);
+      await freezeRing();
+
+      await expectSubRings([[0, 7]]);
+    });
+
+    it("Should use a single sub-ring for a ring smaller than the sub-ring size", async function () {
+      expect(await registrationContract.subRingSize(electionId)).to.equal(await registrationContract.DEFAULT_SUB_RING_SIZE());
+      await freezeRing();
+
+      const [root, offset, size] = await registrationContract.getSubRing(electionId, 0);
+      expect(root).to.equal(ringMerkle.root(ringKeys));
+      expect(offset).to.equal(0);
+      expect(size).to.equal(3);
+    });
+
+    it("Should only change the sub-ring size before freezing", async function () {
+      await expect(
+        registrationContract.connect(electionAuthority).setSubRingSize(electionId, 0)
+      ).to.be.revertedWith("Invalid sub-ring size");
+      await expect(
+        registrationContract.connect(voter1).setSubRingSize(electionId, 8)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      await freezeRing();
+      await expect(
+        registrationContract.connect(electionAuthority).setSubRingSize(electionId, 8)
+      ).to.be.revertedWith("Ring frozen");
+    });
+
+    // Let the certificate deadline pass, then freeze the ring in pages of `pageSize` keys
+    async function freezeRingInPages(pageSize) {
+      await time.increaseTo(deadlines.certificate);
+      const transactions = [];
+      while (!(await registrationContract.ringFrozen(electionId))) {
+        transactions.push(await registrationContract.freezeRingPage(electionId, pageSize));
+      }
+      return transactions;
+    }
+
+    it("Should freeze the ring over several transactions", async function () {
+      // Seven ring keys and one key that is not a curve point, read two per page
+      await certifySevenKeys();
+      await registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, "0x9876543210fedcba"));
+      await registrationContract.connect(electionAuthority).setSubRingSize(electionId, 3);
+
+      const transactions = await freezeRingInPages(2);
+      expect(transactions.length).to.equal(8);
+      const last = transactions[transactions.length - 1];
+      await expect(last).to.emit(registrationContract, "RingFrozen").withArgs(electionId, ringMerkle.root(ringKeys), 7);
+      await expect(last).to.emit(registrationContract, "SubRingsCommitted").withArgs(electionId, 3, 3);
+      for (const tx of transactions.slice(0, -1)) {
+        await expect(tx).to.not.emit(registrationContract, "RingFrozen");
+      }
+
+      await expectSubRings([[0, 3], [3, 2], [5, 2]]);
+      await expect(registrationContract.freezeRingPage(electionId, 2)).to.be.revertedWith("Ring frozen");
+    });
+
+    it("Should freeze the same ring in pages as in one transaction", async function () {
+      await certifySevenKeys();
+      const snapshot = await takeSnapshot();
+      await freezeRing();
+      const [root, count] = await registrationContract.getRingSnapshot(electionId);
+      const [subRingRoot] = await registrationContract.getSubRing(electionId, 0);
+      await snapshot.restore();
+
+      await freezeRingInPages(3);
+      expect(await registrationContract.getRingSnapshot(electionId)).to.deep.equal([root, count, true]);
+      expect((await registrationContract.getSubRing(electionId, 0))[0]).to.equal(subRingRoot);
+    });
+
+    it("Should close certification once the first page is frozen", async function () {
+      await certifySevenKeys();
+      await time.increaseTo(deadlines.certificate);
+      await registrationContract.freezeRingPage(electionId, 2);
+
+      await expect(
+        registrationContract.connect(electionAuthority).setSubRingSize(electionId, 2)
+      ).to.be.revertedWith("Ring frozen");
+      await expect(
+        registrationContract.connect(electionAuthority).resetElectionSetup(electionId)
+      ).to.be.revertedWith("Ring frozen");
+
+      // An issuer revoked part-way through no longer voids the keys being frozen
+      await registrationContract.connect(electionAuthority).revokeIssuerKey(government.address);
+      expect(await registrationContract.isCertified(electionId, ringKeys[0])).to.equal(true);
+      while (!(await registrationContract.ringFrozen(electionId))) {
+        await registrationContract.freezeRingPage(electionId, 2);
+      }
+      expect((await registrationContract.getRingSnapshot(electionId))[0]).to.equal(ringMerkle.root(ringKeys));
+    });
+
+    it("Should only freeze once the certificate deadline has passed", async function () {
+      await expect(registrationContract.freezeRing(otherElectionId)).to.be.revertedWith("Election not setup");
+
+      await expect(
+        registrationContract.connect(electionAuthority).freezeRing(electionId)
+      ).to.be.revertedWith("Certificate deadline not reached");
+
+      // Anyone can freeze after the deadline
+      await time.increaseTo(deadlines.certificate);
+      await registrationContract.connect(electionAuthority).freezeRing(electionId);
+      expect(await registrationContract.ringFrozen(electionId)).to.equal(true);
+    });
+  });
+
+  // Test 7: Certificate Verification
   describe("Certificate Verification", function () {
     it("Should verify certified keys", async function () {
-      const certificate = {
-        governmentSignature: "0x1234567890abcdef",
-        governmentPublicKey: "0xabcdef1234567890",
-        voterPublicKey: "0x9876543210fedcba"
-      };
+      await setupElection();
+      const certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
 
       // Before storage
-      expect(await registrationContract.isCertified(certificate.voterPublicKey)).to.equal(false);
+      expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(false);
 
       // After storage
-      await registrationContract.connect(voter1).storePub(certificate);
-      expect(await registrationContract.isCertified(certificate.voterPublicKey)).to.equal(true);
+      await registrationContract.connect(voter1).storePub(electionId, certificate);
+      expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(true);
     });
   });
 
-  // Test 5: Authority Management
-  describe("Authority Management", function () {
-    it("Should update election authority", async function () {
-      await registrationContract.connect(electionAuthority).updateElectionAuthority(voter1.address);
-      expect(await registrationContract.electionAuthority()).to.equal(voter1.address);
+  // Test 8: Access Control
+  describe("Access Control", function () {
+    let ELECTION_ADMIN_ROLE, CERTIFICATE_ISSUER_ROLE, PHASE_OPERATOR_ROLE, AUDITOR_ROLE;
+
+    beforeEach(async function () {
+      [ELECTION_ADMIN_ROLE, CERTIFICATE_ISSUER_ROLE, PHASE_OPERATOR_ROLE, AUDITOR_ROLE] = await Promise.all([
+        registrationContract.ELECTION_ADMIN_ROLE(),
+        registrationContract.CERTIFICATE_ISSUER_ROLE(),
+        registrationContract.PHASE_OPERATOR_ROLE(),
+        registrationContract.AUDITOR_ROLE()
+      ]);
+    });
+
+    // Schedule an election admin grant or revocation, then make it once the timelock has passed
+    async function changeElectionAdmin(change, account) {
+      await registrationContract[change](ELECTION_ADMIN_ROLE, account);
+      await time.increase(await registrationContract.electionAdminDelay());
+      return registrationContract[change](ELECTION_ADMIN_ROLE, account);
+    }
+
+    it("Should let only the default admin grant and revoke roles, with events", async function () {
+      await expect(
+        registrationContract.connect(electionAuthority).grantRole(CERTIFICATE_ISSUER_ROLE, voter1.address)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+      await expect(
+        registrationContract.connect(electionAuthority).grantRole(ELECTION_ADMIN_ROLE, voter1.address)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      await expect(registrationContract.grantRole(CERTIFICATE_ISSUER_ROLE, voter1.address))
+        .to.emit(registrationContract, "RoleGranted")
+        .withArgs(CERTIFICATE_ISSUER_ROLE, voter1.address, owner.address);
+      await expect(registrationContract.revokeRole(CERTIFICATE_ISSUER_ROLE, voter1.address))
+        .to.emit(registrationContract, "RoleRevoked")
+        .withArgs(CERTIFICATE_ISSUER_ROLE, voter1.address, owner.address);
+    });
+
+    it("Should grant and revoke the election admin role only after the timelock", async function () {
+      const delay = await registrationContract.electionAdminDelay();
+      expect(delay).to.equal(ELECTION_ADMIN_DELAY);
+
+      // The first call schedules the grant, the second makes it once the delay has passed
+      const readyAt = BigInt(await time.latest()) + 1n + delay;
+      await expect(registrationContract.grantRole(ELECTION_ADMIN_ROLE, voter1.address))
+        .to.emit(registrationContract, "ElectionAdminChangeScheduled")
+        .withArgs(voter1.address, true, readyAt)
+        .and.not.to.emit(registrationContract, "RoleGranted");
+      expect(await registrationContract.electionAdminChangeReadyAt(voter1.address, true)).to.equal(readyAt);
+      await expect(registrationContract.grantRole(ELECTION_ADMIN_ROLE, voter1.address))
+        .to.be.revertedWith("Election admin timelock active");
+      await time.increaseTo(readyAt);
+      await expect(registrationContract.grantRole(ELECTION_ADMIN_ROLE, voter1.address))
+        .to.emit(registrationContract, "RoleGranted")
+        .withArgs(ELECTION_ADMIN_ROLE, voter1.address, owner.address);
+      expect(await registrationContract.electionAdminChangeReadyAt(voter1.address, true)).to.equal(0n);
+
+      // Revocations go through the same timelock
+      await registrationContract.revokeRole(ELECTION_ADMIN_ROLE, electionAuthority.address);
+      expect(await registrationContract.hasRole(ELECTION_ADMIN_ROLE, electionAuthority.address)).to.equal(true);
+      await time.increase(delay);
+      await expect(registrationContract.revokeRole(ELECTION_ADMIN_ROLE, electionAuthority.address))
+        .to.emit(registrationContract, "RoleRevoked")
+        .withArgs(ELECTION_ADMIN_ROLE, electionAuthority.address, owner.address);
+
+      await expect(setupElection()).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+      await registrationContract.connect(voter1).storePollParams(electionId, candidates, randomChallenge, await phaseDeadlines());
+      expect(await registrationContract.electionSetup(electionId)).to.equal(true);
+    });
+
+    it("Should grant and revoke the election admin role at once without a timelock", async function () {
+      const untimedContract = await deployRegistrationContract(electionAuthority, 0);
+      expect(await untimedContract.electionAdminDelay()).to.equal(0n);
+
+      await expect(untimedContract.connect(electionAuthority).grantRole(ELECTION_ADMIN_ROLE, voter1.address))
+        .to.be.revertedWithCustomError(untimedContract, "AccessControlUnauthorizedAccount");
+      await expect(untimedContract.grantRole(ELECTION_ADMIN_ROLE, voter1.address))
+        .to.emit(untimedContract, "RoleGranted")
+        .withArgs(ELECTION_ADMIN_ROLE, voter1.address, owner.address)
+        .and.not.to.emit(untimedContract, "ElectionAdminChangeScheduled");
+      await expect(untimedContract.revokeRole(ELECTION_ADMIN_ROLE, electionAuthority.address))
+        .to.emit(untimedContract, "RoleRevoked")
+        .withArgs(ELECTION_ADMIN_ROLE, electionAuthority.address, owner.address);
+      expect(await untimedContract.electionAdminChangeReadyAt(voter1.address, true)).to.equal(0n);
+      await expect(untimedContract.cancelElectionAdminChange(voter1.address, true))
+        .to.be.revertedWith("No election admin change pending");
+    });
+
+    it("Should let election admins cancel a scheduled grant and the default admin any change", async function () {
+      await registrationContract.grantRole(ELECTION_ADMIN_ROLE, voter1.address);
+      await expect(registrationContract.connect(voter2).cancelElectionAdminChange(voter1.address, true))
+        .to.be.revertedWith("Cancellation not allowed");
+      await expect(registrationContract.connect(electionAuthority).cancelElectionAdminChange(voter1.address, true))
+        .to.emit(registrationContract, "ElectionAdminChangeCancelled")
+        .withArgs(voter1.address, true);
+      await expect(registrationContract.cancelElectionAdminChange(voter1.address, true))
+        .to.be.revertedWith("No election admin change pending");
+
+      // A cancelled grant has to be scheduled again
+      await time.increase(await registrationContract.electionAdminDelay());
+      await registrationContract.grantRole(ELECTION_ADMIN_ROLE, voter1.address);
+      expect(await registrationContract.hasRole(ELECTION_ADMIN_ROLE, voter1.address)).to.equal(false);
+
+      // Election admins cannot hold off their own revocation
+      await registrationContract.revokeRole(ELECTION_ADMIN_ROLE, electionAuthority.address);
+      await expect(registrationContract.connect(electionAuthority).cancelElectionAdminChange(electionAuthority.address, false))
+        .to.be.revertedWith("Cancellation not allowed");
+      await registrationContract.cancelElectionAdminChange(electionAuthority.address, false);
+      expect(await registrationContract.electionAdminChangeReadyAt(electionAuthority.address, false)).to.equal(0n);
     });
 
-    it("Should reject authority update from non-authority", async function () {
+    it("Should keep election administration and certificate issuing separate", async function () {
+      await registrationContract.grantRole(CERTIFICATE_ISSUER_ROLE, voter1.address);
+      await changeElectionAdmin("grantRole", voter2.address);
+      deadlines = await setupElection();
+
+      // The certificate issuer manages issuer keys and certificates, not the election
+      await registrationContract.connect(voter1).addIssuerKey(NORTH_OFFICE, regionalIssuer.address, 0, MAX_UINT64);
+      await expect(
+        registrationContract.connect(voter1).setSubRingSize(electionId, 8)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      // The election admin sets up and resets the election, but cannot touch issuer keys
+      await registrationContract.connect(voter2).setSubRingSize(electionId, 8);
       await expect(
-        registrationContract.connect(voter1).updateElectionAuthority(voter2.address)
-      ).to.be.revertedWith("Only election authority can call this function");
+        registrationContract.connect(voter2).revokeIssuerKey(regionalIssuer.address)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+      await registrationContract.connect(voter2).resetElectionSetup(electionId);
+    });
+
+    it("Should restrict ring freezing to phase operators until the certificate deadline", async function () {
+      deadlines = await setupElection();
+      await registrationContract.revokeRole(PHASE_OPERATOR_ROLE, electionAuthority.address);
+      await registrationContract.grantRole(PHASE_OPERATOR_ROLE, voter2.address);
+      expect(await registrationContract.isPhaseOperator(voter1.address)).to.equal(false);
+      expect(await registrationContract.isPhaseOperator(voter2.address)).to.equal(true);
+
+      await expect(registrationContract.connect(voter1).freezeRing(electionId))
+        .to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1.address, PHASE_OPERATOR_ROLE);
+      await expect(registrationContract.connect(voter2).freezeRing(electionId))
+        .to.be.revertedWith("Certificate deadline not reached");
+    });
+
+    it("Should let anyone freeze the ring once the certificate deadline has passed", async function () {
+      deadlines = await setupElection();
+      await registrationContract.revokeRole(PHASE_OPERATOR_ROLE, electionAuthority.address);
+
+      await time.increaseTo(deadlines.certificate);
+      await registrationContract.connect(voter1).freezeRing(electionId);
+      expect(await registrationContract.ringFrozen(electionId)).to.equal(true);
+    });
+
+    it("Should let auditors record audit reports in any phase", async function () {
+      const reportHash = ethers.keccak256(ethers.toUtf8Bytes("AUDIT_REPORT"));
+      await registrationContract.grantRole(AUDITOR_ROLE, voter1.address);
+      await expect(
+        registrationContract.connect(voter1).recordAudit(electionId, reportHash)
+      ).to.be.revertedWith("Election not setup");
+
+      deadlines = await setupElection();
+      await expect(registrationContract.connect(voter1).recordAudit(electionId, reportHash))
+        .to.emit(registrationContract, "AuditRecorded")
+        .withArgs(electionId, voter1.address, reportHash);
+      await expect(
+        registrationContract.connect(electionAuthority).recordAudit(electionId, reportHash)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+      await expect(
+        registrationContract.connect(voter1).recordAudit(electionId, ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid report hash");
+
+      await freezeRing();
+      await time.increaseTo(deadlines.reveal);
+      await registrationContract.connect(voter1).recordAudit(electionId, reportHash);
+    });
+
+    it("Should transfer the default admin role in two steps, after the optional delay", async function () {
+      await expect(
+        registrationContract.connect(electionAuthority).beginDefaultAdminTransfer(voter1.address)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      // Without a delay the new admin can accept at once
+      await registrationContract.beginDefaultAdminTransfer(voter1.address);
+      await expect(
+        registrationContract.connect(voter2).acceptDefaultAdminTransfer()
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlInvalidDefaultAdmin");
+      await registrationContract.connect(voter1).acceptDefaultAdminTransfer();
+      expect(await registrationContract.defaultAdmin()).to.equal(voter1.address);
+      expect(await registrationContract.hasRole(ethers.ZeroHash, owner.address)).to.equal(false);
+
+      // A delay holds the next transfer; it may be cancelled while it waits
+      await registrationContract.connect(voter1).changeDefaultAdminDelay(86400);
+      await time.increase(5 * 86400);
+      await registrationContract.connect(voter1).beginDefaultAdminTransfer(voter2.address);
+      await expect(
+        registrationContract.connect(voter2).acceptDefaultAdminTransfer()
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlEnforcedDefaultAdminDelay");
+      await registrationContract.connect(voter1).cancelDefaultAdminTransfer();
+      await time.increase(86400);
+      await expect(
+        registrationContract.connect(voter2).acceptDefaultAdminTransfer()
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlInvalidDefaultAdmin");
+      expect(await registrationContract.defaultAdmin()).to.equal(voter1.address);
+    });
+
+    it("Should let only the default admin set the trusted forwarder", async function () {
+      expect(await registrationContract.trustedForwarder()).to.equal(ethers.ZeroAddress);
+      await expect(
+        registrationContract.connect(electionAuthority).setTrustedForwarder(voter1.address)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      await expect(registrationContract.setTrustedForwarder(voter1.address))
+        .to.emit(registrationContract, "TrustedForwarderSet")
+        .withArgs(voter1.address);
+      expect(await registrationContract.trustedForwarder()).to.equal(voter1.address);
     });
   });
 
-  // Test 6: Reset Functionality
+  // Test 9: Reset Functionality
   describe("Reset Election", function () {
     it("Should reset election setup", async function () {
       // Setup election first
-      await registrationContract.connect(electionAuthority).storePollParams(
+      await setupElection();
+      expect(await registrationContract.electionSetup(electionId)).to.equal(true);
+
+      // Reset election
+      await expect(registrationContract.connect(electionAuthority).resetElectionSetup(electionId))
+        .to.emit(registrationContract, "ElectionReset")
+        .withArgs(electionId);
+      expect(await registrationContract.electionSetup(electionId)).to.equal(false);
+      expect(await registrationContract.getCandidates(electionId)).to.deep.equal([]);
+    });
+
+    it("Should clear certificates, revocations and the sub-ring size on reset", async function () {
+      await setupElection();
+      const revoked = await issuer.issueCertificate(government, domain, lsag.generateKeyPair().publicKeyBytes);
+      const kept = await issuer.issueCertificate(government, domain, lsag.generateKeyPair().publicKeyBytes);
+      await registrationContract.storePub(electionId, revoked);
+      await registrationContract.storePub(electionId, kept);
+      await registrationContract.connect(electionAuthority).revokeCertificate(electionId, revoked.voterPublicKey, REASON_INELIGIBLE);
+      await registrationContract.connect(electionAuthority).setSubRingSize(electionId, 3);
+
+      await registrationContract.connect(electionAuthority).resetElectionSetup(electionId);
+      expect(await registrationContract.resetCount(electionId)).to.equal(1n);
+      expect(await registrationContract.subRingSize(electionId)).to.equal(0n);
+
+      // The new setup starts from an empty certification with the default sub-ring size
+      await setupElection();
+      expect(await registrationContract.subRingSize(electionId)).to.equal(await registrationContract.DEFAULT_SUB_RING_SIZE());
+      expect(await registrationContract.getCertifiedKeyCount(electionId)).to.equal(0n);
+      for (const certificate of [revoked, kept]) {
+        expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(false);
+        expect(await registrationContract.certificateIssuer(electionId, certificate.voterPublicKey)).to.equal(ethers.ZeroAddress);
+        expect(await registrationContract.certificateRevocations(electionId, certificate.voterPublicKey)).to.equal(0n);
+      }
+
+      await registrationContract.storePub(electionId, kept);
+      expect(await registrationContract.getCertifiedKeys(electionId, 0, 10)).to.deep.equal([ethers.hexlify(kept.voterPublicKey)]);
+    });
+
+    it("Should reject resets from non-authority and of elections not set up", async function () {
+      await setupElection();
+      await expect(
+        registrationContract.connect(voter1).resetElectionSetup(electionId)
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+      await expect(
+        registrationContract.connect(electionAuthority).resetElectionSetup(otherElectionId)
+      ).to.be.revertedWith("Election not setup");
+    });
+
+    it("Should allow a reset after the certificate deadline until the ring is frozen", async function () {
+      deadlines = await setupElection();
+      await registrationContract.storePub(
         electionId,
-        candidates,
-        randomChallenge
+        await issuer.issueCertificate(government, domain, lsag.generateKeyPair().publicKeyBytes)
       );
-      expect(await registrationContract.electionSetup()).to.equal(true);
+      await time.increaseTo(deadlines.certificate);
 
-      // Reset election
-      await registrationContract.connect(electionAuthority).resetElectionSetup();
-      expect(await registrationContract.electionSetup()).to.equal(false);
-      expect(await registrationContract.electionId()).to.equal(ethers.ZeroHash);
+      const snapshot = await takeSnapshot();
+      await registrationContract.connect(electionAuthority).resetElectionSetup(electionId);
+      expect(await registrationContract.electionSetup(electionId)).to.equal(false);
+      await snapshot.restore();
+
+      // Freezing the ring opens voter registration; the election can no longer be reset
+      await registrationContract.freezeRing(electionId);
+      await expect(
+        registrationContract.connect(electionAuthority).resetElectionSetup(electionId)
+      ).to.be.revertedWith("Ring frozen");
+      await time.increaseTo(deadlines.reveal);
+      await expect(
+        registrationContract.connect(electionAuthority).resetElectionSetup(electionId)
+      ).to.be.revertedWith("Ring frozen");
+      expect(await registrationContract.getCandidates(electionId)).to.deep.equal(candidates);
     });
   });
 
-  // Test 7: Complete Workflow
+  // Test 10: Complete Workflow
   describe("Complete Workflow", function () {
     it("Should complete full registration workflow", async function () {
       // 1. Setup election
-      await registrationContract.connect(electionAuthority).storePollParams(
-        electionId,
-        candidates,
-        randomChallenge
-      );
+      await setupElection();
 
       // 2. Store certificates for multiple voters
-      const cert1 = {
-        governmentSignature: "0x1111111111111111",
-        governmentPublicKey: "0xaaaaaaaaaaaaaaaa",
-        voterPublicKey: "0x1a1a1a1a1a1a1a1a"
-      };
+      const cert1 = await issuer.issueCertificate(government, domain, "0x1a1a1a1a1a1a1a1a");
+      const cert2 = await issuer.issueCertificate(government, domain, "0x2b2b2b2b2b2b2b2b");
 
-      const cert2 = {
-        governmentSignature: "0x2222222222222222",
-        governmentPublicKey: "0xbbbbbbbbbbbbbbbb",
-        voterPublicKey: "0x2b2b2b2b2b2b2b2b"
-      };
-
-      await registrationContract.connect(voter1).storePub(cert1);
-      await registrationContract.connect(voter2).storePub(cert2);
+      await registrationContract.connect(voter1).storePub(electionId, cert1);
+      await registrationContract.connect(voter2).storePub(electionId, cert2);
 
       // 3. Verify all components
-      expect(await registrationContract.electionSetup()).to.equal(true);
-      expect(await registrationContract.isCertified(cert1.voterPublicKey)).to.equal(true);
-      expect(await registrationContract.isCertified(cert2.voterPublicKey)).to.equal(true);
+      expect(await registrationContract.electionSetup(electionId)).to.equal(true);
+      expect(await registrationContract.isCertified(electionId, cert1.voterPublicKey)).to.equal(true);
+      expect(await registrationContract.isCertified(electionId, cert2.voterPublicKey)).to.equal(true);
       
-      const storedCandidates = await registrationContract.getCandidates();
+      const storedCandidates = await registrationContract.getCandidates(electionId);
       expect(storedCandidates.length).to.equal(2);
     });
   });
-});
 
+  // Test 11: Multiple Elections
+  describe("Multiple Elections", function () {
+    let otherDomain;
+
+    beforeEach(async function () {
+      deadlines = await setupElection();
+      await setupElection(otherElectionId);
+      otherDomain = { ...domain, electionId: otherElectionId };
+    });
+
+    it("Should list every election and reject setting one up twice", async function () {
+      expect(await registrationContract.getElectionCount()).to.equal(2);
+      expect(await registrationContract.electionIds(1)).to.equal(otherElectionId);
+
+      await expect(setupElection()).to.be.revertedWith("Election already setup");
+    });
+
+    it("Should keep certificates and rings separate per election", async function () {
+      const [shared, onlyFirst, onlySecond] = [lsag.generateKeyPair(), lsag.generateKeyPair(), lsag.generateKeyPair()]
+        .map((key) => key.publicKeyBytes);
+      await registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, shared));
+      await registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, onlyFirst));
+      await registrationContract.storePub(otherElectionId, await issuer.issueCertificate(government, otherDomain, onlySecond));
+      await registrationContract.storePub(otherElectionId, await issuer.issueCertificate(government, otherDomain, shared));
+
+      expect(await registrationContract.isCertified(electionId, onlySecond)).to.equal(false);
+      expect(await registrationContract.isCertified(otherElectionId, onlyFirst)).to.equal(false);
+      expect(await registrationContract.getCertifiedKeys(otherElectionId, 0, 10)).to.deep.equal([onlySecond, shared]);
+
+      // Revoking a certificate in one election leaves the other untouched
+      await registrationContract.connect(electionAuthority).revokeCertificate(otherElectionId, shared, 2);
+      expect(await registrationContract.isCertified(electionId, shared)).to.equal(true);
+
+      await freezeRing();
+      const [root, count] = await registrationContract.getRingSnapshot(electionId);
+      expect(root).to.equal(ringMerkle.root([shared, onlyFirst]));
+      expect(count).to.equal(2);
+      expect(await registrationContract.ringFrozen(otherElectionId)).to.equal(false);
+    });
+
+    it("Should only void an issuer's certificates in elections not yet frozen", async function () {
+      const publicKey = lsag.generateKeyPair().publicKeyBytes;
+      await registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, publicKey));
+      await freezeRing();
+
+      // The next election opens certification once the first ring is frozen
+      const laterElectionId = ethers.keccak256(ethers.toUtf8Bytes("ELECTION_2026"));
+      await setupElection(laterElectionId);
+      await registrationContract.storePub(
+        laterElectionId,
+        await issuer.issueCertificate(government, { ...domain, electionId: laterElectionId }, publicKey)
+      );
+
+      await registrationContract.connect(electionAuthority).revokeIssuerKey(government.address);
+      expect(await registrationContract.isCertified(electionId, publicKey)).to.equal(true);
+      expect(await registrationContract.isCertified(laterElectionId, publicKey)).to.equal(false);
+    });
+
+    it("Should reset one election without touching the others", async function () {
+      await registrationContract.connect(electionAuthority).resetElectionSetup(otherElectionId);
+
+      expect(await registrationContract.electionSetup(otherElectionId)).to.equal(false);
+      expect(await registrationContract.electionSetup(electionId)).to.equal(true);
+      expect(await registrationContract.getCandidates(electionId)).to.deep.equal(candidates);
+
+      // Setting it up again does not list it twice
+      await setupElection(otherElectionId);
+      expect(await registrationContract.getElectionCount()).to.equal(2);
+    });
+  });
+
+  // Test 12: Batch Certification
+  describe("Batch Certification", function () {
+    beforeEach(async function () {
+      deadlines = await setupElection();
+    });
+
+    it("Should store a batch of certificates and reject invalid ones individually", async function () {
+      const stored = await issuer.issueCertificate(government, domain, "0x01");
+      await registrationContract.storePub(electionId, stored);
+      const valid = await issuer.issueCertificate(government, domain, "0x02");
+      const untrusted = await issuer.issueCertificate(voter2, domain, "0x03");
+      const empty = { ...(await issuer.issueCertificate(government, domain, "0x04")), governmentSignature: "0x" };
+
+      const certificates = [valid, stored, untrusted, empty];
+      expect(await registrationContract.storePubBatch.staticCall(electionId, certificates))
+        .to.deep.equal([true, false, false, false]);
+      await expect(registrationContract.storePubBatch(electionId, certificates))
+        .to.emit(registrationContract, "CertificateStored")
+        .and.to.emit(registrationContract, "CertificateRejected").withArgs(electionId, "0x01", "Public key already certified")
+        .and.to.emit(registrationContract, "CertificateRejected").withArgs(electionId, "0x03", "Invalid government signature")
+        .and.to.emit(registrationContract, "CertificateRejected").withArgs(electionId, "0x04", "Government signature cannot be empty");
+
+      expect(await registrationContract.isCertified(electionId, "0x02")).to.equal(true);
+      expect(await registrationContract.getCertifiedKeyCount(electionId)).to.equal(2);
+    });
+
+    it("Should reject an empty batch and every certificate once certification closes", async function () {
+      await expect(registrationContract.storePubBatch(electionId, [])).to.be.revertedWith("Empty batch");
+
+      await freezeRing();
+      const certificate = await issuer.issueCertificate(government, domain, "0x01");
+      await expect(registrationContract.storePubBatch(electionId, [certificate]))
+        .to.emit(registrationContract, "CertificateRejected").withArgs(electionId, "0x01", "Ring frozen");
+    });
+
+    it("Should use less gas than storing the certificates one by one", async function () {
+      const certificates = [];
+      for (let i = 0; i < 10; i++) {
+        certificates.push(await issuer.issueCertificate(government, domain, lsag.generateKeyPair().publicKeyBytes));
+      }
+      const snapshot = await takeSnapshot();
+
+      let singleGas = 0n;
+      for (const certificate of certificates) {
+        singleGas += (await (await registrationContract.storePub(electionId, certificate)).wait()).gasUsed;
+      }
+      await snapshot.restore();
+      const batchGas = (await (await registrationContract.storePubBatch(electionId, certificates)).wait()).gasUsed;
+
+      expect(await registrationContract.getCertifiedKeyCount(electionId)).to.equal(10);
+      // The batch saves at least the base cost of each transaction after the first
+      expect(batchGas).to.be.lessThan(singleGas - 21000n * 9n);
+    });
+  });
+
+  // Test 13: Pause and Cancellation
+  describe("Pause and Cancellation", function () {
+    const [NOT_HALTED, PAUSED, CANCELLED] = [0n, 1n, 2n];
+
+    beforeEach(async function () {
+      deadlines = await setupElection();
+    });
+
+    it("Should let only pausers pause and unpause, with events", async function () {
+      await expect(
+        registrationContract.connect(voter1).pause()
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+
+      await expect(registrationContract.connect(electionAuthority).pause())
+        .to.emit(registrationContract, "Paused")
+        .withArgs(electionAuthority.address);
+      expect(await registrationContract.isElectionHalted(electionId)).to.equal(true);
+      expect(await registrationContract.getHaltState(otherElectionId)).to.equal(PAUSED);
+
+      await expect(
+        registrationContract.connect(voter1).unpause()
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+      await expect(registrationContract.connect(electionAuthority).unpause())
+        .to.emit(registrationContract, "Unpaused")
+        .withArgs(electionAuthority.address);
+      expect(await registrationContract.getHaltState(electionId)).to.equal(NOT_HALTED);
+    });
+
+    it("Should refuse certificates and ring freezing while paused and keep them after", async function () {
+      const certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
+      await registrationContract.storePub(electionId, certificate);
+      await registrationContract.connect(electionAuthority).pause();
+
+      const pending = await issuer.issueCertificate(government, domain, "0x0123456789abcdef");
+      await expect(registrationContract.storePub(electionId, pending)).to.be.revertedWith("Election halted");
+      await expect(registrationContract.storePubBatch(electionId, [pending]))
+        .to.emit(registrationContract, "CertificateRejected").withArgs(electionId, "0x0123456789abcdef", "Election halted");
+      await time.increaseTo(deadlines.certificate);
+      await expect(registrationContract.freezeRing(electionId)).to.be.revertedWith("Election halted");
+
+      // Nothing stored before the pause is lost, and certification gets back the time the pause took
+      await registrationContract.connect(electionAuthority).unpause();
+      const certificateDeadline = (await registrationContract.getDeadlines(electionId)).certificate;
+      expect(certificateDeadline).to.be.greaterThan(BigInt(await time.latest()));
+      await registrationContract.storePub(electionId, pending);
+      await expect(
+        registrationContract.connect(electionAuthority).freezeRing(electionId)
+      ).to.be.revertedWith("Certificate deadline not reached");
+      await time.increaseTo(certificateDeadline);
+      await registrationContract.freezeRing(electionId);
+      expect(await registrationContract.isCertified(electionId, certificate.voterPublicKey)).to.equal(true);
+      expect(await registrationContract.isCertified(electionId, pending.voterPublicKey)).to.equal(true);
+      expect(await registrationContract.ringFrozen(electionId)).to.equal(true);
+    });
+
+    it("Should move back every deadline not yet reached by the length of a pause", async function () {
+      // A pause before the election was set up does not count
+      await registrationContract.connect(electionAuthority).pause();
+      await time.increase(600);
+      await registrationContract.connect(electionAuthority).unpause();
+      deadlines = await setupElection(otherElectionId);
+      expect(await registrationContract.getDeadlines(otherElectionId)).to.deep.equal(Object.values(deadlines));
+
+      // Paused during certification: every deadline moves back by the pause
+      await time.increaseTo(deadlines.certificate - 100n);
+      await registrationContract.connect(electionAuthority).pause();
+      const pausedAt = BigInt(await time.latest());
+      await time.increaseTo(deadlines.registration);
+      expect(await registrationContract.getDeadlines(otherElectionId)).to.deep.equal(Object.values(deadlines));
+      await registrationContract.connect(electionAuthority).unpause();
+      const firstPause = BigInt(await time.latest()) - pausedAt;
+      expect(await registrationContract.getDeadlines(otherElectionId)).to.deep.equal(
+        Object.values(deadlines).map((deadline) => deadline + firstPause)
+      );
+
+      // Paused once the certificate deadline has passed: only the later deadlines move
+      await time.increaseTo(deadlines.certificate + firstPause + 10n);
+      await registrationContract.connect(electionAuthority).pause();
+      await time.increase(300);
+      await registrationContract.connect(electionAuthority).unpause();
+      const secondPause = 301n;
+      expect(await registrationContract.getDeadlines(otherElectionId)).to.deep.equal([
+        deadlines.certificate + firstPause,
+        deadlines.registration + firstPause + secondPause,
+        deadlines.voting + firstPause + secondPause,
+        deadlines.reveal + firstPause + secondPause
+      ]);
+    });
+
+    it("Should keep deadlines right and cheap to read over many pauses", async function () {
+      // Reference: each pause that starts before the deadline, as moved so far, moves it back
+      const pauseHistory = [];
+      const expectedDeadlines = () => Object.values(deadlines).map((deadline) => {
+        let moved = deadline;
+        for (const { pausedAt, duration } of pauseHistory) {
+          if (pausedAt < moved) moved += duration;
+        }
+        return moved;
+      });
+
+      // Forty pauses of two minutes every five, running past the certificate and registration deadlines
+      let gasAfterFewPauses;
+      for (let i = 0; i < 40; i++) {
+        await registrationContract.connect(electionAuthority).pause();
+        const pausedAt = BigInt(await time.latest());
+        await time.increase(120);
+        await registrationContract.connect(electionAuthority).unpause();
+        pauseHistory.push({ pausedAt, duration: BigInt(await time.latest()) - pausedAt });
+        expect(await registrationContract.getDeadlines(electionId)).to.deep.equal(expectedDeadlines());
+        if (i === 7) gasAfterFewPauses = await registrationContract.getDeadlines.estimateGas(electionId);
+        await time.increase(300);
+      }
+      const moved = expectedDeadlines();
+      expect(moved[0]).to.be.lessThan(moved[1] - 3600n);
+      expect(moved[1]).to.be.lessThan(BigInt(await time.latest()));
+
+      // A pause still going on moves nothing yet
+      await registrationContract.connect(electionAuthority).pause();
+      await time.increase(120);
+      expect(await registrationContract.getDeadlines(electionId)).to.deep.equal(moved);
+
+      // Reading the deadlines does not walk the whole pause history, which would cost at least a cold
+      // storage read (2100 gas) for each pause added since the first eight
+      const gasAfterManyPauses = await registrationContract.getDeadlines.estimateGas(electionId);
+      expect(gasAfterManyPauses - gasAfterFewPauses).to.be.lessThan(2100n * 33n);
+    });
+
+    it("Should cancel an election for good with a reason", async function () {
+      await expect(
+        registrationContract.connect(voter1).cancelElection(electionId, "Court order")
+      ).to.be.revertedWithCustomError(registrationContract, "AccessControlUnauthorizedAccount");
+      await expect(
+        registrationContract.connect(electionAuthority).cancelElection(electionId, "")
+      ).to.be.revertedWith("Cancellation reason required");
+      await expect(
+        registrationContract.connect(electionAuthority).cancelElection(otherElectionId, "Court order")
+      ).to.be.revertedWith("Election not setup");
+
+      await expect(registrationContract.connect(electionAuthority).cancelElection(electionId, "Court order"))
+        .to.emit(registrationContract, "ElectionCancelled")
+        .withArgs(electionId, "Court order");
+      expect(await registrationContract.electionCancelled(electionId)).to.equal(true);
+      expect(await registrationContract.cancellationReason(electionId)).to.equal("Court order");
+      expect(await registrationContract.isElectionHalted(otherElectionId)).to.equal(false);
+
+      // Cancellation outranks a pause and outlives it
+      await registrationContract.connect(electionAuthority).pause();
+      expect(await registrationContract.getHaltState(electionId)).to.equal(CANCELLED);
+      await registrationContract.connect(electionAuthority).unpause();
+      const certificate = await issuer.issueCertificate(government, domain, "0x9876543210fedcba");
+      await expect(registrationContract.storePub(electionId, certificate)).to.be.revertedWith("Election halted");
+      await expect(
+        registrationContract.connect(electionAuthority).cancelElection(electionId, "Again")
+      ).to.be.revertedWith("Election already cancelled");
+    });
+
+    it("Should not cancel an election once its results can be finalized", async function () {
+      await freezeRing();
+      await time.increaseTo(deadlines.reveal);
+      await expect(
+        registrationContract.connect(electionAuthority).cancelElection(electionId, "Court order")
+      ).to.be.revertedWith("Reveal deadline passed");
+      expect(await registrationContract.electionCancelled(electionId)).to.equal(false);
+    });
+
+    it("Should not let a cancelled election be set up again", async function () {
+      await registrationContract.connect(electionAuthority).cancelElection(electionId, "Court order");
+      await registrationContract.connect(electionAuthority).resetElectionSetup(electionId);
+      await expect(setupElection()).to.be.revertedWith("Election cancelled");
+    });
+  });
+});
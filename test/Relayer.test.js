@@ -0,0 +1,309 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const voterClient = require("../lib/voterClient");
+const issuer = require("../lib/issuer");
+const trustee = require("../lib/trustee");
+const { startRelayer } = require("../lib/relayer");
+const { deployElection } = require("./helpers/deployElection");
+
+describe("Relayer", function () {
+  let registrationContract;
+  let voterRegistrationContract;
+  let votingAndTallyingContract;
+  let forwarder;
+  let deployer, electionAuthority, relayerAccount, government;
+  let electionId, candidates, deadlines;
+  let relayer, voterKeys, firstVoterBlock;
+
+  const ENCRYPTED = { ballotType: 3, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false };
+
+  // Set up an election and certify three voters, ready for registration
+  async function setupElection(id, ballotConfig) {
+    const now = BigInt(await time.latest());
+    const electionDeadlines = { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+    await registrationContract.connect(electionAuthority)[
+      "storePollParams(bytes32,bytes32[],bytes32,(uint64,uint64,uint64,uint64),(uint8,uint8,uint8,bool))"
+    ](id, candidates, ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE")), electionDeadlines, ballotConfig);
+
+    const domain = await issuer.certificateDomain(registrationContract, id);
+    for (const key of voterKeys) {
+      await registrationContract.storePub(id, await issuer.issueCertificate(government, domain, key.publicKeyBytes));
+    }
+    await time.increaseTo(electionDeadlines.certificate);
+    await registrationContract.freezeRing(id);
+    return electionDeadlines;
+  }
+
+  // Relayer, forwarder and voting key the relay* helpers sign with
+  function relayWith(votingKey) {
+    return { relayerUrl: relayer.url, forwarder, votingWallet: votingKey.wallet };
+  }
+
+  // Register every voter through the relayer
+  async function registerThroughRelayer(id) {
+    const { ring } = await voterClient.fetchRingSnapshot(registrationContract, id);
+    const domain = await voterClient.registrationDomain(voterRegistrationContract, registrationContract, id);
+    const voters = [];
+    for (const key of voterKeys) {
+      const votingKey = voterClient.deriveVotingKey(key.privateKey, id);
+      const { lsagSignature } = voterClient.signRegistration({
+        domain,
+        ring,
+        lsagPrivateKey: key.privateKey,
+        votingPublicKey: votingKey.votingPublicKey
+      });
+      const voterIndex = await voterClient.relayRegistration(relayWith(votingKey), voterRegistrationContract, id, {
+        lsagSignature,
+        votingPublicKey: votingKey.votingPublicKey
+      });
+      voters.push({ voterIndex, votingKey });
+    }
+    return voters;
+  }
+
+  // Senders of every transaction mined since the voters started using the relayer
+  async function sendersSince(blockNumber) {
+    const senders = [];
+    const latest = await ethers.provider.getBlockNumber();
+    for (let number = blockNumber; number <= latest; number++) {
+      const block = await ethers.provider.getBlock(number, true);
+      senders.push(...block.prefetchedTransactions.map((tx) => tx.from));
+    }
+    return senders;
+  }
+
+  beforeEach(async function () {
+    [deployer, electionAuthority, relayerAccount, government] = await ethers.getSigners();
+
+    ({ registrationContract, voterRegistrationContract, votingAndTallyingContract } = await deployElection(electionAuthority));
+
+    forwarder = await (await ethers.getContractFactory("VoterForwarder")).deploy();
+    await registrationContract.setTrustedForwarder(forwarder.target);
+
+    electionId = ethers.keccak256(ethers.toUtf8Bytes("RELAYED_ELECTION"));
+    candidates = [
+      ethers.keccak256(ethers.toUtf8Bytes("ALICE")),
+      ethers.keccak256(ethers.toUtf8Bytes("BOB"))
+    ];
+    await registrationContract.connect(electionAuthority).addIssuerKey(
+      ethers.encodeBytes32String("CENTRAL"),
+      government.address,
+      0,
+      2n ** 64n - 1n
+    );
+    voterKeys = [voterClient.generateKeyPair(), voterClient.generateKeyPair(), voterClient.generateKeyPair()];
+    deadlines = await setupElection(electionId, { ballotType: 0, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false });
+
+    relayer = await startRelayer({
+      forwarder: forwarder.connect(relayerAccount),
+      voterRegistrationContract,
+      votingAndTallyingContract
+    });
+    firstVoterBlock = (await ethers.provider.getBlockNumber()) + 1;
+  });
+
+  afterEach(async function () {
+    await relayer.close();
+  });
+
+  describe("Relaying", function () {
+    it("Should run registration, voting and reveals without the voter sending a transaction", async function () {
+      const voters = await registerThroughRelayer(electionId);
+      expect(voters.map((voter) => voter.voterIndex)).to.deep.equal([0n, 1n, 2n]);
+
+      await time.increaseTo(deadlines.registration);
+      await votingAndTallyingContract.startVotingPhase(electionId);
+      const choices = [candidates[0], candidates[1], candidates[0]];
+      const domain = await voterClient.votingDomain(votingAndTallyingContract, electionId);
+      for (let i = 0; i < voters.length; i++) {
+        voters[i].commitment = voterClient.buildVoteCommitment({
+          candidate: choices[i],
+          domain,
+          voterIndex: voters[i].voterIndex,
+          votingWallet: voters[i].votingKey.wallet
+        });
+        await voterClient.relayVote(relayWith(voters[i].votingKey), votingAndTallyingContract, voters[i].commitment, voters[i].voterIndex);
+      }
+
+      await time.increaseTo(deadlines.voting);
+      await votingAndTallyingContract.startTallyingPhase(electionId);
+      for (const voter of voters) {
+        await voterClient.relayReveal(relayWith(voter.votingKey), votingAndTallyingContract, voter.commitment, voter.voterIndex);
+      }
+      const [, voteCounts] = await votingAndTallyingContract.getTallyResults(electionId);
+      expect(voteCounts).to.deep.equal([2n, 1n]);
+
+      // Every voter-side step was sent by the relayer and reached the contracts from the forwarder;
+      // no voting key ever sent a transaction
+      const votingAddresses = voters.map((voter) => voter.votingKey.votingPublicKey);
+      const senders = await sendersSince(firstVoterBlock);
+      expect(senders.filter((sender) => sender === relayerAccount.address).length).to.equal(9);
+      expect(senders.some((sender) => votingAddresses.includes(sender))).to.be.false;
+      const forwarded = await forwarder.queryFilter(forwarder.filters.ExecutedForwardRequest(), firstVoterBlock);
+      expect(forwarded.length).to.equal(9);
+      expect(forwarded.every((event) => event.args.success)).to.be.true;
+      for (const address of votingAddresses) {
+        expect(await ethers.provider.getTransactionCount(address)).to.equal(0);
+        expect(await ethers.provider.getBalance(address)).to.equal(0);
+      }
+    });
+
+    it("Should relay encrypted ballots", async function () {
+      const encryptedElectionId = ethers.keccak256(ethers.toUtf8Bytes("RELAYED_ENCRYPTED_ELECTION"));
+      const electionDeadlines = await setupElection(encryptedElectionId, ENCRYPTED);
+      const voters = await registerThroughRelayer(encryptedElectionId);
+
+      const dealing = trustee.createDealing(1, 1);
+      const { publicKey, verificationKeys } = trustee.deriveTallyKeys([dealing.commitments], 1);
+      await votingAndTallyingContract.connect(electionAuthority).setTallyTrustees(
+        encryptedElectionId, publicKey, 1, [government.address], verificationKeys
+      );
+      await time.increaseTo(electionDeadlines.registration);
+      await votingAndTallyingContract.startVotingPhase(encryptedElectionId);
+
+      const encryptedVote = await voterClient.buildEncryptedVote({
+        votingAndTallyingContract,
+        electionId: encryptedElectionId,
+        candidate: candidates[1],
+        candidates,
+        voterIndex: voters[0].voterIndex,
+        votingWallet: voters[0].votingKey.wallet
+      });
+      const { transactionHash } = await voterClient.relayEncryptedVote(
+        relayWith(voters[0].votingKey), votingAndTallyingContract, encryptedVote, voters[0].voterIndex
+      );
+
+      expect((await ethers.provider.getTransaction(transactionHash)).from).to.equal(relayerAccount.address);
+      expect(await votingAndTallyingContract.totalVotesCast(encryptedElectionId)).to.equal(1);
+    });
+  });
+
+  describe("Rejections", function () {
+    it("Should refuse requests the contract would reject without sending them", async function () {
+      const voters = await registerThroughRelayer(electionId);
+      const nonce = await ethers.provider.getTransactionCount(relayerAccount.address);
+
+      // Registering again with the same ring key is a double registration
+      const { ring } = await voterClient.fetchRingSnapshot(registrationContract, electionId);
+      const registration = voterClient.signRegistration({
+        domain: await voterClient.registrationDomain(voterRegistrationContract, registrationContract, electionId),
+        ring,
+        lsagPrivateKey: voterKeys[0].privateKey,
+        votingPublicKey: voters[1].votingKey.votingPublicKey
+      });
+      await expect(voterClient.relayRegistration(relayWith(voters[1].votingKey), voterRegistrationContract, electionId, {
+        lsagSignature: registration.lsagSignature,
+        votingPublicKey: voters[1].votingKey.votingPublicKey
+      })).to.be.rejectedWith("Double registration attempt detected");
+
+      // Voting before the phase opens
+      const commitment = voterClient.buildVoteCommitment({
+        candidate: candidates[0],
+        domain: await voterClient.votingDomain(votingAndTallyingContract, electionId),
+        voterIndex: voters[0].voterIndex,
+        votingWallet: voters[0].votingKey.wallet
+      });
+      await expect(voterClient.relayVote(relayWith(voters[0].votingKey), votingAndTallyingContract, commitment, voters[0].voterIndex))
+        .to.be.rejectedWith("Voting phase is not active");
+
+      expect(await ethers.provider.getTransactionCount(relayerAccount.address)).to.equal(nonce);
+    });
+
+    it("Should only accept relayed requests signed by the voter's voting key", async function () {
+      const voters = await registerThroughRelayer(electionId);
+
+      // A registration must be signed by the voting key it registers
+      const { ring } = await voterClient.fetchRingSnapshot(registrationContract, electionId);
+      const votingKey = ethers.Wallet.createRandom();
+      const registration = voterClient.signRegistration({
+        domain: await voterClient.registrationDomain(voterRegistrationContract, registrationContract, electionId),
+        ring,
+        lsagPrivateKey: voterKeys[0].privateKey,
+        votingPublicKey: votingKey.address
+      });
+      await expect(voterClient.relayRegistration(relayWith(voters[0].votingKey), voterRegistrationContract, electionId, {
+        lsagSignature: registration.lsagSignature,
+        votingPublicKey: votingKey.address
+      })).to.be.rejectedWith("Request not signed by the voter");
+
+      await time.increaseTo(deadlines.registration);
+      await votingAndTallyingContract.startVotingPhase(electionId);
+      const commitment = voterClient.buildVoteCommitment({
+        candidate: candidates[1],
+        domain: await voterClient.votingDomain(votingAndTallyingContract, electionId),
+        voterIndex: voters[0].voterIndex,
+        votingWallet: voters[0].votingKey.wallet
+      });
+
+      // Another voting key signs voter 0's vote: the forwarder accepts the signature, the contract the payload,
+      // but the contract rejects a relayed request not signed by the key registered at the voter index
+      const request = await voterClient.signForwardRequest({
+        forwarder,
+        target: votingAndTallyingContract,
+        method: "voting",
+        args: voterClient.buildVotingPayload(commitment, voters[0].voterIndex),
+        votingWallet: voters[1].votingKey.wallet
+      });
+      expect(await forwarder.verify(request)).to.be.true;
+      await expect(voterClient.relayRequest(relayer.url, "vote", request)).to.be.rejectedWith("Request not signed by the voter");
+      await expect(forwarder.execute(request)).to.be.revertedWithCustomError(forwarder, "FailedCall");
+
+      // The voter's own request goes through, with the forwarder as msg.sender
+      await expect(voterClient.relayVote(relayWith(voters[0].votingKey), votingAndTallyingContract, commitment, voters[0].voterIndex))
+        .to.not.be.rejected;
+      expect((await votingAndTallyingContract.votes(electionId, voters[0].voterIndex)).voteHash).to.equal(commitment.voteHash);
+    });
+
+    it("Should reject forward requests the forwarder would not execute", async function () {
+      const [voter] = await registerThroughRelayer(electionId);
+      await time.increaseTo(deadlines.registration);
+      await votingAndTallyingContract.startVotingPhase(electionId);
+      const commitment = voterClient.buildVoteCommitment({
+        candidate: candidates[0],
+        domain: await voterClient.votingDomain(votingAndTallyingContract, electionId),
+        voterIndex: voter.voterIndex,
+        votingWallet: voter.votingKey.wallet
+      });
+      const request = await voterClient.signForwardRequest({
+        forwarder,
+        target: votingAndTallyingContract,
+        method: "voting",
+        args: voterClient.buildVotingPayload(commitment, voter.voterIndex),
+        votingWallet: voter.votingKey.wallet
+      });
+
+      // Tampered data no longer matches the signature
+      const otherHash = ethers.keccak256(ethers.toUtf8Bytes("OTHER_VOTE"));
+      const tampered = {
+        ...request,
+        data: votingAndTallyingContract.interface.encodeFunctionData(
+          "voting", [electionId, commitment.signatureOnHash, otherHash, voter.voterIndex]
+        )
+      };
+      await expect(voterClient.relayRequest(relayer.url, "vote", tampered)).to.be.rejectedWith("Invalid forward request");
+
+      // A request for another step, or a deployment that does not trust the forwarder, is refused
+      await expect(voterClient.relayRequest(relayer.url, "reveal", request)).to.be.rejectedWith("Request is not a reveal call");
+      await registrationContract.setTrustedForwarder(ethers.ZeroAddress);
+      await expect(voterClient.relayRequest(relayer.url, "vote", request)).to.be.rejectedWith("Invalid forward request");
+      await registrationContract.setTrustedForwarder(forwarder.target);
+
+      // A request is only executed once
+      await voterClient.relayRequest(relayer.url, "vote", request);
+      await expect(voterClient.relayRequest(relayer.url, "vote", request)).to.be.rejectedWith("Invalid forward request");
+    });
+
+    it("Should reject malformed requests", async function () {
+      await expect(voterClient.relayRequest(relayer.url, "register", { from: relayerAccount.address }))
+        .to.be.rejectedWith("Missing field to");
+      await expect(voterClient.relayRequest(relayer.url, "withdraw", { electionId }))
+        .to.be.rejectedWith("Unknown step withdraw");
+
+      const response = await fetch(new URL("vote", relayer.url), { method: "POST", body: "{" });
+      expect(response.status).to.equal(400);
+      expect(await response.json()).to.deep.equal({ error: "Invalid JSON" });
+      expect((await fetch(new URL("vote", relayer.url))).status).to.equal(405);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const voterClient = require("../lib/voterClient");
+const issuer = require("../lib/issuer");
+const revealEncryption = require("../lib/revealEncryption");
+const tallyRelayer = require("../lib/tallyRelayer");
+const { deployElection } = require("./helpers/deployElection");
+
+describe("Tally Relayer", function () {
+  let registrationContract;
+  let voterRegistrationContract;
+  let votingAndTallyingContract;
+  let deployer, electionAuthority, relayer, government;
+  let electionId, candidates, deadlines;
+  let revealKey, voters;
+
+  beforeEach(async function () {
+    [deployer, electionAuthority, relayer, government] = await ethers.getSigners();
+
+    ({ registrationContract, voterRegistrationContract, votingAndTallyingContract } = await deployElection(electionAuthority));
+
+    electionId = ethers.keccak256(ethers.toUtf8Bytes("RELAYED_ELECTION"));
+    candidates = [
+      ethers.keccak256(ethers.toUtf8Bytes("ALICE")),
+      ethers.keccak256(ethers.toUtf8Bytes("BOB"))
+    ];
+    const now = BigInt(await time.latest());
+    deadlines = { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+    await registrationContract.connect(electionAuthority).storePollParams(
+      electionId,
+      candidates,
+      ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE")),
+      deadlines
+    );
+
+    // The authority publishes the relayer's reveal key before voting
+    revealKey = revealEncryption.generateRevealKey();
+    await votingAndTallyingContract.connect(electionAuthority).setRevealKey(electionId, revealKey.publicKey);
+
+    // Certify and register three voters
+    await registrationContract.connect(electionAuthority).addIssuerKey(
+      ethers.encodeBytes32String("CENTRAL"),
+      government.address,
+      0,
+      2n ** 64n - 1n
+    );
+    const domain = await issuer.certificateDomain(registrationContract, electionId);
+    const voterKeys = [];
+    for (let i = 0; i < 3; i++) {
+      const key = voterClient.generateKeyPair();
+      await registrationContract.storePub(electionId, await issuer.issueCertificate(government, domain, key.publicKeyBytes));
+      voterKeys.push(key);
+    }
+    await time.increaseTo(deadlines.certificate);
+    await registrationContract.freezeRing(electionId);
+
+    const { ring } = await voterClient.fetchRingSnapshot(registrationContract, electionId);
+    const registrationDomain = await voterClient.registrationDomain(voterRegistrationContract, registrationContract, electionId);
+    voters = [];
+    for (const key of voterKeys) {
+      const votingKey = voterClient.deriveVotingKey(key.privateKey, electionId);
+      const registration = voterClient.signRegistration({
+        domain: registrationDomain,
+        ring,
+        lsagPrivateKey: key.privateKey,
+        votingPublicKey: votingKey.votingPublicKey
+      });
+      const voterIndex = await voterClient.registerVoter(voterRegistrationContract, electionId, {
+        lsagSignature: registration.lsagSignature,
+        votingPublicKey: votingKey.votingPublicKey
+      });
+      voters.push({ voterIndex, votingKey });
+    }
+
+    await time.increaseTo(deadlines.registration);
+    await votingAndTallyingContract.startVotingPhase(electionId);
+  });
+
+  // Cast the first voters' votes, one per choice, depositing the reveal when `deposit` says so
+  async function castVotes(choices, deposit) {
+    const domain = await voterClient.votingDomain(votingAndTallyingContract, electionId);
+    for (let i = 0; i < choices.length; i++) {
+      voters[i].commitment = voterClient.buildVoteCommitment({
+        candidate: choices[i],
+        domain,
+        voterIndex: voters[i].voterIndex,
+        votingWallet: voters[i].votingKey.wallet,
+        revealKey: deposit[i] ? await votingAndTallyingContract.revealKey(electionId) : undefined
+      });
+      if (deposit[i]) {
+        await votingAndTallyingContract.votingWithReveal(
+          ...voterClient.buildVotingWithRevealPayload(voters[i].commitment, voters[i].voterIndex)
+        );
+      } else {
+        await votingAndTallyingContract.voting(
+          ...voterClient.buildVotingPayload(voters[i].commitment, voters[i].voterIndex)
+        );
+      }
+    }
+  }
+
+  describe("Reveal Encryption", function () {
+    it("Should decrypt only with the reveal key and for the same election", function () {
+      const actualVoteSignature = ethers.hexlify(ethers.randomBytes(97));
+      const encryptedReveal = revealEncryption.encryptReveal(actualVoteSignature, revealKey.publicKey, electionId);
+
+      expect(revealEncryption.decryptReveal(encryptedReveal, revealKey.privateKey, electionId)).to.equal(actualVoteSignature);
+      expect(() => revealEncryption.decryptReveal(encryptedReveal, revealEncryption.generateRevealKey().privateKey, electionId))
+        .to.throw();
+      expect(() => revealEncryption.decryptReveal(encryptedReveal, revealKey.privateKey, ethers.ZeroHash)).to.throw();
+      expect(() => revealEncryption.decryptReveal("0x1234", revealKey.privateKey, electionId))
+        .to.throw("Invalid encrypted reveal");
+    });
+
+    it("Should not be linkable between two encryptions of the same reveal", function () {
+      const actualVoteSignature = ethers.hexlify(ethers.randomBytes(97));
+      expect(revealEncryption.encryptReveal(actualVoteSignature, revealKey.publicKey, electionId))
+        .to.not.equal(revealEncryption.encryptReveal(actualVoteSignature, revealKey.publicKey, electionId));
+    });
+  });
+
+  describe("Relaying", function () {
+    it("Should count voters who deposited their reveal without them coming back", async function () {
+      await castVotes([candidates[0], candidates[1], candidates[0]], [true, true, false]);
+
+      const relay = tallyRelayer.startTallyRelayer({
+        votingAndTallyingContract: votingAndTallyingContract.connect(relayer),
+        electionId,
+        revealPrivateKey: revealKey.privateKey,
+        pollInterval: 10
+      });
+      await time.increaseTo(deadlines.voting);
+      await votingAndTallyingContract.startTallyingPhase(electionId);
+      expect(await relay.done).to.equal(2);
+
+      expect(await votingAndTallyingContract.isVoteTallied(electionId, voters[0].voterIndex)).to.be.true;
+      expect(await votingAndTallyingContract.isVoteTallied(electionId, voters[1].voterIndex)).to.be.true;
+      expect(await votingAndTallyingContract.isVoteTallied(electionId, voters[2].voterIndex)).to.be.false;
+
+      // The voter who kept their reveal still reveals in person
+      await votingAndTallyingContract.tally(...voterClient.buildTallyPayload(voters[2].commitment, voters[2].voterIndex));
+      await time.increaseTo(deadlines.reveal);
+      await votingAndTallyingContract.finalizeResults(electionId);
+
+      const [, voteCounts] = await votingAndTallyingContract.getTallyResults(electionId);
+      expect(voteCounts[0]).to.equal(2);
+      expect(voteCounts[1]).to.equal(1);
+    });
+
+    it("Should skip undecryptable, mismatched and already tallied reveals", async function () {
+      await castVotes([candidates[0]], [true]);
+
+      // Voter 1 deposits someone else's reveal, voter 2 one the relayer cannot read
+      const deposits = [
+        revealEncryption.encryptReveal(voters[0].commitment.reveal, revealKey.publicKey, electionId),
+        ethers.hexlify(ethers.randomBytes(120))
+      ];
+      const domain = await voterClient.votingDomain(votingAndTallyingContract, electionId);
+      for (let i = 1; i < voters.length; i++) {
+        const { signatureOnHash, voteHash } = voterClient.buildVoteCommitment({
+          candidate: candidates[1],
+          domain,
+          voterIndex: voters[i].voterIndex,
+          votingWallet: voters[i].votingKey.wallet
+        });
+        await votingAndTallyingContract.votingWithReveal(electionId, signatureOnHash, voteHash, voters[i].voterIndex, deposits[i - 1]);
+      }
+
+      await time.increaseTo(deadlines.voting);
+      await votingAndTallyingContract.startTallyingPhase(electionId);
+      const reveals = await tallyRelayer.collectReveals(votingAndTallyingContract, electionId, revealKey.privateKey);
+      expect(reveals.map((reveal) => reveal.voterIndex)).to.deep.equal([voters[0].voterIndex]);
+
+      await tallyRelayer.submitReveals(votingAndTallyingContract.connect(relayer), electionId, reveals);
+      expect(await tallyRelayer.collectReveals(votingAndTallyingContract, electionId, revealKey.privateKey)).to.deep.equal([]);
+    });
+
+    it("Should only submit the reveal of a voter's latest vote", async function () {
+      await castVotes([candidates[0]], [true]);
+      const replacement = voterClient.buildVoteCommitment({
+        candidate: candidates[1],
+        domain: await voterClient.votingDomain(votingAndTallyingContract, electionId),
+        voterIndex: voters[0].voterIndex,
+        votingWallet: voters[0].votingKey.wallet,
+        revealKey: revealKey.publicKey,
+        previousVoteHash: voters[0].commitment.voteHash
+      });
+      await votingAndTallyingContract.votingWithReveal(
+        ...voterClient.buildVotingWithRevealPayload(replacement, voters[0].voterIndex)
+      );
+
+      await time.increaseTo(deadlines.voting);
+      await votingAndTallyingContract.startTallyingPhase(electionId);
+      const reveals = await tallyRelayer.collectReveals(votingAndTallyingContract, electionId, revealKey.privateKey);
+      expect(reveals).to.deep.equal([{ voterIndex: voters[0].voterIndex, actualVoteSignature: replacement.reveal }]);
+
+      await tallyRelayer.submitReveals(votingAndTallyingContract.connect(relayer), electionId, reveals);
+      const [, voteCounts] = await votingAndTallyingContract.getTallyResults(electionId);
+      expect(voteCounts).to.deep.equal([0n, 1n]);
+    });
+
+    it("Should split reveals into batches", async function () {
+      await castVotes([candidates[0], candidates[1], candidates[1]], [true, true, true]);
+      await time.increaseTo(deadlines.voting);
+      await votingAndTallyingContract.startTallyingPhase(electionId);
+
+      const reveals = await tallyRelayer.collectReveals(votingAndTallyingContract, electionId, revealKey.privateKey);
+      const receipts = await tallyRelayer.submitReveals(votingAndTallyingContract.connect(relayer), electionId, reveals, 2);
+      expect(receipts.length).to.equal(2);
+      expect(await votingAndTallyingContract.totalVotesTallied(electionId)).to.equal(3);
+    });
+
+    it("Should stop waiting when stopped before tallying starts", async function () {
+      const relay = tallyRelayer.startTallyRelayer({
+        votingAndTallyingContract,
+        electionId,
+        revealPrivateKey: revealKey.privateKey,
+        pollInterval: 60000
+      });
+      relay.stop();
+      expect(await relay.done).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const bn128 = require("../lib/altbn128");
+const elgamal = require("../lib/elgamal");
+const trustee = require("../lib/trustee");
+
+describe("Trustee Library", function () {
+  const proofContext = ethers.keccak256(ethers.toUtf8Bytes("DECRYPTION_CONTEXT"));
+
+  // Every trustee deals; returns the published keys and each trustee's secret share
+  function runKeyGeneration(threshold, trusteeCount) {
+    const dealings = Array.from({ length: trusteeCount }, () => trustee.createDealing(threshold, trusteeCount));
+    const commitmentSets = dealings.map((dealing) => dealing.commitments);
+    const secretShares = Array.from({ length: trusteeCount }, (_, j) => trustee.combineDealings(
+      j + 1,
+      dealings.map((dealing) => ({ commitments: dealing.commitments, share: dealing.shares[j] }))
+    ));
+    return { dealings, secretShares, ...trustee.deriveTallyKeys(commitmentSets, trusteeCount) };
+  }
+
+  // Add up ciphertexts of the given per-candidate votes, as the contract does
+  function encryptedTally(publicKey, ballots) {
+    const a = ballots[0].map(() => null);
+    const b = ballots[0].map(() => null);
+    for (const ballot of ballots) {
+      ballot.forEach((value, i) => {
+        const ciphertext = elgamal.encrypt(value, publicKey);
+        a[i] = bn128.add(a[i], ciphertext.a);
+        b[i] = bn128.add(b[i], ciphertext.b);
+      });
+    }
+    return { a, b };
+  }
+
+  describe("Key Generation", function () {
+    it("Should give every trustee a share matching its verification key", function () {
+      const { secretShares, verificationKeys } = runKeyGeneration(2, 3);
+
+      secretShares.forEach((share, j) => {
+        expect(bn128.mul(bn128.G, share)).to.deep.equal(verificationKeys[j]);
+      });
+    });
+
+    it("Should let any threshold of shares reconstruct the joint key", function () {
+      const { secretShares, publicKey } = runKeyGeneration(3, 5);
+
+      for (const indices of [[1, 2, 3], [2, 4, 5], [5, 1, 3]]) {
+        const coefficients = trustee.lagrangeCoefficients(indices);
+        const secret = indices.reduce(
+          (sum, index, j) => bn128.mod(sum + coefficients[j] * secretShares[index - 1], bn128.N),
+          0n
+        );
+        expect(bn128.mul(bn128.G, secret)).to.deep.equal(publicKey);
+      }
+    });
+
+    it("Should detect a dealer sending a bad share", function () {
+      const { dealings } = runKeyGeneration(2, 3);
+      const { commitments, shares } = dealings[0];
+
+      expect(trustee.verifyDealingShare(commitments, 2, shares[1])).to.be.true;
+      expect(trustee.verifyDealingShare(commitments, 2, shares[1] + 1n)).to.be.false;
+      expect(trustee.verifyDealingShare(commitments, 3, shares[1])).to.be.false;
+      expect(() => trustee.combineDealings(2, [{ commitments, share: shares[2] }])).to.throw("Invalid dealing share");
+    });
+
+    it("Should reject impossible thresholds", function () {
+      expect(() => trustee.createDealing(0, 3)).to.throw("Invalid threshold");
+      expect(() => trustee.createDealing(4, 3)).to.throw("Invalid threshold");
+    });
+  });
+
+  describe("Decryption", function () {
+    it("Should recover the vote counts from any threshold of decryption shares", function () {
+      const { secretShares, publicKey } = runKeyGeneration(2, 3);
+      const { a, b } = encryptedTally(publicKey, [[1, 0, 0], [0, 0, 1], [1, 0, 0]]);
+
+      for (const indices of [[1, 2], [3, 1], [1, 2, 3]]) {
+        const decryptionShares = indices.map((index) => ({
+          index,
+          shares: trustee.createDecryptionShare(secretShares[index - 1], a, proofContext).shares
+        }));
+        expect(trustee.combineDecryptionShares(b, decryptionShares, 3)).to.deep.equal([2n, 0n, 1n]);
+      }
+    });
+
+    it("Should fail to decrypt below the threshold or beyond the vote bound", function () {
+      const { secretShares, publicKey } = runKeyGeneration(2, 3);
+      const { a, b } = encryptedTally(publicKey, [[1, 0], [1, 0]]);
+      const share = (index) => ({
+        index,
+        shares: trustee.createDecryptionShare(secretShares[index - 1], a, proofContext).shares
+      });
+
+      expect(() => trustee.combineDecryptionShares(b, [share(1)], 2)).to.throw("Vote count out of range");
+      expect(() => trustee.combineDecryptionShares(b, [share(1), share(2)], 1)).to.throw("Vote count out of range");
+    });
+
+    it("Should prove each decryption share against the trustee's verification key", function () {
+      const { secretShares, publicKey, verificationKeys } = runKeyGeneration(2, 3);
+      const { a } = encryptedTally(publicKey, [[0, 1]]);
+      const decryptionShare = trustee.createDecryptionShare(secretShares[0], a, proofContext);
+
+      expect(trustee.verifyDecryptionShare(verificationKeys[0], a, decryptionShare, proofContext)).to.be.true;
+      expect(trustee.verifyDecryptionShare(verificationKeys[1], a, decryptionShare, proofContext)).to.be.false;
+      expect(trustee.verifyDecryptionShare(verificationKeys[0], a, decryptionShare, ethers.ZeroHash)).to.be.false;
+    });
+  });
+
+  describe("Ballot Proofs", function () {
+    it("Should prove a ciphertext holds a bit", function () {
+      const publicKey = bn128.mul(bn128.G, bn128.randomScalar());
+      for (const value of [0, 1]) {
+        const ciphertext = elgamal.encrypt(value, publicKey);
+        const proof = elgamal.proveBit(proofContext, publicKey, ciphertext, value);
+        expect(elgamal.verifyBit(proofContext, publicKey, ciphertext.a, ciphertext.b, proof)).to.be.true;
+      }
+
+      // Claiming the wrong bit, or a ciphertext of 2, does not verify
+      const zero = elgamal.encrypt(0, publicKey);
+      const wrongBit = elgamal.proveBit(proofContext, publicKey, zero, 1);
+      expect(elgamal.verifyBit(proofContext, publicKey, zero.a, zero.b, wrongBit)).to.be.false;
+      const two = elgamal.encrypt(2, publicKey);
+      const notABit = elgamal.proveBit(proofContext, publicKey, two, 1);
+      expect(elgamal.verifyBit(proofContext, publicKey, two.a, two.b, notABit)).to.be.false;
+    });
+
+    it("Should encrypt a ballot with exactly one vote", function () {
+      const publicKey = bn128.mul(bn128.G, bn128.randomScalar());
+      const ballot = elgamal.encryptBallot(2, 4, publicKey, proofContext);
+
+      const sumA = ballot.a.reduce((sum, point) => bn128.add(sum, point), null);
+      const sumB = ballot.b.reduce((sum, point) => bn128.add(sum, point), null);
+      const sumBMinusG = bn128.add(sumB, bn128.neg(bn128.G));
+      expect(elgamal.verifyEquality(proofContext, publicKey, sumA, sumBMinusG, ballot.sumProof)).to.be.true;
+      expect(elgamal.verifyEquality(proofContext, publicKey, sumA, sumB, ballot.sumProof)).to.be.false;
+
+      expect(() => elgamal.encryptBallot(4, 4, publicKey, proofContext)).to.throw("Invalid candidate");
+    });
+  });
+});
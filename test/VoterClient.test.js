@@ -0,0 +1,409 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const voterClient = require("../lib/voterClient");
+const lsag = require("../lib/lsag");
+const issuer = require("../lib/issuer");
+const ringMerkle = require("../lib/ringMerkle");
+const elgamal = require("../lib/elgamal");
+const bn128 = require("../lib/altbn128");
+const { deployElection } = require("./helpers/deployElection");
+
+describe("Voter Client Library", function () {
+  let registrationContract;
+  let voterRegistrationContract;
+  let votingAndTallyingContract;
+  let owner, electionAuthority, relayer, government;
+  let electionId, candidates, deadlines;
+  let voterKeys, domain;
+
+  beforeEach(async function () {
+    [owner, electionAuthority, relayer, government] = await ethers.getSigners();
+
+    ({ registrationContract, voterRegistrationContract, votingAndTallyingContract } = await deployElection(electionAuthority));
+
+    electionId = ethers.keccak256(ethers.toUtf8Bytes("ELECTION_2025"));
+    candidates = [
+      ethers.keccak256(ethers.toUtf8Bytes("ALICE")),
+      ethers.keccak256(ethers.toUtf8Bytes("BOB"))
+    ];
+    const now = BigInt(await time.latest());
+    deadlines = { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+    await registrationContract.connect(electionAuthority).storePollParams(
+      electionId,
+      candidates,
+      ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE_2025")),
+      deadlines
+    );
+
+    // Certify three voters
+    await registrationContract.connect(electionAuthority).addIssuerKey(
+      ethers.encodeBytes32String("CENTRAL"),
+      government.address,
+      0,
+      2n ** 64n - 1n
+    );
+    domain = await issuer.certificateDomain(registrationContract, electionId);
+    voterKeys = [];
+    for (let i = 0; i < 3; i++) {
+      const key = voterClient.generateKeyPair();
+      await registrationContract.storePub(
+        electionId,
+        await issuer.issueCertificate(government, domain, key.publicKeyBytes)
+      );
+      voterKeys.push(key);
+    }
+  });
+
+  // Let the certificate deadline pass and freeze the ring
+  async function freezeRing() {
+    await time.increaseTo(deadlines.certificate);
+    await registrationContract.freezeRing(electionId);
+  }
+
+  describe("Ring Retrieval", function () {
+    it("Should fetch the certified ring in certification order", async function () {
+      const ring = await voterClient.fetchCertifiedRing(registrationContract, electionId);
+      expect(ring).to.deep.equal(voterKeys.map((key) => key.publicKeyBytes));
+    });
+
+    it("Should page through certified keys", async function () {
+      const keys = await voterClient.fetchCertifiedKeys(registrationContract, electionId, 2);
+      expect(keys).to.deep.equal(voterKeys.map((key) => key.publicKeyBytes));
+    });
+
+    it("Should skip certified keys that are not curve points", async function () {
+      await registrationContract.storePub(
+        electionId,
+        await issuer.issueCertificate(government, domain, "0x9876543210fedcba")
+      );
+
+      const ring = await voterClient.fetchCertifiedRing(registrationContract, electionId);
+      expect(ring.length).to.equal(3);
+    });
+
+    it("Should fetch and check the frozen ring snapshot", async function () {
+      await expect(voterClient.fetchRingSnapshot(registrationContract, electionId)).to.be.rejectedWith("Ring not frozen");
+
+      await freezeRing();
+      const snapshot = await voterClient.fetchRingSnapshot(registrationContract, electionId);
+
+      expect(snapshot.ring).to.deep.equal(voterKeys.map((key) => key.publicKeyBytes));
+      expect(snapshot.size).to.equal(3n);
+      expect(snapshot.root).to.equal(ringMerkle.root(snapshot.ring));
+    });
+
+    it("Should fetch the sub-rings of the frozen ring", async function () {
+      await registrationContract.connect(electionAuthority).setSubRingSize(electionId, 1);
+      await freezeRing();
+
+      const subRings = await voterClient.fetchSubRings(registrationContract, electionId);
+      expect(subRings.map(({ subRingId }) => subRingId)).to.deep.equal([0, 1, 2]);
+      expect(voterClient.findSubRing(subRings, voterKeys[1].publicKeyBytes).ring)
+        .to.deep.equal([voterKeys[1].publicKeyBytes]);
+      expect(() => voterClient.findSubRing(subRings, voterClient.generateKeyPair().publicKeyBytes))
+        .to.throw("Voter public key is not in any sub-ring");
+    });
+
+    it("Should reject a ring that does not match the snapshot", async function () {
+      await freezeRing();
+
+      // A node that hides a certified key from the client
+      const contract = {
+        getRingSnapshot: (id) => registrationContract.getRingSnapshot(id),
+        getCertifiedKeyCount: async () => 2n,
+        getCertifiedKeys: async (id, offset, limit) =>
+          (await registrationContract.getCertifiedKeys(id, offset, limit)).slice(1),
+        isCertified: (id, publicKey) => registrationContract.isCertified(id, publicKey)
+      };
+      await expect(voterClient.fetchRingSnapshot(contract, electionId)).to.be.rejectedWith("Ring snapshot mismatch");
+    });
+  });
+
+  describe("Voting Key Derivation", function () {
+    it("Should derive the same voting key for the same election", async function () {
+      const first = voterClient.deriveVotingKey(voterKeys[0].privateKey, electionId);
+      const second = voterClient.deriveVotingKey(voterKeys[0].privateKey, electionId);
+      expect(first.votingPublicKey).to.equal(second.votingPublicKey);
+    });
+
+    it("Should derive different voting keys per election and per voter", async function () {
+      const otherElectionId = ethers.keccak256(ethers.toUtf8Bytes("ELECTION_2026"));
+      const base = voterClient.deriveVotingKey(voterKeys[0].privateKey, electionId);
+
+      expect(voterClient.deriveVotingKey(voterKeys[0].privateKey, otherElectionId).votingPublicKey)
+        .to.not.equal(base.votingPublicKey);
+      expect(voterClient.deriveVotingKey(voterKeys[1].privateKey, electionId).votingPublicKey)
+        .to.not.equal(base.votingPublicKey);
+    });
+  });
+
+  describe("Registration", function () {
+    beforeEach(async function () {
+      await freezeRing();
+    });
+
+    it("Should produce a signature the contract accepts", async function () {
+      const ring = await voterClient.fetchCertifiedRing(registrationContract, electionId);
+      const { votingPublicKey } = voterClient.deriveVotingKey(voterKeys[1].privateKey, electionId);
+
+      const { lsagSignature, keyImage } = voterClient.signRegistration({
+        domain: await voterClient.registrationDomain(voterRegistrationContract, registrationContract, electionId),
+        ring,
+        lsagPrivateKey: voterKeys[1].privateKey,
+        votingPublicKey
+      });
+      const voterIndex = await voterClient.registerVoter(
+        voterRegistrationContract.connect(relayer),
+        electionId,
+        { lsagSignature, votingPublicKey }
+      );
+
+      expect(voterIndex).to.equal(0);
+      expect(await voterRegistrationContract.isKeyImageUsed(electionId, keyImage)).to.equal(true);
+      expect((await voterRegistrationContract.getVoterRecord(electionId, 0)).votingPublicKey)
+        .to.equal(votingPublicKey.toLowerCase());
+    });
+
+    it("Should register against the voter's sub-ring", async function () {
+      const subRings = await voterClient.fetchSubRings(registrationContract, electionId);
+      const { subRingId, ring } = voterClient.findSubRing(subRings, voterKeys[2].publicKeyBytes);
+      const { votingPublicKey } = voterClient.deriveVotingKey(voterKeys[2].privateKey, electionId);
+
+      const { lsagSignature } = voterClient.signRegistration({
+        domain: await voterClient.registrationDomain(voterRegistrationContract, registrationContract, electionId),
+        ring,
+        lsagPrivateKey: voterKeys[2].privateKey,
+        votingPublicKey,
+        subRingId
+      });
+      const voterIndex = await voterClient.registerVoter(
+        voterRegistrationContract.connect(relayer),
+        electionId,
+        { lsagSignature, votingPublicKey }
+      );
+      expect(voterIndex).to.equal(0);
+    });
+
+    it("Should produce the same key image on every signature", async function () {
+      const ring = await voterClient.fetchCertifiedRing(registrationContract, electionId);
+      const params = {
+        domain: await voterClient.registrationDomain(voterRegistrationContract, registrationContract, electionId),
+        ring,
+        lsagPrivateKey: voterKeys[0].privateKey,
+        votingPublicKey: "0x1111111111111111111111111111111111111111"
+      };
+
+      const first = voterClient.signRegistration(params);
+      const second = voterClient.signRegistration(params);
+
+      expect(first.lsagSignature).to.not.equal(second.lsagSignature);
+      expect(first.keyImage).to.equal(second.keyImage);
+      expect(first.keyImage).to.equal(
+        lsag.encodeKeyImage(lsag.computeKeyImage(voterKeys[0].privateKey))
+      );
+    });
+
+    it("Should refuse to sign for a key outside the ring", async function () {
+      const ring = await voterClient.fetchCertifiedRing(registrationContract, electionId);
+      const outsider = voterClient.generateKeyPair();
+      const domain = await voterClient.registrationDomain(voterRegistrationContract, registrationContract, electionId);
+
+      expect(() => voterClient.signRegistration({
+        domain,
+        ring,
+        lsagPrivateKey: outsider.privateKey,
+        votingPublicKey: "0x1111111111111111111111111111111111111111"
+      })).to.throw("Voter public key is not in the ring");
+    });
+  });
+
+  describe("Vote Commitment", function () {
+    it("Should build a salted voteHash = keccak256(abi.encode(candidate, salt, L, kv))", async function () {
+      const { wallet } = voterClient.deriveVotingKey(voterKeys[0].privateKey, electionId);
+      const commitment = voterClient.buildVoteCommitment({
+        candidate: candidates[1],
+        domain: await voterClient.votingDomain(votingAndTallyingContract, electionId),
+        voterIndex: 3,
+        votingWallet: wallet
+      });
+
+      expect(ethers.dataSlice(commitment.actualVoteSignature, 0, 32)).to.equal(candidates[1]);
+      expect(ethers.dataLength(commitment.actualVoteSignature)).to.equal(97);
+      expect(commitment.reveal).to.equal(ethers.concat([commitment.actualVoteSignature, commitment.salt]));
+      expect(commitment.voteHash).to.equal(
+        ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+          ["bytes32", "bytes32", "bytes32", "uint256"],
+          [candidates[1], commitment.salt, electionId, 3]
+        ))
+      );
+    });
+
+    it("Should hide the candidate behind a fresh salt", async function () {
+      const { wallet } = voterClient.deriveVotingKey(voterKeys[0].privateKey, electionId);
+      const domain = await voterClient.votingDomain(votingAndTallyingContract, electionId);
+      const build = (params) => voterClient.buildVoteCommitment({
+        candidate: candidates[0], domain, voterIndex: 0, votingWallet: wallet, ...params
+      });
+
+      const first = build();
+      const second = build();
+      expect(first.salt).to.not.equal(second.salt);
+      expect(first.voteHash).to.not.equal(second.voteHash);
+
+      // A given salt reproduces the hash, which still depends on the candidate
+      const salt = ethers.hexlify(ethers.randomBytes(32));
+      expect(build({ salt }).voteHash).to.equal(voterClient.saltedVoteHash(candidates[0], salt, electionId, 0));
+      expect(build({ salt }).voteHash).to.not.equal(build({ salt, candidate: candidates[1] }).voteHash);
+    });
+
+    it("Should prefix a ranked ballot with its preference list", async function () {
+      const { wallet, votingPublicKey } = voterClient.deriveVotingKey(voterKeys[0].privateKey, electionId);
+      const preferences = [candidates[1], candidates[0]];
+      const domain = await voterClient.votingDomain(votingAndTallyingContract, electionId);
+      const commitment = voterClient.buildVoteCommitment({ preferences, domain, voterIndex: 0, votingWallet: wallet });
+
+      const ballot = voterClient.encodeRankedBallot(preferences);
+      expect(ballot).to.equal(ethers.concat(["0x02", candidates[1], candidates[0]]));
+      expect(ethers.dataSlice(commitment.actualVoteSignature, 0, 65)).to.equal(ballot);
+
+      const digest = ethers.solidityPackedKeccak256(["bytes32", "bytes"], [ethers.keccak256(ballot), votingPublicKey]);
+      expect(ethers.recoverAddress(digest, ethers.dataSlice(commitment.actualVoteSignature, 65))).to.equal(votingPublicKey);
+    });
+
+    it("Should encode an approval ballot as a bitmap over the candidate list", async function () {
+      const { wallet, votingPublicKey } = voterClient.deriveVotingKey(voterKeys[0].privateKey, electionId);
+      const approvalBallot = voterClient.encodeApprovalBallot([candidates[1], candidates[0]], candidates);
+      expect(approvalBallot).to.equal(ethers.toBeHex(0b11, 32));
+
+      const domain = await voterClient.votingDomain(votingAndTallyingContract, electionId);
+      const commitment = voterClient.buildVoteCommitment({ approvalBallot, domain, voterIndex: 0, votingWallet: wallet });
+      expect(ethers.dataSlice(commitment.actualVoteSignature, 0, 32)).to.equal(approvalBallot);
+      const digest = ethers.solidityPackedKeccak256(["bytes32", "bytes"], [approvalBallot, votingPublicKey]);
+      expect(ethers.recoverAddress(digest, ethers.dataSlice(commitment.actualVoteSignature, 32))).to.equal(votingPublicKey);
+
+      expect(() => voterClient.encodeApprovalBallot([], candidates)).to.throw("Empty approval ballot");
+      expect(() => voterClient.encodeApprovalBallot([ethers.ZeroHash], candidates)).to.throw("Invalid candidate");
+    });
+
+    it("Should refuse empty or duplicate preference lists", async function () {
+      expect(() => voterClient.encodeRankedBallot([])).to.throw("Invalid preference count");
+      expect(() => voterClient.encodeRankedBallot([candidates[0], candidates[0]])).to.throw("Duplicate preference");
+    });
+
+    it("Should sign the vote hash with the voting key, bound to the contract and voter index", async function () {
+      const { wallet, votingPublicKey } = voterClient.deriveVotingKey(voterKeys[0].privateKey, electionId);
+      const domain = await voterClient.votingDomain(votingAndTallyingContract, electionId);
+      const commitment = voterClient.buildVoteCommitment({
+        candidate: candidates[0],
+        domain,
+        voterIndex: 2,
+        votingWallet: wallet
+      });
+
+      // The digest matches the contract's, which binds the chain, contract, election and voter index
+      const digest = voterClient.voteHashDigest(domain, 2, commitment.voteHash);
+      expect(digest).to.equal(await votingAndTallyingContract.voteHashDigest(electionId, 2, commitment.voteHash));
+      expect(ethers.recoverAddress(digest, commitment.signatureOnHash)).to.equal(votingPublicKey);
+      expect(voterClient.VOTE_TYPEHASH).to.equal(await votingAndTallyingContract.VOTE_TYPEHASH());
+
+      expect(voterClient.voteHashDigest(domain, 1, commitment.voteHash)).to.not.equal(digest);
+      expect(voterClient.voteHashDigest(domain, 2, commitment.voteHash, candidates[0])).to.not.equal(digest);
+      expect(voterClient.voteHashDigest({ ...domain, votingContract: registrationContract.target }, 2, commitment.voteHash))
+        .to.not.equal(digest);
+    });
+
+    it("Should build an encrypted ballot bound to the voter's slot", async function () {
+      const { wallet, votingPublicKey } = voterClient.deriveVotingKey(voterKeys[0].privateKey, electionId);
+      const publicKey = bn128.mul(bn128.G, bn128.randomScalar());
+      const proofContext = ethers.keccak256(ethers.toUtf8Bytes("BALLOT_CONTEXT"));
+
+      // Only the trustee key, the proof context and the voting domain are read from the contract
+      const contract = {
+        runner: votingAndTallyingContract.runner,
+        getAddress: () => votingAndTallyingContract.getAddress(),
+        getTallyTrustees: async () => [publicKey, 1n, [], []],
+        ballotContext: async () => proofContext
+      };
+      const encryptedVote = await voterClient.buildEncryptedVote({
+        votingAndTallyingContract: contract,
+        electionId,
+        candidate: candidates[1],
+        candidates,
+        voterIndex: 0,
+        votingWallet: wallet
+      });
+
+      const { ballot } = encryptedVote;
+      expect(ballot.a.length).to.equal(candidates.length);
+      for (let i = 0; i < candidates.length; i++) {
+        expect(elgamal.verifyBit(proofContext, publicKey, ballot.a[i], ballot.b[i], ballot.bitProofs[i])).to.be.true;
+        expect(elgamal.verifyBit(ethers.ZeroHash, publicKey, ballot.a[i], ballot.b[i], ballot.bitProofs[i])).to.be.false;
+      }
+
+      const digest = await votingAndTallyingContract.voteHashDigest(electionId, 0, elgamal.ballotHash(ballot));
+      expect(encryptedVote.voteHash).to.equal(elgamal.ballotHash(ballot));
+      expect(ethers.recoverAddress(digest, encryptedVote.signatureOnHash)).to.equal(votingPublicKey);
+      expect(voterClient.buildEncryptedVotingPayload(encryptedVote, 0))
+        .to.deep.equal([electionId, ballot, encryptedVote.signatureOnHash, 0]);
+    });
+  });
+
+  describe("Full Protocol", function () {
+    it("Should run registration, voting and tallying through the library", async function () {
+      await freezeRing();
+      const { ring } = await voterClient.fetchRingSnapshot(registrationContract, electionId);
+      const choices = [candidates[0], candidates[1], candidates[0]];
+
+      // Step 2: anonymous registration, submitted by a relayer
+      const registrationDomain = await voterClient.registrationDomain(voterRegistrationContract, registrationContract, electionId);
+      const voters = [];
+      for (let i = 0; i < voterKeys.length; i++) {
+        const votingKey = voterClient.deriveVotingKey(voterKeys[i].privateKey, electionId);
+        const registration = voterClient.signRegistration({
+          domain: registrationDomain,
+          ring,
+          lsagPrivateKey: voterKeys[i].privateKey,
+          votingPublicKey: votingKey.votingPublicKey
+        });
+        const voterIndex = await voterClient.registerVoter(
+          voterRegistrationContract.connect(relayer),
+          electionId,
+          { lsagSignature: registration.lsagSignature, votingPublicKey: votingKey.votingPublicKey }
+        );
+        voters.push({ voterIndex, votingKey });
+      }
+
+      // Step 3: commit
+      await time.increaseTo(deadlines.registration);
+      await votingAndTallyingContract.startVotingPhase(electionId);
+      const domain = await voterClient.votingDomain(votingAndTallyingContract, electionId);
+      for (let i = 0; i < voters.length; i++) {
+        voters[i].commitment = voterClient.buildVoteCommitment({
+          candidate: choices[i],
+          domain,
+          voterIndex: voters[i].voterIndex,
+          votingWallet: voters[i].votingKey.wallet
+        });
+        await votingAndTallyingContract.voting(
+          ...voterClient.buildVotingPayload(voters[i].commitment, voters[i].voterIndex)
+        );
+      }
+
+      // Step 4: reveal
+      await time.increaseTo(deadlines.voting);
+      await votingAndTallyingContract.startTallyingPhase(electionId);
+      for (const voter of voters) {
+        await votingAndTallyingContract.tally(
+          ...voterClient.buildTallyPayload(voter.commitment, voter.voterIndex)
+        );
+      }
+      await time.increaseTo(deadlines.reveal);
+      await votingAndTallyingContract.finalizeResults(electionId);
+
+      const [, voteCounts] = await votingAndTallyingContract.getTallyResults(electionId);
+      expect(voteCounts[0]).to.equal(2);
+      expect(voteCounts[1]).to.equal(1);
+    });
+  });
+});
@@ -1,19 +1,68 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const lsag = require("../lib/lsag");
+const issuer = require("../lib/issuer");
+const voterClient = require("../lib/voterClient");
+const { deployRegistrationContract } = require("./helpers/deployElection");
 
 describe("VoterRegistrationContract - Simple Tests", function () {
   let registrationContract;
   let voterRegistrationContract;
-  let owner, electionAuthority, voter1, voter2, voter3;
-  let electionId, candidates, randomChallenge;
+  let owner, electionAuthority, voter1, voter2, voter3, government;
+  let electionId, candidates, randomChallenge, deadlines;
+  let voterKeys, ring;
+
+  // Phase deadlines one hour apart, starting an hour from now
+  async function phaseDeadlines() {
+    const now = BigInt(await time.latest());
+    return { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+  }
+
+  // Let the certificate deadline pass and freeze the ring
+  async function freezeRing(contract) {
+    await time.increaseTo((await contract.getDeadlines(electionId)).certificate);
+    await contract.connect(electionAuthority).freezeRing(electionId);
+  }
+
+  // Certify fresh LSAG keypairs in RegistrationContract so they can form a ring
+  async function certifyVoters(contract, count) {
+    await contract.connect(electionAuthority).addIssuerKey(
+      ethers.encodeBytes32String("CENTRAL"),
+      government.address,
+      0,
+      2n ** 64n - 1n
+    );
+    const domain = await issuer.certificateDomain(contract, electionId);
+
+    const keys = [];
+    for (let i = 0; i < count; i++) {
+      const key = lsag.generateKeyPair();
+      await contract.storePub(electionId, await issuer.issueCertificate(government, domain, key.publicKeyBytes));
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  // Registration domain of an election on a VoterRegistrationContract and its RegistrationContract
+  async function registrationDomain(id = electionId, contract = voterRegistrationContract) {
+    const regContract = await ethers.getContractAt("RegistrationContract", await contract.registrationContract());
+    return voterClient.registrationDomain(contract, regContract, id);
+  }
+
+  // Build an encoded LSAG registration signature for ring member `signerIndex`
+  async function signRegistration(signerIndex, votingPublicKey, id = electionId, contract = voterRegistrationContract) {
+    const message = lsag.registrationMessage(await registrationDomain(id, contract), votingPublicKey);
+    const signature = lsag.sign(message, ring, signerIndex, voterKeys[signerIndex].privateKey);
+    return lsag.encodeSignature(signature, ring);
+  }
 
   beforeEach(async function () {
     // Get signers
-    [owner, electionAuthority, voter1, voter2, voter3] = await ethers.getSigners();
+    [owner, electionAuthority, voter1, voter2, voter3, government] = await ethers.getSigners();
 
     // Deploy RegistrationContract first
-    const RegistrationContract = await ethers.getContractFactory("RegistrationContract");
-    registrationContract = await RegistrationContract.deploy(electionAuthority.address);
+    registrationContract = await deployRegistrationContract(electionAuthority);
 
     // Deploy VoterRegistrationContract
     const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
@@ -28,18 +77,25 @@ describe("VoterRegistrationContract - Simple Tests", function () {
     randomChallenge = ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE_2025"));
 
     // Setup election in RegistrationContract
+    deadlines = await phaseDeadlines();
     await registrationContract.connect(electionAuthority).storePollParams(
       electionId,
       candidates,
-      randomChallenge
+      randomChallenge,
+      deadlines
     );
+
+    // Certify a ring of voters and freeze it
+    voterKeys = await certifyVoters(registrationContract, 3);
+    ring = voterKeys.map((key) => key.publicKey);
+    await freezeRing(registrationContract);
   });
 
   // Test 1: Basic Deployment
   describe("Deployment", function () {
     it("Should deploy with correct registration contract address", async function () {
       expect(await voterRegistrationContract.registrationContract()).to.equal(registrationContract.target);
-      expect(await voterRegistrationContract.voterCount()).to.equal(0);
+      expect(await voterRegistrationContract.voterCount(electionId)).to.equal(0);
     });
 
     it("Should revert with invalid registration contract address", async function () {
@@ -53,44 +109,44 @@ describe("VoterRegistrationContract - Simple Tests", function () {
   // Test 2: Voter Registration
   describe("Voter Registration", function () {
     it("Should register voter with valid LSAG signature", async function () {
-      const lsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
       const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const lsagSignature = await signRegistration(0, votingPublicKey);
 
       const voterIndex = await voterRegistrationContract.connect(voter1).verify(
+        electionId,
         lsagSignature,
         votingPublicKey
       );
 
-      expect(await voterRegistrationContract.voterCount()).to.equal(1);
-      expect(await voterRegistrationContract.isRegistered(0)).to.equal(true);
+      expect(await voterRegistrationContract.voterCount(electionId)).to.equal(1);
+      expect(await voterRegistrationContract.isRegistered(electionId, 0)).to.equal(true);
     });
 
     it("Should assign sequential voter indices", async function () {
-      const lsagSig1 = "0x1111111111111111111111111111111111111111111111111111111111111111";
       const votingKey1 = "0x1111111111111111111111111111111111111111";
+      const lsagSig1 = await signRegistration(0, votingKey1);
 
-      const lsagSig2 = "0x2222222222222222222222222222222222222222222222222222222222222222";
       const votingKey2 = "0x2222222222222222222222222222222222222222";
+      const lsagSig2 = await signRegistration(1, votingKey2);
 
-      await voterRegistrationContract.connect(voter1).verify(lsagSig1, votingKey1);
-      await voterRegistrationContract.connect(voter2).verify(lsagSig2, votingKey2);
+      await voterRegistrationContract.connect(voter1).verify(electionId, lsagSig1, votingKey1);
+      await voterRegistrationContract.connect(voter2).verify(electionId, lsagSig2, votingKey2);
 
-      expect(await voterRegistrationContract.voterCount()).to.equal(2);
-      expect(await voterRegistrationContract.isRegistered(0)).to.equal(true);
-      expect(await voterRegistrationContract.isRegistered(1)).to.equal(true);
+      expect(await voterRegistrationContract.voterCount(electionId)).to.equal(2);
+      expect(await voterRegistrationContract.isRegistered(electionId, 0)).to.equal(true);
+      expect(await voterRegistrationContract.isRegistered(electionId, 1)).to.equal(true);
     });
 
     it("Should prevent double registration with same key image", async function () {
-      const lsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
       const votingKey1 = "0xabcdef1234567890abcdef1234567890abcdef12";
       const votingKey2 = "0xfedcba0987654321fedcba0987654321fedcba09";
 
       // First registration should succeed
-      await voterRegistrationContract.connect(voter1).verify(lsagSignature, votingKey1);
+      await voterRegistrationContract.connect(voter1).verify(electionId, await signRegistration(0, votingKey1), votingKey1);
 
-      // Second registration with same LSAG signature (same key image) should fail
+      // A fresh signature by the same ring member carries the same key image and should fail
       await expect(
-        voterRegistrationContract.connect(voter2).verify(lsagSignature, votingKey2)
+        voterRegistrationContract.connect(voter2).verify(electionId, await signRegistration(0, votingKey2), votingKey2)
       ).to.be.revertedWith("Double registration attempt detected");
     });
 
@@ -98,60 +154,100 @@ describe("VoterRegistrationContract - Simple Tests", function () {
       const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
 
       await expect(
-        voterRegistrationContract.connect(voter1).verify("0x", votingPublicKey)
+        voterRegistrationContract.connect(voter1).verify(electionId, "0x", votingPublicKey)
       ).to.be.revertedWith("LSAG signature cannot be empty");
     });
 
     it("Should reject empty voting public key", async function () {
-      const lsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+      const lsagSignature = await signRegistration(0, "0xabcdef1234567890abcdef1234567890abcdef12");
 
       await expect(
-        voterRegistrationContract.connect(voter1).verify(lsagSignature, "0x")
+        voterRegistrationContract.connect(voter1).verify(electionId, lsagSignature, "0x")
       ).to.be.revertedWith("Voting public key cannot be empty");
     });
 
+    it("Should reject a voting public key that is not an address", async function () {
+      // A key that could never sign a vote, e.g. an uncompressed secp256k1 public key
+      const longKey = ethers.Wallet.createRandom().signingKey.publicKey;
+      const shortKey = "0xabcdef1234567890abcdef1234567890abcdef";
+      for (const votingPublicKey of [longKey, shortKey]) {
+        const lsagSignature = await signRegistration(0, votingPublicKey);
+        await expect(
+          voterRegistrationContract.connect(voter1).verify(electionId, lsagSignature, votingPublicKey)
+        ).to.be.revertedWith("Voting public key must be 20 bytes");
+        await expect(voterRegistrationContract.verifyBatch(electionId, [lsagSignature], [votingPublicKey]))
+          .to.emit(voterRegistrationContract, "RegistrationRejected")
+          .withArgs(electionId, lsagSignature, "Voting public key must be 20 bytes");
+      }
+      expect(await voterRegistrationContract.voterCount(electionId)).to.equal(0);
+    });
+
     it("Should require election to be setup", async function () {
-      // Deploy new contracts without election setup
-      const newRegistrationContract = await ethers.getContractFactory("RegistrationContract");
-      const newRegContract = await newRegistrationContract.deploy(electionAuthority.address);
+      const unknownElectionId = ethers.keccak256(ethers.toUtf8Bytes("ELECTION_2026"));
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const lsagSignature = await signRegistration(0, votingPublicKey, unknownElectionId);
 
-      const newVoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
-      const newVoterRegContract = await newVoterRegistrationContract.deploy(newRegContract.target);
+      await expect(
+        voterRegistrationContract.connect(voter1).verify(unknownElectionId, lsagSignature, votingPublicKey)
+      ).to.be.revertedWith("Election not setup yet");
+    });
+
+    it("Should require the ring to be frozen", async function () {
+      const newRegContract = await deployRegistrationContract(electionAuthority);
+      await newRegContract.connect(electionAuthority).storePollParams(electionId, candidates, randomChallenge, await phaseDeadlines());
+      voterKeys = await certifyVoters(newRegContract, 2);
+      ring = voterKeys.map((key) => key.publicKey);
+
+      const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
+      const newVoterRegContract = await VoterRegistrationContract.deploy(newRegContract.target);
 
-      const lsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
       const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      await expect(
+        newVoterRegContract.connect(voter1).verify(electionId, await signRegistration(0, votingPublicKey, electionId, newVoterRegContract), votingPublicKey)
+      ).to.be.revertedWith("Ring not frozen yet");
 
+      await freezeRing(newRegContract);
+      await newVoterRegContract.connect(voter1).verify(electionId, await signRegistration(0, votingPublicKey, electionId, newVoterRegContract), votingPublicKey);
+      expect(await newVoterRegContract.isRegistered(electionId, 0)).to.equal(true);
+    });
+
+    it("Should reject registration after the registration deadline", async function () {
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const lsagSignature = await signRegistration(0, votingPublicKey);
+
+      await time.increaseTo(deadlines.registration);
       await expect(
-        newVoterRegContract.connect(voter1).verify(lsagSignature, votingPublicKey)
-      ).to.be.revertedWith("Election not setup yet");
+        voterRegistrationContract.connect(voter1).verify(electionId, lsagSignature, votingPublicKey)
+      ).to.be.revertedWith("Registration deadline passed");
+
+      const [, registrationOpen] = await voterRegistrationContract.getRegistrationStats(electionId);
+      expect(registrationOpen).to.equal(false);
     });
   });
 
   // Test 3: Registration Status Check
   describe("Registration Status", function () {
     beforeEach(async function () {
-      const lsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
       const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
-      await voterRegistrationContract.connect(voter1).verify(lsagSignature, votingPublicKey);
+      await voterRegistrationContract.connect(voter1).verify(electionId, await signRegistration(0, votingPublicKey), votingPublicKey);
     });
 
     it("Should return true for registered voter", async function () {
-      expect(await voterRegistrationContract.isRegistered(0)).to.equal(true);
+      expect(await voterRegistrationContract.isRegistered(electionId, 0)).to.equal(true);
     });
 
     it("Should return false for non-registered voter index", async function () {
-      expect(await voterRegistrationContract.isRegistered(999)).to.equal(false);
+      expect(await voterRegistrationContract.isRegistered(electionId, 999)).to.equal(false);
     });
 
     it("Should return correct voter count", async function () {
-      expect(await voterRegistrationContract.getVoterCount()).to.equal(1);
+      expect(await voterRegistrationContract.getVoterCount(electionId)).to.equal(1);
 
       // Register another voter
-      const lsagSig2 = "0x2222222222222222222222222222222222222222222222222222222222222222";
       const votingKey2 = "0x2222222222222222222222222222222222222222";
-      await voterRegistrationContract.connect(voter2).verify(lsagSig2, votingKey2);
+      await voterRegistrationContract.connect(voter2).verify(electionId, await signRegistration(1, votingKey2), votingKey2);
 
-      expect(await voterRegistrationContract.getVoterCount()).to.equal(2);
+      expect(await voterRegistrationContract.getVoterCount(electionId)).to.equal(2);
     });
   });
 
@@ -160,13 +256,13 @@ describe("VoterRegistrationContract - Simple Tests", function () {
     let lsagSignature, votingPublicKey;
 
     beforeEach(async function () {
-      lsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
       votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
-      await voterRegistrationContract.connect(voter1).verify(lsagSignature, votingPublicKey);
+      lsagSignature = await signRegistration(0, votingPublicKey);
+      await voterRegistrationContract.connect(voter1).verify(electionId, lsagSignature, votingPublicKey);
     });
 
     it("Should return correct voter record", async function () {
-      const voterRecord = await voterRegistrationContract.getVoterRecord(0);
+      const voterRecord = await voterRegistrationContract.getVoterRecord(electionId, 0);
       
       expect(voterRecord.lsagSignature).to.equal(lsagSignature);
       expect(voterRecord.votingPublicKey).to.equal(votingPublicKey);
@@ -176,7 +272,7 @@ describe("VoterRegistrationContract - Simple Tests", function () {
 
     it("Should revert for invalid voter index", async function () {
       await expect(
-        voterRegistrationContract.getVoterRecord(999)
+        voterRegistrationContract.getVoterRecord(electionId, 999)
       ).to.be.revertedWith("Invalid voter index");
     });
   });
@@ -184,20 +280,20 @@ describe("VoterRegistrationContract - Simple Tests", function () {
   // Test 5: Key Image Tracking
   describe("Key Image Tracking", function () {
     it("Should track used key images", async function () {
-      const lsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
       const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const lsagSignature = await signRegistration(0, votingPublicKey);
 
-      // Extract key image (first 32 bytes of LSAG signature)
-      const keyImage = lsagSignature.slice(0, 66); // 0x + 32 bytes = 66 chars
+      // Key image I = x * Hp(P) of the signer
+      const keyImage = lsag.encodeKeyImage(lsag.computeKeyImage(voterKeys[0].privateKey));
 
       // Before registration, key image should not be used
-      expect(await voterRegistrationContract.isKeyImageUsed(keyImage)).to.equal(false);
+      expect(await voterRegistrationContract.isKeyImageUsed(electionId, keyImage)).to.equal(false);
 
       // Register voter
-      await voterRegistrationContract.connect(voter1).verify(lsagSignature, votingPublicKey);
+      await voterRegistrationContract.connect(voter1).verify(electionId, lsagSignature, votingPublicKey);
 
       // After registration, key image should be marked as used
-      expect(await voterRegistrationContract.isKeyImageUsed(keyImage)).to.equal(true);
+      expect(await voterRegistrationContract.isKeyImageUsed(electionId, keyImage)).to.equal(true);
     });
   });
 
@@ -205,21 +301,19 @@ describe("VoterRegistrationContract - Simple Tests", function () {
   describe("Registration Statistics", function () {
     it("Should return correct registration statistics", async function () {
       // Initial state
-      let [totalRegistered, registrationOpen] = await voterRegistrationContract.getRegistrationStats();
+      let [totalRegistered, registrationOpen] = await voterRegistrationContract.getRegistrationStats(electionId);
       expect(totalRegistered).to.equal(0);
       expect(registrationOpen).to.equal(true); // Election is setup
 
       // Register voters
-      const lsagSig1 = "0x1111111111111111111111111111111111111111111111111111111111111111";
       const votingKey1 = "0x1111111111111111111111111111111111111111";
-      await voterRegistrationContract.connect(voter1).verify(lsagSig1, votingKey1);
+      await voterRegistrationContract.connect(voter1).verify(electionId, await signRegistration(0, votingKey1), votingKey1);
 
-      const lsagSig2 = "0x2222222222222222222222222222222222222222222222222222222222222222";
       const votingKey2 = "0x2222222222222222222222222222222222222222";
-      await voterRegistrationContract.connect(voter2).verify(lsagSig2, votingKey2);
+      await voterRegistrationContract.connect(voter2).verify(electionId, await signRegistration(1, votingKey2), votingKey2);
 
       // Check updated statistics
-      [totalRegistered, registrationOpen] = await voterRegistrationContract.getRegistrationStats();
+      [totalRegistered, registrationOpen] = await voterRegistrationContract.getRegistrationStats(electionId);
       expect(totalRegistered).to.equal(2);
       expect(registrationOpen).to.equal(true);
     });
@@ -228,36 +322,32 @@ describe("VoterRegistrationContract - Simple Tests", function () {
   // Test 7: Multiple Voters Registration
   describe("Multiple Voters Registration", function () {
     it("Should handle multiple voter registrations correctly", async function () {
-      const voters = [
-        {
-          lsagSignature: "0x1111111111111111111111111111111111111111111111111111111111111111",
-          votingPublicKey: "0x1111111111111111111111111111111111111111"
-        },
-        {
-          lsagSignature: "0x2222222222222222222222222222222222222222222222222222222222222222",
-          votingPublicKey: "0x2222222222222222222222222222222222222222"
-        },
-        {
-          lsagSignature: "0x3333333333333333333333333333333333333333333333333333333333333333",
-          votingPublicKey: "0x3333333333333333333333333333333333333333"
-        }
+      const votingPublicKeys = [
+        "0x1111111111111111111111111111111111111111",
+        "0x2222222222222222222222222222222222222222",
+        "0x3333333333333333333333333333333333333333"
       ];
+      const voters = await Promise.all(votingPublicKeys.map(async (votingPublicKey, i) => ({
+        lsagSignature: await signRegistration(i, votingPublicKey),
+        votingPublicKey
+      })));
 
       // Register all voters
       for (let i = 0; i < voters.length; i++) {
         await voterRegistrationContract.connect(voter1).verify(
+          electionId,
           voters[i].lsagSignature,
           voters[i].votingPublicKey
         );
       }
 
       // Verify all registrations
-      expect(await voterRegistrationContract.voterCount()).to.equal(3);
+      expect(await voterRegistrationContract.voterCount(electionId)).to.equal(3);
       
       for (let i = 0; i < voters.length; i++) {
-        expect(await voterRegistrationContract.isRegistered(i)).to.equal(true);
+        expect(await voterRegistrationContract.isRegistered(electionId, i)).to.equal(true);
         
-        const record = await voterRegistrationContract.getVoterRecord(i);
+        const record = await voterRegistrationContract.getVoterRecord(electionId, i);
         expect(record.lsagSignature).to.equal(voters[i].lsagSignature);
         expect(record.votingPublicKey).to.equal(voters[i].votingPublicKey);
         expect(record.isRegistered).to.equal(true);
@@ -271,56 +361,617 @@ describe("VoterRegistrationContract - Simple Tests", function () {
       expect(await voterRegistrationContract.registrationContract()).to.equal(registrationContract.target);
     });
 
-    it("Should work when election parameters change", async function () {
-      // Reset and setup new election
-      await registrationContract.connect(electionAuthority).resetElectionSetup();
-      
-      const newElectionId = ethers.keccak256(ethers.toUtf8Bytes("ELECTION_2026"));
-      const newCandidates = [ethers.keccak256(ethers.toUtf8Bytes("CHARLIE"))];
-      const newChallenge = ethers.keccak256(ethers.toUtf8Bytes("CHALLENGE_2026"));
+    it("Should not let the election be reset once registration is open", async function () {
+      await expect(
+        registrationContract.connect(electionAuthority).resetElectionSetup(electionId)
+      ).to.be.revertedWith("Ring frozen");
 
-      await registrationContract.connect(electionAuthority).storePollParams(
-        newElectionId,
-        newCandidates,
-        newChallenge
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      await voterRegistrationContract.connect(voter1).verify(electionId, await signRegistration(0, votingPublicKey), votingPublicKey);
+      expect(await voterRegistrationContract.isRegistered(electionId, 0)).to.equal(true);
+    });
+
+    it("Should refuse registrations while the election is paused or cancelled", async function () {
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const lsagSignature = await signRegistration(0, votingPublicKey);
+
+      await registrationContract.connect(electionAuthority).pause();
+      await expect(
+        voterRegistrationContract.connect(voter1).verify(electionId, lsagSignature, votingPublicKey)
+      ).to.be.revertedWith("Election halted");
+      await expect(voterRegistrationContract.verifyBatch(electionId, [lsagSignature], [votingPublicKey]))
+        .to.emit(voterRegistrationContract, "RegistrationRejected")
+        .withArgs(electionId, lsagSignature, "Election halted");
+
+      // The signature is still good once unpaused
+      await registrationContract.connect(electionAuthority).unpause();
+      await voterRegistrationContract.connect(voter1).verify(electionId, lsagSignature, votingPublicKey);
+      expect(await voterRegistrationContract.isRegistered(electionId, 0)).to.equal(true);
+
+      const otherVotingKey = "0x1234567890abcdef1234567890abcdef12345678";
+      await registrationContract.connect(electionAuthority).cancelElection(electionId, "Court order");
+      await expect(
+        voterRegistrationContract.connect(voter2).verify(electionId, await signRegistration(1, otherVotingKey), otherVotingKey)
+      ).to.be.revertedWith("Election halted");
+    });
+
+    it("Should reject a ring containing an uncertified public key", async function () {
+      const outsider = lsag.generateKeyPair();
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const outsiderRing = [ring[0], outsider.publicKey];
+
+      const message = lsag.registrationMessage(await registrationDomain(), votingPublicKey);
+      const signature = lsag.sign(message, outsiderRing, 1, outsider.privateKey);
+
+      await expect(
+        voterRegistrationContract.connect(voter1).verify(
+          electionId,
+          lsag.encodeSignature(signature, outsiderRing),
+          votingPublicKey
+        )
+      ).to.be.revertedWith("Invalid LSAG signature");
+    });
+
+    it("Should reject a ring containing a revoked public key", async function () {
+      // Revocation is only possible before the certificate deadline, while the ring is not frozen
+      const newRegContract = await deployRegistrationContract(electionAuthority);
+      await newRegContract.connect(electionAuthority).storePollParams(electionId, candidates, randomChallenge, await phaseDeadlines());
+      voterKeys = await certifyVoters(newRegContract, 3);
+      ring = voterKeys.map((key) => key.publicKey);
+      await newRegContract.connect(electionAuthority).revokeCertificate(electionId, voterKeys[2].publicKeyBytes, 2);
+      await freezeRing(newRegContract);
+
+      const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
+      const newVoterRegContract = await VoterRegistrationContract.deploy(newRegContract.target);
+
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      await expect(
+        newVoterRegContract.connect(voter1).verify(electionId, await signRegistration(0, votingPublicKey, electionId, newVoterRegContract), votingPublicKey)
+      ).to.be.revertedWith("Invalid LSAG signature");
+
+      // A ring without the revoked key still works
+      ring = ring.slice(0, 2);
+      await newVoterRegContract.connect(voter1).verify(electionId, await signRegistration(0, votingPublicKey, electionId, newVoterRegContract), votingPublicKey);
+      expect(await newVoterRegContract.isRegistered(electionId, 0)).to.equal(true);
+    });
+  });
+
+  // Test 9: Signature Verification
+  describe("Signature Verification", function () {
+    it("Should reject a signature for a different election", async function () {
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const otherElectionId = ethers.keccak256(ethers.toUtf8Bytes("ELECTION_1999"));
+
+      await expect(
+        voterRegistrationContract.connect(voter1).verify(
+          electionId,
+          await signRegistration(0, votingPublicKey, otherElectionId),
+          votingPublicKey
+        )
+      ).to.be.revertedWith("Invalid LSAG signature");
+    });
+
+    it("Should sign the contract's domain-separated registration message", async function () {
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const domain = await registrationDomain();
+      expect(domain.randomChallenge).to.equal(randomChallenge);
+      expect(domain.resetCount).to.equal(0n);
+
+      const message = lsag.registrationMessage(domain, votingPublicKey);
+      expect(message).to.equal(await voterRegistrationContract.registrationMessage(electionId, votingPublicKey));
+      expect(lsag.REGISTRATION_TYPEHASH).to.equal(await voterRegistrationContract.REGISTRATION_TYPEHASH());
+
+      // Every field of the domain changes the message
+      const changes = [
+        { chainId: 1n },
+        { voterRegistrationContract: registrationContract.target },
+        { randomChallenge: ethers.ZeroHash },
+        { resetCount: 1n }
+      ];
+      for (const field of changes) {
+        expect(lsag.registrationMessage({ ...domain, ...field }, votingPublicKey)).to.not.equal(message);
+      }
+    });
+
+    it("Should reject a signature replayed after the election is reset with the same challenge", async function () {
+      // Resets are only allowed before the ring is frozen, so use an election still taking certificates
+      const newRegContract = await deployRegistrationContract(electionAuthority);
+      await newRegContract.connect(electionAuthority).storePollParams(electionId, candidates, randomChallenge, await phaseDeadlines());
+      voterKeys = await certifyVoters(newRegContract, 3);
+      ring = voterKeys.map((key) => key.publicKey);
+
+      const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
+      const newVoterRegContract = await VoterRegistrationContract.deploy(newRegContract.target);
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const lsagSignature = await signRegistration(0, votingPublicKey, electionId, newVoterRegContract);
+
+      // The authority resets the election and sets it up again under the same ID, even with the same challenge
+      await newRegContract.connect(electionAuthority).resetElectionSetup(electionId);
+      await newRegContract.connect(electionAuthority).storePollParams(electionId, candidates, randomChallenge, await phaseDeadlines());
+      // The reset cleared the certificates, so the same voters are certified again
+      const domain = await issuer.certificateDomain(newRegContract, electionId);
+      for (const key of voterKeys) {
+        await newRegContract.storePub(electionId, await issuer.issueCertificate(government, domain, key.publicKeyBytes));
+      }
+      await freezeRing(newRegContract);
+
+      await expect(
+        newVoterRegContract.connect(voter1).verify(electionId, lsagSignature, votingPublicKey)
+      ).to.be.revertedWith("Invalid LSAG signature");
+      await newVoterRegContract.connect(voter1).verify(
+        electionId,
+        await signRegistration(0, votingPublicKey, electionId, newVoterRegContract),
+        votingPublicKey
       );
+      expect(await newVoterRegContract.isRegistered(electionId, 0)).to.equal(true);
+    });
+
+    it("Should reject a signature replayed on another deployment", async function () {
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const lsagSignature = await signRegistration(0, votingPublicKey);
+
+      const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
+      const redeployed = await VoterRegistrationContract.deploy(registrationContract.target);
+      await expect(
+        redeployed.connect(voter1).verify(electionId, lsagSignature, votingPublicKey)
+      ).to.be.revertedWith("Invalid LSAG signature");
+
+      await voterRegistrationContract.connect(voter1).verify(electionId, lsagSignature, votingPublicKey);
+      expect(await voterRegistrationContract.isRegistered(electionId, 0)).to.equal(true);
+    });
 
-      // Should be able to register voters with new election
-      const lsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+    it("Should reject a signature re-used with another voting key", async function () {
+      const lsagSignature = await signRegistration(0, "0xabcdef1234567890abcdef1234567890abcdef12");
+
+      await expect(
+        voterRegistrationContract.connect(voter1).verify(
+          electionId,
+          lsagSignature,
+          "0xfedcba0987654321fedcba0987654321fedcba09"
+        )
+      ).to.be.revertedWith("Invalid LSAG signature");
+    });
+
+    it("Should reject a signature with a tampered response", async function () {
+      const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const message = lsag.registrationMessage(await registrationDomain(), votingPublicKey);
+      const signature = lsag.sign(message, ring, 0, voterKeys[0].privateKey);
+      signature.s[1] = signature.s[1] + 1n;
+
+      await expect(
+        voterRegistrationContract.connect(voter1).verify(
+          electionId,
+          lsag.encodeSignature(signature, ring),
+          votingPublicKey
+        )
+      ).to.be.revertedWith("Invalid LSAG signature");
+    });
+
+    it("Should reject a signature with a forged key image", async function () {
       const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const message = lsag.registrationMessage(await registrationDomain(), votingPublicKey);
+      const signature = lsag.sign(message, ring, 0, voterKeys[0].privateKey);
+      signature.keyImage = lsag.computeKeyImage(voterKeys[1].privateKey);
+
+      await expect(
+        voterRegistrationContract.connect(voter1).verify(
+          electionId,
+          lsag.encodeSignature(signature, ring),
+          votingPublicKey
+        )
+      ).to.be.revertedWith("Invalid LSAG signature");
+    });
+  });
+
+  // Test 10: Signature Wire Format
+  describe("Signature Wire Format", function () {
+    const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+    let signature, encoded;
+
+    beforeEach(async function () {
+      signature = lsag.sign(lsag.registrationMessage(await registrationDomain(), votingPublicKey), ring, 1, voterKeys[1].privateKey);
+      encoded = lsag.encodeSignature(signature, ring);
+    });
+
+    // Overwrite bytes of the encoded signature at a byte offset
+    function patch(data, offset, replacement) {
+      const bytes = ethers.getBytes(data);
+      bytes.set(ethers.getBytes(replacement), offset);
+      return ethers.hexlify(bytes);
+    }
+
+    it("Should decode the JS encoding byte for byte", async function () {
+      const [version, keyImage, c0, s, ringType, ringData] =
+        await voterRegistrationContract.decodeLSAGSignature(encoded);
+
+      expect(version).to.equal(lsag.SIGNATURE_VERSION);
+      expect(keyImage).to.equal(lsag.encodeKeyImage(signature.keyImage));
+      expect(c0).to.equal(signature.c0);
+      expect(s).to.deep.equal(signature.s);
+      expect(ringType).to.equal(lsag.RING_INLINE);
+      expect(ringData).to.equal(ethers.concat(voterKeys.map((key) => key.publicKeyBytes)));
+
+      const decoded = lsag.decodeSignature(encoded);
+      expect(decoded.keyImage).to.deep.equal(signature.keyImage);
+      expect(decoded.c0).to.equal(signature.c0);
+      expect(decoded.s).to.deep.equal(signature.s);
+      expect(decoded.ring).to.deep.equal(voterKeys.map((key) => key.publicKeyBytes));
+      expect(lsag.encodeSignature(decoded, decoded.ring)).to.equal(encoded);
+    });
+
+    it("Should reject an unsupported version", async function () {
+      await expect(
+        voterRegistrationContract.verify(electionId, patch(encoded, 0, "0x02"), votingPublicKey)
+      ).to.be.revertedWith("Unsupported LSAG signature version");
+    });
+
+    it("Should reject a key image that is not a canonical compressed point", async function () {
+      await expect(
+        voterRegistrationContract.verify(electionId, patch(encoded, 1, "0x04"), votingPublicKey)
+      ).to.be.revertedWith("Invalid key image encoding");
 
-      await voterRegistrationContract.connect(voter1).verify(lsagSignature, votingPublicKey);
-      expect(await voterRegistrationContract.isRegistered(0)).to.equal(true);
+      // x >= p is not canonical
+      await expect(
+        voterRegistrationContract.verify(electionId, patch(encoded, 2, "0x" + "ff".repeat(32)), votingPublicKey)
+      ).to.be.revertedWith("Invalid key image encoding");
+    });
+
+    it("Should not allow re-registration by altering the key image bytes", async function () {
+      await voterRegistrationContract.verify(electionId, encoded, votingPublicKey);
+
+      const otherKey = "0xfedcba0987654321fedcba0987654321fedcba09";
+      const second = lsag.encodeSignature(
+        lsag.sign(lsag.registrationMessage(await registrationDomain(), otherKey), ring, 1, voterKeys[1].privateKey),
+        ring
+      );
+      const flippedPrefix = ethers.getBytes(second)[1] === 0x02 ? "0x03" : "0x02";
+
+      await expect(
+        voterRegistrationContract.verify(electionId, patch(second, 1, flippedPrefix), otherKey)
+      ).to.be.revertedWith("Invalid LSAG signature");
+      await expect(
+        voterRegistrationContract.verify(electionId, second, otherKey)
+      ).to.be.revertedWith("Double registration attempt detected");
+    });
+
+    it("Should reject an empty ring", async function () {
+      await expect(
+        voterRegistrationContract.verify(electionId, patch(encoded, 66, "0x0000"), votingPublicKey)
+      ).to.be.revertedWith("Empty ring");
+    });
+
+    it("Should reject a ring size that does not match the ring data", async function () {
+      await expect(
+        voterRegistrationContract.verify(electionId, ethers.concat([encoded, "0x00"]), votingPublicKey)
+      ).to.be.revertedWith("Invalid ring reference");
+
+      await expect(
+        voterRegistrationContract.verify(electionId, ethers.dataSlice(encoded, 0, ethers.dataLength(encoded) - 64), votingPublicKey)
+      ).to.be.revertedWith("Invalid ring reference");
+    });
+
+    it("Should reject an unknown ring reference type", async function () {
+      const ringTypeOffset = 68 + 32 * ring.length;
+      await expect(
+        voterRegistrationContract.verify(electionId, patch(encoded, ringTypeOffset, "0x7f"), votingPublicKey)
+      ).to.be.revertedWith("Unsupported ring reference");
     });
   });
 
-  // Test 9: Edge Cases
+  // Test 11: Sub-rings
+  describe("Sub-rings", function () {
+    const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+
+    // Deploy contracts over `count` certified keys frozen in sub-rings of `subRingSize`,
+    // in one transaction or in pages of `pageSize` keys
+    async function deployWithSubRings(count, subRingSize, pageSize) {
+      const newRegContract = await deployRegistrationContract(electionAuthority);
+      await newRegContract.connect(electionAuthority).storePollParams(electionId, candidates, randomChallenge, await phaseDeadlines());
+      const keys = await certifyVoters(newRegContract, count);
+      await newRegContract.connect(electionAuthority).setSubRingSize(electionId, subRingSize);
+      if (pageSize) {
+        await time.increaseTo((await newRegContract.getDeadlines(electionId)).certificate);
+        while (!(await newRegContract.ringFrozen(electionId))) {
+          await newRegContract.freezeRingPage(electionId, pageSize);
+        }
+      } else {
+        await freezeRing(newRegContract);
+      }
+
+      const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
+      const newVoterRegContract = await VoterRegistrationContract.deploy(newRegContract.target);
+      return { keys, contract: newVoterRegContract };
+    }
+
+    // Sign for `keys[signerIndex]` over the sub-ring keys[offset .. offset + size)
+    async function signSubRing(contract, keys, subRingId, offset, size, signerIndex) {
+      const subRing = keys.slice(offset, offset + size).map((key) => key.publicKey);
+      const message = lsag.registrationMessage(await registrationDomain(electionId, contract), votingPublicKey);
+      const signature = lsag.sign(message, subRing, signerIndex - offset, keys[signerIndex].privateKey);
+      return lsag.encodeSignature(signature, subRing, subRingId);
+    }
+
+    it("Should register against a sub-ring", async function () {
+      const { keys, contract } = await deployWithSubRings(6, 2);
+
+      await contract.connect(voter1).verify(electionId, await signSubRing(contract, keys, 1, 2, 2, 3), votingPublicKey);
+      expect(await contract.isRegistered(electionId, 0)).to.equal(true);
+    });
+
+    it("Should register against sub-rings of an electorate frozen over several pages", async function () {
+      // Ten keys in sub-rings of at most four (four, three and three), read three keys per page
+      const { keys, contract } = await deployWithSubRings(10, 4, 3);
+      const regContract = await ethers.getContractAt("RegistrationContract", await contract.registrationContract());
+      expect(await regContract.getSubRingCount(electionId)).to.equal(3);
+
+      await contract.connect(voter1).verify(electionId, await signSubRing(contract, keys, 0, 0, 4, 1), votingPublicKey);
+      const otherVotingKey = "0x1111111111111111111111111111111111111111";
+      const subRing = keys.slice(7, 10).map((key) => key.publicKey);
+      const signature = lsag.sign(
+        lsag.registrationMessage(await registrationDomain(electionId, contract), otherVotingKey), subRing, 2, keys[9].privateKey
+      );
+      await contract.connect(voter1).verify(electionId, lsag.encodeSignature(signature, subRing, 2), otherVotingKey);
+      expect(await contract.isRegistered(electionId, 1)).to.equal(true);
+    });
+
+    it("Should decode the sub-ring reference", async function () {
+      const encoded = await signSubRing(voterRegistrationContract, voterKeys, 0, 0, 3, 1);
+      const [, , , , ringType, ringData] = await voterRegistrationContract.decodeLSAGSignature(encoded);
+
+      expect(ringType).to.equal(lsag.RING_SUB_RING);
+      expect(ringData).to.equal(ethers.concat(["0x00000000", ...voterKeys.map((key) => key.publicKeyBytes)]));
+      expect(lsag.decodeSignature(encoded).subRingId).to.equal(0);
+    });
+
+    it("Should reject a ring that is not the referenced sub-ring", async function () {
+      const { keys, contract } = await deployWithSubRings(6, 2);
+
+      // Right keys, wrong sub-ring ID
+      await expect(
+        contract.connect(voter1).verify(electionId, await signSubRing(contract, keys, 0, 2, 2, 3), votingPublicKey)
+      ).to.be.revertedWith("Invalid LSAG signature");
+
+      // Part of a sub-ring only
+      await expect(
+        contract.connect(voter1).verify(electionId, await signSubRing(contract, keys, 1, 3, 1, 3), votingPublicKey)
+      ).to.be.revertedWith("Invalid LSAG signature");
+
+      // Unknown sub-ring
+      await expect(
+        contract.connect(voter1).verify(electionId, await signSubRing(contract, keys, 3, 2, 2, 3), votingPublicKey)
+      ).to.be.revertedWith("Invalid sub-ring");
+    });
+
+    it("Should keep key images unique across sub-rings and inline rings", async function () {
+      const { keys, contract } = await deployWithSubRings(6, 2);
+      await contract.connect(voter1).verify(electionId, await signSubRing(contract, keys, 1, 2, 2, 3), votingPublicKey);
+
+      // Same voter again, over a ring spanning two sub-rings
+      const otherVotingKey = "0x1111111111111111111111111111111111111111";
+      const spanningRing = keys.slice(1, 5).map((key) => key.publicKey);
+      const signature = lsag.sign(
+        lsag.registrationMessage(await registrationDomain(electionId, contract), otherVotingKey),
+        spanningRing,
+        2,
+        keys[3].privateKey
+      );
+      await expect(
+        contract.connect(voter1).verify(electionId, lsag.encodeSignature(signature, spanningRing), otherVotingKey)
+      ).to.be.revertedWith("Double registration attempt detected");
+    });
+
+    describe("Gas benchmarks", function () {
+      this.timeout(120000);
+
+      for (const size of [8, 16, 32, 64]) {
+        it(`Should verify a ${size}-key sub-ring within the block gas limit`, async function () {
+          const { keys, contract } = await deployWithSubRings(size, size);
+
+          const subRingTx = await contract.verify(electionId, await signSubRing(contract, keys, 0, 0, size, 0), votingPublicKey);
+          const subRingGas = (await subRingTx.wait()).gasUsed;
+
+          // The same ring sent inline, checked key by key against RegistrationContract
+          const otherVotingKey = "0x1111111111111111111111111111111111111111";
+          const ringPoints = keys.map((key) => key.publicKey);
+          const signature = lsag.sign(
+            lsag.registrationMessage(await registrationDomain(electionId, contract), otherVotingKey), ringPoints, 1, keys[1].privateKey
+          );
+          const inlineTx = await contract.verify(electionId, lsag.encodeSignature(signature, ringPoints), otherVotingKey);
+          const inlineGas = (await inlineTx.wait()).gasUsed;
+
+          expect(subRingGas).to.be.lessThan(inlineGas);
+          expect(subRingGas).to.be.lessThan(30_000_000n);
+        });
+      }
+    });
+  });
+
+  // Test 12: Edge Cases
   describe("Edge Cases", function () {
-    it("Should handle maximum length signatures", async function () {
-      // Create maximum length signature (assuming reasonable limits)
-      const maxLsagSignature = "0x" + "a".repeat(512); // 256 bytes
+    it("Should register with a single-member ring", async function () {
       const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+      const message = lsag.registrationMessage(await registrationDomain(), votingPublicKey);
+      const signature = lsag.sign(message, [ring[2]], 0, voterKeys[2].privateKey);
 
-      await voterRegistrationContract.connect(voter1).verify(maxLsagSignature, votingPublicKey);
-      expect(await voterRegistrationContract.isRegistered(0)).to.equal(true);
+      await voterRegistrationContract.connect(voter1).verify(
+        electionId,
+        lsag.encodeSignature(signature, [ring[2]]),
+        votingPublicKey
+      );
+      expect(await voterRegistrationContract.isRegistered(electionId, 0)).to.equal(true);
     });
 
-    it("Should handle minimum valid signature length", async function () {
-      // Minimum signature should be at least 32 bytes for key image extraction
-      const minLsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
+    it("Should reject arbitrary bytes that do not decode as a signature", async function () {
+      const garbageSignature = "0x" + "a".repeat(512); // 256 bytes
       const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
 
-      await voterRegistrationContract.connect(voter1).verify(minLsagSignature, votingPublicKey);
-      expect(await voterRegistrationContract.isRegistered(0)).to.equal(true);
+      await expect(
+        voterRegistrationContract.connect(voter1).verify(electionId, garbageSignature, votingPublicKey)
+      ).to.be.revertedWith("Unsupported LSAG signature version");
     });
 
-    it("Should reject LSAG signature shorter than 32 bytes", async function () {
-      const shortLsagSignature = "0x1234567890abcdef"; // Only 8 bytes
+    it("Should reject LSAG signature shorter than the minimum encoding", async function () {
+      const shortLsagSignature = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef";
       const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
 
       await expect(
-        voterRegistrationContract.connect(voter1).verify(shortLsagSignature, votingPublicKey)
+        voterRegistrationContract.connect(voter1).verify(electionId, shortLsagSignature, votingPublicKey)
       ).to.be.revertedWith("Invalid LSAG signature length");
     });
   });
+
+  // Test 13: Multiple Elections
+  describe("Multiple Elections", function () {
+    const votingPublicKey = "0xabcdef1234567890abcdef1234567890abcdef12";
+    let secondElectionId;
+
+    // Set up a second election on the same contracts, certify `keys` for it and freeze its ring
+    async function setupSecondElection(keys) {
+      secondElectionId = ethers.keccak256(ethers.toUtf8Bytes("ELECTION_2026"));
+      const secondDeadlines = await phaseDeadlines();
+      await registrationContract.connect(electionAuthority).storePollParams(
+        secondElectionId,
+        candidates,
+        randomChallenge,
+        secondDeadlines
+      );
+      const domain = await issuer.certificateDomain(registrationContract, secondElectionId);
+      for (const key of keys) {
+        await registrationContract.storePub(
+          secondElectionId,
+          await issuer.issueCertificate(government, domain, key.publicKeyBytes)
+        );
+      }
+      await time.increaseTo(secondDeadlines.certificate);
+      await registrationContract.connect(electionAuthority).freezeRing(secondElectionId);
+    }
+
+    it("Should number voters and track key images per election", async function () {
+      await voterRegistrationContract.verify(electionId, await signRegistration(1, votingPublicKey), votingPublicKey);
+      await setupSecondElection(voterKeys);
+
+      // The same voter registers again in the second election, with the same key image
+      const secondVotingKey = "0x1111111111111111111111111111111111111111";
+      await voterRegistrationContract.verify(
+        secondElectionId,
+        await signRegistration(1, secondVotingKey, secondElectionId),
+        secondVotingKey
+      );
+
+      const keyImage = lsag.encodeKeyImage(lsag.computeKeyImage(voterKeys[1].privateKey));
+      expect(await voterRegistrationContract.isKeyImageUsed(secondElectionId, keyImage)).to.equal(true);
+      expect(await voterRegistrationContract.getVoterCount(electionId)).to.equal(1);
+      expect(await voterRegistrationContract.getVoterCount(secondElectionId)).to.equal(1);
+      expect((await voterRegistrationContract.getVoterRecord(secondElectionId, 0)).votingPublicKey)
+        .to.equal(secondVotingKey);
+    });
+
+    it("Should reject a signature made for another election", async function () {
+      await setupSecondElection(voterKeys);
+
+      await expect(
+        voterRegistrationContract.verify(secondElectionId, await signRegistration(0, votingPublicKey), votingPublicKey)
+      ).to.be.revertedWith("Invalid LSAG signature");
+    });
+
+    it("Should only accept rings certified for the election", async function () {
+      // Only the first two voters are certified for the second election
+      await setupSecondElection(voterKeys.slice(0, 2));
+
+      await expect(
+        voterRegistrationContract.verify(
+          secondElectionId,
+          await signRegistration(0, votingPublicKey, secondElectionId),
+          votingPublicKey
+        )
+      ).to.be.revertedWith("Invalid LSAG signature");
+
+      ring = ring.slice(0, 2);
+      await voterRegistrationContract.verify(
+        secondElectionId,
+        await signRegistration(0, votingPublicKey, secondElectionId),
+        votingPublicKey
+      );
+      expect(await voterRegistrationContract.isRegistered(secondElectionId, 0)).to.equal(true);
+    });
+  });
+
+  // Test 14: Batch Registration
+  describe("Batch Registration", function () {
+    const votingPublicKeys = [
+      "0x1111111111111111111111111111111111111111",
+      "0x2222222222222222222222222222222222222222",
+      "0x3333333333333333333333333333333333333333"
+    ];
+
+    it("Should register a batch of voters and reject invalid registrations individually", async function () {
+      const signatures = [await signRegistration(0, votingPublicKeys[0]), await signRegistration(1, votingPublicKeys[1])];
+      const duplicate = await signRegistration(0, votingPublicKeys[2]);
+      const wrongKey = await signRegistration(2, votingPublicKeys[0]);
+
+      const batch = [signatures[0], signatures[1], duplicate, wrongKey];
+      const keys = [votingPublicKeys[0], votingPublicKeys[1], votingPublicKeys[2], votingPublicKeys[2]];
+      expect(await voterRegistrationContract.verifyBatch.staticCall(electionId, batch, keys))
+        .to.deep.equal([true, true, false, false]);
+      await expect(voterRegistrationContract.verifyBatch(electionId, batch, keys))
+        .to.emit(voterRegistrationContract, "VoterRegistered").withArgs(electionId, 0, votingPublicKeys[0])
+        .and.to.emit(voterRegistrationContract, "VoterRegistered").withArgs(electionId, 1, votingPublicKeys[1])
+        .and.to.emit(voterRegistrationContract, "RegistrationRejected")
+        .withArgs(electionId, duplicate, "Double registration attempt detected")
+        .and.to.emit(voterRegistrationContract, "RegistrationRejected")
+        .withArgs(electionId, wrongKey, "Invalid LSAG signature");
+
+      expect(await voterRegistrationContract.voterCount(electionId)).to.equal(2);
+    });
+
+    it("Should reject empty and mismatched batches", async function () {
+      await expect(voterRegistrationContract.verifyBatch(electionId, [], [])).to.be.revertedWith("Empty batch");
+      await expect(
+        voterRegistrationContract.verifyBatch(electionId, [await signRegistration(0, votingPublicKeys[0])], votingPublicKeys)
+      ).to.be.revertedWith("Batch length mismatch");
+    });
+
+    it("Should fail the whole batch rather than reject a registration that ran out of gas", async function () {
+      const signatures = [await signRegistration(0, votingPublicKeys[0])];
+      const gasLimit = await voterRegistrationContract.verifyBatch.estimateGas(electionId, signatures, [votingPublicKeys[0]]);
+
+      // Enough gas to enter verify() but not to finish it
+      await expect(
+        voterRegistrationContract.verifyBatch(electionId, signatures, [votingPublicKeys[0]], { gasLimit: (gasLimit * 3n) / 4n })
+      ).to.be.revertedWith("Out of gas");
+      expect(await voterRegistrationContract.voterCount(electionId)).to.equal(0);
+
+      await voterRegistrationContract.verifyBatch(electionId, signatures, [votingPublicKeys[0]], { gasLimit });
+      expect(await voterRegistrationContract.voterCount(electionId)).to.equal(1);
+    });
+
+    it("Should reject a registration that reverts without a reason rather than fail the batch", async function () {
+      // Every call to a registration contract with no code reverts without revert data
+      const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
+      const orphan = await VoterRegistrationContract.deploy(voter3.address);
+      const signatures = [await signRegistration(0, votingPublicKeys[0]), await signRegistration(1, votingPublicKeys[1])];
+
+      expect(await orphan.verifyBatch.staticCall(electionId, signatures, votingPublicKeys.slice(0, 2)))
+        .to.deep.equal([false, false]);
+      await expect(orphan.verifyBatch(electionId, signatures, votingPublicKeys.slice(0, 2)))
+        .to.emit(orphan, "RegistrationRejected").withArgs(electionId, signatures[0], "Registration failed")
+        .and.to.emit(orphan, "RegistrationRejected").withArgs(electionId, signatures[1], "Registration failed");
+    });
+
+    it("Should use less gas than registering the voters one by one", async function () {
+      const signatures = await Promise.all(votingPublicKeys.map((key, i) => signRegistration(i, key)));
+      const snapshot = await takeSnapshot();
+
+      let singleGas = 0n;
+      for (let i = 0; i < signatures.length; i++) {
+        singleGas += (await (await voterRegistrationContract.verify(electionId, signatures[i], votingPublicKeys[i])).wait()).gasUsed;
+      }
+      await snapshot.restore();
+      const batchGas = (await (await voterRegistrationContract.verifyBatch(electionId, signatures, votingPublicKeys)).wait()).gasUsed;
+
+      expect(await voterRegistrationContract.voterCount(electionId)).to.equal(3);
+      // The batch saves at least the base cost of each transaction after the first
+      expect(batchGas).to.be.lessThan(singleGas - 21000n * 2n);
+    });
+  });
 });
@@ -1,16 +1,27 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const lsag = require("../lib/lsag");
+const issuer = require("../lib/issuer");
+const elgamal = require("../lib/elgamal");
+const trustee = require("../lib/trustee");
+const revealEncryption = require("../lib/revealEncryption");
+const { deployElection } = require("./helpers/deployElection");
 
 describe("VotingAndTallyingContract", function () {
     let registrationContract;
     let voterRegistrationContract;
     let votingAndTallyingContract;
+    let encryptedTallyLibrary;
+    let rankedChoiceLibrary;
     let owner;
     let authority;
     let voter1;
     let voter2;
     let voter3;
+    let government;
     let addrs;
+    let deadlines;
 
     // Test data
     const electionId = ethers.keccak256(ethers.toUtf8Bytes("TestElection2024"));
@@ -20,45 +31,116 @@ describe("VotingAndTallyingContract", function () {
         ethers.keccak256(ethers.toUtf8Bytes("Candidate3"))
     ];
 
-    beforeEach(async function () {
-        [owner, authority, voter1, voter2, voter3, ...addrs] = await ethers.getSigners();
-
-        // Deploy RegistrationContract
-        const RegistrationContract = await ethers.getContractFactory("RegistrationContract");
-        registrationContract = await RegistrationContract.deploy(authority.address);
-
-        // Deploy VoterRegistrationContract
-        const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
-        voterRegistrationContract = await VoterRegistrationContract.deploy(
-            registrationContract.target
+    // Voting key registered at each voter index (Pr'v), in every election the tests set up
+    const votingWallets = Array.from({ length: 8 }, (_, i) => new ethers.Wallet(ethers.id(`voting_key_${i}`)));
+
+    // Sign a vote hash as the voter at voterIndex (σ''v), or with another key to impersonate them
+    async function signVoteHash(id, voterIndex, voteHash, wallet = votingWallets[voterIndex]) {
+        const digest = await votingAndTallyingContract.voteHashDigest(id, voterIndex, voteHash);
+        return wallet.signingKey.sign(digest).serialized;
+    }
+
+    // Move the chain clock to a deadline unless it has already passed
+    async function passDeadline(deadline) {
+        if (BigInt(await time.latest()) < deadline) {
+            await time.increaseTo(deadline);
+        }
+    }
+
+    // Set up another election on the same contracts with a ballot configuration and register voterCount voters
+    async function setupBallotElection(id, ballotConfig, voterCount) {
+        const now = BigInt(await time.latest());
+        const electionDeadlines = { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+        await registrationContract.connect(authority)["storePollParams(bytes32,bytes32[],bytes32,(uint64,uint64,uint64,uint64),(uint8,uint8,uint8,bool))"](
+            id,
+            candidates,
+            ethers.keccak256(ethers.toUtf8Bytes("random_challenge")),
+            electionDeadlines,
+            ballotConfig
         );
 
-        // Deploy VotingAndTallyingContract
-        const VotingAndTallyingContract = await ethers.getContractFactory("VotingAndTallyingContract");
-        votingAndTallyingContract = await VotingAndTallyingContract.deploy(
-            voterRegistrationContract.target,
-            registrationContract.target
-        );
+        const domain = await issuer.certificateDomain(registrationContract, id);
+        const keys = [];
+        for (let i = 0; i < voterCount; i++) {
+            keys.push(lsag.generateKeyPair());
+            await registrationContract.storePub(id, await issuer.issueCertificate(government, domain, keys[i].publicKeyBytes));
+        }
+        await passDeadline(electionDeadlines.certificate);
+        await registrationContract.freezeRing(id);
+
+        const ring = keys.map((key) => key.publicKey);
+        for (let i = 0; i < voterCount; i++) {
+            const votingPubKey = votingWallets[i].address;
+            const signature = lsag.sign(await voterRegistrationContract.registrationMessage(id, votingPubKey), ring, i, keys[i].privateKey);
+            await voterRegistrationContract.verify(id, lsag.encodeSignature(signature, ring), votingPubKey);
+        }
+        return electionDeadlines;
+    }
+
+    // Cast and reveal one vote signature per registered voter, stopping before finalization
+    async function castAndReveal(id, electionDeadlines, actualVoteSignatures) {
+        await passDeadline(electionDeadlines.registration);
+        await votingAndTallyingContract.startVotingPhase(id);
+        for (let i = 0; i < actualVoteSignatures.length; i++) {
+            const voteHash = ethers.keccak256(ethers.concat([actualVoteSignatures[i], id]));
+            await votingAndTallyingContract.voting(id, await signVoteHash(id, i, voteHash), voteHash, i);
+        }
+        await passDeadline(electionDeadlines.voting);
+        await votingAndTallyingContract.startTallyingPhase(id);
+        for (let i = 0; i < actualVoteSignatures.length; i++) {
+            await votingAndTallyingContract.tally(id, actualVoteSignatures[i], i);
+        }
+        await passDeadline(electionDeadlines.reveal);
+    }
 
-        // Setup election
+    beforeEach(async function () {
+        [owner, authority, voter1, voter2, voter3, government, ...addrs] = await ethers.getSigners();
+
+        // Deploy the three contracts, VotingAndTallyingContract linked against the EncryptedTally and RankedChoice libraries
+        ({
+            registrationContract,
+            voterRegistrationContract,
+            votingAndTallyingContract,
+            encryptedTallyLibrary,
+            rankedChoiceLibrary
+        } = await deployElection(authority));
+
+        // Setup election: certificates, registration, voting and reveal close one hour apart
+        const now = BigInt(await time.latest());
+        deadlines = { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
         await registrationContract.connect(authority).storePollParams(
             electionId,
             candidates,
-            ethers.keccak256(ethers.toUtf8Bytes("random_challenge"))
+            ethers.keccak256(ethers.toUtf8Bytes("random_challenge")),
+            deadlines
         );
 
-        // Register some voters directly (no certificates needed)
-        const lsagSig1 = "0x1111111111111111111111111111111111111111111111111111111111111111";
-        const lsagSig2 = "0x2222222222222222222222222222222222222222222222222222222222222222";
-        const lsagSig3 = "0x3333333333333333333333333333333333333333333333333333333333333333";
-        
-        const votingPubKey1 = "0x1111111111111111111111111111111111111111";
-        const votingPubKey2 = "0x2222222222222222222222222222222222222222";
-        const votingPubKey3 = "0x3333333333333333333333333333333333333333";
-
-        await voterRegistrationContract.verify(lsagSig1, votingPubKey1);
-        await voterRegistrationContract.verify(lsagSig2, votingPubKey2);
-        await voterRegistrationContract.verify(lsagSig3, votingPubKey3);
+        // Certify a ring of LSAG keys
+        await registrationContract.connect(authority).addIssuerKey(
+            ethers.encodeBytes32String("CENTRAL"),
+            government.address,
+            0,
+            2n ** 64n - 1n
+        );
+        const domain = await issuer.certificateDomain(registrationContract, electionId);
+        const voterKeys = [lsag.generateKeyPair(), lsag.generateKeyPair(), lsag.generateKeyPair()];
+        for (const key of voterKeys) {
+            await registrationContract.storePub(
+                electionId,
+                await issuer.issueCertificate(government, domain, key.publicKeyBytes)
+            );
+        }
+        const ring = voterKeys.map((key) => key.publicKey);
+        await passDeadline(deadlines.certificate);
+        await registrationContract.freezeRing(electionId);
+
+        // Register each ring member anonymously
+        for (let i = 0; i < voterKeys.length; i++) {
+            const votingPubKey = votingWallets[i].address;
+            const message = await voterRegistrationContract.registrationMessage(electionId, votingPubKey);
+            const signature = lsag.sign(message, ring, i, voterKeys[i].privateKey);
+            await voterRegistrationContract.verify(electionId, lsag.encodeSignature(signature, ring), votingPubKey);
+        }
     });
 
     describe("Deployment", function () {
@@ -70,15 +152,17 @@ describe("VotingAndTallyingContract", function () {
         });
 
         it("Should initialize with correct default state", async function () {
-            expect(await votingAndTallyingContract.votingPhaseActive()).to.be.false;
-            expect(await votingAndTallyingContract.tallyingPhaseActive()).to.be.false;
-            expect(await votingAndTallyingContract.resultsFinalized()).to.be.false;
-            expect(await votingAndTallyingContract.totalVotesCast()).to.equal(0);
-            expect(await votingAndTallyingContract.totalVotesTallied()).to.equal(0);
+            expect(await votingAndTallyingContract.votingPhaseActive(electionId)).to.be.false;
+            expect(await votingAndTallyingContract.tallyingPhaseActive(electionId)).to.be.false;
+            expect(await votingAndTallyingContract.resultsFinalized(electionId)).to.be.false;
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(0);
+            expect(await votingAndTallyingContract.totalVotesTallied(electionId)).to.equal(0);
         });
 
         it("Should reject deployment with zero addresses", async function () {
-            const VotingAndTallyingContract = await ethers.getContractFactory("VotingAndTallyingContract");
+            const VotingAndTallyingContract = await ethers.getContractFactory("VotingAndTallyingContract", {
+                libraries: { EncryptedTally: encryptedTallyLibrary.target, RankedChoice: rankedChoiceLibrary.target }
+            });
             
             await expect(VotingAndTallyingContract.deploy(
                 ethers.ZeroAddress,
@@ -94,82 +178,181 @@ describe("VotingAndTallyingContract", function () {
 
     describe("Phase Management", function () {
         it("Should start voting phase successfully", async function () {
-            await expect(votingAndTallyingContract.connect(authority).startVotingPhase())
+            await passDeadline(deadlines.registration);
+            await expect(votingAndTallyingContract.connect(authority).startVotingPhase(electionId))
                 .to.emit(votingAndTallyingContract, "PhaseChanged")
-                .withArgs("voting", true);
+                .withArgs(electionId, "voting", true);
 
-            expect(await votingAndTallyingContract.votingPhaseActive()).to.be.true;
-            expect(await votingAndTallyingContract.tallyingPhaseActive()).to.be.false;
+            expect(await votingAndTallyingContract.votingPhaseActive(electionId)).to.be.true;
+            expect(await votingAndTallyingContract.tallyingPhaseActive(electionId)).to.be.false;
         });
 
         it("Should reject starting voting phase without proper setup", async function () {
-            // Reset election setup
-            await registrationContract.connect(authority).resetElectionSetup();
-            
-            await expect(votingAndTallyingContract.connect(authority).startVotingPhase())
+            const unknownElectionId = ethers.keccak256(ethers.toUtf8Bytes("UNKNOWN_ELECTION"));
+
+            await expect(votingAndTallyingContract.connect(authority).startVotingPhase(unknownElectionId))
                 .to.be.revertedWith("Election not setup");
         });
 
-        it("Should reject starting voting phase from non-authority", async function () {
-            await expect(votingAndTallyingContract.connect(voter1).startVotingPhase())
-                .to.be.revertedWith("Only election authority can call this function");
+        it("Should reject starting voting phase before the registration deadline", async function () {
+            await expect(votingAndTallyingContract.connect(authority).startVotingPhase(electionId))
+                .to.be.revertedWith("Registration deadline not reached");
+        });
+
+        it("Should reject closing voting or reveals before their deadlines", async function () {
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase(electionId))
+                .to.be.revertedWith("Voting deadline not reached");
+
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(electionId);
+            await expect(votingAndTallyingContract.connect(authority).finalizeResults(electionId))
+                .to.be.revertedWith("Reveal deadline not reached");
         });
 
         it("Should transition from voting to tallying phase", async function () {
-            await votingAndTallyingContract.connect(authority).startVotingPhase();
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(authority).startVotingPhase(electionId);
             
-            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase())
+            await passDeadline(deadlines.voting);
+            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase(electionId))
                 .to.emit(votingAndTallyingContract, "PhaseChanged")
-                .withArgs("voting", false)
+                .withArgs(electionId, "voting", false)
                 .and.to.emit(votingAndTallyingContract, "PhaseChanged")
-                .withArgs("tallying", true);
+                .withArgs(electionId, "tallying", true);
 
-            expect(await votingAndTallyingContract.votingPhaseActive()).to.be.false;
-            expect(await votingAndTallyingContract.tallyingPhaseActive()).to.be.true;
+            expect(await votingAndTallyingContract.votingPhaseActive(electionId)).to.be.false;
+            expect(await votingAndTallyingContract.tallyingPhaseActive(electionId)).to.be.true;
         });
 
         it("Should finalize results successfully", async function () {
-            await votingAndTallyingContract.connect(authority).startVotingPhase();
-            await votingAndTallyingContract.connect(authority).startTallyingPhase();
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(authority).startVotingPhase(electionId);
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.connect(authority).startTallyingPhase(electionId);
             
-            await expect(votingAndTallyingContract.connect(authority).finalizeResults())
+            await passDeadline(deadlines.reveal);
+            await expect(votingAndTallyingContract.connect(authority).finalizeResults(electionId))
                 .to.emit(votingAndTallyingContract, "PhaseChanged")
-                .withArgs("tallying", false)
+                .withArgs(electionId, "tallying", false)
                 .and.to.emit(votingAndTallyingContract, "ResultsFinalized");
 
-            expect(await votingAndTallyingContract.tallyingPhaseActive()).to.be.false;
-            expect(await votingAndTallyingContract.resultsFinalized()).to.be.true;
+            expect(await votingAndTallyingContract.tallyingPhaseActive(electionId)).to.be.false;
+            expect(await votingAndTallyingContract.resultsFinalized(electionId)).to.be.true;
+        });
+
+        it("Should not let the election be reset in any phase after registration", async function () {
+            const expectResetRejected = () => expect(
+                registrationContract.connect(authority).resetElectionSetup(electionId)
+            ).to.be.revertedWith("Ring frozen");
+
+            await expectResetRejected();
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            await expectResetRejected();
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(electionId);
+            await expectResetRejected();
+            await passDeadline(deadlines.reveal);
+            await votingAndTallyingContract.finalizeResults(electionId);
+            await expectResetRejected();
+
+            expect(await registrationContract.getCandidates(electionId)).to.deep.equal(candidates);
+        });
+
+        it("Should restrict every phase transition to phase operators until its deadline", async function () {
+            const PHASE_OPERATOR_ROLE = await registrationContract.PHASE_OPERATOR_ROLE();
+            await registrationContract.revokeRole(PHASE_OPERATOR_ROLE, owner.address);
+            await registrationContract.revokeRole(PHASE_OPERATOR_ROLE, authority.address);
+            await registrationContract.grantRole(PHASE_OPERATOR_ROLE, voter2.address);
+            const expectRejected = (transition) => expect(
+                votingAndTallyingContract.connect(voter1)[transition](electionId)
+            ).to.be.revertedWithCustomError(votingAndTallyingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(voter1.address, PHASE_OPERATOR_ROLE);
+
+            await expectRejected("startVotingPhase");
+            await expect(votingAndTallyingContract.connect(voter2).startVotingPhase(electionId))
+                .to.be.revertedWith("Registration deadline not reached");
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(voter2).startVotingPhase(electionId);
+
+            await expectRejected("startTallyingPhase");
+            await expect(votingAndTallyingContract.connect(voter2).startTallyingPhase(electionId))
+                .to.be.revertedWith("Voting deadline not reached");
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.connect(voter2).startTallyingPhase(electionId);
+
+            await expectRejected("finalizeResults");
+            await expect(votingAndTallyingContract.connect(voter2).finalizeResults(electionId))
+                .to.be.revertedWith("Reveal deadline not reached");
+        });
+
+        it("Should let anyone move to the next phase once its deadline has passed", async function () {
+            const PHASE_OPERATOR_ROLE = await registrationContract.PHASE_OPERATOR_ROLE();
+            await registrationContract.revokeRole(PHASE_OPERATOR_ROLE, owner.address);
+            await registrationContract.revokeRole(PHASE_OPERATOR_ROLE, authority.address);
+            expect(await registrationContract.isPhaseOperator(voter1.address)).to.equal(false);
+
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(voter1).startVotingPhase(electionId);
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.connect(voter1).startTallyingPhase(electionId);
+            await passDeadline(deadlines.reveal);
+            await votingAndTallyingContract.connect(voter1).finalizeResults(electionId);
+            expect(await votingAndTallyingContract.resultsFinalized(electionId)).to.be.true;
+        });
+
+        it("Should follow role changes made in RegistrationContract", async function () {
+            const ELECTION_ADMIN_ROLE = await registrationContract.ELECTION_ADMIN_ROLE();
+            const revealKey = revealEncryption.generateRevealKey().publicKey;
+
+            // Election admin changes are scheduled first and made once the timelock has passed
+            const delay = await registrationContract.electionAdminDelay();
+            await registrationContract.grantRole(ELECTION_ADMIN_ROLE, voter1.address);
+            await registrationContract.revokeRole(ELECTION_ADMIN_ROLE, authority.address);
+            await time.increase(delay);
+            await registrationContract.grantRole(ELECTION_ADMIN_ROLE, voter1.address);
+            await registrationContract.revokeRole(ELECTION_ADMIN_ROLE, authority.address);
+            await expect(votingAndTallyingContract.connect(authority).setRevealKey(electionId, revealKey))
+                .to.be.revertedWithCustomError(votingAndTallyingContract, "AccessControlUnauthorizedAccount")
+                .withArgs(authority.address, ELECTION_ADMIN_ROLE);
+            await votingAndTallyingContract.connect(voter1).setRevealKey(electionId, revealKey);
+            expect(await votingAndTallyingContract.revealKey(electionId)).to.equal(revealKey);
         });
 
         it("Should reject invalid phase transitions", async function () {
             // Try to start tallying without voting
-            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase())
+            await passDeadline(deadlines.voting);
+            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase(electionId))
                 .to.be.revertedWith("Voting phase must be active first");
 
             // Try to finalize without tallying
-            await expect(votingAndTallyingContract.connect(authority).finalizeResults())
+            await passDeadline(deadlines.reveal);
+            await expect(votingAndTallyingContract.connect(authority).finalizeResults(electionId))
                 .to.be.revertedWith("Tallying phase must be active");
         });
     });
 
     describe("Vote Casting", function () {
         beforeEach(async function () {
-            await votingAndTallyingContract.connect(authority).startVotingPhase();
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(authority).startVotingPhase(electionId);
         });
 
         it("Should cast vote successfully", async function () {
-            const signatureOnHash = ethers.toUtf8Bytes("signature_on_hash_1");
             const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash_1"));
             const voterIndex = 0;
+            const signatureOnHash = await signVoteHash(electionId, voterIndex, voteHash);
 
-            await expect(votingAndTallyingContract.voting(signatureOnHash, voteHash, voterIndex))
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, voterIndex))
                 .to.emit(votingAndTallyingContract, "VoteCast")
-                .withArgs(voterIndex, voteHash);
+                .withArgs(electionId, voterIndex, voteHash);
 
-            expect(await votingAndTallyingContract.hasVoted(voterIndex)).to.be.true;
-            expect(await votingAndTallyingContract.totalVotesCast()).to.equal(1);
+            expect(await votingAndTallyingContract.hasVoted(electionId, voterIndex)).to.be.true;
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(1);
 
-            const voteRecord = await votingAndTallyingContract.votes(voterIndex);
+            const voteRecord = await votingAndTallyingContract.votes(electionId, voterIndex);
             expect(voteRecord.voteSubmitted).to.be.true;
             expect(voteRecord.voteTallied).to.be.false;
             expect(voteRecord.voteHash).to.equal(voteHash);
@@ -180,7 +363,7 @@ describe("VotingAndTallyingContract", function () {
             const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash_999"));
             const invalidVoterIndex = 999;
 
-            await expect(votingAndTallyingContract.voting(signatureOnHash, voteHash, invalidVoterIndex))
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, invalidVoterIndex))
                 .to.be.revertedWith("Voter is not registered");
         });
 
@@ -189,37 +372,304 @@ describe("VotingAndTallyingContract", function () {
             const validSignature = ethers.toUtf8Bytes("signature");
             const validHash = ethers.keccak256(ethers.toUtf8Bytes("hash"));
 
-            await expect(votingAndTallyingContract.voting("0x", validHash, voterIndex))
+            await expect(votingAndTallyingContract.voting(electionId, "0x", validHash, voterIndex))
                 .to.be.revertedWith("Signature on hash cannot be empty");
 
-            await expect(votingAndTallyingContract.voting(validSignature, ethers.ZeroHash, voterIndex))
+            await expect(votingAndTallyingContract.voting(electionId, validSignature, ethers.ZeroHash, voterIndex))
                 .to.be.revertedWith("Vote hash cannot be empty");
         });
 
-        it("Should reject duplicate votes", async function () {
-            const signatureOnHash = ethers.toUtf8Bytes("signature_on_hash_1");
+        it("Should reject a resubmitted vote", async function () {
             const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash_1"));
             const voterIndex = 0;
+            const signatureOnHash = await signVoteHash(electionId, voterIndex, voteHash);
 
             // First vote should succeed
-            await votingAndTallyingContract.voting(signatureOnHash, voteHash, voterIndex);
+            await votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, voterIndex);
 
-            // Second vote should fail
-            await expect(votingAndTallyingContract.voting(signatureOnHash, voteHash, voterIndex))
-                .to.be.revertedWith("Vote already submitted");
+            // The signature was made for an empty slot, so the same transaction cannot be sent again
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, voterIndex))
+                .to.be.revertedWith("Invalid signature on vote hash");
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(1);
         });
 
         it("Should reject voting outside voting phase", async function () {
-            const signatureOnHash = ethers.toUtf8Bytes("signature_on_hash_1");
             const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash_1"));
             const voterIndex = 0;
+            const signatureOnHash = await signVoteHash(electionId, voterIndex, voteHash);
 
             // End voting phase
-            await votingAndTallyingContract.connect(authority).startTallyingPhase();
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.connect(authority).startTallyingPhase(electionId);
 
-            await expect(votingAndTallyingContract.voting(signatureOnHash, voteHash, voterIndex))
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, voterIndex))
                 .to.be.revertedWith("Voting phase is not active");
         });
+
+        it("Should reject voting after the voting deadline", async function () {
+            const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash_1"));
+            const signatureOnHash = await signVoteHash(electionId, 0, voteHash);
+
+            // Nobody has started tallying yet, the deadline alone closes voting
+            await passDeadline(deadlines.voting);
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, 0))
+                .to.be.revertedWith("Voting deadline passed");
+        });
+
+        it("Should cast a batch of votes and reject invalid ones individually", async function () {
+            const voteHashes = [1, 2, 3, 4].map((i) => ethers.keccak256(ethers.toUtf8Bytes(`vote_hash_${i}`)));
+            const signaturesOnHash = [
+                await signVoteHash(electionId, 0, voteHashes[0]),
+                await signVoteHash(electionId, 1, voteHashes[1]),
+                await signVoteHash(electionId, 2, voteHashes[2]),
+                ethers.toUtf8Bytes("signature_on_hash_4")
+            ];
+            // Voter 2 votes first, so their batched signature over an empty slot is stale
+            await votingAndTallyingContract.voting(electionId, await signVoteHash(electionId, 2, voteHashes[0]), voteHashes[0], 2);
+
+            const batch = [electionId, signaturesOnHash, voteHashes, [0, 1, 2, 999]];
+            expect(await votingAndTallyingContract.votingBatch.staticCall(...batch)).to.deep.equal([true, true, false, false]);
+            await expect(votingAndTallyingContract.votingBatch(...batch))
+                .to.emit(votingAndTallyingContract, "VoteCast").withArgs(electionId, 0, voteHashes[0])
+                .and.to.emit(votingAndTallyingContract, "VoteCast").withArgs(electionId, 1, voteHashes[1])
+                .and.to.emit(votingAndTallyingContract, "VoteRejected").withArgs(electionId, 2, "Invalid signature on vote hash")
+                .and.to.emit(votingAndTallyingContract, "VoteRejected").withArgs(electionId, 999, "Voter is not registered");
+
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(3);
+        });
+
+        it("Should reject empty and mismatched vote batches", async function () {
+            const signatureOnHash = ethers.toUtf8Bytes("signature_on_hash_1");
+            const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash_1"));
+
+            await expect(votingAndTallyingContract.votingBatch(electionId, [], [], []))
+                .to.be.revertedWith("Empty batch");
+            await expect(votingAndTallyingContract.votingBatch(electionId, [signatureOnHash], [voteHash, voteHash], [0, 1]))
+                .to.be.revertedWith("Batch length mismatch");
+        });
+
+        it("Should use less gas batching votes than casting them one by one", async function () {
+            const voteHashes = [0, 1, 2].map((i) => ethers.keccak256(ethers.toUtf8Bytes(`vote_hash_${i}`)));
+            const signaturesOnHash = [];
+            for (let i = 0; i < 3; i++) {
+                signaturesOnHash.push(await signVoteHash(electionId, i, voteHashes[i]));
+            }
+            const snapshot = await takeSnapshot();
+
+            let singleGas = 0n;
+            for (let i = 0; i < 3; i++) {
+                const tx = await votingAndTallyingContract.voting(electionId, signaturesOnHash[i], voteHashes[i], i);
+                singleGas += (await tx.wait()).gasUsed;
+            }
+            await snapshot.restore();
+            const batchTx = await votingAndTallyingContract.votingBatch(electionId, signaturesOnHash, voteHashes, [0, 1, 2]);
+            const batchGas = (await batchTx.wait()).gasUsed;
+
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(3);
+            // The batch saves at least the base cost of each transaction after the first
+            expect(batchGas).to.be.lessThan(singleGas - 21000n * 2n);
+        });
+    });
+
+    describe("Vote Authentication", function () {
+        const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash_1"));
+
+        beforeEach(async function () {
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(authority).startVotingPhase(electionId);
+        });
+
+        it("Should reject a vote front-run into a voter's slot with another key", async function () {
+            // An outsider and another registered voter both try to take voter 0's slot
+            const outsider = ethers.Wallet.createRandom();
+            await expect(votingAndTallyingContract.voting(electionId, await signVoteHash(electionId, 0, voteHash, outsider), voteHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+            await expect(votingAndTallyingContract.voting(electionId, await signVoteHash(electionId, 0, voteHash, votingWallets[1]), voteHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+
+            // The slot is still free for its owner
+            await votingAndTallyingContract.voting(electionId, await signVoteHash(electionId, 0, voteHash), voteHash, 0);
+            expect(await votingAndTallyingContract.hasVoted(electionId, 0)).to.be.true;
+        });
+
+        it("Should not let a front-runner swap the vote hash under a voter's signature", async function () {
+            const signatureOnHash = await signVoteHash(electionId, 0, voteHash);
+            const otherHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash_2"));
+
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, otherHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, 0))
+                .to.emit(votingAndTallyingContract, "VoteCast").withArgs(electionId, 0, voteHash);
+        });
+
+        it("Should not replay a vote signature into another voter's slot", async function () {
+            // Voter 0's signature names slot 0, so it is no good in slot 1 even though the hash is the same
+            const signatureOnHash = await signVoteHash(electionId, 0, voteHash);
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, 1))
+                .to.be.revertedWith("Invalid signature on vote hash");
+            expect(await votingAndTallyingContract.hasVoted(electionId, 1)).to.be.false;
+        });
+
+        it("Should not replay a vote signature from another contract", async function () {
+            const VotingAndTallyingContract = await ethers.getContractFactory("VotingAndTallyingContract", {
+                libraries: { EncryptedTally: encryptedTallyLibrary.target, RankedChoice: rankedChoiceLibrary.target }
+            });
+            const otherContract = await VotingAndTallyingContract.deploy(
+                voterRegistrationContract.target,
+                registrationContract.target
+            );
+            await otherContract.startVotingPhase(electionId);
+
+            // Both contracts read the same voter registrations, but the digest names the contract
+            const otherDigest = await otherContract.voteHashDigest(electionId, 0, voteHash);
+            expect(otherDigest).to.not.equal(await votingAndTallyingContract.voteHashDigest(electionId, 0, voteHash));
+            const signatureOnHash = votingWallets[0].signingKey.sign(otherDigest).serialized;
+            await otherContract.voting(electionId, signatureOnHash, voteHash, 0);
+
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+        });
+
+        it("Should reject malformed signatures", async function () {
+            const signatureOnHash = ethers.getBytes(await signVoteHash(electionId, 0, voteHash));
+
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash.slice(0, 64), voteHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+            await expect(votingAndTallyingContract.voting(electionId, ethers.toUtf8Bytes("signature_on_hash"), voteHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+            signatureOnHash[64] = 29;
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+        });
+
+        it("Should reject front-run votes individually in a batch", async function () {
+            const outsider = ethers.Wallet.createRandom();
+            const batch = [
+                electionId,
+                [await signVoteHash(electionId, 0, voteHash), await signVoteHash(electionId, 1, voteHash, outsider)],
+                [voteHash, voteHash],
+                [0, 1]
+            ];
+            await expect(votingAndTallyingContract.votingBatch(...batch))
+                .to.emit(votingAndTallyingContract, "VoteCast").withArgs(electionId, 0, voteHash)
+                .and.to.emit(votingAndTallyingContract, "VoteRejected").withArgs(electionId, 1, "Invalid signature on vote hash");
+            expect(await votingAndTallyingContract.hasVoted(electionId, 1)).to.be.false;
+        });
+    });
+
+    describe("Vote Revision", function () {
+        // Legacy commitment and reveal of a vote for candidates[candidateIndex]
+        function revision(candidateIndex, label) {
+            const actualVoteSignature = ethers.concat([candidates[candidateIndex], ethers.toUtf8Bytes(label)]);
+            return { actualVoteSignature, voteHash: ethers.keccak256(ethers.concat([actualVoteSignature, electionId])) };
+        }
+
+        async function revise(voterIndex, voteHash) {
+            return votingAndTallyingContract.voting(electionId, await signVoteHash(electionId, voterIndex, voteHash), voteHash, voterIndex);
+        }
+
+        beforeEach(async function () {
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+        });
+
+        it("Should replace a vote with a new commitment from the same voting key", async function () {
+            const [first, second] = [revision(0, "first"), revision(1, "second")];
+            await expect(revise(0, first.voteHash))
+                .to.emit(votingAndTallyingContract, "VoteCast").withArgs(electionId, 0, first.voteHash);
+            // A replacement emits the same event as a first vote
+            await expect(revise(0, second.voteHash))
+                .to.emit(votingAndTallyingContract, "VoteCast").withArgs(electionId, 0, second.voteHash);
+
+            const voteRecord = await votingAndTallyingContract.votes(electionId, 0);
+            expect(voteRecord.voteHash).to.equal(second.voteHash);
+            expect(voteRecord.replacements).to.equal(1);
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(1);
+        });
+
+        it("Should only tally the latest commitment", async function () {
+            const revisions = [revision(0, "coerced"), revision(1, "changed"), revision(2, "final")];
+            for (const { voteHash } of revisions) {
+                await revise(0, voteHash);
+            }
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(electionId);
+
+            for (const { actualVoteSignature } of revisions.slice(0, 2)) {
+                await expect(votingAndTallyingContract.tally(electionId, actualVoteSignature, 0))
+                    .to.be.revertedWith("Vote hash verification failed");
+            }
+            await votingAndTallyingContract.tally(electionId, revisions[2].actualVoteSignature, 0);
+
+            const [, voteCounts] = await votingAndTallyingContract.getTallyResults(electionId);
+            expect(voteCounts).to.deep.equal([0n, 0n, 1n]);
+        });
+
+        it("Should not restore a replaced vote from its old signature", async function () {
+            const [coerced, replacement] = [revision(0, "coerced"), revision(1, "replacement")];
+            const coercedSignature = await signVoteHash(electionId, 0, coerced.voteHash);
+            await votingAndTallyingContract.voting(electionId, coercedSignature, coerced.voteHash, 0);
+            const replacementSignature = await signVoteHash(electionId, 0, replacement.voteHash);
+            await votingAndTallyingContract.voting(electionId, replacementSignature, replacement.voteHash, 0);
+
+            // Each signature names the vote hash it replaced, so neither can be sent again
+            await expect(votingAndTallyingContract.voting(electionId, coercedSignature, coerced.voteHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+            await expect(votingAndTallyingContract.voting(electionId, replacementSignature, replacement.voteHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+            expect((await votingAndTallyingContract.votes(electionId, 0)).voteHash).to.equal(replacement.voteHash);
+        });
+
+        it("Should only accept replacements signed by the registered voting key", async function () {
+            const [first, second] = [revision(0, "first"), revision(1, "second")];
+            await revise(0, first.voteHash);
+
+            await expect(votingAndTallyingContract.voting(
+                electionId, await signVoteHash(electionId, 0, second.voteHash, votingWallets[1]), second.voteHash, 0
+            )).to.be.revertedWith("Invalid signature on vote hash");
+            expect((await votingAndTallyingContract.votes(electionId, 0)).voteHash).to.equal(first.voteHash);
+        });
+
+        it("Should accept replacements up to the limit", async function () {
+            const limit = await votingAndTallyingContract.MAX_VOTE_REPLACEMENTS();
+            for (let i = 0n; i <= limit; i++) {
+                await revise(0, revision(Number(i % 3n), `revision_${i}`).voteHash);
+            }
+            expect((await votingAndTallyingContract.votes(electionId, 0)).replacements).to.equal(limit);
+
+            const extra = revision(0, "extra");
+            await expect(revise(0, extra.voteHash)).to.be.revertedWith("Vote replacement limit reached");
+            await expect(votingAndTallyingContract.votingBatch(
+                electionId, [await signVoteHash(electionId, 0, extra.voteHash)], [extra.voteHash], [0]
+            )).to.emit(votingAndTallyingContract, "VoteRejected").withArgs(electionId, 0, "Vote replacement limit reached");
+            expect((await votingAndTallyingContract.votes(electionId, 0)).voteHash)
+                .to.equal(revision(Number(limit % 3n), `revision_${limit}`).voteHash);
+
+            // Other voters keep their own allowance
+            await revise(1, revision(0, "first").voteHash);
+            await revise(1, revision(1, "second").voteHash);
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(2);
+        });
+
+        it("Should accept replacements until voting closes", async function () {
+            await revise(0, revision(0, "first").voteHash);
+            await revise(0, revision(1, "second").voteHash);
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(1);
+
+            await passDeadline(deadlines.voting);
+            await expect(revise(0, revision(0, "late").voteHash)).to.be.revertedWith("Voting deadline passed");
+            await votingAndTallyingContract.startTallyingPhase(electionId);
+            await expect(revise(0, revision(0, "late").voteHash)).to.be.revertedWith("Voting phase is not active");
+        });
+
+        it("Should replace votes in a batch", async function () {
+            const [first, second] = [revision(0, "first"), revision(1, "second")];
+            await revise(0, first.voteHash);
+
+            const batch = [electionId, [await signVoteHash(electionId, 0, second.voteHash)], [second.voteHash], [0]];
+            await expect(votingAndTallyingContract.votingBatch(...batch))
+                .to.emit(votingAndTallyingContract, "VoteCast").withArgs(electionId, 0, second.voteHash);
+        });
     });
 
     describe("Vote Tallying", function () {
@@ -228,7 +678,8 @@ describe("VotingAndTallyingContract", function () {
 
         beforeEach(async function () {
             // Start voting phase and cast some votes
-            await votingAndTallyingContract.connect(authority).startVotingPhase();
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(authority).startVotingPhase(electionId);
 
             // Create vote signatures and hashes
             actualVoteSignature1 = ethers.concat([candidates[0], ethers.toUtf8Bytes("vote_sig_1")]);
@@ -237,34 +688,35 @@ describe("VotingAndTallyingContract", function () {
             voteHash1 = ethers.keccak256(ethers.concat([actualVoteSignature1, electionId]));
             voteHash2 = ethers.keccak256(ethers.concat([actualVoteSignature2, electionId]));
             
-            signatureOnHash1 = ethers.toUtf8Bytes("signature_on_hash_1");
-            signatureOnHash2 = ethers.toUtf8Bytes("signature_on_hash_2");
+            signatureOnHash1 = await signVoteHash(electionId, 0, voteHash1);
+            signatureOnHash2 = await signVoteHash(electionId, 1, voteHash2);
 
             // Cast votes
-            await votingAndTallyingContract.voting(signatureOnHash1, voteHash1, 0);
-            await votingAndTallyingContract.voting(signatureOnHash2, voteHash2, 1);
+            await votingAndTallyingContract.voting(electionId, signatureOnHash1, voteHash1, 0);
+            await votingAndTallyingContract.voting(electionId, signatureOnHash2, voteHash2, 1);
 
             // Start tallying phase
-            await votingAndTallyingContract.connect(authority).startTallyingPhase();
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.connect(authority).startTallyingPhase(electionId);
         });
 
         it("Should tally vote successfully", async function () {
-            await expect(votingAndTallyingContract.tally(actualVoteSignature1, 0))
+            await expect(votingAndTallyingContract.tally(electionId, actualVoteSignature1, 0))
                 .to.emit(votingAndTallyingContract, "VoteTallied")
-                .withArgs(0, candidates[0]);
+                .withArgs(electionId, 0, candidates[0]);
 
-            expect(await votingAndTallyingContract.isVoteTallied(0)).to.be.true;
-            expect(await votingAndTallyingContract.totalVotesTallied()).to.equal(1);
+            expect(await votingAndTallyingContract.isVoteTallied(electionId, 0)).to.be.true;
+            expect(await votingAndTallyingContract.totalVotesTallied(electionId)).to.equal(1);
 
-            const voteRecord = await votingAndTallyingContract.votes(0);
+            const voteRecord = await votingAndTallyingContract.votes(electionId, 0);
             expect(voteRecord.voteTallied).to.be.true;
         });
 
         it("Should update tally results correctly", async function () {
-            await votingAndTallyingContract.tally(actualVoteSignature1, 0);
-            await votingAndTallyingContract.tally(actualVoteSignature2, 1);
+            await votingAndTallyingContract.tally(electionId, actualVoteSignature1, 0);
+            await votingAndTallyingContract.tally(electionId, actualVoteSignature2, 1);
 
-            const [tallyCandidates, voteCounts] = await votingAndTallyingContract.getTallyResults();
+            const [tallyCandidates, voteCounts] = await votingAndTallyingContract.getTallyResults(electionId);
             
             expect(tallyCandidates.length).to.equal(3);
             expect(voteCounts[0]).to.equal(1); // candidates[0] should have 1 vote
@@ -275,7 +727,7 @@ describe("VotingAndTallyingContract", function () {
         it("Should reject tallying vote with wrong hash", async function () {
             const wrongSignature = ethers.concat([candidates[0], ethers.toUtf8Bytes("wrong_sig")]);
             
-            await expect(votingAndTallyingContract.tally(wrongSignature, 0))
+            await expect(votingAndTallyingContract.tally(electionId, wrongSignature, 0))
                 .to.be.revertedWith("Vote hash verification failed");
         });
 
@@ -283,29 +735,242 @@ describe("VotingAndTallyingContract", function () {
             const voterIndex = 2; // Voter who hasn't cast a vote
             const actualVoteSignature = ethers.concat([candidates[0], ethers.toUtf8Bytes("vote_sig")]);
             
-            await expect(votingAndTallyingContract.tally(actualVoteSignature, voterIndex))
+            await expect(votingAndTallyingContract.tally(electionId, actualVoteSignature, voterIndex))
                 .to.be.revertedWith("No vote submitted for this voter");
         });
 
         it("Should reject duplicate tallying", async function () {
-            await votingAndTallyingContract.tally(actualVoteSignature1, 0);
+            await votingAndTallyingContract.tally(electionId, actualVoteSignature1, 0);
             
-            await expect(votingAndTallyingContract.tally(actualVoteSignature1, 0))
+            await expect(votingAndTallyingContract.tally(electionId, actualVoteSignature1, 0))
                 .to.be.revertedWith("Vote already tallied");
         });
 
         it("Should reject tallying outside tallying phase", async function () {
-            await votingAndTallyingContract.connect(authority).finalizeResults();
+            await passDeadline(deadlines.reveal);
+            await votingAndTallyingContract.connect(authority).finalizeResults(electionId);
             
-            await expect(votingAndTallyingContract.tally(actualVoteSignature1, 0))
+            await expect(votingAndTallyingContract.tally(electionId, actualVoteSignature1, 0))
                 .to.be.revertedWith("Tallying phase is not active");
         });
+
+        it("Should reject reveals after the reveal deadline", async function () {
+            await passDeadline(deadlines.reveal);
+            await expect(votingAndTallyingContract.tally(electionId, actualVoteSignature1, 0))
+                .to.be.revertedWith("Reveal deadline passed");
+        });
+
+        it("Should tally a batch of reveals in one transaction", async function () {
+            await expect(votingAndTallyingContract.tallyBatch(electionId, [actualVoteSignature1, actualVoteSignature2], [0, 1]))
+                .to.emit(votingAndTallyingContract, "VoteTallied").withArgs(electionId, 0, candidates[0])
+                .and.to.emit(votingAndTallyingContract, "VoteTallied").withArgs(electionId, 1, candidates[1]);
+
+            expect(await votingAndTallyingContract.totalVotesTallied(electionId)).to.equal(2);
+            expect(await votingAndTallyingContract.tallyResults(electionId, candidates[0])).to.equal(1);
+            expect(await votingAndTallyingContract.tallyResults(electionId, candidates[1])).to.equal(1);
+        });
+
+        it("Should reject empty and mismatched reveal batches", async function () {
+            await expect(votingAndTallyingContract.tallyBatch(electionId, [], []))
+                .to.be.revertedWith("Empty batch");
+            await expect(votingAndTallyingContract.tallyBatch(electionId, [actualVoteSignature1], [0, 1]))
+                .to.be.revertedWith("Batch length mismatch");
+        });
+
+        it("Should reject invalid reveals in a batch individually", async function () {
+            const batch = [electionId, [actualVoteSignature2, actualVoteSignature1, actualVoteSignature1], [0, 1, 7]];
+            expect(await votingAndTallyingContract.tallyBatch.staticCall(...batch)).to.deep.equal([false, false, false]);
+
+            await votingAndTallyingContract.tally(electionId, actualVoteSignature1, 0);
+            await expect(votingAndTallyingContract.tallyBatch(electionId, [actualVoteSignature1, actualVoteSignature1, actualVoteSignature2], [0, 1, 1]))
+                .to.emit(votingAndTallyingContract, "RevealRejected").withArgs(electionId, 0, "Vote already tallied")
+                .and.to.emit(votingAndTallyingContract, "RevealRejected").withArgs(electionId, 1, "Vote hash verification failed")
+                .and.to.emit(votingAndTallyingContract, "VoteTallied").withArgs(electionId, 1, candidates[1]);
+            await expect(votingAndTallyingContract.tallyBatch(...batch))
+                .to.emit(votingAndTallyingContract, "RevealRejected").withArgs(electionId, 7, "Voter is not registered");
+
+            expect(await votingAndTallyingContract.totalVotesTallied(electionId)).to.equal(2);
+        });
+
+        it("Should use less gas batching reveals than tallying them one by one", async function () {
+            const snapshot = await takeSnapshot();
+            const singleGas = (await (await votingAndTallyingContract.tally(electionId, actualVoteSignature1, 0)).wait()).gasUsed +
+                (await (await votingAndTallyingContract.tally(electionId, actualVoteSignature2, 1)).wait()).gasUsed;
+            await snapshot.restore();
+            const batchTx = await votingAndTallyingContract.tallyBatch(electionId, [actualVoteSignature1, actualVoteSignature2], [0, 1]);
+            const batchGas = (await batchTx.wait()).gasUsed;
+
+            expect(await votingAndTallyingContract.totalVotesTallied(electionId)).to.equal(2);
+            // The batch saves at least the base cost of the second transaction
+            expect(batchGas).to.be.lessThan(singleGas - 21000n);
+        });
+    });
+
+    describe("Salted Commitments", function () {
+        const saltedElectionId = ethers.keccak256(ethers.toUtf8Bytes("SaltedElection2025"));
+        const saltedOnly = { ballotType: 0, seats: 1, maxSelections: 0, saltedCommitmentsOnly: true };
+
+        // Hiding commitment H(ballot, salt, L, kv) and the reveal σ'v || salt that opens it
+        function saltedVote(id, voterIndex, actualVoteSignature, ballot = ethers.dataSlice(actualVoteSignature, 0, 32)) {
+            const salt = ethers.hexlify(ethers.randomBytes(32));
+            const voteHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+                ["bytes32", "bytes32", "bytes32", "uint256"],
+                [ballot, salt, id, voterIndex]
+            ));
+            return { salt, voteHash, reveal: ethers.concat([actualVoteSignature, salt]) };
+        }
+
+        async function castVotes(id, voteHashes) {
+            for (let i = 0; i < voteHashes.length; i++) {
+                await votingAndTallyingContract.voting(id, await signVoteHash(id, i, voteHashes[i]), voteHashes[i], i);
+            }
+        }
+
+        it("Should tally a salted commitment opened with its salt", async function () {
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            const vote = saltedVote(electionId, 0, ethers.concat([candidates[2], ethers.toUtf8Bytes("vote_sig")]));
+            const legacyReveal = ethers.concat([candidates[1], ethers.toUtf8Bytes("vote_sig")]);
+            await castVotes(electionId, [vote.voteHash, ethers.keccak256(ethers.concat([legacyReveal, electionId]))]);
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(electionId);
+
+            // Legacy commitments are still accepted alongside salted ones until the election opts out
+            await expect(votingAndTallyingContract.tally(electionId, vote.reveal, 0))
+                .to.emit(votingAndTallyingContract, "VoteTallied")
+                .withArgs(electionId, 0, candidates[2]);
+            await votingAndTallyingContract.tally(electionId, legacyReveal, 1);
+
+            const [, voteCounts] = await votingAndTallyingContract.getTallyResults(electionId);
+            expect(voteCounts).to.deep.equal([0n, 1n, 1n]);
+        });
+
+        it("Should reject openings with the wrong salt, candidate or slot", async function () {
+            const electionDeadlines = await setupBallotElection(saltedElectionId, saltedOnly, 2);
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(saltedElectionId);
+            const actualVoteSignature = ethers.concat([candidates[0], ethers.toUtf8Bytes("vote_sig")]);
+            const vote = saltedVote(saltedElectionId, 0, actualVoteSignature);
+            await castVotes(saltedElectionId, [vote.voteHash, vote.voteHash]);
+            await passDeadline(electionDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(saltedElectionId);
+
+            const openings = [
+                ethers.concat([actualVoteSignature, ethers.hexlify(ethers.randomBytes(32))]),
+                ethers.concat([candidates[1], ethers.toUtf8Bytes("vote_sig"), vote.salt]),
+                actualVoteSignature,
+                "0x1234"
+            ];
+            for (const reveal of openings) {
+                await expect(votingAndTallyingContract.tally(saltedElectionId, reveal, 0))
+                    .to.be.revertedWith("Vote hash verification failed");
+            }
+            // The commitment is bound to voter index 0, so copying it into slot 1 cannot be opened there
+            await expect(votingAndTallyingContract.tally(saltedElectionId, vote.reveal, 1))
+                .to.be.revertedWith("Vote hash verification failed");
+
+            await votingAndTallyingContract.tally(saltedElectionId, vote.reveal, 0);
+            expect(await votingAndTallyingContract.isVoteTallied(saltedElectionId, 0)).to.be.true;
+        });
+
+        it("Should reject legacy commitments once an election accepts only salted ones", async function () {
+            const electionDeadlines = await setupBallotElection(saltedElectionId, saltedOnly, 1);
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(saltedElectionId);
+            const legacyReveal = ethers.concat([candidates[0], ethers.toUtf8Bytes("vote_sig")]);
+            await castVotes(saltedElectionId, [ethers.keccak256(ethers.concat([legacyReveal, saltedElectionId]))]);
+            await passDeadline(electionDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(saltedElectionId);
+
+            await expect(votingAndTallyingContract.tally(saltedElectionId, legacyReveal, 0))
+                .to.be.revertedWith("Vote hash verification failed");
+            await expect(votingAndTallyingContract.tallyBatch(saltedElectionId, [legacyReveal], [0]))
+                .to.emit(votingAndTallyingContract, "RevealRejected")
+                .withArgs(saltedElectionId, 0, "Vote hash verification failed");
+            expect(await votingAndTallyingContract.totalVotesTallied(saltedElectionId)).to.equal(0);
+        });
+
+        it("Should commit to the hash of a ranked ballot", async function () {
+            const electionDeadlines = await setupBallotElection(
+                saltedElectionId,
+                { ballotType: 1, seats: 1, maxSelections: 0, saltedCommitmentsOnly: true },
+                1
+            );
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(saltedElectionId);
+            const rankedBallot = ethers.concat(["0x02", candidates[2], candidates[0]]);
+            const vote = saltedVote(
+                saltedElectionId, 0, ethers.concat([rankedBallot, ethers.toUtf8Bytes("vote_sig")]), ethers.keccak256(rankedBallot)
+            );
+            await castVotes(saltedElectionId, [vote.voteHash]);
+            await passDeadline(electionDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(saltedElectionId);
+
+            await votingAndTallyingContract.tally(saltedElectionId, vote.reveal, 0);
+            const [, voteCounts] = await votingAndTallyingContract.getTallyResults(saltedElectionId);
+            expect(voteCounts).to.deep.equal([0n, 0n, 1n]);
+        });
+    });
+
+    describe("Encrypted Reveals", function () {
+        const revealKey = revealEncryption.generateRevealKey();
+
+        it("Should let the authority set the reveal key until voting starts", async function () {
+            await expect(votingAndTallyingContract.setRevealKey(electionId, revealKey.publicKey))
+                .to.be.revertedWithCustomError(votingAndTallyingContract, "AccessControlUnauthorizedAccount");
+            await expect(votingAndTallyingContract.connect(authority).setRevealKey(electionId, ethers.toBeHex(1, 32)))
+                .to.be.revertedWith("Invalid reveal key");
+
+            await expect(votingAndTallyingContract.connect(authority).setRevealKey(electionId, revealKey.publicKey))
+                .to.emit(votingAndTallyingContract, "RevealKeySet")
+                .withArgs(electionId, revealKey.publicKey);
+            expect(await votingAndTallyingContract.revealKey(electionId)).to.equal(revealKey.publicKey);
+
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            await expect(votingAndTallyingContract.connect(authority).setRevealKey(electionId, revealKey.publicKey))
+                .to.be.revertedWith("Voting already started");
+        });
+
+        it("Should reject encrypted reveals without a reveal key", async function () {
+            const actualVoteSignature = ethers.concat([candidates[2], ethers.toUtf8Bytes("vote_sig")]);
+            const voteHash = ethers.keccak256(ethers.concat([actualVoteSignature, electionId]));
+            const encryptedReveal = revealEncryption.encryptReveal(actualVoteSignature, revealKey.publicKey, electionId);
+
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            await expect(votingAndTallyingContract.votingWithReveal(electionId, await signVoteHash(electionId, 0, voteHash), voteHash, 0, encryptedReveal))
+                .to.be.revertedWith("Reveal key not set");
+        });
+
+        it("Should publish the encrypted reveal with the vote for anyone to tally", async function () {
+            await votingAndTallyingContract.connect(authority).setRevealKey(electionId, revealKey.publicKey);
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+
+            const actualVoteSignature = ethers.concat([candidates[2], ethers.toUtf8Bytes("vote_sig")]);
+            const voteHash = ethers.keccak256(ethers.concat([actualVoteSignature, electionId]));
+            const encryptedReveal = revealEncryption.encryptReveal(actualVoteSignature, revealKey.publicKey, electionId);
+            await expect(votingAndTallyingContract.votingWithReveal(electionId, await signVoteHash(electionId, 0, voteHash), voteHash, 0, encryptedReveal))
+                .to.emit(votingAndTallyingContract, "VoteCast").withArgs(electionId, 0, voteHash)
+                .and.to.emit(votingAndTallyingContract, "EncryptedRevealSubmitted").withArgs(electionId, 0, encryptedReveal);
+
+            // Plain votes deposit nothing
+            await expect(votingAndTallyingContract.voting(electionId, await signVoteHash(electionId, 1, voteHash), voteHash, 1))
+                .to.not.emit(votingAndTallyingContract, "EncryptedRevealSubmitted");
+
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(electionId);
+            const decrypted = revealEncryption.decryptReveal(encryptedReveal, revealKey.privateKey, electionId);
+            await votingAndTallyingContract.connect(addrs[0]).tallyBatch(electionId, [decrypted], [0]);
+            expect(await votingAndTallyingContract.tallyResults(electionId, candidates[2])).to.equal(1);
+        });
     });
 
     describe("Statistics and State", function () {
         it("Should return correct voting statistics", async function () {
             const [totalRegistered, votesCast, votesTallied, currentPhase] = 
-                await votingAndTallyingContract.getVotingStats();
+                await votingAndTallyingContract.getVotingStats(electionId);
 
             expect(totalRegistered).to.equal(3);
             expect(votesCast).to.equal(0);
@@ -313,39 +978,63 @@ describe("VotingAndTallyingContract", function () {
             expect(currentPhase).to.equal("setup");
         });
 
+        it("Should report deadlines and time remaining in the current phase", async function () {
+            let [, , , , reportedDeadlines, timeRemaining] = await votingAndTallyingContract.getVotingStats(electionId);
+            expect(reportedDeadlines.certificate).to.equal(deadlines.certificate);
+            expect(reportedDeadlines.registration).to.equal(deadlines.registration);
+            expect(reportedDeadlines.voting).to.equal(deadlines.voting);
+            expect(reportedDeadlines.reveal).to.equal(deadlines.reveal);
+            expect(timeRemaining).to.equal(deadlines.registration - BigInt(await time.latest()));
+
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            [, , , , , timeRemaining] = await votingAndTallyingContract.getVotingStats(electionId);
+            expect(timeRemaining).to.equal(deadlines.voting - BigInt(await time.latest()));
+
+            // Past the deadline, before anyone moves to tallying
+            await passDeadline(deadlines.voting + 60n);
+            [, , , , , timeRemaining] = await votingAndTallyingContract.getVotingStats(electionId);
+            expect(timeRemaining).to.equal(0);
+        });
+
         it("Should track phase changes in statistics", async function () {
-            await votingAndTallyingContract.connect(authority).startVotingPhase();
-            let [,, , phase] = await votingAndTallyingContract.getVotingStats();
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(authority).startVotingPhase(electionId);
+            let [,, , phase] = await votingAndTallyingContract.getVotingStats(electionId);
             expect(phase).to.equal("voting");
 
-            await votingAndTallyingContract.connect(authority).startTallyingPhase();
-            [,, , phase] = await votingAndTallyingContract.getVotingStats();
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.connect(authority).startTallyingPhase(electionId);
+            [,, , phase] = await votingAndTallyingContract.getVotingStats(electionId);
             expect(phase).to.equal("tallying");
 
-            await votingAndTallyingContract.connect(authority).finalizeResults();
-            [,, , phase] = await votingAndTallyingContract.getVotingStats();
+            await passDeadline(deadlines.reveal);
+            await votingAndTallyingContract.connect(authority).finalizeResults(electionId);
+            [,, , phase] = await votingAndTallyingContract.getVotingStats(electionId);
             expect(phase).to.equal("finalized");
         });
 
         it("Should correctly track vote and tally counts", async function () {
-            await votingAndTallyingContract.connect(authority).startVotingPhase();
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(authority).startVotingPhase(electionId);
 
             // Cast a vote
-            const signatureOnHash = ethers.toUtf8Bytes("signature_on_hash_1");
             const actualVoteSignature = ethers.concat([candidates[0], ethers.toUtf8Bytes("vote_sig_1")]);
             const voteHash = ethers.keccak256(ethers.concat([actualVoteSignature, electionId]));
+            const signatureOnHash = await signVoteHash(electionId, 0, voteHash);
 
-            await votingAndTallyingContract.voting(signatureOnHash, voteHash, 0);
+            await votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, 0);
 
-            let [, votesCast, votesTallied] = await votingAndTallyingContract.getVotingStats();
+            let [, votesCast, votesTallied] = await votingAndTallyingContract.getVotingStats(electionId);
             expect(votesCast).to.equal(1);
             expect(votesTallied).to.equal(0);
 
             // Start tallying and tally the vote
-            await votingAndTallyingContract.connect(authority).startTallyingPhase();
-            await votingAndTallyingContract.tally(actualVoteSignature, 0);
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.connect(authority).startTallyingPhase(electionId);
+            await votingAndTallyingContract.tally(electionId, actualVoteSignature, 0);
 
-            [, votesCast, votesTallied] = await votingAndTallyingContract.getVotingStats();
+            [, votesCast, votesTallied] = await votingAndTallyingContract.getVotingStats(electionId);
             expect(votesCast).to.equal(1);
             expect(votesTallied).to.equal(1);
         });
@@ -353,32 +1042,35 @@ describe("VotingAndTallyingContract", function () {
         it("Should correctly report vote status for individual voters", async function () {
             const voterIndex = 0;
             
-            expect(await votingAndTallyingContract.hasVoted(voterIndex)).to.be.false;
-            expect(await votingAndTallyingContract.isVoteTallied(voterIndex)).to.be.false;
+            expect(await votingAndTallyingContract.hasVoted(electionId, voterIndex)).to.be.false;
+            expect(await votingAndTallyingContract.isVoteTallied(electionId, voterIndex)).to.be.false;
 
-            await votingAndTallyingContract.connect(authority).startVotingPhase();
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(authority).startVotingPhase(electionId);
 
-            const signatureOnHash = ethers.toUtf8Bytes("signature_on_hash_1");
             const actualVoteSignature = ethers.concat([candidates[0], ethers.toUtf8Bytes("vote_sig_1")]);
             const voteHash = ethers.keccak256(ethers.concat([actualVoteSignature, electionId]));
+            const signatureOnHash = await signVoteHash(electionId, voterIndex, voteHash);
 
-            await votingAndTallyingContract.voting(signatureOnHash, voteHash, voterIndex);
+            await votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, voterIndex);
 
-            expect(await votingAndTallyingContract.hasVoted(voterIndex)).to.be.true;
-            expect(await votingAndTallyingContract.isVoteTallied(voterIndex)).to.be.false;
+            expect(await votingAndTallyingContract.hasVoted(electionId, voterIndex)).to.be.true;
+            expect(await votingAndTallyingContract.isVoteTallied(electionId, voterIndex)).to.be.false;
 
-            await votingAndTallyingContract.connect(authority).startTallyingPhase();
-            await votingAndTallyingContract.tally(actualVoteSignature, voterIndex);
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.connect(authority).startTallyingPhase(electionId);
+            await votingAndTallyingContract.tally(electionId, actualVoteSignature, voterIndex);
 
-            expect(await votingAndTallyingContract.hasVoted(voterIndex)).to.be.true;
-            expect(await votingAndTallyingContract.isVoteTallied(voterIndex)).to.be.true;
+            expect(await votingAndTallyingContract.hasVoted(electionId, voterIndex)).to.be.true;
+            expect(await votingAndTallyingContract.isVoteTallied(electionId, voterIndex)).to.be.true;
         });
     });
 
     describe("Full Election Workflow", function () {
         it("Should complete full election workflow successfully", async function () {
             // Start voting phase
-            await votingAndTallyingContract.connect(authority).startVotingPhase();
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.connect(authority).startVotingPhase(electionId);
 
             // Create and cast votes for all three voters
             const actualVoteSignatures = [
@@ -391,65 +1083,922 @@ describe("VotingAndTallyingContract", function () {
                 ethers.keccak256(ethers.concat([sig, electionId]))
             );
 
-            const signaturesOnHash = [
-                ethers.toUtf8Bytes("signature_on_hash_1"),
-                ethers.toUtf8Bytes("signature_on_hash_2"),
-                ethers.toUtf8Bytes("signature_on_hash_3")
-            ];
-
             // Cast all votes
             for (let i = 0; i < 3; i++) {
-                await votingAndTallyingContract.voting(signaturesOnHash[i], voteHashes[i], i);
+                await votingAndTallyingContract.voting(electionId, await signVoteHash(electionId, i, voteHashes[i]), voteHashes[i], i);
             }
 
-            expect(await votingAndTallyingContract.totalVotesCast()).to.equal(3);
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(3);
 
             // Start tallying phase
-            await votingAndTallyingContract.connect(authority).startTallyingPhase();
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.connect(authority).startTallyingPhase(electionId);
 
             // Tally all votes
             for (let i = 0; i < 3; i++) {
-                await votingAndTallyingContract.tally(actualVoteSignatures[i], i);
+                await votingAndTallyingContract.tally(electionId, actualVoteSignatures[i], i);
             }
 
-            expect(await votingAndTallyingContract.totalVotesTallied()).to.equal(3);
+            expect(await votingAndTallyingContract.totalVotesTallied(electionId)).to.equal(3);
 
             // Check final results
-            const [tallyCandidates, voteCounts] = await votingAndTallyingContract.getTallyResults();
+            const [tallyCandidates, voteCounts] = await votingAndTallyingContract.getTallyResults(electionId);
             expect(voteCounts[0]).to.equal(2); // candidates[0] should have 2 votes
             expect(voteCounts[1]).to.equal(1); // candidates[1] should have 1 vote
             expect(voteCounts[2]).to.equal(0); // candidates[2] should have 0 votes
 
             // Finalize results
-            await votingAndTallyingContract.connect(authority).finalizeResults();
-            expect(await votingAndTallyingContract.resultsFinalized()).to.be.true;
+            await passDeadline(deadlines.reveal);
+            await votingAndTallyingContract.connect(authority).finalizeResults(electionId);
+            expect(await votingAndTallyingContract.resultsFinalized(electionId)).to.be.true;
 
-            const [, , , finalPhase] = await votingAndTallyingContract.getVotingStats();
+            const [, , , finalPhase] = await votingAndTallyingContract.getVotingStats(electionId);
             expect(finalPhase).to.equal("finalized");
         });
     });
 
     describe("Access Control", function () {
-        it("Should restrict authority-only functions", async function () {
-            await expect(votingAndTallyingContract.connect(voter1).startVotingPhase())
-                .to.be.revertedWith("Only election authority can call this function");
-
-            await expect(votingAndTallyingContract.connect(voter1).startTallyingPhase())
-                .to.be.revertedWith("Only election authority can call this function");
+        it("Should let any phase operator move to the next phase once its deadline passes", async function () {
+            await registrationContract.grantRole(await registrationContract.PHASE_OPERATOR_ROLE(), voter1.address);
 
-            await expect(votingAndTallyingContract.connect(voter1).finalizeResults())
-                .to.be.revertedWith("Only election authority can call this function");
-        });
-
-        it("Should allow authority to perform all admin functions", async function () {
-            await expect(votingAndTallyingContract.connect(authority).startVotingPhase())
+            await passDeadline(deadlines.registration);
+            await expect(votingAndTallyingContract.connect(voter1).startVotingPhase(electionId))
                 .to.not.be.reverted;
 
-            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase())
+            await passDeadline(deadlines.voting);
+            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase(electionId))
                 .to.not.be.reverted;
 
-            await expect(votingAndTallyingContract.connect(authority).finalizeResults())
+            await passDeadline(deadlines.reveal);
+            await expect(votingAndTallyingContract.connect(voter1).finalizeResults(electionId))
                 .to.not.be.reverted;
         });
+
+        it("Should not let the authority move phases before their deadlines", async function () {
+            await expect(votingAndTallyingContract.connect(authority).startVotingPhase(electionId))
+                .to.be.revertedWith("Registration deadline not reached");
+        });
+    });
+
+    describe("Pause and Cancellation", function () {
+        let voteHash, actualVoteSignature;
+
+        beforeEach(async function () {
+            actualVoteSignature = ethers.concat([candidates[0], ethers.toUtf8Bytes("vote_sig_1")]);
+            voteHash = ethers.keccak256(ethers.concat([actualVoteSignature, electionId]));
+            await passDeadline(deadlines.registration);
+        });
+
+        it("Should halt phase changes, votes and reveals while paused and resume after", async function () {
+            await registrationContract.connect(authority).pause();
+            await expect(votingAndTallyingContract.startVotingPhase(electionId)).to.be.revertedWith("Election halted");
+            await registrationContract.connect(authority).unpause();
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            await votingAndTallyingContract.voting(electionId, await signVoteHash(electionId, 0, voteHash), voteHash, 0);
+
+            await registrationContract.connect(authority).pause();
+            const [, votesCast, , phase, , timeRemaining] = await votingAndTallyingContract.getVotingStats(electionId);
+            expect(votesCast).to.equal(1);
+            expect(phase).to.equal("paused");
+            expect(timeRemaining).to.equal(0);
+
+            const secondHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash_2"));
+            const secondSignature = await signVoteHash(electionId, 1, secondHash);
+            await expect(
+                votingAndTallyingContract.voting(electionId, secondSignature, secondHash, 1)
+            ).to.be.revertedWith("Election halted");
+            await passDeadline(deadlines.voting);
+            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase(electionId))
+                .to.be.revertedWith("Election halted");
+
+            // The voting time lost to the pause is given back, and the earlier vote is still there to reveal
+            await registrationContract.connect(authority).unpause();
+            const moved = await registrationContract.getDeadlines(electionId);
+            expect(moved.voting).to.be.greaterThan(deadlines.voting);
+            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase(electionId))
+                .to.be.revertedWith("Voting deadline not reached");
+            await votingAndTallyingContract.voting(electionId, secondSignature, secondHash, 1);
+            await passDeadline(moved.voting);
+            await votingAndTallyingContract.startTallyingPhase(electionId);
+            await registrationContract.connect(authority).pause();
+            await expect(votingAndTallyingContract.tally(electionId, actualVoteSignature, 0)).to.be.revertedWith("Election halted");
+            await registrationContract.connect(authority).unpause();
+            await votingAndTallyingContract.tally(electionId, actualVoteSignature, 0);
+
+            await passDeadline(moved.reveal);
+            await registrationContract.connect(authority).pause();
+            await expect(votingAndTallyingContract.finalizeResults(electionId)).to.be.revertedWith("Election halted");
+            await registrationContract.connect(authority).unpause();
+            await votingAndTallyingContract.finalizeResults(electionId);
+            const [, voteCounts] = await votingAndTallyingContract.getTallyResults(electionId);
+            expect(voteCounts[0]).to.equal(1);
+        });
+
+        it("Should never finalize a cancelled election", async function () {
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            await votingAndTallyingContract.voting(electionId, await signVoteHash(electionId, 0, voteHash), voteHash, 0);
+            await registrationContract.connect(authority).cancelElection(electionId, "Ballot misprint");
+
+            const [, , , phase, , timeRemaining] = await votingAndTallyingContract.getVotingStats(electionId);
+            expect(phase).to.equal("cancelled");
+            expect(timeRemaining).to.equal(0);
+
+            await passDeadline(deadlines.voting);
+            await expect(votingAndTallyingContract.connect(authority).startTallyingPhase(electionId))
+                .to.be.revertedWith("Election halted");
+            await passDeadline(deadlines.reveal);
+            await expect(votingAndTallyingContract.finalizeResults(electionId)).to.be.revertedWith("Election halted");
+            expect(await votingAndTallyingContract.resultsFinalized(electionId)).to.be.false;
+            await expect(votingAndTallyingContract.getTallyResults(electionId)).to.be.revertedWith("Election cancelled");
+        });
+    });
+
+    describe("Ranked-Choice Voting", function () {
+        const rankedElectionId = ethers.keccak256(ethers.toUtf8Bytes("MayorElection2025"));
+        const [alice, bob, carol] = candidates;
+        const rankedChoice = { ballotType: 1, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false };
+        let rankedDeadlines;
+
+        // Ranked ballot followed by the vote signature, as tally() reads it
+        function rankedVote(preferences) {
+            return ethers.concat([
+                ethers.toBeHex(preferences.length, 1),
+                ...preferences,
+                ethers.toUtf8Bytes("vote_sig")
+            ]);
+        }
+
+        it("Should default to plurality without instant-runoff rounds", async function () {
+            expect((await registrationContract.getBallotConfig(electionId)).ballotType).to.equal(0);
+
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(electionId);
+            await passDeadline(deadlines.reveal);
+            await expect(votingAndTallyingContract.finalizeResults(electionId))
+                .to.not.emit(votingAndTallyingContract, "InstantRunoffRound");
+            expect(await votingAndTallyingContract.rankedChoiceWinner(electionId)).to.equal(ethers.ZeroHash);
+        });
+
+        it("Should store ranked ballots and count first preferences while revealing", async function () {
+            rankedDeadlines = await setupBallotElection(rankedElectionId, rankedChoice, 2);
+            await castAndReveal(rankedElectionId, rankedDeadlines, [[bob, alice], [carol]].map(rankedVote));
+
+            expect(await votingAndTallyingContract.rankedBallots(rankedElectionId, 0)).to.equal("0x0100");
+            expect(await votingAndTallyingContract.rankedBallots(rankedElectionId, 1)).to.equal("0x02");
+            const [, voteCounts] = await votingAndTallyingContract.getTallyResults(rankedElectionId);
+            expect(voteCounts).to.deep.equal([0n, 1n, 1n]);
+            const [, , winners] = await votingAndTallyingContract.getTallyResults(rankedElectionId);
+            expect(winners).to.deep.equal([]);
+        });
+
+        it("Should transfer eliminated votes until a candidate has a majority", async function () {
+            rankedDeadlines = await setupBallotElection(rankedElectionId, rankedChoice, 5);
+            const ballots = [[alice, bob], [alice, carol], [bob, alice], [carol, bob], [carol, bob]];
+            await castAndReveal(rankedElectionId, rankedDeadlines, ballots.map(rankedVote));
+
+            // Round 1: Alice 2, Bob 1, Carol 2 of 5; Bob is eliminated and his ballot moves to Alice
+            await expect(votingAndTallyingContract.countRankedBallots(rankedElectionId, 100))
+                .to.emit(votingAndTallyingContract, "InstantRunoffRound")
+                .withArgs(rankedElectionId, 1, [2n, 1n, 2n], bob)
+                .and.to.emit(votingAndTallyingContract, "InstantRunoffRound")
+                .withArgs(rankedElectionId, 2, [3n, 0n, 2n], ethers.ZeroHash)
+                .and.to.emit(votingAndTallyingContract, "InstantRunoffWinner")
+                .withArgs(rankedElectionId, alice, 2);
+            await votingAndTallyingContract.finalizeResults(rankedElectionId);
+
+            expect(await votingAndTallyingContract.rankedChoiceWinner(rankedElectionId)).to.equal(alice);
+            const [, , winners] = await votingAndTallyingContract.getTallyResults(rankedElectionId);
+            expect(winners).to.deep.equal([alice]);
+        });
+
+        it("Should eliminate the last listed candidate on a tie and skip exhausted ballots", async function () {
+            rankedDeadlines = await setupBallotElection(rankedElectionId, rankedChoice, 2);
+            await castAndReveal(rankedElectionId, rankedDeadlines, [[alice], [bob]].map(rankedVote));
+
+            // Carol has no votes, then Alice and Bob tie and Bob (listed later) goes; his ballot is exhausted
+            await expect(votingAndTallyingContract.countRankedBallots(rankedElectionId, 100))
+                .to.emit(votingAndTallyingContract, "InstantRunoffRound")
+                .withArgs(rankedElectionId, 1, [1n, 1n, 0n], carol)
+                .and.to.emit(votingAndTallyingContract, "InstantRunoffRound")
+                .withArgs(rankedElectionId, 2, [1n, 1n, 0n], bob)
+                .and.to.emit(votingAndTallyingContract, "InstantRunoffRound")
+                .withArgs(rankedElectionId, 3, [1n, 0n, 0n], ethers.ZeroHash)
+                .and.to.emit(votingAndTallyingContract, "InstantRunoffWinner")
+                .withArgs(rankedElectionId, alice, 3);
+        });
+
+        it("Should report no winner when nobody voted", async function () {
+            rankedDeadlines = await setupBallotElection(rankedElectionId, rankedChoice, 1);
+            await castAndReveal(rankedElectionId, rankedDeadlines, []);
+
+            await expect(votingAndTallyingContract.countRankedBallots(rankedElectionId, 1))
+                .to.emit(votingAndTallyingContract, "InstantRunoffWinner")
+                .withArgs(rankedElectionId, ethers.ZeroHash, 1);
+            await votingAndTallyingContract.finalizeResults(rankedElectionId);
+        });
+
+        it("Should count the runoff in pages across transactions", async function () {
+            rankedDeadlines = await setupBallotElection(rankedElectionId, rankedChoice, 5);
+            const ballots = [[alice, bob], [alice, carol], [bob, alice], [carol, bob], [carol, bob]];
+            await castAndReveal(rankedElectionId, rankedDeadlines, ballots.map(rankedVote));
+
+            await expect(votingAndTallyingContract.finalizeResults(rankedElectionId))
+                .to.be.revertedWith("Instant-runoff not complete");
+
+            // Two ballots a page: round 1 ends in the third call, round 2 in the fifth
+            const pages = [];
+            for (let complete = false; !complete; ) {
+                complete = await votingAndTallyingContract.countRankedBallots.staticCall(rankedElectionId, 2);
+                pages.push(await votingAndTallyingContract.countRankedBallots(rankedElectionId, 2));
+            }
+            expect(pages.length).to.equal(5);
+            await expect(pages[2])
+                .to.emit(votingAndTallyingContract, "InstantRunoffRound")
+                .withArgs(rankedElectionId, 1, [2n, 1n, 2n], bob);
+            await expect(pages[4])
+                .to.emit(votingAndTallyingContract, "InstantRunoffWinner")
+                .withArgs(rankedElectionId, alice, 2);
+            await expect(votingAndTallyingContract.countRankedBallots(rankedElectionId, 2))
+                .to.be.revertedWith("Instant-runoff already complete");
+
+            await votingAndTallyingContract.finalizeResults(rankedElectionId);
+            const [, , winners] = await votingAndTallyingContract.getTallyResults(rankedElectionId);
+            expect(winners).to.deep.equal([alice]);
+        });
+
+        it("Should only count the runoff of a ranked election after the reveal deadline", async function () {
+            rankedDeadlines = await setupBallotElection(rankedElectionId, rankedChoice, 1);
+            await passDeadline(rankedDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(rankedElectionId);
+            await passDeadline(rankedDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(rankedElectionId);
+
+            await expect(votingAndTallyingContract.countRankedBallots(rankedElectionId, 10))
+                .to.be.revertedWith("Reveal deadline not reached");
+            await passDeadline(rankedDeadlines.reveal);
+            await expect(votingAndTallyingContract.countRankedBallots(rankedElectionId, 0))
+                .to.be.revertedWith("Invalid page size");
+
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            await passDeadline(deadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(electionId);
+            await passDeadline(deadlines.reveal);
+            await expect(votingAndTallyingContract.countRankedBallots(electionId, 10))
+                .to.be.revertedWith("Election does not use ranked ballots");
+        });
+
+        it("Should reject malformed preference lists", async function () {
+            const invalidBallots = [
+                [ethers.concat(["0x00", ethers.toUtf8Bytes("vote_sig")]), "Invalid preference count"],
+                [ethers.concat(["0x04", alice, bob, carol, alice]), "Invalid preference count"],
+                [ethers.concat(["0x02", alice]), "Invalid vote signature length"],
+                [rankedVote([alice, alice]), "Duplicate preference"],
+                [rankedVote([bob, ethers.keccak256(ethers.toUtf8Bytes("Nobody"))]), "Invalid candidate"]
+            ];
+            rankedDeadlines = await setupBallotElection(rankedElectionId, rankedChoice, invalidBallots.length);
+
+            // Each malformed ballot is committed by its own voter, then revealed
+            await passDeadline(rankedDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(rankedElectionId);
+            for (let i = 0; i < invalidBallots.length; i++) {
+                const voteHash = ethers.keccak256(ethers.concat([invalidBallots[i][0], rankedElectionId]));
+                await votingAndTallyingContract.voting(rankedElectionId, await signVoteHash(rankedElectionId, i, voteHash), voteHash, i);
+            }
+            await passDeadline(rankedDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(rankedElectionId);
+
+            for (let i = 0; i < invalidBallots.length; i++) {
+                const [ballot, reason] = invalidBallots[i];
+                await expect(votingAndTallyingContract.tally(rankedElectionId, ballot, i)).to.be.revertedWith(reason);
+            }
+        });
+    });
+
+    describe("Approval and Multi-Seat Voting", function () {
+        const approvalElectionId = ethers.keccak256(ethers.toUtf8Bytes("CouncilElection2025"));
+        const [alice, bob, carol] = candidates;
+
+        // Approval bitmap in place of the candidate, followed by the vote signature
+        function approvalVote(bitmap) {
+            return ethers.concat([ethers.toBeHex(bitmap, 32), ethers.toUtf8Bytes("vote_sig")]);
+        }
+
+        it("Should report the plurality winner", async function () {
+            const actualVoteSignature = ethers.concat([candidates[2], ethers.toUtf8Bytes("vote_sig")]);
+            await castAndReveal(electionId, deadlines, [actualVoteSignature]);
+
+            const [, voteCounts, winners] = await votingAndTallyingContract.getTallyResults(electionId);
+            expect(voteCounts).to.deep.equal([0n, 0n, 1n]);
+            expect(winners).to.deep.equal([carol]);
+        });
+
+        it("Should count an approval ballot toward every selected candidate", async function () {
+            const electionDeadlines = await setupBallotElection(approvalElectionId, { ballotType: 2, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false }, 3);
+
+            // Alice and Carol; Bob; all three
+            const reveals = [approvalVote(0b101), approvalVote(0b010), approvalVote(0b111)];
+            await castAndReveal(approvalElectionId, electionDeadlines, reveals);
+
+            const [, voteCounts, winners] = await votingAndTallyingContract.getTallyResults(approvalElectionId);
+            expect(voteCounts).to.deep.equal([2n, 2n, 2n]);
+            expect(winners).to.deep.equal([alice]);
+            expect(await votingAndTallyingContract.totalVotesTallied(approvalElectionId)).to.equal(3);
+        });
+
+        it("Should emit a tally event per approved candidate", async function () {
+            const electionDeadlines = await setupBallotElection(approvalElectionId, { ballotType: 2, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false }, 1);
+            const reveal = approvalVote(0b110);
+            const voteHash = ethers.keccak256(ethers.concat([reveal, approvalElectionId]));
+
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(approvalElectionId);
+            await votingAndTallyingContract.voting(approvalElectionId, await signVoteHash(approvalElectionId, 0, voteHash), voteHash, 0);
+            await passDeadline(electionDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(approvalElectionId);
+
+            await expect(votingAndTallyingContract.tally(approvalElectionId, reveal, 0))
+                .to.emit(votingAndTallyingContract, "VoteTallied")
+                .withArgs(approvalElectionId, 0, bob)
+                .and.to.emit(votingAndTallyingContract, "VoteTallied")
+                .withArgs(approvalElectionId, 0, carol);
+        });
+
+        it("Should elect the configured number of seats, most votes first", async function () {
+            // Choose up to two of three for two seats
+            const electionDeadlines = await setupBallotElection(approvalElectionId, { ballotType: 2, seats: 2, maxSelections: 2, saltedCommitmentsOnly: false }, 4);
+            const reveals = [approvalVote(0b110), approvalVote(0b100), approvalVote(0b011), approvalVote(0b100)];
+            await castAndReveal(approvalElectionId, electionDeadlines, reveals);
+            await votingAndTallyingContract.finalizeResults(approvalElectionId);
+
+            const [, voteCounts, winners] = await votingAndTallyingContract.getTallyResults(approvalElectionId);
+            expect(voteCounts).to.deep.equal([1n, 2n, 3n]);
+            expect(winners).to.deep.equal([carol, bob]);
+        });
+
+        it("Should leave seats empty rather than elect candidates without votes", async function () {
+            const electionDeadlines = await setupBallotElection(approvalElectionId, { ballotType: 2, seats: 3, maxSelections: 0, saltedCommitmentsOnly: false }, 1);
+            await castAndReveal(approvalElectionId, electionDeadlines, [approvalVote(0b010)]);
+
+            const [, , winners] = await votingAndTallyingContract.getTallyResults(approvalElectionId);
+            expect(winners).to.deep.equal([bob]);
+        });
+
+        it("Should reject empty, oversized and out-of-range approval ballots", async function () {
+            const invalidBallots = [
+                [approvalVote(0), "Empty approval ballot"],
+                [approvalVote(0b1000), "Invalid candidate"],
+                [approvalVote(0b111), "Too many selections"],
+                [ethers.toBeHex(1, 16), "Invalid vote signature length"]
+            ];
+            const electionDeadlines = await setupBallotElection(
+                approvalElectionId,
+                { ballotType: 2, seats: 2, maxSelections: 2, saltedCommitmentsOnly: false },
+                invalidBallots.length
+            );
+
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(approvalElectionId);
+            for (let i = 0; i < invalidBallots.length; i++) {
+                const voteHash = ethers.keccak256(ethers.concat([invalidBallots[i][0], approvalElectionId]));
+                await votingAndTallyingContract.voting(approvalElectionId, await signVoteHash(approvalElectionId, i, voteHash), voteHash, i);
+            }
+            await passDeadline(electionDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(approvalElectionId);
+
+            for (let i = 0; i < invalidBallots.length; i++) {
+                const [ballot, reason] = invalidBallots[i];
+                await expect(votingAndTallyingContract.tally(approvalElectionId, ballot, i)).to.be.revertedWith(reason);
+            }
+        });
+    });
+
+    describe("Encrypted Voting", function () {
+        const encryptedElectionId = ethers.keccak256(ethers.toUtf8Bytes("EncryptedElection2025"));
+        const encryptedConfig = { ballotType: 3, seats: 1, maxSelections: 0, saltedCommitmentsOnly: false };
+        let electionDeadlines;
+        let trustees;
+        let tallyKeys;
+
+        // Joint key generation between `count` trustees, any `threshold` of whom can decrypt
+        function generateTallyKeys(threshold, count) {
+            const dealings = Array.from({ length: count }, () => trustee.createDealing(threshold, count));
+            const keys = trustee.deriveTallyKeys(dealings.map((dealing) => dealing.commitments), count);
+            keys.secretShares = Array.from({ length: count }, (_, j) => trustee.combineDealings(
+                j + 1,
+                dealings.map((dealing) => ({ commitments: dealing.commitments, share: dealing.shares[j] }))
+            ));
+            return keys;
+        }
+
+        async function setTallyTrustees(id = encryptedElectionId) {
+            return votingAndTallyingContract.connect(authority).setTallyTrustees(
+                id,
+                tallyKeys.publicKey,
+                2,
+                trustees.map((signer) => signer.address),
+                tallyKeys.verificationKeys
+            );
+        }
+
+        // Ballot for candidateIndex with proofs bound to a voter's slot
+        async function encryptedBallot(candidateIndex, voterIndex, id = encryptedElectionId) {
+            const context = await votingAndTallyingContract.ballotContext(id, voterIndex);
+            return elgamal.encryptBallot(candidateIndex, candidates.length, tallyKeys.publicKey, context);
+        }
+
+        // Sign a ballot's hash as the voter at voterIndex
+        function signBallot(ballot, voterIndex, id = encryptedElectionId) {
+            return signVoteHash(id, voterIndex, elgamal.ballotHash(ballot));
+        }
+
+        // Cast one encrypted ballot per voter and open tallying
+        async function castEncrypted(choices) {
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(encryptedElectionId);
+            for (let i = 0; i < choices.length; i++) {
+                const ballot = await encryptedBallot(choices[i], i);
+                await votingAndTallyingContract.votingEncrypted(encryptedElectionId, ballot, await signBallot(ballot, i), i);
+            }
+            await passDeadline(electionDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(encryptedElectionId);
+        }
+
+        // Decryption share of trustee `position` (0-based) over the current aggregates
+        async function decryptionShare(position, secretShare = tallyKeys.secretShares[position]) {
+            const { a } = await trustee.fetchEncryptedTally(votingAndTallyingContract, encryptedElectionId);
+            const context = await votingAndTallyingContract.decryptionContext(encryptedElectionId, position + 1);
+            return trustee.createDecryptionShare(secretShare, a, context);
+        }
+
+        async function postShare(position) {
+            const { shares, proofs } = await decryptionShare(position);
+            return votingAndTallyingContract.connect(trustees[position]).submitDecryptionShare(encryptedElectionId, shares, proofs);
+        }
+
+        beforeEach(async function () {
+            electionDeadlines = await setupBallotElection(encryptedElectionId, encryptedConfig, 3);
+            trustees = addrs.slice(0, 3);
+            tallyKeys = generateTallyKeys(2, 3);
+        });
+
+        it("Should register the trustees and their keys", async function () {
+            await expect(setTallyTrustees())
+                .to.emit(votingAndTallyingContract, "TallyTrusteesSet")
+                .withArgs(encryptedElectionId, tallyKeys.publicKey, 2, trustees.map((signer) => signer.address));
+
+            const [publicKey, threshold, trusteeAddresses, verificationKeys] =
+                await votingAndTallyingContract.getTallyTrustees(encryptedElectionId);
+            expect(publicKey).to.deep.equal(tallyKeys.publicKey);
+            expect(threshold).to.equal(2);
+            expect(trusteeAddresses).to.deep.equal(trustees.map((signer) => signer.address));
+            expect(verificationKeys).to.deep.equal(tallyKeys.verificationKeys);
+
+            const [index] = await votingAndTallyingContract.getDecryptionShare(encryptedElectionId, trustees[2].address);
+            expect(index).to.equal(3);
+        });
+
+        it("Should start a reset election's tally setup over with its new candidate list", async function () {
+            const resetElectionId = ethers.keccak256(ethers.toUtf8Bytes("ResetEncryptedElection2025"));
+            const now = BigInt(await time.latest());
+            await registrationContract.connect(authority)["storePollParams(bytes32,bytes32[],bytes32,(uint64,uint64,uint64,uint64),(uint8,uint8,uint8,bool))"](
+                resetElectionId,
+                candidates.slice(0, 2),
+                ethers.keccak256(ethers.toUtf8Bytes("random_challenge")),
+                { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n },
+                encryptedConfig
+            );
+            await setTallyTrustees(resetElectionId);
+            await votingAndTallyingContract.connect(authority).setRevealKey(resetElectionId, revealEncryption.generateRevealKey().publicKey);
+
+            // Set up again with a third candidate: trustees and the reveal key have to be set again
+            await registrationContract.connect(authority).resetElectionSetup(resetElectionId);
+            const resetDeadlines = await setupBallotElection(resetElectionId, encryptedConfig, 1);
+            const [, threshold, trusteeAddresses] = await votingAndTallyingContract.getTallyTrustees(resetElectionId);
+            expect(threshold).to.equal(0);
+            expect(trusteeAddresses).to.deep.equal([]);
+            expect(await votingAndTallyingContract.revealKey(resetElectionId)).to.equal("0x");
+
+            await setTallyTrustees(resetElectionId);
+            await passDeadline(resetDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(resetElectionId);
+            const ballot = await encryptedBallot(2, 0, resetElectionId);
+            await votingAndTallyingContract.votingEncrypted(resetElectionId, ballot, await signBallot(ballot, 0, resetElectionId), 0);
+
+            const { a, b } = await trustee.fetchEncryptedTally(votingAndTallyingContract, resetElectionId);
+            expect(a.length).to.equal(candidates.length);
+            expect(b.length).to.equal(candidates.length);
+        });
+
+        it("Should reject invalid trustee setups", async function () {
+            const addresses = trustees.map((signer) => signer.address);
+            const { publicKey, verificationKeys } = tallyKeys;
+            const setup = (...args) => votingAndTallyingContract.connect(authority).setTallyTrustees(...args);
+
+            await expect(votingAndTallyingContract.connect(voter1).setTallyTrustees(
+                encryptedElectionId, publicKey, 2, addresses, verificationKeys
+            )).to.be.revertedWithCustomError(votingAndTallyingContract, "AccessControlUnauthorizedAccount");
+            await expect(setup(electionId, publicKey, 2, addresses, verificationKeys))
+                .to.be.revertedWith("Election does not use encrypted ballots");
+            await expect(setup(encryptedElectionId, publicKey, 0, addresses, verificationKeys))
+                .to.be.revertedWith("Invalid threshold");
+            await expect(setup(encryptedElectionId, publicKey, 4, addresses, verificationKeys))
+                .to.be.revertedWith("Invalid threshold");
+            await expect(setup(encryptedElectionId, publicKey, 2, addresses.slice(0, 2), verificationKeys))
+                .to.be.revertedWith("Trustee key count mismatch");
+            await expect(setup(encryptedElectionId, [1n, 3n], 2, addresses, verificationKeys))
+                .to.be.revertedWith("Invalid tally public key");
+            await expect(setup(encryptedElectionId, publicKey, 2, [addresses[0], addresses[0], addresses[1]], verificationKeys))
+                .to.be.revertedWith("Duplicate trustee");
+
+            await setTallyTrustees();
+            await expect(setTallyTrustees()).to.be.revertedWith("Tally trustees already set");
+        });
+
+        it("Should reject trustee keys that do not share the tally key", async function () {
+            const addresses = trustees.map((signer) => signer.address);
+            const { publicKey, verificationKeys } = tallyKeys;
+            const setup = (...args) => votingAndTallyingContract.connect(authority).setTallyTrustees(...args);
+
+            // A tally key no quorum of trustees can decrypt for
+            await expect(setup(encryptedElectionId, verificationKeys[0], 2, addresses, verificationKeys))
+                .to.be.revertedWith("Tally public key does not match trustee keys");
+
+            // The first two keys match the tally key, but the third trustee's share is off the polynomial
+            const offPolynomial = generateTallyKeys(2, 3).verificationKeys[2];
+            await expect(setup(encryptedElectionId, publicKey, 2, addresses, [...verificationKeys.slice(0, 2), offPolynomial]))
+                .to.be.revertedWith("Inconsistent trustee keys");
+
+            // With every trustee needed there is no other key to check
+            const allOfThree = generateTallyKeys(3, 3);
+            await setup(encryptedElectionId, allOfThree.publicKey, 3, addresses, allOfThree.verificationKeys);
+        });
+
+        it("Should not open voting before the trustees are set", async function () {
+            await passDeadline(electionDeadlines.registration);
+            await expect(votingAndTallyingContract.startVotingPhase(encryptedElectionId))
+                .to.be.revertedWith("Tally trustees not set");
+
+            await setTallyTrustees();
+            await votingAndTallyingContract.startVotingPhase(encryptedElectionId);
+        });
+
+        it("Should aggregate ballots without revealing them and decrypt with a threshold of trustees", async function () {
+            await setTallyTrustees();
+            await castEncrypted([1, 2, 1]);
+
+            // Nothing is counted in the clear, and no voter has to come back
+            const [, countsBefore] = await votingAndTallyingContract.getTallyResults(encryptedElectionId);
+            expect(countsBefore).to.deep.equal([0n, 0n, 0n]);
+            expect(await votingAndTallyingContract.isVoteTallied(encryptedElectionId, 0)).to.be.true;
+            expect(await votingAndTallyingContract.totalVotesTallied(encryptedElectionId)).to.equal(3);
+
+            // Trustees 3 and 1 decrypt; trustee 2 never shows up
+            await expect(postShare(2))
+                .to.emit(votingAndTallyingContract, "DecryptionShareSubmitted")
+                .withArgs(encryptedElectionId, trustees[2].address, 3);
+            await postShare(0);
+
+            const { b } = await trustee.fetchEncryptedTally(votingAndTallyingContract, encryptedElectionId);
+            const decryptionShares = [];
+            for (const position of [2, 0]) {
+                const [index, shares] = await votingAndTallyingContract.getDecryptionShare(
+                    encryptedElectionId,
+                    trustees[position].address
+                );
+                decryptionShares.push({ index, shares });
+            }
+            const voteCounts = trustee.combineDecryptionShares(b, decryptionShares, 3);
+            expect(voteCounts).to.deep.equal([0n, 2n, 1n]);
+
+            await expect(votingAndTallyingContract.decryptTally(encryptedElectionId, voteCounts))
+                .to.emit(votingAndTallyingContract, "EncryptedTallyDecrypted")
+                .withArgs(encryptedElectionId, voteCounts);
+
+            await passDeadline(electionDeadlines.reveal);
+            await votingAndTallyingContract.finalizeResults(encryptedElectionId);
+            const [, finalCounts, winners] = await votingAndTallyingContract.getTallyResults(encryptedElectionId);
+            expect(finalCounts).to.deep.equal([0n, 2n, 1n]);
+            expect(winners).to.deep.equal([candidates[1]]);
+        });
+
+        it("Should decrypt through the trustee tool", async function () {
+            await setTallyTrustees();
+            await castEncrypted([0, 0, 2]);
+
+            for (const position of [1, 2]) {
+                await trustee.submitDecryptionShare(
+                    votingAndTallyingContract.connect(trustees[position]),
+                    encryptedElectionId,
+                    tallyKeys.secretShares[position]
+                );
+            }
+            await trustee.decryptTally(votingAndTallyingContract, encryptedElectionId);
+
+            const [, voteCounts] = await votingAndTallyingContract.getTallyResults(encryptedElectionId);
+            expect(voteCounts).to.deep.equal([2n, 0n, 1n]);
+            const [, , shareIndices, decrypted] = await votingAndTallyingContract.getEncryptedTally(encryptedElectionId);
+            expect(shareIndices).to.deep.equal([2n, 3n]);
+            expect(decrypted).to.be.true;
+        });
+
+        it("Should only accept encrypted ballots in encrypted elections", async function () {
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            const ballot = await encryptedBallot(0, 0);
+            await expect(votingAndTallyingContract.votingEncrypted(electionId, ballot, await signBallot(ballot, 0, electionId), 0))
+                .to.be.revertedWith("Election does not use encrypted ballots");
+
+            await setTallyTrustees();
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(encryptedElectionId);
+            const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash"));
+            await expect(votingAndTallyingContract.voting(
+                encryptedElectionId,
+                await signVoteHash(encryptedElectionId, 0, voteHash),
+                voteHash,
+                0
+            )).to.be.revertedWith("Election uses encrypted ballots");
+        });
+
+        it("Should reject invalid and replayed ballots", async function () {
+            await setTallyTrustees();
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(encryptedElectionId);
+            const cast = async (ballot, voterIndex) =>
+                votingAndTallyingContract.votingEncrypted(encryptedElectionId, ballot, await signBallot(ballot, voterIndex), voterIndex);
+
+            // A ballot with proofs for voter 0 cannot be cast in voter 1's slot
+            const ballot = await encryptedBallot(1, 0);
+            await expect(cast(ballot, 1)).to.be.revertedWith("Invalid ballot proof");
+
+            // A ballot signed by another voter's key cannot take voter 0's slot
+            const foreignSignature = await signVoteHash(encryptedElectionId, 0, elgamal.ballotHash(ballot), votingWallets[1]);
+            await expect(votingAndTallyingContract.votingEncrypted(encryptedElectionId, ballot, foreignSignature, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+
+            // Two votes: each ciphertext is a valid bit, but they do not add up to one
+            const context = await votingAndTallyingContract.ballotContext(encryptedElectionId, 1);
+            const doubleVote = { a: [], b: [], bitProofs: [], sumProof: null };
+            let randomness = 0n;
+            for (const value of [1, 1, 0]) {
+                const ciphertext = elgamal.encrypt(value, tallyKeys.publicKey);
+                doubleVote.a.push(ciphertext.a);
+                doubleVote.b.push(ciphertext.b);
+                doubleVote.bitProofs.push(elgamal.proveBit(context, tallyKeys.publicKey, ciphertext, value));
+                randomness += ciphertext.randomness;
+            }
+            doubleVote.sumProof = elgamal.proveEquality(context, tallyKeys.publicKey, randomness);
+            await expect(cast(doubleVote, 1)).to.be.revertedWith("Invalid ballot sum proof");
+
+            // A ciphertext of 2 has no valid bit proof
+            const two = elgamal.encrypt(2, tallyKeys.publicKey);
+            const overVote = await encryptedBallot(0, 1);
+            overVote.a[0] = two.a;
+            overVote.b[0] = two.b;
+            overVote.bitProofs[0] = elgamal.proveBit(context, tallyKeys.publicKey, two, 1);
+            await expect(cast(overVote, 1)).to.be.revertedWith("Invalid ballot proof");
+
+            await expect(cast({ ...ballot, bitProofs: ballot.bitProofs.slice(1) }, 0))
+                .to.be.revertedWith("Invalid encrypted ballot length");
+
+            await expect(cast(ballot, 0))
+                .to.emit(votingAndTallyingContract, "VoteCast")
+                .withArgs(encryptedElectionId, 0, elgamal.ballotHash(ballot));
+        });
+
+        it("Should replace an encrypted ballot and count only the latest one", async function () {
+            await setTallyTrustees();
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(encryptedElectionId);
+
+            const first = await encryptedBallot(0, 0);
+            const firstSignature = await signBallot(first, 0);
+            await votingAndTallyingContract.votingEncrypted(encryptedElectionId, first, firstSignature, 0);
+            const other = await encryptedBallot(1, 1);
+            await votingAndTallyingContract.votingEncrypted(encryptedElectionId, other, await signBallot(other, 1), 1);
+
+            // The replacement signs over the ballot it replaces
+            const second = await encryptedBallot(2, 0);
+            await expect(votingAndTallyingContract.votingEncrypted(encryptedElectionId, second, await signBallot(second, 0), 0))
+                .to.emit(votingAndTallyingContract, "VoteCast")
+                .withArgs(encryptedElectionId, 0, elgamal.ballotHash(second));
+            expect(await votingAndTallyingContract.totalVotesCast(encryptedElectionId)).to.equal(2);
+            expect(await votingAndTallyingContract.totalVotesTallied(encryptedElectionId)).to.equal(2);
+
+            // The first ballot cannot come back with its old signature
+            await expect(votingAndTallyingContract.votingEncrypted(encryptedElectionId, first, firstSignature, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+
+            await passDeadline(electionDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(encryptedElectionId);
+            for (const position of [0, 1]) {
+                await trustee.submitDecryptionShare(
+                    votingAndTallyingContract.connect(trustees[position]),
+                    encryptedElectionId,
+                    tallyKeys.secretShares[position]
+                );
+            }
+            await trustee.decryptTally(votingAndTallyingContract, encryptedElectionId);
+            const [, voteCounts] = await votingAndTallyingContract.getTallyResults(encryptedElectionId);
+            expect(voteCounts).to.deep.equal([0n, 1n, 1n]);
+        });
+
+        it("Should reject invalid decryption shares and counts", async function () {
+            await setTallyTrustees();
+            await castEncrypted([1, 1]);
+
+            const { shares, proofs } = await decryptionShare(0);
+            await expect(votingAndTallyingContract.connect(voter1).submitDecryptionShare(encryptedElectionId, shares, proofs))
+                .to.be.revertedWith("Only tally trustees can call this function");
+
+            // Trustee 1 posting a share made with another key, or with the wrong proof context
+            const forged = await decryptionShare(0, tallyKeys.secretShares[1]);
+            await expect(votingAndTallyingContract.connect(trustees[0]).submitDecryptionShare(
+                encryptedElectionId, forged.shares, forged.proofs
+            )).to.be.revertedWith("Invalid decryption proof");
+            const misplaced = await decryptionShare(1, tallyKeys.secretShares[0]);
+            await expect(votingAndTallyingContract.connect(trustees[0]).submitDecryptionShare(
+                encryptedElectionId, misplaced.shares, misplaced.proofs
+            )).to.be.revertedWith("Invalid decryption proof");
+            await expect(votingAndTallyingContract.connect(trustees[0]).submitDecryptionShare(
+                encryptedElectionId, shares.slice(1), proofs.slice(1)
+            )).to.be.revertedWith("Invalid share count");
+
+            await postShare(0);
+            await expect(postShare(0)).to.be.revertedWith("Decryption share already submitted");
+            await expect(votingAndTallyingContract.decryptTally(encryptedElectionId, [0, 2, 0]))
+                .to.be.revertedWith("Not enough decryption shares");
+
+            await postShare(1);
+            await expect(votingAndTallyingContract.decryptTally(encryptedElectionId, [1, 1, 0]))
+                .to.be.revertedWith("Vote count does not match tally");
+            await expect(votingAndTallyingContract.decryptTally(encryptedElectionId, [0, 2]))
+                .to.be.revertedWith("Invalid vote count length");
+
+            await passDeadline(electionDeadlines.reveal);
+            await expect(votingAndTallyingContract.finalizeResults(encryptedElectionId))
+                .to.be.revertedWith("Encrypted tally not decrypted");
+        });
+
+        it("Should let trustees decrypt after the reveal deadline until the results are finalized", async function () {
+            await setTallyTrustees();
+            await castEncrypted([2, 0]);
+            await passDeadline(electionDeadlines.reveal);
+
+            for (const position of [0, 1]) {
+                await trustee.submitDecryptionShare(
+                    votingAndTallyingContract.connect(trustees[position]),
+                    encryptedElectionId,
+                    tallyKeys.secretShares[position]
+                );
+            }
+            await trustee.decryptTally(votingAndTallyingContract, encryptedElectionId);
+            await votingAndTallyingContract.finalizeResults(encryptedElectionId);
+
+            const [, voteCounts] = await votingAndTallyingContract.getTallyResults(encryptedElectionId);
+            expect(voteCounts).to.deep.equal([1n, 0n, 1n]);
+            await expect(postShare(2)).to.be.revertedWith("Tallying phase is not active");
+        });
+
+        it("Should not accept decryption shares before tallying starts", async function () {
+            await setTallyTrustees();
+            await passDeadline(electionDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(encryptedElectionId);
+
+            const { shares, proofs } = await decryptionShare(0);
+            await expect(votingAndTallyingContract.connect(trustees[0]).submitDecryptionShare(encryptedElectionId, shares, proofs))
+                .to.be.revertedWith("Tallying phase is not active");
+        });
+    });
+
+    describe("Multiple Elections", function () {
+        const secondElectionId = ethers.keccak256(ethers.toUtf8Bytes("TestElection2025"));
+        const secondCandidates = [
+            ethers.keccak256(ethers.toUtf8Bytes("Candidate4")),
+            ethers.keccak256(ethers.toUtf8Bytes("Candidate5"))
+        ];
+        let secondDeadlines;
+
+        // Run a second election on the same contracts up to a frozen ring with one registered voter
+        beforeEach(async function () {
+            const now = BigInt(await time.latest());
+            secondDeadlines = { certificate: now + 3600n, registration: now + 7200n, voting: now + 10800n, reveal: now + 14400n };
+            await registrationContract.connect(authority).storePollParams(
+                secondElectionId,
+                secondCandidates,
+                ethers.keccak256(ethers.toUtf8Bytes("random_challenge_2")),
+                secondDeadlines
+            );
+
+            const key = lsag.generateKeyPair();
+            const domain = await issuer.certificateDomain(registrationContract, secondElectionId);
+            await registrationContract.storePub(
+                secondElectionId,
+                await issuer.issueCertificate(government, domain, key.publicKeyBytes)
+            );
+            await passDeadline(secondDeadlines.certificate);
+            await registrationContract.freezeRing(secondElectionId);
+
+            // The same voting key as voter 0 of the first election
+            const votingPubKey = votingWallets[0].address;
+            const signature = lsag.sign(
+                await voterRegistrationContract.registrationMessage(secondElectionId, votingPubKey),
+                [key.publicKey],
+                0,
+                key.privateKey
+            );
+            await voterRegistrationContract.verify(
+                secondElectionId,
+                lsag.encodeSignature(signature, [key.publicKey]),
+                votingPubKey
+            );
+        });
+
+        it("Should run phases independently per election", async function () {
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+
+            expect(await votingAndTallyingContract.votingPhaseActive(electionId)).to.be.true;
+            expect(await votingAndTallyingContract.votingPhaseActive(secondElectionId)).to.be.false;
+            await expect(votingAndTallyingContract.connect(authority).startVotingPhase(secondElectionId))
+                .to.be.revertedWith("Registration deadline not reached");
+            const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash"));
+            await expect(votingAndTallyingContract.voting(
+                secondElectionId,
+                await signVoteHash(secondElectionId, 0, voteHash),
+                voteHash,
+                0
+            )).to.be.revertedWith("Voting phase is not active");
+
+            const [totalRegistered, , , phase] = await votingAndTallyingContract.getVotingStats(secondElectionId);
+            expect(totalRegistered).to.equal(1);
+            expect(phase).to.equal("setup");
+        });
+
+        it("Should keep votes and tallies separate per election", async function () {
+            const actualVoteSignature = ethers.concat([secondCandidates[1], ethers.toUtf8Bytes("vote_sig")]);
+            const voteHash = ethers.keccak256(ethers.concat([actualVoteSignature, secondElectionId]));
+
+            await passDeadline(secondDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(secondElectionId);
+            await votingAndTallyingContract.voting(secondElectionId, await signVoteHash(secondElectionId, 0, voteHash), voteHash, 0);
+
+            // Voter 0 of the first election is someone else and has not voted
+            expect(await votingAndTallyingContract.hasVoted(secondElectionId, 0)).to.be.true;
+            expect(await votingAndTallyingContract.hasVoted(electionId, 0)).to.be.false;
+            expect(await votingAndTallyingContract.totalVotesCast(electionId)).to.equal(0);
+
+            // Voter indices beyond the second election's registrations are rejected there
+            await expect(votingAndTallyingContract.voting(
+                secondElectionId,
+                ethers.toUtf8Bytes("signature_on_hash"),
+                voteHash,
+                1
+            )).to.be.revertedWith("Voter is not registered");
+
+            await passDeadline(secondDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(secondElectionId);
+            await votingAndTallyingContract.tally(secondElectionId, actualVoteSignature, 0);
+
+            const [tallyCandidates, voteCounts] = await votingAndTallyingContract.getTallyResults(secondElectionId);
+            expect(tallyCandidates).to.deep.equal(secondCandidates);
+            expect(voteCounts).to.deep.equal([0n, 1n]);
+            const [, firstCounts] = await votingAndTallyingContract.getTallyResults(electionId);
+            expect(firstCounts).to.deep.equal([0n, 0n, 0n]);
+        });
+
+        it("Should not replay a vote signature in another election", async function () {
+            // Voter 0 holds the same voting key in both elections
+            const voteHash = ethers.keccak256(ethers.toUtf8Bytes("vote_hash"));
+            const signatureOnHash = await signVoteHash(secondElectionId, 0, voteHash);
+
+            await passDeadline(deadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(electionId);
+            await expect(votingAndTallyingContract.voting(electionId, signatureOnHash, voteHash, 0))
+                .to.be.revertedWith("Invalid signature on vote hash");
+
+            await passDeadline(secondDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(secondElectionId);
+            await votingAndTallyingContract.voting(secondElectionId, signatureOnHash, voteHash, 0);
+            expect(await votingAndTallyingContract.hasVoted(secondElectionId, 0)).to.be.true;
+        });
+
+        it("Should only accept candidates of the election being tallied", async function () {
+            // A reveal naming a candidate of the first election
+            const actualVoteSignature = ethers.concat([candidates[0], ethers.toUtf8Bytes("vote_sig")]);
+            const voteHash = ethers.keccak256(ethers.concat([actualVoteSignature, secondElectionId]));
+
+            await passDeadline(secondDeadlines.registration);
+            await votingAndTallyingContract.startVotingPhase(secondElectionId);
+            await votingAndTallyingContract.voting(secondElectionId, await signVoteHash(secondElectionId, 0, voteHash), voteHash, 0);
+            await passDeadline(secondDeadlines.voting);
+            await votingAndTallyingContract.startTallyingPhase(secondElectionId);
+
+            await expect(votingAndTallyingContract.tally(secondElectionId, actualVoteSignature, 0))
+                .to.be.revertedWith("Invalid candidate");
+        });
     });
 });
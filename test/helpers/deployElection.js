@@ -0,0 +1,49 @@
+const { ethers } = require("hardhat");
+
+// Election admin timelock of the contracts under test unless a test picks another, two days as on
+// a production deployment
+const ELECTION_ADMIN_DELAY = 2 * 24 * 60 * 60;
+
+// Deploy a RegistrationContract linked against the RingSnapshot and IssuerRegistry libraries, whose
+// election roles go to the authority (a signer or contract); the deployer is the default admin
+async function deployRegistrationContract(electionAuthority, electionAdminDelay = ELECTION_ADMIN_DELAY) {
+  const ringSnapshotLibrary = await (await ethers.getContractFactory("RingSnapshot")).deploy();
+  const issuerRegistryLibrary = await (await ethers.getContractFactory("IssuerRegistry")).deploy();
+  const RegistrationContract = await ethers.getContractFactory("RegistrationContract", {
+    libraries: { RingSnapshot: ringSnapshotLibrary.target, IssuerRegistry: issuerRegistryLibrary.target }
+  });
+  return RegistrationContract.deploy(electionAuthority, electionAdminDelay);
+}
+
+// Deploy the three election contracts, with VotingAndTallyingContract linked against the
+// EncryptedTally and RankedChoice libraries
+async function deployElection(electionAuthority) {
+  const registrationContract = await deployRegistrationContract(electionAuthority);
+
+  const VoterRegistrationContract = await ethers.getContractFactory("VoterRegistrationContract");
+  const voterRegistrationContract = await VoterRegistrationContract.deploy(registrationContract.target);
+
+  const encryptedTallyLibrary = await (await ethers.getContractFactory("EncryptedTally")).deploy();
+  const rankedChoiceLibrary = await (await ethers.getContractFactory("RankedChoice")).deploy();
+  const VotingAndTallyingContract = await ethers.getContractFactory("VotingAndTallyingContract", {
+    libraries: { EncryptedTally: encryptedTallyLibrary.target, RankedChoice: rankedChoiceLibrary.target }
+  });
+  const votingAndTallyingContract = await VotingAndTallyingContract.deploy(
+    voterRegistrationContract.target,
+    registrationContract.target
+  );
+
+  return {
+    registrationContract,
+    voterRegistrationContract,
+    votingAndTallyingContract,
+    encryptedTallyLibrary,
+    rankedChoiceLibrary
+  };
+}
+
+module.exports = {
+  ELECTION_ADMIN_DELAY,
+  deployRegistrationContract,
+  deployElection
+};